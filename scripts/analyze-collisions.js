@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Name Collision Analysis Script
+ *
+ * Finds distinct CLR entities of a generated output tree that map to the same
+ * TypeScript name: namespaces with the same alias, types of a namespace with
+ * the same emit name, and members of a type with the same name (statics and
+ * instances apart). One of them shadows the other, in the declarations and in
+ * lookups keyed by the name such as verify-completeness.js's typelist map.
+ *
+ * Every colliding pair is reported with the transform that made the names
+ * meet: the generic arity suffix (`Foo`1` → `Foo_1`, same as a CLR type
+ * named `Foo_1`), the nested type separator, or the camelCase naming
+ * transform (`XmlReader` and `xmlReader`). Pairs no transform explains are
+ * listed too (e.g. a property and a method of the same name).
+ *
+ * Usage: node scripts/analyze-collisions.js [output-dir] [--namespace <ns>]
+ *            [--format md|json] [--output <file>] [--fail-on-collisions]
+ *
+ * output-dir defaults to the default validation target's output directory
+ * (.tests/validation/<target>). --namespace narrows the report to one
+ * namespace's types and members. Output goes to stdout unless --output is
+ * given. --fail-on-collisions exits 1 when any collision is found.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadBindings } from './lib/runtime-bindings.js';
+import { TRANSFORMS, findNameCollisions } from './lib/name-collisions.js';
+import { defaultOutputDir } from './lib/targets.js';
+
+const FORMATS = ['md', 'json'];
+const SCOPES = ['namespace', 'type', 'member'];
+
+function buildReport(outputDir, namespaces, focus) {
+    const collisions = findNameCollisions(namespaces)
+        .filter(c => !focus || c.namespace === focus || (c.scope === 'namespace' &&
+            [c.first.clrName, c.second.clrName].includes(focus)));
+
+    const byScope = Object.fromEntries(SCOPES.map(scope => [scope, collisions.filter(c => c.scope === scope).length]));
+    const byTransform = {};
+    for (const collision of collisions) {
+        for (const transform of collision.transforms.length > 0 ? collision.transforms : ['none']) {
+            byTransform[transform] = (byTransform[transform] || 0) + 1;
+        }
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        outputDir,
+        focus: focus || null,
+        summary: {
+            namespaces: namespaces.length,
+            types: namespaces.reduce((sum, ns) => sum + ns.types.length, 0),
+            collisions: collisions.length,
+            byScope,
+            byTransform
+        },
+        collisions
+    };
+}
+
+function code(value) {
+    // CLR generic names carry backticks of their own
+    return String(value).includes('`') ? '`` ' + value + ' ``' : '`' + value + '`';
+}
+
+function describeEntity(entity) {
+    const flags = [entity.kind];
+    if (entity.isStatic) flags.push('static');
+    if (!entity.emitted) flags.push('not emitted');
+    return `${code(entity.clrName)} (${flags.join(', ')})`;
+}
+
+function describeTransforms(transforms) {
+    return transforms.length > 0 ? transforms.map(t => TRANSFORMS[t]).join('; ') : 'none (same name in CLR)';
+}
+
+function toMarkdown(report) {
+    const { summary } = report;
+    const lines = [
+        report.focus ? `# Name collisions in ${code(report.focus)}` : '# Name collision analysis',
+        '',
+        `- Output: ${code(report.outputDir)}`,
+        `- ${summary.namespaces} namespaces, ${summary.types} types`,
+        `- **${summary.collisions} collisions** (${SCOPES.map(scope => `${summary.byScope[scope]} ${scope}`).join(', ')})`,
+        ''
+    ];
+
+    if (summary.collisions > 0) {
+        lines.push('| Transform | Collisions |', '|---|---|');
+        for (const [transform, count] of Object.entries(summary.byTransform)) {
+            lines.push(`| ${transform === 'none' ? 'none' : TRANSFORMS[transform]} | ${count} |`);
+        }
+        lines.push('');
+    }
+
+    for (const scope of SCOPES) {
+        if (scope === 'namespace' && report.focus) continue;
+        const collisions = report.collisions.filter(c => c.scope === scope);
+        lines.push(`## ${scope[0].toUpperCase()}${scope.slice(1)} names`, '');
+        if (collisions.length === 0) {
+            lines.push('None.', '');
+            continue;
+        }
+
+        const where = scope === 'namespace' ? [] : scope === 'type' ? ['Namespace'] : ['Namespace', 'Type'];
+        lines.push(`| ${[...where, 'TypeScript name', 'CLR entities', 'Caused by'].join(' | ')} |`,
+            `|${'---|'.repeat(where.length + 3)}`);
+        for (const c of collisions) {
+            const cells = scope === 'namespace' ? [] : scope === 'type' ? [code(c.namespace)] : [code(c.namespace), code(c.type)];
+            cells.push(code(c.name), `${describeEntity(c.first)}<br>${describeEntity(c.second)}`, describeTransforms(c.transforms));
+            lines.push(`| ${cells.join(' | ')} |`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+function usage() {
+    console.error('Usage: node scripts/analyze-collisions.js [output-dir] [--namespace <ns>] [--format md|json] ' +
+        '[--output <file>] [--fail-on-collisions]');
+    process.exit(1);
+}
+
+function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                'namespace': { type: 'string', short: 'n' },
+                'format': { type: 'string', default: 'md' },
+                'output': { type: 'string', short: 'o' },
+                'fail-on-collisions': { type: 'boolean', default: false }
+            }
+        });
+    } catch (err) {
+        console.error(err.message);
+        usage();
+    }
+
+    const { values: args, positionals } = parsed;
+    if (positionals.length > 1) {
+        usage();
+    }
+    if (!FORMATS.includes(args.format)) {
+        console.error(`Unknown --format "${args.format}" (expected ${FORMATS.join(', ')})`);
+        usage();
+    }
+
+    let outputDir;
+    try {
+        outputDir = positionals[0] ? path.resolve(positionals[0]) : defaultOutputDir();
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
+    if (!fs.existsSync(path.join(outputDir, 'namespaces'))) {
+        console.error(`Error: Namespaces directory not found: ${path.join(outputDir, 'namespaces')}`);
+        process.exit(1);
+    }
+
+    let bindings;
+    try {
+        bindings = loadBindings(outputDir);
+    } catch (err) {
+        console.error(`Error: Failed to load the output tree: ${err.message}`);
+        process.exit(1);
+    }
+
+    if (args.namespace && !bindings.namespaces.some(ns => ns.clrName === args.namespace)) {
+        console.error(`Error: Namespace "${args.namespace}" was not generated in ${outputDir}`);
+        process.exit(1);
+    }
+
+    const report = buildReport(outputDir, bindings.namespaces, args.namespace);
+    const content = args.format === 'json' ? JSON.stringify(report, null, 2) + '\n' : toMarkdown(report);
+
+    if (args.output) {
+        fs.mkdirSync(path.dirname(path.resolve(args.output)), { recursive: true });
+        fs.writeFileSync(args.output, content);
+        console.error(`Collision ${args.format} written to ${args.output} (${report.summary.collisions} collisions)`);
+    } else {
+        process.stdout.write(content);
+    }
+
+    if (args['fail-on-collisions'] && report.summary.collisions > 0) {
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * Dependency Analysis Script
+ *
+ * Builds the namespace and assembly dependency graphs of a generated output
+ * tree from the `imports` recorded in each namespace's snapshot.json
+ * (assembly → imported namespaces) and its `sourceAssemblies`.
+ *
+ * Reported:
+ * - dangling imports: imported namespaces that were never generated. The
+ *   emitter drops their import statements (only generated namespaces are
+ *   imported), so every type referenced through them is unresolved
+ * - import cycles between namespaces, and between assemblies
+ * - for every namespace, the transitive closure of namespaces and assemblies
+ *   a consumer has to load to use it, heaviest first
+ *
+ * Usage: node scripts/analyze-dependencies.js [output-dir]
+ *            [--namespace <ns>] [--graph namespaces|assemblies]
+ *            [--format md|json|dot|mermaid] [--output <file>]
+ *            [--fail-on-dangling] [--fail-on-cycles]
+ *
+ * output-dir defaults to the default validation target's output directory
+ * (.tests/validation/<target>). --namespace narrows the report and the graph
+ * to that namespace's closure. dot and mermaid export the graph chosen with
+ * --graph (default: namespaces); dangling imports are drawn as dashed edges.
+ * Output goes to stdout unless --output is given. The --fail-on-* flags exit 1
+ * when any dangling import or namespace cycle is found.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { listNamespaces, loadSidecar } from './lib/sidecars.js';
+import { buildDependencyGraph, transitiveClosure, findCycles, toDot, toMermaid } from './lib/dependency-graph.js';
+import { defaultOutputDir } from './lib/targets.js';
+
+const FORMATS = ['md', 'json', 'dot', 'mermaid'];
+const GRAPHS = ['namespaces', 'assemblies'];
+
+// Closures listed in the markdown report
+const HEAVIEST_LIMIT = 20;
+
+/**
+ * Read every namespace's snapshot.json. Namespaces without one take part in
+ * the graph without imports and are listed in `unreadable`.
+ */
+function loadSnapshots(outputDir) {
+    const snapshots = [];
+    const unreadable = [];
+
+    for (const namespace of listNamespaces(outputDir)) {
+        const snapshot = loadSidecar(path.join(outputDir, 'namespaces', namespace), 'snapshot.json');
+        if (!snapshot) {
+            unreadable.push(namespace);
+        }
+        snapshots.push({
+            clrName: namespace,
+            imports: snapshot?.imports || {},
+            sourceAssemblies: snapshot?.sourceAssemblies || []
+        });
+    }
+
+    return { snapshots, unreadable };
+}
+
+/**
+ * Graph restricted to the given nodes
+ */
+function subgraph(graph, nodes) {
+    const result = new Map();
+    for (const node of nodes) {
+        result.set(node, new Set([...(graph.get(node) || [])].filter(dep => nodes.has(dep))));
+    }
+    return result;
+}
+
+function countEdges(graph) {
+    let edges = 0;
+    for (const deps of graph.values()) edges += deps.size;
+    return edges;
+}
+
+/**
+ * What consuming one namespace pulls in: namespaces in its closure, the
+ * assemblies they come from, and the dangling imports among them
+ */
+function closureOf(namespace, graph) {
+    const namespaces = transitiveClosure(namespace, graph.namespaces);
+    const assemblies = new Set();
+    for (const ns of namespaces) {
+        graph.namespaceAssemblies.get(ns).forEach(assembly => assemblies.add(assembly));
+    }
+
+    return {
+        namespace,
+        namespaces: [...namespaces].sort(),
+        assemblies: [...assemblies].sort(),
+        dangling: graph.dangling.filter(d => namespaces.has(d.namespace))
+    };
+}
+
+function buildReport(outputDir, graph, unreadable, focus) {
+    const closures = [...graph.namespaces.keys()]
+        .map(ns => closureOf(ns, graph))
+        .sort((a, b) => b.namespaces.length - a.namespaces.length ||
+            b.assemblies.length - a.assemblies.length ||
+            a.namespace.localeCompare(b.namespace));
+
+    const scope = focus ? new Set(closures.find(c => c.namespace === focus).namespaces) : null;
+    const inScope = ns => !scope || scope.has(ns);
+    const cycles = findCycles(graph.namespaces).filter(c => c.members.some(inScope));
+    const assemblyCycles = focus ? [] : findCycles(graph.assemblies);
+    const dangling = graph.dangling.filter(d => inScope(d.namespace));
+
+    const assemblyDependencies = {};
+    for (const [assembly, deps] of [...graph.assemblies].sort(([a], [b]) => a.localeCompare(b))) {
+        assemblyDependencies[assembly] = [...deps].sort();
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        outputDir,
+        focus: focus || null,
+        summary: {
+            namespaces: graph.namespaces.size,
+            assemblies: graph.assemblies.size,
+            namespaceEdges: countEdges(graph.namespaces),
+            assemblyEdges: countEdges(graph.assemblies),
+            dangling: dangling.length,
+            cycles: cycles.length,
+            assemblyCycles: assemblyCycles.length
+        },
+        unreadable,
+        dangling,
+        cycles,
+        assemblyCycles,
+        closure: focus ? closures.find(c => c.namespace === focus) : null,
+        closures: focus
+            ? []
+            : closures.map(c => ({ namespace: c.namespace, namespaces: c.namespaces.length, assemblies: c.assemblies.length })),
+        assemblyDependencies
+    };
+}
+
+function code(value) {
+    return '`' + value + '`';
+}
+
+function toMarkdown(report) {
+    const { summary } = report;
+    const lines = [
+        report.focus ? `# Dependencies of ${code(report.focus)}` : '# Dependency analysis',
+        '',
+        `- Output: ${code(report.outputDir)}`,
+        `- ${summary.namespaces} namespaces (${summary.namespaceEdges} imports), ${summary.assemblies} assemblies (${summary.assemblyEdges} references)`,
+        `- **${summary.dangling} dangling imports**, **${summary.cycles} namespace cycles**` +
+            (report.focus ? '' : `, ${summary.assemblyCycles} assembly cycles`),
+        ''
+    ];
+
+    if (report.unreadable.length > 0) {
+        lines.push(`Namespaces without a readable snapshot.json (no imports known): ${report.unreadable.map(code).join(', ')}`, '');
+    }
+
+    if (report.closure) {
+        const { closure } = report;
+        lines.push('## Closure', '',
+            `Consuming ${code(closure.namespace)} loads ${closure.namespaces.length} namespaces from ${closure.assemblies.length} assemblies.`, '',
+            '| Namespaces | Assemblies |', '|---|---|',
+            `| ${closure.namespaces.map(code).join('<br>')} | ${closure.assemblies.map(code).join('<br>')} |`, '');
+    }
+
+    lines.push('## Dangling imports', '');
+    if (report.dangling.length === 0) {
+        lines.push('None.', '');
+    } else {
+        lines.push('| Namespace | Imports | From assembly |', '|---|---|---|');
+        report.dangling.forEach(d => lines.push(`| ${code(d.namespace)} | ${code(d.target)} | ${code(d.assembly)} |`));
+        lines.push('');
+    }
+
+    lines.push('## Namespace cycles', '');
+    if (report.cycles.length === 0) {
+        lines.push('None.', '');
+    } else {
+        report.cycles.forEach(c => lines.push(
+            `- ${c.members.length} namespaces: ${c.members.map(code).join(', ')}`,
+            `  - e.g. ${c.cycle.map(code).join(' → ')}`));
+        lines.push('');
+    }
+
+    if (!report.focus) {
+        lines.push('## Assembly cycles', '');
+        if (report.assemblyCycles.length === 0) {
+            lines.push('None.', '');
+        } else {
+            report.assemblyCycles.forEach(c => lines.push(`- ${c.cycle.map(code).join(' → ')}`));
+            lines.push('');
+        }
+
+        lines.push(`## Heaviest closures`, '', '| Namespace | Namespaces | Assemblies |', '|---|---|---|');
+        report.closures.slice(0, HEAVIEST_LIMIT)
+            .forEach(c => lines.push(`| ${code(c.namespace)} | ${c.namespaces} | ${c.assemblies} |`));
+        if (report.closures.length > HEAVIEST_LIMIT) {
+            lines.push('', `... and ${report.closures.length - HEAVIEST_LIMIT} more (see --format json)`);
+        }
+        lines.push('');
+
+        lines.push('## Assembly dependencies', '', '| Assembly | References |', '|---|---|');
+        for (const [assembly, deps] of Object.entries(report.assemblyDependencies)) {
+            lines.push(`| ${code(assembly)} | ${deps.length > 0 ? deps.map(code).join(', ') : '-'} |`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * DOT or Mermaid text for the chosen graph, narrowed to the focus closure
+ */
+function exportGraph(graph, args) {
+    const focus = args.namespace;
+    let nodes, missing, highlight;
+
+    if (args.graph === 'assemblies') {
+        const roots = focus ? graph.namespaceAssemblies.get(focus) : [...graph.assemblies.keys()];
+        nodes = new Set();
+        roots.forEach(root => transitiveClosure(root, graph.assemblies).forEach(a => nodes.add(a)));
+        highlight = new Set(focus ? roots : []);
+        missing = [];
+    } else {
+        nodes = focus ? transitiveClosure(focus, graph.namespaces) : new Set(graph.namespaces.keys());
+        highlight = new Set(focus ? [focus] : []);
+        missing = graph.dangling.filter(d => nodes.has(d.namespace));
+    }
+
+    const selected = subgraph(args.graph === 'assemblies' ? graph.assemblies : graph.namespaces, nodes);
+    return args.format === 'dot'
+        ? toDot(selected, { name: focus ? `${focus} ${args.graph}` : args.graph, highlight, missing })
+        : toMermaid(selected, { highlight, missing });
+}
+
+function usage() {
+    console.error('Usage: node scripts/analyze-dependencies.js [output-dir] [--namespace <ns>] [--graph namespaces|assemblies] ' +
+        '[--format md|json|dot|mermaid] [--output <file>] [--fail-on-dangling] [--fail-on-cycles]');
+    process.exit(1);
+}
+
+function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                'namespace': { type: 'string', short: 'n' },
+                'graph': { type: 'string', default: 'namespaces' },
+                'format': { type: 'string', default: 'md' },
+                'output': { type: 'string', short: 'o' },
+                'fail-on-dangling': { type: 'boolean', default: false },
+                'fail-on-cycles': { type: 'boolean', default: false }
+            }
+        });
+    } catch (err) {
+        console.error(err.message);
+        usage();
+    }
+
+    const { values: args, positionals } = parsed;
+    if (positionals.length > 1) {
+        usage();
+    }
+    if (!FORMATS.includes(args.format)) {
+        console.error(`Unknown --format "${args.format}" (expected ${FORMATS.join(', ')})`);
+        usage();
+    }
+    if (!GRAPHS.includes(args.graph)) {
+        console.error(`Unknown --graph "${args.graph}" (expected ${GRAPHS.join(', ')})`);
+        usage();
+    }
+
+    let outputDir;
+    try {
+        outputDir = positionals[0] ? path.resolve(positionals[0]) : defaultOutputDir();
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
+    if (!fs.existsSync(path.join(outputDir, 'namespaces'))) {
+        console.error(`Error: Namespaces directory not found: ${path.join(outputDir, 'namespaces')}`);
+        process.exit(1);
+    }
+
+    let loaded;
+    try {
+        loaded = loadSnapshots(outputDir);
+    } catch (err) {
+        console.error(`Error: Failed to load snapshot.json files: ${err.message}`);
+        process.exit(1);
+    }
+
+    const graph = buildDependencyGraph(loaded.snapshots);
+    if (args.namespace && !graph.namespaces.has(args.namespace)) {
+        console.error(`Error: Namespace "${args.namespace}" was not generated in ${outputDir}`);
+        process.exit(1);
+    }
+
+    const report = buildReport(outputDir, graph, loaded.unreadable, args.namespace);
+    let content;
+    switch (args.format) {
+        case 'json':
+            content = JSON.stringify(report, null, 2) + '\n';
+            break;
+        case 'md':
+            content = toMarkdown(report);
+            break;
+        default:
+            content = exportGraph(graph, args);
+    }
+
+    if (args.output) {
+        fs.mkdirSync(path.dirname(path.resolve(args.output)), { recursive: true });
+        fs.writeFileSync(args.output, content);
+        console.error(`Dependency ${args.format} written to ${args.output} ` +
+            `(${report.summary.dangling} dangling imports, ${report.summary.cycles} namespace cycles)`);
+    } else {
+        process.stdout.write(content);
+    }
+
+    if ((args['fail-on-dangling'] && report.summary.dangling > 0) ||
+        (args['fail-on-cycles'] && report.summary.cycles > 0)) {
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,593 @@
+#!/usr/bin/env node
+
+/**
+ * API Diff Script
+ *
+ * Compares two generated output trees (e.g. two generator versions, or two
+ * runtime versions) and reports what changed in the public API surface.
+ *
+ * For every namespace, snapshot.json, typelist.json and metadata.json are read
+ * from both trees, after checking them against spec/schemas/. Types are
+ * matched by CLR full name; members by kind, name and signature (generic
+ * arity + parameter types). A member whose overload no longer exists but has
+ * the same shape (arity + parameter count) on the other side is reported as a
+ * signature change rather than a removal plus addition.
+ *
+ * Every change is classified as breaking or non-breaking for code consuming
+ * the TypeScript declarations:
+ * - removing a type or member, or no longer emitting it, is breaking
+ * - adding one is not, unless it is abstract (implementers must add it)
+ * - parameter, return and member type changes, static/instance flips, kind and
+ *   base type changes and renamed TypeScript names are breaking
+ * - tightening modifiers (sealing, making abstract or readonly, dropping
+ *   virtual, dropping an interface or explicit view) is breaking; loosening
+ *   them is not
+ *
+ * Usage: node scripts/diff-api.js <old-output-dir> <new-output-dir>
+ *            [--format md|json] [--output <file>] [--fail-on-breaking]
+ *
+ * The report goes to stdout unless --output is given. With --fail-on-breaking
+ * the script exits 1 when any breaking change was found.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+    listNamespaces,
+    loadSidecar,
+    getClrFullName,
+    normalizeTypeReference,
+    getSnapshotSignature,
+    signatureKey,
+    signatureShape,
+    formatSignature
+} from './lib/sidecars.js';
+import { validateSidecarFiles } from './lib/sidecar-schema.js';
+
+const FORMATS = ['md', 'json'];
+
+// Schema violations listed when an output tree is rejected
+const SHOWN_VIOLATIONS = 10;
+
+const MEMBER_COLLECTIONS = [
+    ['constructors', 'constructor'],
+    ['methods', 'method'],
+    ['properties', 'property'],
+    ['fields', 'field'],
+    ['events', 'event']
+];
+
+/**
+ * Load the API surface of an output tree:
+ * Map(namespace → Map(clrType → type)), see loadType().
+ *
+ * The sidecar files are checked against spec/schemas/ first, so the fields
+ * read below are known to be there; a tree with any violation is rejected
+ * rather than diffed with guessed values.
+ */
+function loadApi(outputDir) {
+    const { violations } = validateSidecarFiles(outputDir);
+    if (violations.length > 0) {
+        const shown = violations.slice(0, SHOWN_VIOLATIONS).map(v => `\n  ${v.file}: ${v.path}: ${v.message}`).join('');
+        const more = violations.length > SHOWN_VIOLATIONS ? `\n  ... and ${violations.length - SHOWN_VIOLATIONS} more` : '';
+        throw new Error(`${outputDir} does not match spec/schemas (${violations.length} violations):${shown}${more}`);
+    }
+
+    const api = new Map();
+
+    for (const namespace of listNamespaces(outputDir)) {
+        const namespacePath = path.join(outputDir, 'namespaces', namespace);
+        const snapshot = loadSidecar(namespacePath, 'snapshot.json');
+        const typelist = loadSidecar(namespacePath, 'typelist.json');
+        const metadata = loadSidecar(namespacePath, 'metadata.json');
+
+        const emittedTypes = new Map(typelist.types.map(t => [t.tsEmitName, t]));
+        const metadataTypes = new Map(metadata.types.map(t => [getClrFullName(t.clrType), t]));
+
+        const types = new Map();
+        for (const snapshotType of snapshot.types) {
+            const clrType = getClrFullName(snapshotType.binding.type);
+            types.set(clrType, loadType(clrType, snapshotType,
+                emittedTypes.get(snapshotType.tsEmitName) ?? null, metadataTypes.get(clrType) ?? null));
+        }
+        api.set(namespace, types);
+    }
+
+    return api;
+}
+
+/**
+ * One type's API: modifiers from the snapshot, its TypeScript name and
+ * explicit views from metadata.json, and whether the typelist emitted it.
+ * emittedType is the typelist entry and metadataType the metadata.json
+ * entry, each null when the type has none.
+ */
+function loadType(clrType, snapshotType, emittedType, metadataType) {
+    const emittedMembers = new Map();
+    for (const member of emittedType ? emittedType.members : []) {
+        const key = `${member.isStatic ? 'static:' : 'instance:'}${member.name}`;
+        if (!emittedMembers.has(key)) {
+            emittedMembers.set(key, []);
+        }
+        emittedMembers.get(key).push(member);
+    }
+
+    const isEmitted = (name, isStatic, signature) => {
+        const entries = emittedMembers.get(`${isStatic ? 'static:' : 'instance:'}${name}`) || [];
+        if (!signature) return entries.length > 0;
+        // Typelists written before signatures were recorded match any overload
+        return entries.some(e => e.parameters === undefined ||
+            signatureKey({ genericArity: e.genericArity, parameters: e.parameters }) === signatureKey(signature));
+    };
+
+    const members = [];
+    for (const [collection, kind] of MEMBER_COLLECTIONS) {
+        for (const member of snapshotType.members[collection]) {
+            members.push(loadMember(kind, member, isEmitted));
+        }
+    }
+
+    return {
+        clrType,
+        tsName: metadataType ? metadataType.tsName : snapshotType.tsEmitName,
+        kind: snapshotType.kind,
+        isStatic: snapshotType.isStatic,
+        isSealed: snapshotType.isSealed,
+        isAbstract: snapshotType.isAbstract,
+        baseType: snapshotType.baseType ? normalizeTypeReference(snapshotType.baseType) : null,
+        interfaces: snapshotType.implements.map(normalizeTypeReference),
+        assembly: metadataType ? metadataType.assembly : snapshotType.binding.assembly,
+        // explicitViews is null for a type without views
+        explicitViews: (metadataType?.explicitViews ?? []).map(v => v.viewName),
+        emitted: emittedType !== null,
+        members
+    };
+}
+
+/**
+ * One member's API. Constructors, methods and indexers carry a signature;
+ * `type` is the return type of methods and the type of everything else.
+ * A modifier the snapshot schema does not define for a member kind
+ * (constructors have none, fields are never virtual) is false.
+ */
+function loadMember(kind, member, isEmitted) {
+    const name = kind === 'constructor' ? 'constructor' : member.clrName;
+    const modifier = flag => Object.hasOwn(member, flag) && member[flag];
+    const isStatic = modifier('isStatic');
+
+    let parameters = [];
+    let signature = null;
+    if (kind === 'constructor' || kind === 'method') {
+        parameters = member.parameters;
+        signature = getSnapshotSignature(member);
+    } else if (kind === 'property' && member.isIndexer) {
+        parameters = member.indexerParameters;
+        signature = getSnapshotSignature({ parameters });
+    }
+
+    return {
+        kind: kind === 'property' && member.isIndexer ? 'indexer' : kind,
+        name,
+        isStatic,
+        signature,
+        parameterModes: parameters.map(p => p.kind),
+        type: kind === 'method'
+            ? normalizeTypeReference(member.returnType)
+            : kind === 'constructor' ? null : normalizeTypeReference(member.type),
+        isVirtual: modifier('isVirtual'),
+        isAbstract: modifier('isAbstract'),
+        isOverride: modifier('isOverride'),
+        isReadonly: modifier('isReadonly'),
+        emitted: isEmitted(name, isStatic, kind === 'constructor' || kind === 'method' ? signature : null)
+    };
+}
+
+/**
+ * Display form of a member: "Select``2(...)", "this[System.Int32]" or "Length".
+ */
+function describeMember(member) {
+    if (member.kind === 'indexer') {
+        return `this[${member.signature.parameters.join(', ')}]`;
+    }
+    return member.signature ? formatSignature(member.name, member.signature) : member.name;
+}
+
+/**
+ * A modifier change is breaking in one direction only:
+ * `breakingWhen` is the new value that breaks consumers.
+ */
+function modifierChange(aspect, oldValue, newValue, breakingWhen) {
+    return { aspect, old: oldValue, new: newValue, breaking: newValue === breakingWhen };
+}
+
+/**
+ * Aspects that differ between two versions of a type, excluding members.
+ */
+function compareTypes(oldType, newType) {
+    const details = [];
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    if (oldType.kind !== newType.kind) {
+        details.push({ aspect: 'kind', old: oldType.kind, new: newType.kind, breaking: true });
+    }
+    if (oldType.tsName !== newType.tsName) {
+        details.push({ aspect: 'tsName', old: oldType.tsName, new: newType.tsName, breaking: true });
+    }
+    if (oldType.isStatic !== newType.isStatic) {
+        details.push({ aspect: 'static', old: oldType.isStatic, new: newType.isStatic, breaking: true });
+    }
+    if (oldType.isSealed !== newType.isSealed) {
+        details.push(modifierChange('sealed', oldType.isSealed, newType.isSealed, true));
+    }
+    if (oldType.isAbstract !== newType.isAbstract) {
+        details.push(modifierChange('abstract', oldType.isAbstract, newType.isAbstract, true));
+    }
+    if (oldType.baseType !== newType.baseType) {
+        details.push({ aspect: 'baseType', old: oldType.baseType, new: newType.baseType, breaking: true });
+    }
+
+    const removedInterfaces = oldType.interfaces.filter(i => !newType.interfaces.includes(i));
+    const addedInterfaces = newType.interfaces.filter(i => !oldType.interfaces.includes(i));
+    if (removedInterfaces.length > 0) {
+        details.push({ aspect: 'interfaces removed', old: removedInterfaces, new: null, breaking: true });
+    }
+    if (addedInterfaces.length > 0) {
+        details.push({ aspect: 'interfaces added', old: null, new: addedInterfaces, breaking: false });
+    }
+
+    if (!same(oldType.explicitViews, newType.explicitViews)) {
+        const dropped = oldType.explicitViews.some(v => !newType.explicitViews.includes(v));
+        details.push({ aspect: 'explicitViews', old: oldType.explicitViews, new: newType.explicitViews, breaking: dropped });
+    }
+    if (oldType.assembly !== newType.assembly) {
+        details.push({ aspect: 'assembly', old: oldType.assembly, new: newType.assembly, breaking: false });
+    }
+    if (oldType.emitted !== newType.emitted) {
+        details.push(modifierChange('emitted', oldType.emitted, newType.emitted, false));
+    }
+
+    return details;
+}
+
+/**
+ * Aspects that differ between two versions of a member.
+ */
+function compareMembers(oldMember, newMember) {
+    const details = [];
+
+    if (oldMember.signature && signatureKey(oldMember.signature) !== signatureKey(newMember.signature)) {
+        details.push({
+            aspect: 'signature',
+            old: describeMember(oldMember),
+            new: describeMember(newMember),
+            breaking: true
+        });
+    }
+    if (oldMember.parameterModes.join(',') !== newMember.parameterModes.join(',')) {
+        details.push({
+            aspect: 'parameter modes',
+            old: oldMember.parameterModes.join(', '),
+            new: newMember.parameterModes.join(', '),
+            breaking: true
+        });
+    }
+    if (oldMember.type !== newMember.type) {
+        const aspect = oldMember.kind === 'method' ? 'returnType' : 'type';
+        details.push({ aspect, old: oldMember.type, new: newMember.type, breaking: true });
+    }
+    if (oldMember.isStatic !== newMember.isStatic) {
+        details.push({ aspect: 'static', old: oldMember.isStatic, new: newMember.isStatic, breaking: true });
+    }
+    if (oldMember.isAbstract !== newMember.isAbstract) {
+        details.push(modifierChange('abstract', oldMember.isAbstract, newMember.isAbstract, true));
+    }
+    if (oldMember.isVirtual !== newMember.isVirtual) {
+        details.push(modifierChange('virtual', oldMember.isVirtual, newMember.isVirtual, false));
+    }
+    if (oldMember.isOverride !== newMember.isOverride) {
+        details.push({ aspect: 'override', old: oldMember.isOverride, new: newMember.isOverride, breaking: false });
+    }
+    if (oldMember.isReadonly !== newMember.isReadonly) {
+        details.push(modifierChange('readonly', oldMember.isReadonly, newMember.isReadonly, true));
+    }
+    if (oldMember.emitted !== newMember.emitted) {
+        details.push(modifierChange('emitted', oldMember.emitted, newMember.emitted, false));
+    }
+
+    return details;
+}
+
+/**
+ * Pair the members of two versions of a type.
+ *
+ * Members are grouped by kind and name. Within a group, exact matches
+ * (signature, or nothing for properties/fields/events) are paired first, then
+ * leftovers of the same shape, which become signature changes. Static and
+ * instance members with the same signature pair up, so a flip is a change.
+ * Returns { pairs: [[old, new]], removed: [old], added: [new] }.
+ */
+function pairMembers(oldMembers, newMembers) {
+    const groupKey = m => `${m.kind}:${m.name}`;
+    const identity = m => m.signature ? signatureKey(m.signature) : '';
+    const shape = m => m.signature ? signatureShape(m.signature) : '';
+
+    const remaining = new Map();
+    for (const member of newMembers) {
+        if (!remaining.has(groupKey(member))) {
+            remaining.set(groupKey(member), []);
+        }
+        remaining.get(groupKey(member)).push(member);
+    }
+
+    const pairs = [];
+    const unpaired = [];
+    const take = (oldMember, matches) => {
+        const candidates = remaining.get(groupKey(oldMember)) || [];
+        // Prefer a candidate on the same side (static/instance) of the type
+        let index = candidates.findIndex(c => matches(c) && c.isStatic === oldMember.isStatic);
+        if (index < 0) {
+            index = candidates.findIndex(matches);
+        }
+        return index >= 0 ? candidates.splice(index, 1)[0] : null;
+    };
+
+    for (const oldMember of oldMembers) {
+        const match = take(oldMember, c => identity(c) === identity(oldMember));
+        if (match) {
+            pairs.push([oldMember, match]);
+        } else {
+            unpaired.push(oldMember);
+        }
+    }
+
+    const removed = [];
+    for (const oldMember of unpaired) {
+        const match = take(oldMember, c => shape(c) === shape(oldMember));
+        if (match) {
+            pairs.push([oldMember, match]);
+        } else {
+            removed.push(oldMember);
+        }
+    }
+
+    const added = [...remaining.values()].flat();
+    return { pairs, removed, added };
+}
+
+/**
+ * Diff two loaded APIs into a flat list of changes:
+ * { namespace, clrType, member, memberKind, change, breaking, details }
+ * where member is null for type-level changes.
+ */
+function diffApis(oldApi, newApi) {
+    const changes = [];
+    const namespaces = [...new Set([...oldApi.keys(), ...newApi.keys()])].sort();
+
+    for (const namespace of namespaces) {
+        const oldTypes = oldApi.get(namespace) || new Map();
+        const newTypes = newApi.get(namespace) || new Map();
+        const clrTypes = [...new Set([...oldTypes.keys(), ...newTypes.keys()])].sort();
+
+        for (const clrType of clrTypes) {
+            const oldType = oldTypes.get(clrType);
+            const newType = newTypes.get(clrType);
+            const typeChange = (change, breaking, details = []) => changes.push({
+                namespace, clrType, member: null, memberKind: 'type', change, breaking, details
+            });
+
+            if (!newType) {
+                typeChange('removed', true);
+                continue;
+            }
+            if (!oldType) {
+                typeChange('added', false);
+                continue;
+            }
+
+            const typeDetails = compareTypes(oldType, newType);
+            if (typeDetails.length > 0) {
+                typeChange('changed', typeDetails.some(d => d.breaking), typeDetails);
+            }
+
+            const memberChange = (member, change, breaking, details = []) => changes.push({
+                namespace,
+                clrType,
+                member: describeMember(member),
+                memberKind: member.kind,
+                isStatic: member.isStatic,
+                change,
+                breaking,
+                details
+            });
+
+            const { pairs, removed, added } = pairMembers(oldType.members, newType.members);
+            for (const member of removed) {
+                memberChange(member, 'removed', true);
+            }
+            for (const [oldMember, newMember] of pairs) {
+                const details = compareMembers(oldMember, newMember);
+                if (details.length > 0) {
+                    memberChange(oldMember, 'changed', details.some(d => d.breaking), details);
+                }
+            }
+            for (const member of added) {
+                memberChange(member, 'added', member.isAbstract);
+            }
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Counts for the report header.
+ */
+function summarize(oldApi, newApi, changes) {
+    const count = (memberKind, change) => changes.filter(c =>
+        (memberKind === 'type') === (c.memberKind === 'type') && c.change === change
+    ).length;
+
+    return {
+        breaking: changes.filter(c => c.breaking).length,
+        nonBreaking: changes.filter(c => !c.breaking).length,
+        namespaces: {
+            added: [...newApi.keys()].filter(ns => !oldApi.has(ns)),
+            removed: [...oldApi.keys()].filter(ns => !newApi.has(ns))
+        },
+        types: { added: count('type', 'added'), removed: count('type', 'removed'), changed: count('type', 'changed') },
+        members: { added: count('member', 'added'), removed: count('member', 'removed'), changed: count('member', 'changed') }
+    };
+}
+
+/**
+ * Markdown code span. CLR names contain backticks ("List`1"), so the fence is
+ * one backtick longer than the longest run inside.
+ */
+function code(text) {
+    const longestRun = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return longestRun > 0 ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`;
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined) return '(none)';
+    if (Array.isArray(value)) return value.length > 0 ? value.map(code).join(', ') : '(none)';
+    if (typeof value === 'boolean') return String(value);
+    return code(value);
+}
+
+/**
+ * One Markdown bullet per change, grouped under a heading per namespace.
+ */
+function formatChanges(changes) {
+    if (changes.length === 0) {
+        return ['_None._', ''];
+    }
+
+    const lines = [];
+    let namespace = null;
+    for (const c of changes) {
+        if (c.namespace !== namespace) {
+            if (namespace !== null) lines.push('');
+            namespace = c.namespace;
+            lines.push(`### ${namespace}`, '');
+        }
+
+        const change = c.change[0].toUpperCase() + c.change.slice(1);
+        const target = c.member
+            ? `${c.isStatic ? 'static ' : ''}${c.memberKind} ${code(`${c.clrType}.${c.member}`)}`
+            : `type ${code(c.clrType)}`;
+        const details = c.details
+            .map(d => `${d.aspect}: ${formatValue(d.old)} → ${formatValue(d.new)}${d.breaking ? '' : ' (non-breaking)'}`)
+            .join('; ');
+        lines.push(`- ${change} ${target}${details ? ` - ${details}` : ''}`);
+    }
+    lines.push('');
+    return lines;
+}
+
+function toMarkdown(report) {
+    const { summary } = report;
+    const lines = [
+        '# API diff',
+        '',
+        `- Old: ${code(report.old)}`,
+        `- New: ${code(report.new)}`,
+        `- **${summary.breaking} breaking**, ${summary.nonBreaking} non-breaking changes`,
+        '',
+        '| | Added | Removed | Changed |',
+        '|---|---|---|---|',
+        `| Namespaces | ${summary.namespaces.added.length} | ${summary.namespaces.removed.length} | - |`,
+        `| Types | ${summary.types.added} | ${summary.types.removed} | ${summary.types.changed} |`,
+        `| Members | ${summary.members.added} | ${summary.members.removed} | ${summary.members.changed} |`,
+        ''
+    ];
+
+    if (summary.namespaces.removed.length > 0) {
+        lines.push(`Removed namespaces: ${formatValue(summary.namespaces.removed)}`, '');
+    }
+    if (summary.namespaces.added.length > 0) {
+        lines.push(`Added namespaces: ${formatValue(summary.namespaces.added)}`, '');
+    }
+
+    lines.push('## Breaking changes', '', ...formatChanges(report.changes.filter(c => c.breaking)));
+    lines.push('## Non-breaking changes', '', ...formatChanges(report.changes.filter(c => !c.breaking)));
+
+    return lines.join('\n');
+}
+
+function usage() {
+    console.error('Usage: node scripts/diff-api.js <old-output-dir> <new-output-dir> [--format md|json] [--output <file>] [--fail-on-breaking]');
+    process.exit(1);
+}
+
+function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                'format': { type: 'string', default: 'md' },
+                'output': { type: 'string', short: 'o' },
+                'fail-on-breaking': { type: 'boolean', default: false }
+            }
+        });
+    } catch (err) {
+        console.error(err.message);
+        usage();
+    }
+
+    const { values: args, positionals } = parsed;
+    if (positionals.length !== 2) {
+        usage();
+    }
+    if (!FORMATS.includes(args.format)) {
+        console.error(`Unknown --format "${args.format}" (expected ${FORMATS.join(', ')})`);
+        usage();
+    }
+
+    const [oldDir, newDir] = positionals.map(dir => path.resolve(dir));
+    for (const dir of [oldDir, newDir]) {
+        if (!fs.existsSync(path.join(dir, 'namespaces'))) {
+            console.error(`Error: Namespaces directory not found: ${path.join(dir, 'namespaces')}`);
+            process.exit(1);
+        }
+    }
+
+    let oldApi, newApi;
+    try {
+        oldApi = loadApi(oldDir);
+        newApi = loadApi(newDir);
+    } catch (err) {
+        console.error(`Error: Failed to load sidecar files: ${err.message}`);
+        process.exit(1);
+    }
+
+    const changes = diffApis(oldApi, newApi);
+    const report = {
+        generatedAt: new Date().toISOString(),
+        old: oldDir,
+        new: newDir,
+        summary: summarize(oldApi, newApi, changes),
+        changes
+    };
+
+    const content = args.format === 'json'
+        ? JSON.stringify(report, null, 2) + '\n'
+        : toMarkdown(report);
+
+    if (args.output) {
+        fs.mkdirSync(path.dirname(path.resolve(args.output)), { recursive: true });
+        fs.writeFileSync(args.output, content);
+        console.error(`API diff written to ${args.output} (${report.summary.breaking} breaking, ${report.summary.nonBreaking} non-breaking)`);
+    } else {
+        process.stdout.write(content);
+    }
+
+    if (args['fail-on-breaking'] && report.summary.breaking > 0) {
+        process.exit(1);
+    }
+}
+
+main();
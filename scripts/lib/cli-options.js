@@ -0,0 +1,20 @@
+/**
+ * Option value parsing shared by the validate.js and qa.js command lines.
+ * Invalid values throw, so each CLI reports them with its usage.
+ */
+
+export function parsePositiveInt(value, flag) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) {
+        throw new Error(`${flag} expects a positive integer, got "${value}"`);
+    }
+    return n;
+}
+
+/**
+ * "a, b,,c" → ['a', 'b', 'c']; nothing → []
+ */
+export function splitList(value) {
+    if (!value) return [];
+    return value.split(',').map(s => s.trim()).filter(Boolean);
+}
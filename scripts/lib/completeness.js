@@ -0,0 +1,733 @@
+/**
+ * Completeness of a generated output tree: everything reflected from the
+ * assemblies (snapshot.json) must appear in what was emitted (typelist.json).
+ * Shared by verify-completeness.js and qa.js; see verify-completeness.js for
+ * the rules.
+ *
+ * verifyCompleteness() returns the statistics every report is built from:
+ * {
+ *   namespacesChecked, typesInSnapshot, typesInTypelist, membersInSnapshot,
+ *   membersInTypelist,
+ *   typesLost: [{ namespace, typeName, clrName, kind, allowed }],
+ *   membersLost: [{ namespace, type, member, signature?, reason?, emittedAs?, isStatic, kind, allowed }],
+ *   overloadsLost: { dropped, merged, changed },
+ *   intentionalOmissions: { <rule id>: { reason, count } },
+ *   unreportedOmissions, thresholdBreaches, unusedAllowances, duplicateKeys,
+ *   schemaViolations: [{ namespace, file, path, message }],
+ *   namespaceResults: [{ namespace, coverage, overallCoverage, breaches, ... }
+ *                      | { namespace, skipped } | { namespace, invalid }],
+ *   warnings, errors
+ * }
+ * where allowed is the allow-list reason of a known loss, or null.
+ *
+ * A namespace whose snapshot.json or typelist.json does not match its schema
+ * in spec/schemas/ (a malformed or old-format file) is not checked: its
+ * violations are reported and fail the run instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findOmissionRule, findReportingDiagnostic } from './omission-policy.js';
+import {
+    COVERAGE_KINDS,
+    MEMBER_COVERAGE_KIND,
+    findAllowedLoss,
+    findUnusedAllowances,
+    emptyCoverage,
+    overallCoverage,
+    coveragePercent,
+    findThresholdBreaches,
+    formatPercent
+} from './coverage.js';
+import {
+    listNamespaces,
+    loadSidecar,
+    getClrFullName,
+    normalizeTypeName,
+    getSnapshotSignature,
+    signatureKey,
+    signatureShape,
+    formatSignature
+} from './sidecars.js';
+import { loadSchemas, validateDocument, SIDECAR_SCHEMAS } from './sidecar-schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+// Schema violations printed per namespace; all of them are in the statistics
+const SHOWN_VIOLATIONS = 5;
+
+/**
+ * Checks every namespace of outputDir (or only those of the namespaces
+ * filter) against the omission policy (lib/omission-policy.js) and the
+ * coverage config (lib/coverage.js), and returns the statistics.
+ *
+ * reporter receives the progress of the run as it goes: section(title) per
+ * namespace, then info, success, warning and error lines. Warnings and errors
+ * are also collected in the statistics.
+ */
+export function verifyCompleteness(outputDir, { policy, coverageConfig, namespaces = [], reporter = {} }) {
+    const stats = {
+        namespacesChecked: 0,
+        typesInSnapshot: 0,
+        typesInTypelist: 0,
+        typesLost: [],
+        membersInSnapshot: 0,
+        membersInTypelist: 0,
+        membersLost: [],
+        overloadsLost: {
+            dropped: 0,
+            merged: 0,
+            changed: 0
+        },
+        intentionalOmissions: {},    // rule id -> { reason, count }
+        unreportedOmissions: [],
+        thresholdBreaches: [],       // { namespace, kind, percent, minimum }
+        unusedAllowances: [],
+        duplicateKeys: [],           // { namespace, source, key, names }
+        schemaViolations: [],        // { namespace, file, path, message }
+        namespaceResults: [],
+        warnings: [],
+        errors: []
+    };
+
+    const report = method => reporter[method] || (() => {});
+    const run = {
+        stats,
+        policy,
+        coverageConfig,
+        schemas: loadSchemas(),
+        section: report('section'),
+        info: report('info'),
+        success: report('success'),
+        warning: message => {
+            stats.warnings.push(message);
+            report('warning')(message);
+        },
+        error: message => {
+            stats.errors.push(message);
+            report('error')(message);
+        }
+    };
+
+    for (const namespace of listNamespaces(outputDir)) {
+        if (namespaces.length > 0 && !namespaces.includes(namespace)) continue;
+        verifyNamespace(run, namespace, path.join(outputDir, 'namespaces', namespace));
+    }
+    stats.unusedAllowances = findUnusedAllowances(coverageConfig)
+        .filter(a => namespaces.length === 0 || namespaces.includes(a.namespace));
+
+    return stats;
+}
+
+/**
+ * Whether a run passed: no loss outside the allow-list, no coverage below its
+ * minimum, no unreported omission, no duplicate type key and no sidecar that
+ * fails its schema
+ */
+export function completenessPassed(stats) {
+    return stats.typesLost.every(t => t.allowed)
+        && stats.membersLost.every(m => m.allowed)
+        && stats.thresholdBreaches.length === 0
+        && stats.unreportedOmissions.length === 0
+        && stats.duplicateKeys.length === 0
+        && stats.schemaViolations.length === 0;
+}
+
+/**
+ * Load snapshot.json (what was reflected from assemblies)
+ */
+function loadSnapshot(run, namespacePath) {
+    try {
+        return loadSidecar(namespacePath, 'snapshot.json');
+    } catch (err) {
+        run.warning(`Failed to load snapshot: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Load typelist.json (what was actually emitted to TypeScript)
+ */
+function loadTypelist(run, namespacePath) {
+    try {
+        return loadSidecar(namespacePath, 'typelist.json');
+    } catch (err) {
+        run.warning(`Failed to load typelist: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Violations of one parsed sidecar file against its schema in spec/schemas/
+ */
+function checkSchema(run, namespaceName, fileName, document) {
+    const { violations } = validateDocument(run.schemas, SIDECAR_SCHEMAS[fileName], document);
+    return violations.map(v => ({ namespace: namespaceName, file: fileName, ...v }));
+}
+
+/**
+ * Check whether a missing member is an intentional omission under the policy.
+ *
+ * member: { kind, name, type (CLR full name), typeName, tsType, namespace, isStatic, display }
+ * context: { typeDiagnostics, namespaceDiagnostics } from the snapshot
+ *
+ * Covered members that no diagnostic reports still count as omitted (so they
+ * are not reported twice) but are recorded as unreported, which fails the run.
+ */
+function isIntentionalOmission(run, context, member) {
+    const rule = findOmissionRule(run.policy, member);
+    if (!rule) {
+        return false;
+    }
+
+    if (!run.stats.intentionalOmissions[rule.id]) {
+        run.stats.intentionalOmissions[rule.id] = { reason: rule.reason, count: 0 };
+    }
+    run.stats.intentionalOmissions[rule.id].count++;
+
+    const diagnostic = findReportingDiagnostic(rule, member, context.typeDiagnostics, context.namespaceDiagnostics);
+    if (!diagnostic) {
+        run.stats.unreportedOmissions.push({
+            namespace: member.namespace,
+            type: member.type,
+            tsType: member.tsType,
+            member: member.display,
+            kind: member.kind,
+            rule: rule.id
+        });
+        run.error(`Unreported omission: ${member.type}.${member.display} (${member.kind}) matches rule '${rule.id}' but no snapshot diagnostic reports it`);
+    }
+
+    return true;
+}
+
+/**
+ * Signature of a typelist method or constructor entry.
+ * Returns null for typelists written before signatures were recorded.
+ */
+function getTypelistSignature(member) {
+    if (!Array.isArray(member.parameters)) return null;
+    return {
+        genericArity: member.genericArity || 0,
+        parameters: member.parameters
+    };
+}
+
+/**
+ * Match one member's snapshot overloads against its emitted overloads.
+ *
+ * Exact matches (generic arity + parameter types) are paired first. Each
+ * snapshot overload left over is then classified on its own:
+ * - changed: an unpaired emitted overload has the same arity and parameter count
+ * - merged:  no unpaired overload is left, but an emitted one of the same shape
+ *            already stands in for it
+ * - dropped: nothing of that shape was emitted
+ *
+ * Emitted overloads without a signature (old typelists) match any overload.
+ */
+function matchOverloads(snapshotSignatures, emittedSignatures) {
+    const remaining = [...emittedSignatures];
+    const unmatched = [];
+
+    for (const signature of snapshotSignatures) {
+        let index = remaining.findIndex(e => e !== null && signatureKey(e) === signatureKey(signature));
+        if (index < 0) {
+            index = remaining.indexOf(null);
+        }
+        if (index >= 0) {
+            remaining.splice(index, 1);
+        } else {
+            unmatched.push(signature);
+        }
+    }
+
+    return unmatched.map(signature => {
+        const sameShape = e => e !== null && signatureShape(e) === signatureShape(signature);
+
+        const index = remaining.findIndex(sameShape);
+        if (index >= 0) {
+            const [emitted] = remaining.splice(index, 1);
+            return { signature, reason: 'changed', emittedAs: emitted };
+        }
+
+        const merged = emittedSignatures.find(sameShape);
+        if (merged) {
+            return { signature, reason: 'merged', emittedAs: merged };
+        }
+
+        return { signature, reason: 'dropped', emittedAs: null };
+    });
+}
+
+/**
+ * Build lookup map from typelist for fast checking
+ * Uses tsEmitName as the key (matches snapshot.json structure)
+ *
+ * Typelist types whose names normalize to the same key are merged into one
+ * entry rather than shadowing each other, and returned as duplicates
+ * ([{ key, tsEmitNames }]); analyze-collisions.js explains where they clash.
+ */
+function buildTypelistLookup(typelist) {
+    const typeMap = new Map();
+    const emitNames = new Map();
+
+    for (const type of typelist.types) {
+        const normalizedName = normalizeTypeName(type.tsEmitName);
+
+        if (!typeMap.has(normalizedName)) {
+            typeMap.set(normalizedName, {
+                kind: type.kind,
+                members: new Set(),
+                overloads: new Map(),
+                memberCount: 0
+            });
+            emitNames.set(normalizedName, []);
+        }
+        const entry = typeMap.get(normalizedName);
+        emitNames.get(normalizedName).push(type.tsEmitName);
+        entry.memberCount += type.members.length;
+
+        for (const member of type.members) {
+            // Store member with static/instance distinction
+            const memberKey = `${member.isStatic ? 'static:' : 'instance:'}${member.name}`;
+            entry.members.add(memberKey);
+
+            // Methods and constructors keep every overload's signature
+            if (member.kind === 'method' || member.kind === 'constructor') {
+                if (!entry.overloads.has(memberKey)) {
+                    entry.overloads.set(memberKey, []);
+                }
+                entry.overloads.get(memberKey).push(getTypelistSignature(member));
+            }
+        }
+    }
+
+    const duplicates = [...emitNames]
+        .filter(([, names]) => names.length > 1)
+        .map(([key, tsEmitNames]) => ({ key, tsEmitNames }));
+
+    return { types: typeMap, duplicates };
+}
+
+/**
+ * Get properties, fields and events from snapshot type, each tagged with the
+ * kind of collection it came from.
+ * Methods and constructors are checked per overload, see getSnapshotOverloads().
+ */
+function getSnapshotMembers(type) {
+    const tag = (list, kind) => list.map(member => ({ member, kind }));
+
+    return [
+        ...tag(type.members.properties, 'property'),
+        ...tag(type.members.fields, 'field'),
+        ...tag(type.members.events, 'event')
+    ];
+}
+
+/**
+ * Get methods and constructors from snapshot type, grouped into overload sets
+ * keyed like the typelist lookup ("static:Name" / "instance:Name")
+ */
+function getSnapshotOverloads(type) {
+    const groups = new Map();
+
+    const add = (name, isStatic, kind, member) => {
+        const memberKey = `${isStatic ? 'static:' : 'instance:'}${name}`;
+        if (!groups.has(memberKey)) {
+            groups.set(memberKey, { name, isStatic, kind, members: [] });
+        }
+        groups.get(memberKey).members.push(member);
+    };
+
+    for (const ctor of type.members.constructors) {
+        add('constructor', false, 'constructor', ctor);
+    }
+    for (const method of type.members.methods) {
+        add(method.clrName, method.isStatic, 'method', method);
+    }
+
+    return groups;
+}
+
+/**
+ * Verify namespace completeness
+ */
+function verifyNamespace(run, namespaceName, namespacePath) {
+    run.section(`Verifying: ${namespaceName}`);
+    run.stats.namespacesChecked++;
+
+    const snapshot = loadSnapshot(run, namespacePath);
+    const typelist = loadTypelist(run, namespacePath);
+
+    if (!snapshot) {
+        run.warning('No snapshot.json found');
+        run.stats.namespaceResults.push({ namespace: namespaceName, skipped: 'No snapshot.json found' });
+        return;
+    }
+
+    if (!typelist) {
+        run.warning('No typelist.json found');
+        run.stats.namespaceResults.push({ namespace: namespaceName, skipped: 'No typelist.json found' });
+        return;
+    }
+
+    // The checks below read the sidecar fields as-is
+    const violations = [
+        ...checkSchema(run, namespaceName, 'snapshot.json', snapshot),
+        ...checkSchema(run, namespaceName, 'typelist.json', typelist)
+    ];
+    if (violations.length > 0) {
+        for (const v of violations.slice(0, SHOWN_VIOLATIONS)) {
+            run.error(`${v.file}: ${v.path}: ${v.message}`);
+        }
+        if (violations.length > SHOWN_VIOLATIONS) {
+            run.error(`... and ${violations.length - SHOWN_VIOLATIONS} more schema violations`);
+        }
+        const files = [...new Set(violations.map(v => v.file))].join(', ');
+        run.stats.schemaViolations.push(...violations);
+        run.stats.namespaceResults.push({
+            namespace: namespaceName,
+            invalid: `${violations.length} schema violations in ${files}, namespace not checked`
+        });
+        return;
+    }
+
+    // Build lookup from typelist (what was actually emitted)
+    const { types: typelistLookup, duplicates } = buildTypelistLookup(typelist);
+
+    // Get types from snapshot (what was reflected)
+    const snapshotTypes = snapshot.types;
+
+    // Types sharing a lookup key would be checked against each other's
+    // members; both sides are reported so the clash is not silent
+    const snapshotKeys = new Map();
+    for (const type of snapshotTypes) {
+        const key = normalizeTypeName(type.tsEmitName);
+        snapshotKeys.set(key, [...(snapshotKeys.get(key) || []), type.clrName]);
+    }
+    const duplicateKeys = [
+        ...[...snapshotKeys].filter(([, names]) => names.length > 1)
+            .map(([key, names]) => ({ namespace: namespaceName, source: 'snapshot', key, names })),
+        ...duplicates.map(({ key, tsEmitNames }) => ({ namespace: namespaceName, source: 'typelist', key, names: tsEmitNames }))
+    ];
+    for (const { source, key, names } of duplicateKeys) {
+        run.error(`Duplicate ${source} key ${key}: ${names.join(', ')} (see analyze-collisions.js)`);
+    }
+    run.stats.duplicateKeys.push(...duplicateKeys);
+
+    run.info(`Snapshot has ${snapshotTypes.length} types`);
+    run.info(`Typelist has ${typelist.types.length} types`);
+
+    let typesLostCount = 0;
+    let membersLostCount = 0;
+    let allowedCount = 0;
+    const unreportedBefore = run.stats.unreportedOmissions.length;
+    const coverage = emptyCoverage();
+    coverage.types.total = snapshotTypes.length;
+
+    // Known losses are recorded with the allow-list reason and do not fail the run
+    const allowLoss = (loss, message) => {
+        const allowance = findAllowedLoss(run.coverageConfig, namespaceName, loss);
+        if (allowance) {
+            allowedCount++;
+            run.warning(`${message} (allowed: ${allowance.reason})`);
+        } else {
+            run.error(message);
+        }
+        return allowance ? allowance.reason : null;
+    };
+
+    // Check each type from snapshot
+    for (const snapshotType of snapshotTypes) {
+        const normalizedTypeName = normalizeTypeName(snapshotType.tsEmitName);
+
+        run.stats.typesInSnapshot++;
+
+        // Check if type exists in typelist
+        if (!typelistLookup.has(normalizedTypeName)) {
+            typesLostCount++;
+            coverage.types.lost++;
+            const kind = snapshotType.kind;
+            const allowed = allowLoss({ type: normalizedTypeName }, `Type lost: ${normalizedTypeName} (kind: ${kind})`);
+            run.stats.typesLost.push({
+                namespace: namespaceName,
+                typeName: normalizedTypeName,
+                clrName: snapshotType.clrName,
+                kind,
+                allowed
+            });
+            continue; // Skip member checking if type is lost
+        }
+
+        // Type exists - check members
+        const typeInfo = typelistLookup.get(normalizedTypeName);
+        const snapshotMembers = getSnapshotMembers(snapshotType);
+
+        // Everything the policy needs to judge a missing member of this type
+        const clrType = getClrFullName(snapshotType.binding.type);
+        const context = {
+            typeDiagnostics: snapshotType.diagnostics,
+            namespaceDiagnostics: snapshot.diagnostics
+        };
+        const describe = (kind, name, isStatic, display) => ({
+            kind,
+            name,
+            type: clrType,
+            typeName: snapshotType.clrName,
+            tsType: normalizedTypeName,
+            namespace: namespaceName,
+            isStatic,
+            display
+        });
+
+        for (const { member: snapshotMember, kind: memberKind } of snapshotMembers) {
+            const memberName = snapshotMember.clrName;
+            const isStatic = snapshotMember.isStatic;
+
+            const counts = coverage[MEMBER_COVERAGE_KIND[memberKind]];
+            run.stats.membersInSnapshot++;
+            counts.total++;
+
+            // Check if member exists in typelist
+            const memberKey = `${isStatic ? 'static:' : 'instance:'}${memberName}`;
+            if (!typeInfo.members.has(memberKey)) {
+                if (isIntentionalOmission(run, context, describe(memberKind, memberName, isStatic, memberName))) {
+                    counts.omitted++;
+                    continue; // Intentionally omitted, not a loss
+                }
+
+                membersLostCount++;
+                counts.lost++;
+                const allowed = allowLoss({ type: normalizedTypeName, member: memberName, signature: null },
+                    `Member lost: ${normalizedTypeName}.${memberName} (static: ${isStatic})`);
+                run.stats.membersLost.push({
+                    namespace: namespaceName,
+                    type: normalizedTypeName,
+                    member: memberName,
+                    isStatic,
+                    kind: memberKind,
+                    allowed
+                });
+            }
+        }
+
+        // Methods and constructors - every reflected overload must be emitted
+        for (const [memberKey, group] of getSnapshotOverloads(snapshotType)) {
+            const counts = coverage[MEMBER_COVERAGE_KIND[group.kind]];
+            run.stats.membersInSnapshot += group.members.length;
+            counts.total += group.members.length;
+
+            const signatures = group.members.map(getSnapshotSignature);
+            const lost = matchOverloads(signatures, typeInfo.overloads.get(memberKey) || []);
+            for (const { signature, reason, emittedAs } of lost) {
+                const display = formatSignature(group.name, signature);
+                if (isIntentionalOmission(run, context, describe(group.kind, group.name, group.isStatic, display))) {
+                    counts.omitted++;
+                    continue; // Intentionally omitted, not a loss
+                }
+
+                membersLostCount++;
+                counts.lost++;
+                run.stats.overloadsLost[reason]++;
+
+                const emittedDisplay = emittedAs ? formatSignature(group.name, emittedAs) : null;
+                const detail = reason === 'dropped' ? '' : ` - emitted as ${emittedDisplay}`;
+                const allowed = allowLoss({ type: normalizedTypeName, member: group.name, signature: display },
+                    `Overload ${reason}: ${normalizedTypeName}.${display} (static: ${group.isStatic})${detail}`);
+                run.stats.membersLost.push({
+                    namespace: namespaceName,
+                    type: normalizedTypeName,
+                    member: group.name,
+                    signature: display,
+                    reason,
+                    emittedAs: emittedDisplay,
+                    isStatic: group.isStatic,
+                    kind: group.kind,
+                    allowed
+                });
+            }
+        }
+    }
+
+    // Count members in typelist
+    for (const [_, typeInfo] of typelistLookup) {
+        run.stats.membersInTypelist += typeInfo.memberCount;
+    }
+
+    run.stats.typesInTypelist += typelist.types.length;
+
+    const unreportedCount = run.stats.unreportedOmissions.length - unreportedBefore;
+    const breaches = findThresholdBreaches(run.coverageConfig, namespaceName, coverage);
+    run.stats.thresholdBreaches.push(...breaches.map(b => ({ namespace: namespaceName, ...b })));
+    run.stats.namespaceResults.push({
+        namespace: namespaceName,
+        typesInSnapshot: snapshotTypes.length,
+        typesLost: typesLostCount,
+        membersLost: membersLostCount,
+        allowedLosses: allowedCount,
+        unreportedOmissions: unreportedCount,
+        duplicateKeys: duplicateKeys.length,
+        coverage: Object.fromEntries(COVERAGE_KINDS.map(kind =>
+            [kind, { ...coverage[kind], percent: coveragePercent(coverage[kind]) }])),
+        overallCoverage: overallCoverage(coverage),
+        breaches
+    });
+
+    if (typesLostCount === 0 && membersLostCount === 0 && unreportedCount === 0 && duplicateKeys.length === 0) {
+        run.success(`All ${snapshotTypes.length} types and their members accounted for`);
+    } else {
+        run.info(`Coverage: ${formatPercent(overallCoverage(coverage))}`);
+        const lost = [
+            typesLostCount > 0 ? `${typesLostCount} types lost` : null,
+            membersLostCount > 0 ? `${membersLostCount} members lost` : null
+        ].filter(Boolean).join(', ');
+        if (lost) {
+            const allowedNote = allowedCount > 0 ? ` (${allowedCount} allowed by the thresholds config)` : '';
+            const report = allowedCount < typesLostCount + membersLostCount ? run.error : run.warning;
+            report(`${lost}${allowedNote}`);
+        }
+        if (unreportedCount > 0) {
+            run.error(`${unreportedCount} omissions not reported by the generator`);
+        }
+    }
+    for (const { kind, percent, minimum } of breaches) {
+        run.error(`${kind} coverage ${formatPercent(percent)} is below the minimum of ${minimum}%`);
+    }
+}
+
+/**
+ * JUnit suite with one test case per namespace; a namespace fails when it lost
+ * types or members the allow-list does not cover, is below a coverage
+ * threshold, or has omissions the generator never reported
+ */
+export function buildCompletenessJUnit(stats) {
+    const cases = stats.namespaceResults.map(result => {
+        const testCase = { name: result.namespace, classname: 'completeness' };
+        if (result.skipped) {
+            testCase.skipped = result.skipped;
+            return testCase;
+        }
+        if (result.invalid) {
+            const violations = stats.schemaViolations.filter(v => v.namespace === result.namespace);
+            testCase.failure = {
+                message: result.invalid,
+                details: violations.map(v => `${v.file}: ${v.path}: ${v.message}`).join('\n')
+            };
+            return testCase;
+        }
+
+        const ofNamespace = list => list.filter(entry => entry.namespace === result.namespace);
+        const typesLost = ofNamespace(stats.typesLost).filter(t => !t.allowed);
+        const membersLost = ofNamespace(stats.membersLost).filter(m => !m.allowed);
+
+        const problems = [];
+        if (typesLost.length > 0) problems.push(`${typesLost.length} types lost`);
+        if (membersLost.length > 0) problems.push(`${membersLost.length} members lost`);
+        if (result.breaches.length > 0) problems.push(`${result.breaches.length} coverage thresholds not met`);
+        if (result.unreportedOmissions > 0) problems.push(`${result.unreportedOmissions} unreported omissions`);
+        if (result.duplicateKeys > 0) problems.push(`${result.duplicateKeys} duplicate type names`);
+
+        if (problems.length > 0) {
+            const details = [
+                ...typesLost.map(t => `Type lost: ${t.typeName} (${t.kind})`),
+                ...membersLost.map(m => `${m.reason ? `Overload ${m.reason}` : 'Member lost'}: ${m.type}.${m.signature || m.member} (static: ${m.isStatic})`),
+                ...result.breaches.map(b => `Coverage: ${b.kind} ${formatPercent(b.percent)} < ${b.minimum}%`),
+                ...ofNamespace(stats.unreportedOmissions).map(o => `Unreported omission: ${o.type}.${o.member} (rule: ${o.rule})`),
+                ...ofNamespace(stats.duplicateKeys).map(d => `Duplicate ${d.source} key: ${d.key} (${d.names.join(', ')})`)
+            ];
+            testCase.failure = { message: problems.join(', '), details: details.join('\n') };
+        }
+        return testCase;
+    });
+
+    return [{ name: 'completeness', cases }];
+}
+
+/**
+ * SARIF results located at the declaring type in the namespace's generated
+ * internal/index.d.ts (the file itself when the type was not emitted at all)
+ */
+export function buildCompletenessSarif(stats, outputDir) {
+    const rules = [
+        { id: 'type-lost', description: 'Reflected type missing from the emitted declarations' },
+        { id: 'member-lost', description: 'Reflected member missing from the emitted declarations' },
+        { id: 'overload-dropped', description: 'Reflected overload not emitted' },
+        { id: 'overload-merged', description: 'Reflected overload merged into another emitted overload' },
+        { id: 'overload-changed', description: 'Reflected overload emitted with different parameter types' },
+        { id: 'unreported-omission', description: 'Omission allowed by policy but not reported by any generator diagnostic' },
+        { id: 'coverage-threshold', description: 'Namespace coverage of a member kind below its configured minimum' },
+        { id: 'duplicate-type-key', description: 'Several types of a namespace share one TypeScript emit name' },
+        { id: 'schema-violation', description: 'Sidecar file does not match its JSON Schema; namespace not checked' }
+    ];
+
+    const declarationLines = new Map();
+    const locate = (namespace, tsType) => {
+        const file = path.join(outputDir, 'namespaces', namespace, 'internal', 'index.d.ts');
+        return {
+            uri: path.relative(PROJECT_ROOT, file).split(path.sep).join('/'),
+            line: tsType ? findDeclarationLine(declarationLines, file, tsType) : null
+        };
+    };
+
+    const results = [
+        // Allowed losses stay visible as notes
+        ...stats.typesLost.map(t => ({
+            ruleId: 'type-lost',
+            level: t.allowed ? 'note' : 'error',
+            message: `Type lost: ${t.namespace}.${t.typeName} (${t.kind})${t.allowed ? ` - allowed: ${t.allowed}` : ''}`,
+            ...locate(t.namespace, null)
+        })),
+        ...stats.membersLost.map(m => ({
+            ruleId: m.reason ? `overload-${m.reason}` : 'member-lost',
+            level: m.allowed ? 'note' : 'error',
+            message: `${m.type}.${m.signature || m.member} (static: ${m.isStatic})${m.emittedAs ? ` emitted as ${m.emittedAs}` : ''}` +
+                (m.allowed ? ` - allowed: ${m.allowed}` : ''),
+            ...locate(m.namespace, m.type)
+        })),
+        ...stats.thresholdBreaches.map(b => ({
+            ruleId: 'coverage-threshold',
+            level: 'error',
+            message: `${b.namespace}: ${b.kind} coverage ${formatPercent(b.percent)} is below the minimum of ${b.minimum}%`,
+            ...locate(b.namespace, null)
+        })),
+        ...stats.unreportedOmissions.map(o => ({
+            ruleId: 'unreported-omission',
+            level: 'error',
+            message: `${o.type}.${o.member} (${o.kind}) matches omission rule '${o.rule}' but no snapshot diagnostic reports it`,
+            ...locate(o.namespace, o.tsType)
+        })),
+        ...stats.duplicateKeys.map(d => ({
+            ruleId: 'duplicate-type-key',
+            level: 'error',
+            message: `${d.namespace}: ${d.names.join(', ')} all map to ${d.key} in ${d.source}.json`,
+            ...locate(d.namespace, d.key)
+        })),
+        ...stats.schemaViolations.map(v => ({
+            ruleId: 'schema-violation',
+            level: 'error',
+            message: `${v.namespace}/${v.file}: ${v.path}: ${v.message}`,
+            uri: path.relative(PROJECT_ROOT, path.join(outputDir, 'namespaces', v.namespace, v.file)).split(path.sep).join('/'),
+            line: null
+        }))
+    ];
+
+    return { toolName: 'tsbindgen-verify-completeness', rules, results };
+}
+
+/**
+ * 1-based line of a type's declaration (class, interface, type alias or its
+ * $instance companion) in a generated .d.ts, or null. declarationLines caches
+ * the lines of every file read.
+ */
+function findDeclarationLine(declarationLines, file, tsEmitName) {
+    if (!declarationLines.has(file)) {
+        declarationLines.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').split('\n') : []);
+    }
+
+    const escaped = tsEmitName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^\\s*export\\s+(?:declare\\s+)?(?:abstract\\s+)?(?:class|interface|type|namespace|const)\\s+${escaped}(?:\\$instance)?(?![\\w$])`);
+    const index = declarationLines.get(file).findIndex(line => pattern.test(line));
+    return index >= 0 ? index + 1 : null;
+}
@@ -0,0 +1,191 @@
+/**
+ * Per-namespace coverage for verify-completeness.js, with minimum coverage
+ * thresholds and an allow-list of known losses.
+ *
+ * Coverage of a kind is emitted / (reflected - intentionally omitted), in
+ * percent. Allowed losses still lower the coverage; the allow-list only stops
+ * them from failing the run on their own.
+ *
+ * File format (scripts/coverage-thresholds.json):
+ * {
+ *   "version": 1,
+ *   "minimumCoverage": 0,
+ *   "namespaces": {
+ *     "System.Linq": {
+ *       "minimumCoverage": { "types": 100, "methods": 95 },
+ *       "allowedLosses": [
+ *         { "type": "Enumerable", "member": "Zip", "reason": "..." },
+ *         { "type": "Lookup_2", "reason": "..." }
+ *       ]
+ *     }
+ *   }
+ * }
+ *
+ * minimumCoverage is a percentage for every kind, or an object with one per
+ * kind (types, methods, properties, fields, events, constructors); kinds a
+ * namespace leaves out fall back to the top-level value. An allowed loss names
+ * the type by its TypeScript emit name (List_1) and, for members, the CLR
+ * member name ("constructor" for constructors) and optionally one overload's
+ * signature as the report prints it; without "member" it allows the type
+ * itself being lost.
+ */
+
+import fs from 'fs';
+
+const CONFIG_VERSION = 1;
+
+export const COVERAGE_KINDS = ['types', 'methods', 'properties', 'fields', 'events', 'constructors'];
+
+// Member kind as recorded in losses → coverage kind
+export const MEMBER_COVERAGE_KIND = {
+    method: 'methods',
+    property: 'properties',
+    field: 'fields',
+    event: 'events',
+    constructor: 'constructors'
+};
+
+/**
+ * Load and validate a thresholds file. A missing file means no thresholds
+ * and no allowed losses.
+ */
+export function loadCoverageConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+        return { version: CONFIG_VERSION, minimumCoverage: normalizeMinimum(0, null, configPath, '(default)'), namespaces: new Map() };
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    if (config.version !== CONFIG_VERSION) {
+        throw new Error(`Unsupported coverage config version ${config.version} in ${configPath}`);
+    }
+
+    const defaults = normalizeMinimum(config.minimumCoverage ?? 0, null, configPath, 'minimumCoverage');
+    const namespaces = new Map();
+    for (const [namespace, entry] of Object.entries(config.namespaces || {})) {
+        const allowedLosses = (entry.allowedLosses || []).map((loss, i) => {
+            if (!loss.type || !loss.reason) {
+                throw new Error(`Allowed loss #${i} of ${namespace} in ${configPath} needs a type and a reason`);
+            }
+            if (loss.signature && !loss.member) {
+                throw new Error(`Allowed loss #${i} of ${namespace} in ${configPath} has a signature but no member`);
+            }
+            return {
+                type: loss.type,
+                member: loss.member ?? null,
+                signature: loss.signature ?? null,
+                reason: loss.reason,
+                matched: 0
+            };
+        });
+
+        namespaces.set(namespace, {
+            minimumCoverage: normalizeMinimum(entry.minimumCoverage, defaults, configPath, namespace),
+            allowedLosses
+        });
+    }
+
+    return { version: config.version, minimumCoverage: defaults, namespaces };
+}
+
+function normalizeMinimum(value, defaults, configPath, label) {
+    if (value === undefined) return { ...defaults };
+
+    const check = (kind, percent) => {
+        if (typeof percent !== 'number' || percent < 0 || percent > 100) {
+            throw new Error(`${label}: minimum coverage for ${kind} in ${configPath} must be a percentage, got ${JSON.stringify(percent)}`);
+        }
+        return percent;
+    };
+
+    if (typeof value === 'number') {
+        return Object.fromEntries(COVERAGE_KINDS.map(kind => [kind, check(kind, value)]));
+    }
+
+    const unknown = Object.keys(value).filter(kind => !COVERAGE_KINDS.includes(kind));
+    if (unknown.length > 0) {
+        throw new Error(`${label}: unknown coverage kind(s) ${unknown.join(', ')} in ${configPath}`);
+    }
+    return Object.fromEntries(COVERAGE_KINDS.map(kind =>
+        [kind, value[kind] !== undefined ? check(kind, value[kind]) : (defaults?.[kind] ?? 0)]));
+}
+
+/**
+ * Allow-list entry covering a loss ({ type, member, signature } of a member,
+ * or { type } of a lost type) in a namespace, or null. Counts the match so
+ * unused entries can be reported.
+ */
+export function findAllowedLoss(config, namespace, loss) {
+    const entries = config.namespaces.get(namespace)?.allowedLosses || [];
+    const entry = entries.find(e => {
+        if (e.type !== loss.type) return false;
+        if (!loss.member) return e.member === null;
+        return e.member === loss.member && (e.signature === null || e.signature === loss.signature);
+    });
+    if (entry) entry.matched++;
+    return entry || null;
+}
+
+/**
+ * Allow-list entries that matched no loss, as [{ namespace, type, member, signature }]
+ */
+export function findUnusedAllowances(config) {
+    const unused = [];
+    for (const [namespace, { allowedLosses }] of config.namespaces) {
+        for (const { type, member, signature, matched } of allowedLosses) {
+            if (matched === 0) unused.push({ namespace, type, member, signature });
+        }
+    }
+    return unused;
+}
+
+/**
+ * Zeroed counters: { <kind>: { total, lost, omitted } }
+ */
+export function emptyCoverage() {
+    return Object.fromEntries(COVERAGE_KINDS.map(kind => [kind, { total: 0, lost: 0, omitted: 0 }]));
+}
+
+/**
+ * Coverage of one kind's counters in percent, or null when nothing counts
+ */
+export function coveragePercent({ total, lost, omitted }) {
+    const eligible = total - omitted;
+    return eligible > 0 ? (eligible - lost) / eligible * 100 : null;
+}
+
+/**
+ * Coverage over all kinds together, or null
+ */
+export function overallCoverage(coverage) {
+    const sum = { total: 0, lost: 0, omitted: 0 };
+    for (const kind of COVERAGE_KINDS) {
+        sum.total += coverage[kind].total;
+        sum.lost += coverage[kind].lost;
+        sum.omitted += coverage[kind].omitted;
+    }
+    return coveragePercent(sum);
+}
+
+/**
+ * Kinds of a namespace below their minimum: [{ kind, percent, minimum }]
+ */
+export function findThresholdBreaches(config, namespace, coverage) {
+    const minimum = config.namespaces.get(namespace)?.minimumCoverage || config.minimumCoverage;
+    const breaches = [];
+    for (const kind of COVERAGE_KINDS) {
+        const percent = coveragePercent(coverage[kind]);
+        if (percent !== null && percent < minimum[kind]) {
+            breaches.push({ kind, percent, minimum: minimum[kind] });
+        }
+    }
+    return breaches;
+}
+
+/**
+ * Percentage for tables: "97.5%", "100%" only when nothing is lost, "-" for null
+ */
+export function formatPercent(percent) {
+    if (percent === null) return '-';
+    if (percent === 100) return '100%';
+    return `${Math.min(Math.floor(percent * 10) / 10, 99.9).toFixed(1)}%`;
+}
@@ -0,0 +1,195 @@
+/**
+ * Reads the declaration files tsbindgen emits (namespaces/<ns>/index.d.ts and
+ * internal/index.d.ts) through the TypeScript parser, so scripts do not have
+ * to pattern-match the generated text.
+ */
+
+import fs from 'fs';
+import ts from 'typescript';
+
+/**
+ * Parse a .d.ts file (no type-checking) into a ts.SourceFile.
+ */
+export function parseDeclarationFile(filePath) {
+    return ts.createSourceFile(filePath, fs.readFileSync(filePath, 'utf-8'), ts.ScriptTarget.Latest, true);
+}
+
+/**
+ * Names a declaration file exports, in order of first appearance:
+ * [{ name, line }] with 1-based lines. Re-exports ("export { A as B } from")
+ * contribute the exported name (B); a type and a value export of the same
+ * name count once.
+ */
+export function listExportedNames(sourceFile) {
+    const exported = new Map();
+    const add = node => {
+        const name = node.text;
+        if (!exported.has(name)) {
+            const { line } = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+            exported.set(name, { name, line: line + 1 });
+        }
+    };
+
+    for (const statement of sourceFile.statements) {
+        if (ts.isExportDeclaration(statement)) {
+            if (statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+                statement.exportClause.elements.forEach(element => add(element.name));
+            }
+            continue;
+        }
+
+        if (!hasModifier(statement, ts.SyntaxKind.ExportKeyword)) continue;
+
+        if (ts.isVariableStatement(statement)) {
+            for (const declaration of statement.declarationList.declarations) {
+                if (ts.isIdentifier(declaration.name)) add(declaration.name);
+            }
+        } else if (statement.name && ts.isIdentifier(statement.name)) {
+            // class, interface, type alias, enum, function, namespace
+            add(statement.name);
+        }
+    }
+
+    return [...exported.values()];
+}
+
+
+// Companion interfaces the emitter splits one type into (TypeScriptEmit):
+// Name$instance / Name$static for structs, __Name$views for explicit views,
+// Name$DomainView for domain views
+const COMPANIONS = [
+    { pattern: /^(.+)\$instance$/, role: 'instance' },
+    { pattern: /^(.+)\$static$/, role: 'static' },
+    { pattern: /^__(.+)\$views$/, role: 'views' },
+    { pattern: /^(.+)\$DomainView$/, role: 'views' }
+];
+
+/**
+ * Type a companion interface belongs to: { name, role } with role 'instance',
+ * 'static' or 'views'; null for any other interface name.
+ */
+export function companionOf(interfaceName) {
+    for (const { pattern, role } of COMPANIONS) {
+        const match = pattern.exec(interfaceName);
+        if (match) return { name: match[1], role };
+    }
+    return null;
+}
+
+/**
+ * Types declared in an internal/index.d.ts, keyed by emitted type name, with
+ * companion interfaces folded into the type they belong to:
+ *
+ *   Map<name, {
+ *     name, line,
+ *     forms: Set of 'class' | 'interface' | 'instance' | 'static' | 'views' |
+ *            'alias' | 'function-alias' | 'namespace' | 'const',
+ *     members: [{ name, kind: 'constructor' | 'method' | 'property' | 'const',
+ *                 isStatic: true | false | null, parameters, typeParameters, line }],
+ *     views: [{ name, line }]
+ *   }>
+ *
+ * isStatic is null where the text cannot tell (members of a plain interface).
+ * Readonly "As_*" properties of classes and view interfaces are views, not
+ * members.
+ */
+export function extractDeclarations(sourceFile) {
+    const types = new Map();
+    const lineOf = node => sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1;
+    const typeFor = (name, node) => {
+        if (!types.has(name)) {
+            types.set(name, { name, line: lineOf(node), forms: new Set(), members: [], views: [] });
+        }
+        return types.get(name);
+    };
+
+    for (const statement of sourceFile.statements) {
+        if (ts.isClassDeclaration(statement) && statement.name) {
+            const type = typeFor(statement.name.text, statement);
+            type.forms.add('class');
+            collectMembers(type, statement.members, null, lineOf);
+        } else if (ts.isInterfaceDeclaration(statement)) {
+            const companion = companionOf(statement.name.text);
+            const type = typeFor(companion ? companion.name : statement.name.text, statement);
+            const role = companion ? companion.role : 'interface';
+            type.forms.add(role);
+            if (role === 'views') {
+                collectViews(type, statement.members, lineOf);
+            } else {
+                collectMembers(type, statement.members, role === 'interface' ? null : role === 'static', lineOf);
+            }
+        } else if (ts.isTypeAliasDeclaration(statement)) {
+            typeFor(statement.name.text, statement).forms.add(ts.isFunctionTypeNode(statement.type) ? 'function-alias' : 'alias');
+        } else if (ts.isModuleDeclaration(statement) && ts.isIdentifier(statement.name)) {
+            const type = typeFor(statement.name.text, statement);
+            type.forms.add('namespace');
+            for (const inner of statement.body && ts.isModuleBlock(statement.body) ? statement.body.statements : []) {
+                if (!ts.isVariableStatement(inner)) continue;
+                for (const declaration of inner.declarationList.declarations) {
+                    if (ts.isIdentifier(declaration.name)) {
+                        type.members.push({ name: declaration.name.text, kind: 'const', isStatic: true, parameters: 0, typeParameters: 0, line: lineOf(declaration) });
+                    }
+                }
+            }
+        } else if (ts.isVariableStatement(statement)) {
+            for (const declaration of statement.declarationList.declarations) {
+                if (ts.isIdentifier(declaration.name)) {
+                    typeFor(declaration.name.text, declaration).forms.add('const');
+                }
+            }
+        }
+    }
+
+    return types;
+}
+
+function collectMembers(type, members, contextStatic, lineOf) {
+    for (const member of members) {
+        const line = lineOf(member);
+        const isStatic = contextStatic ?? (ts.isClassElement(member) ? hasModifier(member, ts.SyntaxKind.StaticKeyword) : null);
+
+        if (ts.isConstructorDeclaration(member) || ts.isConstructSignatureDeclaration(member)) {
+            type.members.push({ name: 'constructor', kind: 'constructor', isStatic: false, parameters: member.parameters.length, typeParameters: 0, line });
+        } else if (ts.isMethodDeclaration(member) || ts.isMethodSignature(member)) {
+            const name = memberName(member);
+            if (name === null) continue;
+            type.members.push({
+                name,
+                kind: 'method',
+                isStatic,
+                parameters: member.parameters.length,
+                typeParameters: (member.typeParameters || []).length,
+                line
+            });
+        } else if (ts.isPropertyDeclaration(member) || ts.isPropertySignature(member)) {
+            const name = memberName(member);
+            if (name === null) continue;
+            if (name.startsWith('As_') && hasModifier(member, ts.SyntaxKind.ReadonlyKeyword)) {
+                type.views.push({ name, line });
+            } else {
+                type.members.push({ name, kind: 'property', isStatic, parameters: 0, typeParameters: 0, line });
+            }
+        }
+    }
+}
+
+function collectViews(type, members, lineOf) {
+    for (const member of members) {
+        const name = memberName(member);
+        if (name !== null) {
+            type.views.push({ name, line: lineOf(member) });
+        }
+    }
+}
+
+function memberName(member) {
+    if (!member.name) return null;
+    if (ts.isIdentifier(member.name) || ts.isStringLiteral(member.name) || ts.isPrivateIdentifier(member.name)) {
+        return member.name.text;
+    }
+    return null;
+}
+
+function hasModifier(node, kind) {
+    return ts.canHaveModifiers(node) && (ts.getModifiers(node) || []).some(m => m.kind === kind);
+}
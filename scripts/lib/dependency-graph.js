@@ -0,0 +1,230 @@
+/**
+ * Namespace and assembly dependency graphs.
+ *
+ * A graph is a Map(node → Set of nodes it depends on). The namespace graph is
+ * built from the `imports` of each namespace's snapshot.json (assembly →
+ * imported namespaces); the assembly graph lifts those edges to the assemblies
+ * the namespaces were read from (`sourceAssemblies`) and import from.
+ */
+
+/**
+ * Build both graphs from namespace snapshots ({ clrName, imports,
+ * sourceAssemblies }). Imports of namespaces that are not among the given
+ * snapshots are left out of the namespace graph and returned as dangling
+ * ({ namespace, target, assembly }); they still count as assembly edges.
+ * Self-imports are ignored.
+ */
+export function buildDependencyGraph(snapshots) {
+    const generated = new Set(snapshots.map(s => s.clrName));
+    const namespaces = new Map();
+    const assemblies = new Map();
+    const namespaceAssemblies = new Map();
+    const dangling = [];
+
+    const addAssembly = name => {
+        if (!assemblies.has(name)) {
+            assemblies.set(name, new Set());
+        }
+        return assemblies.get(name);
+    };
+
+    for (const snapshot of snapshots) {
+        const deps = new Set();
+        const sources = [...new Set(snapshot.sourceAssemblies || [])].sort();
+        namespaces.set(snapshot.clrName, deps);
+        namespaceAssemblies.set(snapshot.clrName, sources);
+        sources.forEach(addAssembly);
+
+        for (const [assembly, imported] of Object.entries(snapshot.imports || {})) {
+            addAssembly(assembly);
+            for (const source of sources) {
+                if (source !== assembly) addAssembly(source).add(assembly);
+            }
+
+            for (const target of imported) {
+                if (target === snapshot.clrName) continue;
+                if (generated.has(target)) {
+                    deps.add(target);
+                } else {
+                    dangling.push({ namespace: snapshot.clrName, target, assembly });
+                }
+            }
+        }
+    }
+
+    return { namespaces, assemblies, namespaceAssemblies, dangling };
+}
+
+/**
+ * Node plus everything it depends on, directly or indirectly (cycle-safe).
+ */
+export function transitiveClosure(node, graph) {
+    const seen = new Set([node]);
+    const stack = [node];
+
+    while (stack.length > 0) {
+        for (const dep of graph.get(stack.pop()) || []) {
+            if (!seen.has(dep)) {
+                seen.add(dep);
+                stack.push(dep);
+            }
+        }
+    }
+
+    return seen;
+}
+
+/**
+ * Import cycles: every strongly connected component with more than one node,
+ * as { members, cycle } where members is sorted and cycle is one shortest
+ * closed path through the first member (first node repeated at the end).
+ * Components are sorted by their first member.
+ */
+export function findCycles(graph) {
+    // Tarjan's algorithm, iterative so deep graphs do not overflow the stack
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    for (const root of [...graph.keys()].sort()) {
+        if (index.has(root)) continue;
+
+        const work = [{ node: root, deps: [...(graph.get(root) || [])].sort(), next: 0 }];
+        index.set(root, counter);
+        lowLink.set(root, counter++);
+        stack.push(root);
+        onStack.add(root);
+
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            if (frame.next < frame.deps.length) {
+                const dep = frame.deps[frame.next++];
+                if (!index.has(dep)) {
+                    index.set(dep, counter);
+                    lowLink.set(dep, counter++);
+                    stack.push(dep);
+                    onStack.add(dep);
+                    work.push({ node: dep, deps: [...(graph.get(dep) || [])].sort(), next: 0 });
+                } else if (onStack.has(dep)) {
+                    lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(dep)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].node;
+                lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+            }
+            if (lowLink.get(frame.node) === index.get(frame.node)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.node);
+                if (component.length > 1) {
+                    components.push(component.sort());
+                }
+            }
+        }
+    }
+
+    return components
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(members => ({ members, cycle: shortestCycle(members[0], graph, new Set(members)) }));
+}
+
+/**
+ * Breadth-first search from start back to itself, staying inside members.
+ */
+function shortestCycle(start, graph, members) {
+    const previous = new Map();
+    const queue = [start];
+
+    while (queue.length > 0) {
+        const node = queue.shift();
+        for (const dep of [...(graph.get(node) || [])].sort()) {
+            if (!members.has(dep)) continue;
+            if (dep === start) {
+                const path = [start];
+                for (let at = node; at !== start; at = previous.get(at)) {
+                    path.unshift(at);
+                }
+                path.unshift(start);
+                return path;
+            }
+            if (!previous.has(dep)) {
+                previous.set(dep, node);
+                queue.push(dep);
+            }
+        }
+    }
+
+    return [start];
+}
+
+/**
+ * Graphviz DOT. Nodes in `highlight` are filled; `missing` nodes (dangling
+ * import targets) are drawn dashed with dashed edges into them.
+ */
+export function toDot(graph, { name = 'dependencies', highlight = new Set(), missing = [] } = {}) {
+    const quote = value => `"${value.replace(/["\\]/g, '\\$&')}"`;
+    const lines = [`digraph ${quote(name)} {`, '    rankdir=LR;', '    node [shape=box, fontname="Helvetica"];'];
+
+    for (const node of [...graph.keys()].sort()) {
+        lines.push(highlight.has(node) ? `    ${quote(node)} [style=filled, fillcolor="#ffe08a"];` : `    ${quote(node)};`);
+    }
+    for (const node of [...new Set(missing.map(m => m.target))].sort()) {
+        lines.push(`    ${quote(node)} [style=dashed, color=red, fontcolor=red];`);
+    }
+    for (const node of [...graph.keys()].sort()) {
+        for (const dep of [...graph.get(node)].sort()) {
+            lines.push(`    ${quote(node)} -> ${quote(dep)};`);
+        }
+    }
+    for (const { namespace, target } of missing) {
+        lines.push(`    ${quote(namespace)} -> ${quote(target)} [style=dashed, color=red];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Mermaid flowchart. Node ids are generated (n0, n1, ...) because Mermaid ids
+ * cannot contain dots; the names are the labels.
+ */
+export function toMermaid(graph, { highlight = new Set(), missing = [] } = {}) {
+    const ids = new Map();
+    const nodes = [...new Set([...graph.keys(), ...missing.map(m => m.target)])].sort();
+    nodes.forEach((node, i) => ids.set(node, `n${i}`));
+
+    const lines = ['flowchart LR'];
+    for (const node of nodes) {
+        lines.push(`    ${ids.get(node)}["${node.replace(/"/g, '#quot;')}"]`);
+    }
+    for (const node of [...graph.keys()].sort()) {
+        for (const dep of [...graph.get(node)].sort()) {
+            lines.push(`    ${ids.get(node)} --> ${ids.get(dep)}`);
+        }
+    }
+    for (const { namespace, target } of missing) {
+        lines.push(`    ${ids.get(namespace)} -.-> ${ids.get(target)}`);
+    }
+
+    const highlighted = nodes.filter(node => highlight.has(node));
+    const missingNodes = [...new Set(missing.map(m => m.target))].sort();
+    if (highlighted.length > 0) {
+        lines.push('    classDef focus fill:#ffe08a', `    class ${highlighted.map(n => ids.get(n)).join(',')} focus`);
+    }
+    if (missingNodes.length > 0) {
+        lines.push('    classDef missing stroke:#d00,stroke-dasharray:4', `    class ${missingNodes.map(n => ids.get(n)).join(',')} missing`);
+    }
+
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,160 @@
+/**
+ * Output comparison for validate.js --determinism: two generator runs over the
+ * same input must produce the same files, byte for byte, apart from what
+ * the goldens also normalise away (normalizeOutput in lib/golden.js): the
+ * volatile JSON fields and the run's own absolute paths.
+ *
+ * JSON files are compared structurally so a difference is reported at its
+ * JSON path; property order counts, since it ends up in the files. Other files
+ * are compared line by line.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { normalizeOutput } from './golden.js';
+import { formatKey } from './sidecar-schema.js';
+
+const MAX_EXCERPT = 120;
+
+/**
+ * Every file under dir, as sorted forward-slash relative paths
+ */
+export function listOutputFiles(dir) {
+    const files = [];
+    const walk = relative => {
+        for (const entry of fs.readdirSync(path.join(dir, relative), { withFileTypes: true })) {
+            const child = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                walk(child);
+            } else if (entry.isFile()) {
+                files.push(child);
+            }
+        }
+    };
+    if (fs.existsSync(dir)) walk('');
+    return files.sort();
+}
+
+/**
+ * First difference between two versions of one file after normalisation:
+ * { location, first, second } or null. location is a JSON path ($.types[3].kind)
+ * or "line N". replacements are [[absolutePath, placeholder]] per side.
+ */
+export function firstDifference(file, firstText, secondText, firstReplacements = [], secondReplacements = []) {
+    const firstOutput = normalizeOutput(file, firstText, firstReplacements);
+    const secondOutput = normalizeOutput(file, secondText, secondReplacements);
+    if (firstOutput.json !== undefined && secondOutput.json !== undefined) {
+        return firstJsonDifference(firstOutput.json, secondOutput.json, '$');
+    }
+
+    const first = firstOutput.text;
+    const second = secondOutput.text;
+
+    if (first === second) return null;
+
+    const firstLines = first.split('\n');
+    const secondLines = second.split('\n');
+    let line = 0;
+    while (line < firstLines.length && line < secondLines.length && firstLines[line] === secondLines[line]) line++;
+    return {
+        location: `line ${line + 1}`,
+        first: line < firstLines.length ? excerpt(firstLines[line]) : '(end of file)',
+        second: line < secondLines.length ? excerpt(secondLines[line]) : '(end of file)'
+    };
+}
+
+/**
+ * Compare two output trees. Returns { filesCompared, differences } where each
+ * difference is { file, location, first, second }; a file present in only one
+ * run is reported with location "file".
+ */
+export function compareOutputTrees(firstDir, secondDir, { firstReplacements = [], secondReplacements = [] } = {}) {
+    const firstFiles = new Set(listOutputFiles(firstDir));
+    const secondFiles = new Set(listOutputFiles(secondDir));
+    const all = [...new Set([...firstFiles, ...secondFiles])].sort();
+    const differences = [];
+
+    for (const file of all) {
+        const inFirst = firstFiles.has(file);
+        const inSecond = secondFiles.has(file);
+        if (!inFirst || !inSecond) {
+            differences.push({
+                file,
+                location: 'file',
+                first: inFirst ? 'present' : '(missing)',
+                second: inSecond ? 'present' : '(missing)'
+            });
+            continue;
+        }
+
+        const difference = firstDifference(file,
+            fs.readFileSync(path.join(firstDir, file), 'utf-8'),
+            fs.readFileSync(path.join(secondDir, file), 'utf-8'),
+            firstReplacements, secondReplacements);
+        if (difference) {
+            differences.push({ file, ...difference });
+        }
+    }
+
+    return { filesCompared: all.length, differences };
+}
+
+/**
+ * Seeded Fisher-Yates shuffle (mulberry32), so a reported seed reproduces the
+ * order
+ */
+export function shuffle(items, seed) {
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function firstJsonDifference(a, b, jsonPath) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const inner = firstJsonDifference(a[i], b[i], `${jsonPath}[${i}]`);
+            if (inner) return inner;
+        }
+        if (a.length !== b.length) {
+            return { location: jsonPath, first: `${a.length} items`, second: `${b.length} items` };
+        }
+        return null;
+    }
+
+    if (isObject(a) && isObject(b)) {
+        const aKeys = Object.keys(a);
+        const bKeys = Object.keys(b);
+        for (let i = 0; i < Math.max(aKeys.length, bKeys.length); i++) {
+            if (aKeys[i] !== bKeys[i]) {
+                const describe = key => key === undefined ? '(no more properties)' : `property '${key}'`;
+                return { location: jsonPath, first: describe(aKeys[i]), second: describe(bKeys[i]) };
+            }
+            const inner = firstJsonDifference(a[aKeys[i]], b[aKeys[i]], `${jsonPath}${formatKey(aKeys[i])}`);
+            if (inner) return inner;
+        }
+        return null;
+    }
+
+    if (a === b) return null;
+    return { location: jsonPath, first: excerpt(JSON.stringify(a)), second: excerpt(JSON.stringify(b)) };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function excerpt(text) {
+    return text.length > MAX_EXCERPT ? `${text.slice(0, MAX_EXCERPT)}…` : text;
+}
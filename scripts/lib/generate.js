@@ -0,0 +1,39 @@
+/**
+ * Runs the generator (`dotnet run` on src/tsbindgen) for validate.js and
+ * qa.js, with its wall time and peak memory (see lib/perf.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runMeasured } from './perf.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_PATH = path.join(__dirname, '..', '..', 'src', 'tsbindgen', 'tsbindgen.csproj');
+
+/**
+ * Generates declarations for the assemblies of assemblyDir (or the explicit
+ * assemblies list, passed with -a) into outputDir, restricted to namespaces
+ * when given. typelist.json is always written; debugSnapshot also writes the
+ * per-assembly debug snapshots. Resolves to { stdout, stderr, wallMs,
+ * peakRssKb }; rejects with the generator's output on the error.
+ */
+export function runGenerator({ assemblyDir, outputDir, namespaces = [], cwd, assemblies, debugSnapshot = false }) {
+    if (!fs.existsSync(assemblyDir)) {
+        throw new Error(`Assembly directory not found: ${assemblyDir}`);
+    }
+
+    const inputArgs = assemblies
+        ? assemblies.map(file => ` -a "${file}"`).join('')
+        : ` -d "${assemblyDir}"`;
+    const namespaceArgs = namespaces.map(ns => ` -n "${ns}"`).join('');
+    const debugArgs = debugSnapshot ? ' --debug-typelist --debug-snapshot' : ' --debug-typelist';
+
+    return runMeasured(
+        `dotnet run --project "${PROJECT_PATH}" -- generate${inputArgs} -o "${outputDir}"${namespaceArgs}${debugArgs}`,
+        {
+            cwd,
+            maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+        }
+    );
+}
@@ -0,0 +1,153 @@
+/**
+ * Golden-output comparison for validate.js --golden.
+ *
+ * Goldens are committed, normalised copies of a few generated files per
+ * namespace:
+ *
+ *   tests/golden/<target>/<namespace>/index.d.ts
+ *   tests/golden/<target>/<namespace>/internal/index.d.ts
+ *   tests/golden/<target>/<namespace>/{metadata,bindings,typelist}.json
+ *
+ * Normalisation makes runs comparable across machines and days: line endings
+ * become \n, JSON is re-serialised with two-space indentation (key order is
+ * kept, since ordering changes are what goldens are meant to catch), volatile
+ * fields (timestamp, generatedAt, assemblyPath) are blanked and absolute
+ * paths are replaced by placeholders.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { unifiedDiff } from './unified-diff.js';
+
+export const GOLDEN_FILES = [
+    'index.d.ts',
+    'internal/index.d.ts',
+    'metadata.json',
+    'bindings.json',
+    'typelist.json'
+];
+
+// Fields that legitimately differ between runs
+export const VOLATILE_KEYS = new Set(['timestamp', 'generatedAt', 'assemblyPath']);
+export const VOLATILE_VALUE = '<normalized>';
+
+/**
+ * One output file with what may differ between runs taken out, shared by the
+ * goldens and the determinism check so both agree on it: absolute paths
+ * (replacements, [[absolutePath, placeholder]], longest first) become their
+ * placeholders and volatile JSON fields become VOLATILE_VALUE.
+ * Returns { text, json }: the text with paths replaced, and for a .json file
+ * that parses, the normalised value (undefined otherwise).
+ */
+export function normalizeOutput(file, content, replacements = []) {
+    const ordered = [...replacements].sort((a, b) => b[0].length - a[0].length);
+    const replacePaths = text => ordered.reduce((result, [from, to]) => result.split(from).join(to), text);
+
+    const normalize = value => {
+        if (Array.isArray(value)) return value.map(normalize);
+        if (typeof value === 'string') return replacePaths(value);
+        if (value === null || typeof value !== 'object') return value;
+        const result = {};
+        for (const [key, inner] of Object.entries(value)) {
+            result[key] = VOLATILE_KEYS.has(key) && inner !== null ? VOLATILE_VALUE : normalize(inner);
+        }
+        return result;
+    };
+
+    let json;
+    if (file.endsWith('.json')) {
+        try {
+            json = normalize(JSON.parse(content));
+        } catch {
+            json = undefined;
+        }
+    }
+
+    return { text: replacePaths(content), json };
+}
+
+/**
+ * Normalised content of one golden file: normalizeOutput() with LF line
+ * endings, JSON re-serialised with two-space indentation
+ */
+export function normalizeGoldenContent(file, content, replacements = []) {
+    const { text, json } = normalizeOutput(file, content.replace(/\r\n/g, '\n'), replacements);
+    return json === undefined ? text : JSON.stringify(json, null, 2) + '\n';
+}
+
+/**
+ * Compare the golden files of the given namespaces:
+ * { files: [{ namespace, file, status, diff }], stale }
+ * status is 'unchanged', 'changed', 'added' (generated, no golden) or
+ * 'removed' (golden, not generated); stale lists golden namespace folders
+ * outside the set. Only the full golden set has no namespaces outside it, so
+ * a run over a few namespaces passes reportStale: false and stale stays empty.
+ */
+export function compareGoldens(outputDir, goldenDir, namespaces, replacements = [], { reportStale = true } = {}) {
+    const files = [];
+
+    for (const namespace of namespaces) {
+        for (const file of GOLDEN_FILES) {
+            const generatedPath = path.join(outputDir, 'namespaces', namespace, file);
+            const goldenPath = path.join(goldenDir, namespace, file);
+            const generated = fs.existsSync(generatedPath)
+                ? normalizeGoldenContent(file, fs.readFileSync(generatedPath, 'utf-8'), replacements)
+                : null;
+            const golden = fs.existsSync(goldenPath)
+                ? normalizeGoldenContent(file, fs.readFileSync(goldenPath, 'utf-8'), replacements)
+                : null;
+
+            if (generated === null && golden === null) continue;
+
+            let status = 'unchanged';
+            if (golden === null) status = 'added';
+            else if (generated === null) status = 'removed';
+            else if (generated !== golden) status = 'changed';
+
+            const label = `${namespace}/${file}`;
+            const diff = status === 'unchanged'
+                ? ''
+                : unifiedDiff(golden ?? '', generated ?? '', {
+                    oldLabel: golden === null ? '/dev/null' : `golden/${label}`,
+                    newLabel: generated === null ? '/dev/null' : `generated/${label}`
+                });
+            files.push({ namespace, file, status, diff });
+        }
+    }
+
+    const wanted = new Set(namespaces);
+    const stale = reportStale && fs.existsSync(goldenDir)
+        ? fs.readdirSync(goldenDir).filter(name => !wanted.has(name) &&
+            fs.statSync(path.join(goldenDir, name)).isDirectory()).sort()
+        : [];
+
+    return { files, stale };
+}
+
+/**
+ * Replace the goldens of the given namespaces with the normalised generated
+ * files; the goldens of other namespaces are kept unless pruneStale is set
+ * (accepting the full golden set). Returns the number of files written.
+ */
+export function acceptGoldens(outputDir, goldenDir, namespaces, replacements = [], { pruneStale = false } = {}) {
+    if (pruneStale) {
+        fs.rmSync(goldenDir, { recursive: true, force: true });
+    }
+    let written = 0;
+
+    for (const namespace of namespaces) {
+        fs.rmSync(path.join(goldenDir, namespace), { recursive: true, force: true });
+        for (const file of GOLDEN_FILES) {
+            const generatedPath = path.join(outputDir, 'namespaces', namespace, file);
+            if (!fs.existsSync(generatedPath)) continue;
+
+            const goldenPath = path.join(goldenDir, namespace, file);
+            fs.mkdirSync(path.dirname(goldenPath), { recursive: true });
+            fs.writeFileSync(goldenPath,
+                normalizeGoldenContent(file, fs.readFileSync(generatedPath, 'utf-8'), replacements));
+            written++;
+        }
+    }
+
+    return written;
+}
@@ -0,0 +1,184 @@
+/**
+ * Name collisions in a generated output tree: distinct CLR entities that end up
+ * with the same TypeScript name, so one shadows the other in the declarations
+ * and in every lookup keyed by that name (see analyze-collisions.js).
+ *
+ * Checked scopes:
+ * - namespace: namespace aliases across the tree
+ * - type: emit names (normalizeTypeName of TsEmitName) within a namespace
+ * - member: member names within a type, statics and instances apart;
+ *   overloads share their CLR name and are not collisions
+ *
+ * Members the declarations do not emit have no TypeScript name in the
+ * typelist, often precisely because another member took it. Their name is
+ * predicted with the transform the tree was generated with, inferred from the
+ * members that were emitted (--method-names for methods, --property-names for
+ * properties, fields and events).
+ */
+
+import { normalizeTypeName } from './sidecars.js';
+
+export const TRANSFORMS = {
+    'arity-suffix': 'generic arity suffix (List`1 → List_1)',
+    'nested-type': 'nested type separator (Outer+Inner → Outer$Inner)',
+    'camelCase': 'camelCase naming transform',
+    'renamed': 'other rename'
+};
+
+// Naming option each member kind follows (AnalysisContext.Get*Identifier)
+const MEMBER_OPTIONS = {
+    method: 'method',
+    property: 'property',
+    field: 'property',
+    event: 'property'
+};
+
+/**
+ * camelCase as the render pipeline applies it (NameTransformation.ToCamelCase):
+ * only the first character is lowered
+ */
+export function toCamelCase(name) {
+    if (!name || name[0] === name[0].toLowerCase()) return name;
+    return name[0].toLowerCase() + name.slice(1);
+}
+
+/**
+ * Transforms (TRANSFORMS keys) that turn a CLR name into a TypeScript name.
+ * Type names are given relative to their namespace ("List`1+Enumerator").
+ */
+export function detectTransforms(clrName, tsName) {
+    const transforms = [];
+    let expected = clrName;
+
+    if (expected.includes('`')) {
+        transforms.push('arity-suffix');
+        expected = normalizeTypeName(expected);
+    }
+    if (expected.includes('+')) {
+        transforms.push('nested-type');
+        expected = expected.replace(/\+/g, '$');
+    }
+    if (expected !== tsName) {
+        const camel = expected.split('$').map(toCamelCase).join('$');
+        transforms.push(camel === tsName || toCamelCase(expected) === tsName ? 'camelCase' : 'renamed');
+    }
+
+    return transforms;
+}
+
+/**
+ * Every pair of distinct CLR entities sharing a TypeScript name, for
+ * namespace records of loadBindings():
+ * [{ scope, namespace, type, name, first, second, transforms }]
+ * where first/second are { clrName, kind, isStatic, emitted, transforms } and
+ * transforms lists the ones that made the names meet.
+ */
+export function findNameCollisions(namespaces) {
+    const collisions = [];
+    const options = inferMemberOptions(namespaces);
+
+    const report = (scope, namespace, type, name, entities) => {
+        for (let i = 0; i < entities.length; i++) {
+            for (let j = i + 1; j < entities.length; j++) {
+                const [first, second] = [entities[i], entities[j]];
+                const transforms = [...new Set([...first.transforms, ...second.transforms])]
+                    .sort((a, b) => Object.keys(TRANSFORMS).indexOf(a) - Object.keys(TRANSFORMS).indexOf(b));
+                collisions.push({ scope, namespace, type, name, first, second, transforms });
+            }
+        }
+    };
+
+    const byAlias = groupBy(namespaces, ns => ns.tsAlias);
+    for (const [alias, group] of byAlias) {
+        report('namespace', null, null, alias, group.map(ns => ({
+            clrName: ns.clrName,
+            kind: 'namespace',
+            isStatic: null,
+            emitted: true,
+            transforms: detectTransforms(ns.clrName, ns.tsAlias)
+        })));
+    }
+
+    for (const namespace of namespaces) {
+        const prefix = `${namespace.clrName}.`;
+        const byEmitName = groupBy(namespace.types, type => normalizeTypeName(type.tsEmitName));
+        for (const [name, group] of byEmitName) {
+            report('type', namespace.clrName, null, name, group.map(type => {
+                const relative = type.fullName.startsWith(prefix) ? type.fullName.slice(prefix.length) : type.fullName;
+                return {
+                    clrName: type.fullName,
+                    kind: type.kind,
+                    isStatic: null,
+                    emitted: true,
+                    transforms: detectTransforms(relative, type.tsEmitName)
+                };
+            }));
+        }
+
+        for (const type of namespace.types) {
+            // One entity per CLR member, whatever its number of overloads
+            const entities = new Map();
+            for (const member of type.members) {
+                const option = MEMBER_OPTIONS[member.kind];
+                if (!option) continue;
+
+                const identity = `${member.kind}:${member.isStatic}:${member.clrName}`;
+                const tsName = member.tsName ?? (options[option] === 'camelCase' ? toCamelCase(member.clrName) : member.clrName);
+                const entity = entities.get(identity);
+                if (entity) {
+                    entity.emitted ||= member.tsName !== null;
+                    continue;
+                }
+                entities.set(identity, {
+                    clrName: member.clrName,
+                    kind: member.kind,
+                    isStatic: member.isStatic,
+                    emitted: member.tsName !== null,
+                    tsName,
+                    transforms: detectTransforms(member.clrName, tsName)
+                });
+            }
+
+            const byName = groupBy([...entities.values()], entity => `${entity.isStatic ? 'static' : 'instance'}:${entity.tsName}`);
+            for (const [key, group] of byName) {
+                const name = key.slice(key.indexOf(':') + 1);
+                report('member', namespace.clrName, type.tsEmitName, name,
+                    group.map(({ tsName, ...entity }) => entity));
+            }
+        }
+    }
+
+    return collisions;
+}
+
+/**
+ * Naming option per member option group ({ method, property }), 'camelCase'
+ * when some emitted member's name was lowered
+ */
+function inferMemberOptions(namespaces) {
+    const options = { method: 'none', property: 'none' };
+    for (const namespace of namespaces) {
+        for (const type of namespace.types) {
+            for (const member of type.members) {
+                const option = MEMBER_OPTIONS[member.kind];
+                if (option && member.tsName !== null && member.tsName !== member.clrName &&
+                    member.tsName === toCamelCase(member.clrName)) {
+                    options[option] = 'camelCase';
+                }
+            }
+        }
+    }
+    return options;
+}
+
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    for (const item of items) {
+        const key = keyOf(item);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(item);
+    }
+    return groups;
+}
@@ -0,0 +1,210 @@
+/**
+ * Turns a generated output tree into npm package directories (see
+ * package-npm.js).
+ *
+ * A package holds one or more namespace folders with their public files:
+ *
+ *   <package>/package.json
+ *   <package>/<namespace>/index.d.ts
+ *   <package>/<namespace>/internal/index.d.ts
+ *   <package>/<namespace>/metadata.json
+ *   <package>/<namespace>/bindings.json      (when generated)
+ *
+ * Imports between namespaces of the same package keep their relative paths.
+ * Imports of a namespace in another package are rewritten to that package's
+ * "<name>/<namespace>/internal" export, and the package becomes a peer
+ * dependency, so one copy of every namespace is shared by all its importers.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { listNamespaces, loadSidecar } from './sidecars.js';
+import { buildDependencyGraph } from './dependency-graph.js';
+
+export const GROUP_BY = ['assembly', 'namespace'];
+
+export const PACKAGED_FILES = [
+    'index.d.ts',
+    'internal/index.d.ts',
+    'metadata.json',
+    'bindings.json'
+];
+
+// Facade: from "../System/internal/index"; internal: from "../../System/internal/index.js"
+const NAMESPACE_IMPORT = /(from\s+)(["'])((?:\.\.\/){1,2})([^/"']+)\/internal\/index(?:\.js)?\2/g;
+
+/**
+ * npm package name for an assembly or namespace: lowercase, with characters
+ * npm does not allow replaced by "-"
+ */
+export function packageName(scope, name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[._]+/, '');
+    return scope ? `${scope}/${base}` : base;
+}
+
+/**
+ * The assembly a namespace is packaged with: the one contributing most of its
+ * types (metadata.json lists the assembly of every type), ties broken by
+ * name. Falls back to the first of the snapshot's sourceAssemblies.
+ */
+export function primaryAssembly(metadata, snapshot) {
+    const counts = new Map();
+    for (const type of metadata?.types || []) {
+        if (type.assembly) {
+            counts.set(type.assembly, (counts.get(type.assembly) || 0) + 1);
+        }
+    }
+
+    const ranked = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    if (ranked.length > 0) return ranked[0][0];
+    return [...(snapshot?.sourceAssemblies || [])].sort()[0] || null;
+}
+
+/**
+ * Split the namespaces of an output tree into packages. Returns
+ * { packages: [{ name, group, namespaces, assemblies, bindings, peers }],
+ * packageOf, dangling }:
+ * - assemblies: source assemblies of the package's namespaces
+ * - bindings: namespaces that have a bindings.json
+ * - peers: names of the packages whose namespaces are imported
+ * - packageOf: Map(namespace → package name)
+ * - dangling: imports of namespaces not in the tree (see buildDependencyGraph)
+ */
+export function planPackages(outputDir, { groupBy = 'assembly', scope = '' } = {}) {
+    const snapshots = [];
+    const groups = new Map();
+    const withBindings = new Set();
+
+    for (const namespace of listNamespaces(outputDir)) {
+        const namespacePath = path.join(outputDir, 'namespaces', namespace);
+        const snapshot = loadSidecar(namespacePath, 'snapshot.json');
+        if (!snapshot) {
+            throw new Error(`${namespace}: snapshot.json is missing`);
+        }
+        snapshots.push(snapshot);
+        if (fs.existsSync(path.join(namespacePath, 'bindings.json'))) {
+            withBindings.add(namespace);
+        }
+
+        const group = groupBy === 'namespace'
+            ? namespace
+            : primaryAssembly(loadSidecar(namespacePath, 'metadata.json'), snapshot) || namespace;
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+        groups.get(group).push(namespace);
+    }
+
+    const packages = [];
+    const byName = new Map();
+    const packageOf = new Map();
+    for (const [group, namespaces] of [...groups].sort((a, b) => a[0].localeCompare(b[0]))) {
+        const name = packageName(scope, group);
+        if (byName.has(name)) {
+            throw new Error(`Package name ${name} is used by both ${byName.get(name).group} and ${group}`);
+        }
+        const pkg = { name, group, namespaces: namespaces.sort(), assemblies: [], bindings: [], peers: [] };
+        packages.push(pkg);
+        byName.set(name, pkg);
+        namespaces.forEach(ns => packageOf.set(ns, name));
+    }
+
+    const graph = buildDependencyGraph(snapshots);
+    for (const pkg of packages) {
+        const peers = new Set();
+        const assemblies = new Set();
+        for (const namespace of pkg.namespaces) {
+            graph.namespaceAssemblies.get(namespace).forEach(assembly => assemblies.add(assembly));
+            for (const imported of graph.namespaces.get(namespace) || []) {
+                const peer = packageOf.get(imported);
+                if (peer && peer !== pkg.name) peers.add(peer);
+            }
+        }
+        pkg.assemblies = [...assemblies].sort();
+        pkg.bindings = pkg.namespaces.filter(ns => withBindings.has(ns));
+        pkg.peers = [...peers].sort();
+    }
+
+    return { packages, packageOf, dangling: graph.dangling };
+}
+
+/**
+ * package.json for a planned package. A package with a single namespace also
+ * exports it as ".".
+ */
+export function buildManifest(pkg, { version, typesRange }) {
+    const exports = {};
+    const namespaceExport = ns => ({ types: `./${ns}/index.d.ts` });
+
+    if (pkg.namespaces.length === 1) {
+        exports['.'] = namespaceExport(pkg.namespaces[0]);
+    }
+    for (const ns of pkg.namespaces) {
+        exports[`./${ns}`] = namespaceExport(ns);
+        exports[`./${ns}/internal`] = { types: `./${ns}/internal/index.d.ts` };
+        exports[`./${ns}/metadata.json`] = `./${ns}/metadata.json`;
+        if (pkg.bindings.includes(ns)) {
+            exports[`./${ns}/bindings.json`] = `./${ns}/bindings.json`;
+        }
+    }
+    exports['./package.json'] = './package.json';
+
+    const manifest = {
+        name: pkg.name,
+        version,
+        description: `TypeScript declarations for ${pkg.group}, generated by tsbindgen`
+    };
+    if (pkg.namespaces.length === 1) {
+        manifest.types = `./${pkg.namespaces[0]}/index.d.ts`;
+    }
+    manifest.exports = exports;
+    manifest.files = [...pkg.namespaces];
+    manifest.dependencies = { '@tsonic/types': typesRange };
+    if (pkg.peers.length > 0) {
+        // Packages generated together are only consistent with each other
+        manifest.peerDependencies = Object.fromEntries(pkg.peers.map(peer => [peer, version]));
+    }
+    manifest.tsbindgen = { namespaces: pkg.namespaces, assemblies: pkg.assemblies };
+
+    return manifest;
+}
+
+/**
+ * Point imports of namespaces packaged elsewhere at the owning package.
+ * packageOf: Map(namespace → package name).
+ */
+export function rewriteImports(text, currentPackage, packageOf) {
+    return text.replace(NAMESPACE_IMPORT, (match, from, quote, up, namespace) => {
+        const owner = packageOf.get(namespace);
+        if (!owner || owner === currentPackage) return match;
+        return `${from}${quote}${owner}/${namespace}/internal${quote}`;
+    });
+}
+
+/**
+ * Write one package directory (replacing it). Returns the number of files
+ * copied, package.json excluded.
+ */
+export function writePackage(outputDir, packageDir, pkg, manifest, packageOf) {
+    fs.rmSync(packageDir, { recursive: true, force: true });
+    let copied = 0;
+
+    for (const namespace of pkg.namespaces) {
+        for (const file of PACKAGED_FILES) {
+            const source = path.join(outputDir, 'namespaces', namespace, file);
+            if (!fs.existsSync(source)) continue;
+
+            const target = path.join(packageDir, namespace, file);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            if (file.endsWith('.d.ts')) {
+                fs.writeFileSync(target, rewriteImports(fs.readFileSync(source, 'utf-8'), pkg.name, packageOf));
+            } else {
+                fs.copyFileSync(source, target);
+            }
+            copied++;
+        }
+    }
+
+    fs.writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify(manifest, null, 2) + '\n');
+    return copied;
+}
@@ -0,0 +1,114 @@
+/**
+ * Declarative policy for members the generator leaves out on purpose.
+ *
+ * verify-completeness.js consults the policy only for members that are missing
+ * from typelist.json. A member covered by a rule counts as an intentional
+ * omission, but only if the generator also reported it: some snapshot
+ * diagnostic (namespace- or type-level) must mention the member. Omissions
+ * nobody reported are flagged, so a rule cannot hide a silent drop.
+ *
+ * File format (scripts/omission-policy.json):
+ * {
+ *   "version": 1,
+ *   "rules": [
+ *     {
+ *       "id": "compiler-generated",
+ *       "reason": "Compiler-generated members have no callable TypeScript form",
+ *       "match": { "kind": "^(method|field)$", "name": "^<" },
+ *       "diagnostics": ["TSB1001"]
+ *     }
+ *   ]
+ * }
+ *
+ * Match fields are regular expressions tested against the member kind
+ * (constructor, method, property, field, event), the CLR member name, the CLR
+ * full type name ("System.Collections.Generic.List`1") and the namespace;
+ * "isStatic" is compared exactly. Omitted fields match anything and the first
+ * matching rule wins. "diagnostics" (optional) restricts which diagnostic codes
+ * count as reporting the omission.
+ */
+
+import fs from 'fs';
+
+const POLICY_VERSION = 1;
+const MATCH_FIELDS = ['kind', 'name', 'type', 'namespace'];
+
+/**
+ * Load and validate a policy file. Patterns are compiled up front so a bad
+ * rule fails the run instead of silently never matching.
+ */
+export function loadOmissionPolicy(policyPath) {
+    const policy = JSON.parse(fs.readFileSync(policyPath, 'utf-8'));
+    if (policy.version !== POLICY_VERSION) {
+        throw new Error(`Unsupported omission policy version ${policy.version} in ${policyPath}`);
+    }
+
+    const ids = new Set();
+    const rules = (policy.rules || []).map((rule, i) => {
+        const label = rule.id || `#${i}`;
+        if (!rule.id || !rule.reason) {
+            throw new Error(`Omission rule ${label} in ${policyPath} needs an id and a reason`);
+        }
+        if (ids.has(rule.id)) {
+            throw new Error(`Duplicate omission rule id '${rule.id}' in ${policyPath}`);
+        }
+        ids.add(rule.id);
+
+        const match = rule.match || {};
+        const patterns = {};
+        for (const field of MATCH_FIELDS) {
+            if (match[field] === undefined) continue;
+            try {
+                patterns[field] = new RegExp(match[field]);
+            } catch (err) {
+                throw new Error(`Omission rule '${rule.id}': invalid ${field} pattern: ${err.message}`);
+            }
+        }
+
+        return {
+            id: rule.id,
+            reason: rule.reason,
+            patterns,
+            isStatic: typeof match.isStatic === 'boolean' ? match.isStatic : null,
+            diagnostics: rule.diagnostics || null
+        };
+    });
+
+    return { version: policy.version, rules };
+}
+
+/**
+ * First rule matching a member ({ kind, name, type, namespace, isStatic }), or null.
+ */
+export function findOmissionRule(policy, member) {
+    return policy.rules.find(rule => {
+        if (rule.isStatic !== null && rule.isStatic !== member.isStatic) return false;
+        return Object.entries(rule.patterns).every(([field, pattern]) => pattern.test(member[field]));
+    }) || null;
+}
+
+/**
+ * Diagnostic that reports a member's omission, or null.
+ *
+ * typeDiagnostics belong to the member's type, so mentioning the member name is
+ * enough; namespace diagnostics must also name the type, by CLR full name
+ * (member.type) or short CLR name (member.typeName).
+ */
+export function findReportingDiagnostic(rule, member, typeDiagnostics, namespaceDiagnostics) {
+    const accepts = d => !rule.diagnostics || rule.diagnostics.includes(d.code);
+    const mentions = (text, word) => new RegExp(`(^|[^\\w])${escapeRegExp(word)}($|[^\\w])`).test(text);
+    const mentionsMember = member.kind === 'constructor'
+        ? d => d.message.includes('.ctor') || mentions(d.message, 'constructor')
+        : d => mentions(d.message, member.name);
+
+    const fromType = typeDiagnostics.find(d => accepts(d) && mentionsMember(d));
+    if (fromType) return fromType;
+
+    return namespaceDiagnostics.find(d =>
+        accepts(d) && mentionsMember(d) && (d.message.includes(member.type) || mentions(d.message, member.typeName))
+    ) || null;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,363 @@
+/**
+ * Generation and type-check performance, output size and their history for
+ * validate.js.
+ *
+ * Every validation run appends one entry per target to a local history file
+ * (JSON lines, .tests/perf-history.jsonl):
+ * {
+ *   "recordedAt": "...", "target": "...", "commit": "<git HEAD>",
+ *   "namespaces": [...filter], "tscMode": "project" | "per-namespace",
+ *   "generation": { "wallMs": 81234, "peakRssKb": 1843200 },
+ *   "tsc": { "wallMs": 40210, "peakRssKb": 2210000 },         // null with --skip-tsc
+ *   "output": { "bytes": 1234567, "lines": 45678, "types": 2100, "members": 53000,
+ *               "namespaces": { "System.Linq": { "bytes", "lines", "types", "members", "files": { "index.d.ts": 1234 } } } }
+ * }
+ *
+ * Each run is compared with the previous entry of the same target, namespace
+ * filter and tsc mode, and with the budgets in scripts/perf-budget.json:
+ * {
+ *   "version": 1,
+ *   "maxIncreasePercent": { "wallTime": 50, "peakRss": 30, "outputSize": 10 },
+ *   "ignoreBelow": { "wallSeconds": 5, "peakRssMb": 200, "namespaceKb": 16 },
+ *   "targets": {
+ *     "Microsoft.NETCore.App": {
+ *       "generation": { "wallSeconds": 300, "peakRssMb": 4096 },
+ *       "tsc": { "wallSeconds": 600, "peakRssMb": 6144 },
+ *       "outputMb": 150
+ *     }
+ *   }
+ * }
+ *
+ * A target's budget is looked up by its name, then by the name without its
+ * "@version" suffix. Growth past maxIncreasePercent is only compared for
+ * values above ignoreBelow, so timing noise on small runs is not flagged.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn, execFile } from 'child_process';
+import { listNamespaces } from './sidecars.js';
+import { parseDeclarationFile, extractDeclarations } from './declarations.js';
+
+const BUDGET_VERSION = 1;
+const RSS_SAMPLE_MS = 250;
+
+const DEFAULT_MAX_INCREASE = { wallTime: 50, peakRss: 30, outputSize: 10 };
+const DEFAULT_IGNORE_BELOW = { wallSeconds: 5, peakRssMb: 200, namespaceKb: 16 };
+
+/**
+ * Run a shell command, measuring its wall time and the peak resident set size
+ * of its process tree (sampled with ps, so short spikes can be missed; null
+ * where ps is unavailable). Resolves to { stdout, stderr, wallMs, peakRssKb };
+ * rejects like execSync, with stdout and stderr on the error. Output beyond
+ * maxBuffer (per stream) kills the command and rejects with
+ * ERR_CHILD_PROCESS_STDIO_MAXBUFFER.
+ */
+export function runMeasured(command, { cwd, maxBuffer = 10 * 1024 * 1024 } = {}) {
+    return new Promise((resolve, reject) => {
+        const started = performance.now();
+        const child = spawn(command, { cwd, shell: true, stdio: ['ignore', 'pipe', 'pipe'] });
+        const output = { stdout: '', stderr: '' };
+        let peakRssKb = null;
+        let overflow = null;
+        let done = false;
+
+        for (const stream of ['stdout', 'stderr']) {
+            child[stream].setEncoding('utf-8');
+            child[stream].on('data', chunk => {
+                if (overflow) return;
+                if (output[stream].length + chunk.length > maxBuffer) {
+                    // Same error (and truncated output) as execFile gives
+                    output[stream] += chunk.slice(0, maxBuffer - output[stream].length);
+                    overflow = new RangeError(`${stream} maxBuffer length exceeded (${maxBuffer} bytes): ${command}`);
+                    overflow.code = 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER';
+                    child.kill();
+                    return;
+                }
+                output[stream] += chunk;
+            });
+        }
+
+        const sample = () => execFile('ps', ['-A', '-o', 'pid=,ppid=,rss='], (err, text) => {
+            if (err || done) return;
+            const rss = treeRss(parsePs(text), child.pid);
+            if (rss > 0) peakRssKb = Math.max(peakRssKb ?? 0, rss);
+        });
+        const timer = process.platform === 'win32' ? null : setInterval(sample, RSS_SAMPLE_MS);
+        if (timer) sample();
+
+        const finish = (err, code) => {
+            if (done) return;
+            done = true;
+            clearInterval(timer);
+            const wallMs = Math.round(performance.now() - started);
+            if (err || code !== 0) {
+                const failure = err || new Error(`Command failed with exit code ${code}: ${command}`);
+                Object.assign(failure, output);
+                reject(failure);
+            } else {
+                resolve({ ...output, wallMs, peakRssKb });
+            }
+        };
+        child.on('error', err => finish(err));
+        child.on('close', code => finish(overflow, code));
+    });
+}
+
+/**
+ * Peak RSS (kB) of this process, worker threads included, over one phase:
+ * call before the phase, and the returned function after it.
+ *
+ * process.resourceUsage().maxRSS covers the whole lifetime of the process, so
+ * on Linux the kernel's high-water mark (VmHWM) is reset at the start of the
+ * phase and read at its end. Elsewhere maxRSS is only used when it rose during
+ * the phase; otherwise the phase's peak is unknown (null), as an earlier phase
+ * peaked higher.
+ */
+export function measureProcessPeak() {
+    const highWaterReset = resetHighWater();
+    const maxBefore = process.resourceUsage().maxRSS;
+
+    return () => {
+        const highWater = highWaterReset ? readHighWater() : null;
+        if (highWater !== null) return highWater;
+        const maxAfter = process.resourceUsage().maxRSS;
+        return maxAfter > maxBefore ? maxAfter : null;
+    };
+}
+
+function resetHighWater() {
+    if (process.platform !== 'linux') return false;
+    try {
+        fs.writeFileSync('/proc/self/clear_refs', '5');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function readHighWater() {
+    try {
+        const match = fs.readFileSync('/proc/self/status', 'utf-8').match(/^VmHWM:\s+(\d+) kB/m);
+        return match ? Number(match[1]) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Sum of the RSS (kB) of a process and all its descendants, from
+ * [{ pid, ppid, rss }]
+ */
+export function treeRss(processes, rootPid) {
+    const children = new Map();
+    for (const p of processes) {
+        if (!children.has(p.ppid)) children.set(p.ppid, []);
+        children.get(p.ppid).push(p);
+    }
+
+    let total = processes.find(p => p.pid === rootPid)?.rss ?? 0;
+    const pending = [rootPid];
+    while (pending.length > 0) {
+        for (const child of children.get(pending.pop()) || []) {
+            total += child.rss;
+            pending.push(child.pid);
+        }
+    }
+    return total;
+}
+
+function parsePs(text) {
+    return text.trim().split('\n')
+        .map(line => line.trim().split(/\s+/).map(Number))
+        .filter(parts => parts.length === 3 && parts.every(Number.isFinite))
+        .map(([pid, ppid, rss]) => ({ pid, ppid, rss }));
+}
+
+/**
+ * Size of a generated tree per namespace: bytes per file, .d.ts line counts
+ * and the types and members declared in internal/index.d.ts
+ */
+export function measureOutput(outputDir) {
+    const output = { bytes: 0, lines: 0, types: 0, members: 0, namespaces: {} };
+
+    for (const namespace of listNamespaces(outputDir)) {
+        const namespaceDir = path.join(outputDir, 'namespaces', namespace);
+        const entry = { bytes: 0, lines: 0, types: 0, members: 0, files: {} };
+
+        for (const file of listFiles(namespaceDir)) {
+            const fullPath = path.join(namespaceDir, file);
+            const size = fs.statSync(fullPath).size;
+            entry.files[file] = size;
+            entry.bytes += size;
+            if (file.endsWith('.d.ts')) {
+                entry.lines += countLines(fs.readFileSync(fullPath, 'utf-8'));
+            }
+        }
+
+        const internal = path.join(namespaceDir, 'internal', 'index.d.ts');
+        if (fs.existsSync(internal)) {
+            const declarations = extractDeclarations(parseDeclarationFile(internal));
+            entry.types = declarations.size;
+            for (const type of declarations.values()) {
+                entry.members += type.members.length;
+            }
+        }
+
+        output.namespaces[namespace] = entry;
+        output.bytes += entry.bytes;
+        output.lines += entry.lines;
+        output.types += entry.types;
+        output.members += entry.members;
+    }
+
+    return output;
+}
+
+function listFiles(dir) {
+    const files = [];
+    const walk = relative => {
+        for (const entry of fs.readdirSync(path.join(dir, relative), { withFileTypes: true })) {
+            const child = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                walk(child);
+            } else if (entry.isFile()) {
+                files.push(child);
+            }
+        }
+    };
+    walk('');
+    return files.sort();
+}
+
+function countLines(text) {
+    if (text.length === 0) return 0;
+    return text.split('\n').length - (text.endsWith('\n') ? 1 : 0);
+}
+
+/**
+ * Load and validate the budget file. A missing file means no budgets and the
+ * default growth limits.
+ */
+export function loadPerfBudget(budgetPath) {
+    const config = fs.existsSync(budgetPath)
+        ? JSON.parse(fs.readFileSync(budgetPath, 'utf-8'))
+        : { version: BUDGET_VERSION };
+    if (config.version !== BUDGET_VERSION) {
+        throw new Error(`Unsupported perf budget version ${config.version} in ${budgetPath}`);
+    }
+
+    const maxIncreasePercent = { ...DEFAULT_MAX_INCREASE, ...config.maxIncreasePercent };
+    const ignoreBelow = { ...DEFAULT_IGNORE_BELOW, ...config.ignoreBelow };
+    for (const [key, value] of [...Object.entries(maxIncreasePercent), ...Object.entries(ignoreBelow)]) {
+        if (typeof value !== 'number' || value < 0) {
+            throw new Error(`${key} in ${budgetPath} must be a non-negative number, got ${JSON.stringify(value)}`);
+        }
+    }
+
+    return { version: config.version, maxIncreasePercent, ignoreBelow, targets: config.targets || {} };
+}
+
+/**
+ * Budget of a target: by full name, then by name without "@version"; null
+ * when there is none
+ */
+export function budgetFor(budget, targetName) {
+    return budget.targets[targetName] ?? budget.targets[targetName.split('@')[0]] ?? null;
+}
+
+/**
+ * Latest history entry comparable with entry (same target, namespace filter
+ * and tsc mode), or null
+ */
+export function findPreviousEntry(historyPath, entry) {
+    if (!fs.existsSync(historyPath)) return null;
+
+    let previous = null;
+    for (const line of fs.readFileSync(historyPath, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        let candidate;
+        try {
+            candidate = JSON.parse(line);
+        } catch {
+            continue; // a torn line from an interrupted run
+        }
+        if (candidate.target === entry.target &&
+            candidate.tscMode === entry.tscMode &&
+            JSON.stringify(candidate.namespaces) === JSON.stringify(entry.namespaces)) {
+            previous = candidate;
+        }
+    }
+    return previous;
+}
+
+export function appendHistoryEntry(historyPath, entry) {
+    fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+    fs.appendFileSync(historyPath, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Regressions of an entry: [{ metric, source: 'budget' | 'previous', current,
+ * limit, previous? }] where metric is "generation.wallMs", "tsc.peakRssKb",
+ * "output.bytes" or "output.namespaces.<ns>.bytes". Budget breaches fail a
+ * run; growth over the previous run is flagged.
+ */
+export function findPerfRegressions(entry, previous, budget) {
+    const regressions = [];
+    const targetBudget = budgetFor(budget, entry.target);
+    const { maxIncreasePercent, ignoreBelow } = budget;
+
+    const checkBudget = (metric, current, limit) => {
+        if (current !== null && current !== undefined && typeof limit === 'number' && current > limit) {
+            regressions.push({ metric, source: 'budget', current, limit });
+        }
+    };
+    const checkGrowth = (metric, current, before, percent, floor) => {
+        if (current === null || current === undefined || before === null || before === undefined) return;
+        if (Math.max(current, before) < floor) return;
+        const limit = Math.round(before * (1 + percent / 100));
+        if (current > limit) {
+            regressions.push({ metric, source: 'previous', current, previous: before, limit });
+        }
+    };
+
+    for (const phase of ['generation', 'tsc']) {
+        const measured = entry[phase];
+        if (!measured) continue;
+
+        const phaseBudget = targetBudget?.[phase] || {};
+        checkBudget(`${phase}.wallMs`, measured.wallMs, phaseBudget.wallSeconds * 1000);
+        checkBudget(`${phase}.peakRssKb`, measured.peakRssKb, phaseBudget.peakRssMb * 1024);
+
+        const before = previous?.[phase];
+        if (before) {
+            checkGrowth(`${phase}.wallMs`, measured.wallMs, before.wallMs, maxIncreasePercent.wallTime, ignoreBelow.wallSeconds * 1000);
+            checkGrowth(`${phase}.peakRssKb`, measured.peakRssKb, before.peakRssKb, maxIncreasePercent.peakRss, ignoreBelow.peakRssMb * 1024);
+        }
+    }
+
+    checkBudget('output.bytes', entry.output.bytes, targetBudget?.outputMb * 1024 * 1024);
+    if (previous?.output) {
+        checkGrowth('output.bytes', entry.output.bytes, previous.output.bytes, maxIncreasePercent.outputSize, 0);
+        for (const [namespace, sizes] of Object.entries(entry.output.namespaces)) {
+            const before = previous.output.namespaces?.[namespace];
+            if (before) {
+                checkGrowth(`output.namespaces.${namespace}.bytes`, sizes.bytes, before.bytes,
+                    maxIncreasePercent.outputSize, ignoreBelow.namespaceKb * 1024);
+            }
+        }
+    }
+
+    return regressions;
+}
+
+/**
+ * "1.5 s", "512 MB", "2.3 MB" for a metric value
+ */
+export function formatMetric(metric, value) {
+    if (value === null || value === undefined) return 'n/a';
+    if (metric.endsWith('wallMs')) return `${(value / 1000).toFixed(1)} s`;
+    if (metric.endsWith('peakRssKb')) return `${Math.round(value / 1024)} MB`;
+    if (value >= 1024 * 1024) return `${(value / 1024 / 1024).toFixed(1)} MB`;
+    return `${(value / 1024).toFixed(1)} KB`;
+}
@@ -0,0 +1,154 @@
+/**
+ * Structured report writers shared by validate.js and the verify-*.js scripts.
+ *
+ * Each script builds format-neutral data and hands it to writeReports():
+ *
+ *   json  - the script's own summary object, written as-is
+ *   junit - test suites: [{ name, cases: [{ name, classname, failure?, error?, skipped? }] }]
+ *           where failure/error are { message, details } and skipped is a message
+ *   sarif - { toolName, rules: [{ id, description }],
+ *             results: [{ ruleId, level, message, uri, line?, column?, properties? }] }
+ *
+ * Files are written as <baseName>.json, <baseName>.junit.xml and <baseName>.sarif.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const REPORT_FORMATS = ['json', 'junit', 'sarif'];
+
+const EXTENSIONS = {
+    json: '.json',
+    junit: '.junit.xml',
+    sarif: '.sarif'
+};
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Parse --format values (repeatable and/or comma-separated) into a
+ * de-duplicated list. Unknown formats are an error.
+ */
+export function parseFormats(values) {
+    const formats = new Set();
+    for (const value of [].concat(values || [])) {
+        for (const format of value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)) {
+            if (!REPORT_FORMATS.includes(format)) {
+                throw new Error(`Unknown --format "${format}" (expected ${REPORT_FORMATS.join(', ')})`);
+            }
+            formats.add(format);
+        }
+    }
+    return [...formats];
+}
+
+/**
+ * Write the requested formats to <dir>/<baseName>.<ext>.
+ * builders maps a format to a function returning that format's data, so only
+ * the requested reports are built. Returns the written paths.
+ */
+export function writeReports(dir, baseName, formats, builders) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    return formats.map(format => {
+        const reportPath = path.join(dir, baseName + EXTENSIONS[format]);
+        const data = builders[format]();
+        let content;
+        if (format === 'junit') {
+            content = toJUnitXml(baseName, data);
+        } else if (format === 'sarif') {
+            content = JSON.stringify(toSarif(data), null, 2) + '\n';
+        } else {
+            content = JSON.stringify(data, null, 2) + '\n';
+        }
+        fs.writeFileSync(reportPath, content);
+        return reportPath;
+    });
+}
+
+/**
+ * Render test suites as JUnit XML (the dialect understood by Jenkins, GitLab
+ * and GitHub test reporters).
+ */
+export function toJUnitXml(name, suites) {
+    const count = (cases, key) => cases.filter(c => c[key]).length;
+    const allCases = suites.flatMap(s => s.cases);
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${xmlEscape(name)}" tests="${allCases.length}" failures="${count(allCases, 'failure')}" errors="${count(allCases, 'error')}" skipped="${count(allCases, 'skipped')}">`
+    ];
+
+    for (const suite of suites) {
+        lines.push(`  <testsuite name="${xmlEscape(suite.name)}" tests="${suite.cases.length}" failures="${count(suite.cases, 'failure')}" errors="${count(suite.cases, 'error')}" skipped="${count(suite.cases, 'skipped')}">`);
+
+        for (const testCase of suite.cases) {
+            const open = `    <testcase classname="${xmlEscape(testCase.classname || suite.name)}" name="${xmlEscape(testCase.name)}"`;
+            const tag = testCase.failure ? 'failure' : testCase.error ? 'error' : null;
+
+            if (tag) {
+                const { message, details } = testCase[tag];
+                lines.push(`${open}>`);
+                lines.push(`      <${tag} message="${xmlEscape(message)}">${xmlEscape(details || '')}</${tag}>`);
+                lines.push('    </testcase>');
+            } else if (testCase.skipped) {
+                lines.push(`${open}>`);
+                lines.push(`      <skipped message="${xmlEscape(testCase.skipped)}"/>`);
+                lines.push('    </testcase>');
+            } else {
+                lines.push(`${open}/>`);
+            }
+        }
+
+        lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a SARIF 2.1.0 log with a single run. Result URIs should be relative to
+ * the repository root so viewers can resolve them.
+ */
+export function toSarif({ toolName, rules, results }) {
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: toolName,
+                    rules: rules.map(rule => ({
+                        id: rule.id,
+                        shortDescription: { text: rule.description }
+                    }))
+                }
+            },
+            results: results.map(result => {
+                const region = result.line
+                    ? { region: { startLine: result.line, ...(result.column ? { startColumn: result.column } : {}) } }
+                    : {};
+                return {
+                    ruleId: result.ruleId,
+                    level: result.level,
+                    message: { text: result.message },
+                    locations: result.uri
+                        ? [{ physicalLocation: { artifactLocation: { uri: result.uri }, ...region } }]
+                        : [],
+                    ...(result.properties ? { properties: result.properties } : {})
+                };
+            })
+        }]
+    };
+}
+
+function xmlEscape(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
@@ -0,0 +1,326 @@
+/**
+ * Runtime lookups over a generated output tree: maps TypeScript names to CLR
+ * namespaces, types and members and back, without the linear scans and the
+ * "missing means untransformed" fallback of spec/bindings-consumer.md.
+ *
+ *   const bindings = loadBindings('out');
+ *   const list = bindings.resolveType('System.Collections.Generic', 'List', { genericArity: 1 });
+ *   const add = bindings.resolveMember(list, 'Add');          // member record
+ *   add.isVirtual; list.assembly;                              // "System.Private.CoreLib"
+ *   bindings.getType('System.Collections.Generic.List`1').tsName;   // "List_1"
+ *
+ * Sources, per namespace:
+ * - snapshot.json: CLR names, member flags and the binding records (owning
+ *   assembly and declaring type of every type and member)
+ * - metadata.json: type TypeScript identifiers and explicit interface views
+ * - bindings.json: namespace alias and renamed types (optional)
+ * - typelist.json: member TypeScript names, paired with snapshot members by
+ *   kind, staticness and signature
+ *
+ * resolve*() take TypeScript names, get*() take CLR names. Both return null
+ * when nothing matches and throw when several things do; narrow the query
+ * (generic arity, parameter types, staticness) to choose. The thrown error
+ * lists the candidates in its message and on err.candidates.
+ */
+
+import path from 'path';
+import {
+    listNamespaces, loadSidecar, getClrFullName, getFacadeNames, normalizeTypeReference, formatSignature
+} from './sidecars.js';
+
+const MEMBER_KINDS = {
+    constructors: 'constructor',
+    methods: 'method',
+    properties: 'property',
+    fields: 'field',
+    events: 'event'
+};
+
+/**
+ * Load every namespace of an output tree (<outputDir>/namespaces/<ns>) and
+ * index it in both directions.
+ */
+export function loadBindings(outputDir) {
+    const namespaces = listNamespaces(outputDir).map(name => {
+        const namespacePath = path.join(outputDir, 'namespaces', name);
+        const snapshot = loadSidecar(namespacePath, 'snapshot.json');
+        if (!snapshot) {
+            throw new Error(`No snapshot.json in ${namespacePath}`);
+        }
+        return buildNamespace(snapshot, {
+            metadata: loadSidecar(namespacePath, 'metadata.json'),
+            typelist: loadSidecar(namespacePath, 'typelist.json'),
+            bindings: loadSidecar(namespacePath, 'bindings.json')
+        });
+    });
+
+    return createBindings(namespaces);
+}
+
+/**
+ * Namespace record: { clrName, tsAlias, types }
+ */
+function buildNamespace(snapshot, { metadata, typelist, bindings }) {
+    const metadataTypes = new Map((metadata?.types || []).map(t => [getClrFullName(t.clrType), t]));
+    const typelistTypes = new Map((typelist?.types || []).map(t => [t.tsEmitName, t]));
+    const aliases = new Map((bindings?.types || []).map(t => [t.name, t.alias]));
+
+    const namespace = {
+        clrName: snapshot.clrName,
+        tsAlias: bindings?.namespace_.alias ?? snapshot.tsAlias,
+        types: []
+    };
+
+    for (const type of snapshot.types) {
+        const fullName = getClrFullName(type.binding.type);
+        const metadataType = metadataTypes.get(fullName);
+        const record = {
+            namespace: namespace.clrName,
+            clrName: type.clrName,
+            fullName,
+            tsName: metadataType?.tsName ?? aliases.get(type.clrName) ?? type.clrName,
+            tsEmitName: type.tsEmitName,
+            kind: type.kind,
+            assembly: type.binding.assembly,
+            isStatic: type.isStatic,
+            isSealed: type.isSealed,
+            isAbstract: type.isAbstract,
+            genericArity: type.genericParameters.length,
+            members: [],
+            views: []
+        };
+        record.facadeNames = getFacadeNames(type, record.tsName);
+
+        const typelistMembers = typelistTypes.get(type.tsEmitName)?.members || [];
+        const used = new Set();
+        for (const [group, kind] of Object.entries(MEMBER_KINDS)) {
+            for (const member of type.members[group]) {
+                const memberRecord = buildMember(record, kind, member, null);
+                const emitted = typelistMembers.find(m => !used.has(m) && isEmittedAs(memberRecord, m));
+                if (emitted) {
+                    used.add(emitted);
+                    memberRecord.tsName = emitted.name;
+                }
+                record.members.push(memberRecord);
+            }
+        }
+
+        // View-only methods: metadata.json lists them in the snapshot's order
+        const metadataViews = new Map((metadataType?.explicitViews || []).map(v => [v.viewName, v]));
+        for (const view of type.explicitViews || []) {
+            // The emitted view name carries the disambiguator (MetadataEmit)
+            const viewName = view.viewName + (view.disambiguator ?? '');
+            const metadataMethods = metadataViews.get(viewName)?.methods || [];
+            record.views.push({
+                viewName,
+                interface: getClrFullName(view.interface),
+                members: view.viewOnlyMethods.map((method, i) => {
+                    const memberRecord = buildMember(record, 'method', method, viewName);
+                    const emitted = metadataMethods[i];
+                    if (emitted && emitted.clrName === method.clrName) {
+                        memberRecord.tsName = emitted.tsName;
+                        memberRecord.normalizedSignature = emitted.normalizedSignature;
+                    }
+                    return memberRecord;
+                })
+            });
+        }
+
+        namespace.types.push(record);
+    }
+
+    return namespace;
+}
+
+/**
+ * Member record. tsName stays null for members the declarations do not emit.
+ */
+function buildMember(type, kind, member, view) {
+    const isMethod = kind === 'constructor' || kind === 'method';
+    const parameters = kind === 'property' ? member.indexerParameters : member.parameters;
+    return {
+        kind,
+        clrName: kind === 'constructor' ? '.ctor' : member.clrName,
+        tsName: null,
+        type: type.fullName,
+        declaringType: member.binding ? getClrFullName(member.binding.type) : type.fullName,
+        assembly: member.binding ? member.binding.assembly : type.assembly,
+        isStatic: member.isStatic ?? false,
+        isVirtual: member.isVirtual ?? false,
+        isAbstract: member.isAbstract ?? false,
+        isOverride: member.isOverride ?? false,
+        isReadonly: member.isReadonly ?? false,
+        isIndexer: member.isIndexer ?? false,
+        genericArity: isMethod ? (member.genericParameters || []).length : 0,
+        parameters: (parameters || []).map(p => normalizeTypeReference(p.type)),
+        parameterKinds: (parameters || []).map(p => p.kind),
+        returnType: kind === 'method' ? normalizeTypeReference(member.returnType) : null,
+        valueType: member.type ? normalizeTypeReference(member.type) : null,
+        view
+    };
+}
+
+/**
+ * Whether a typelist member is the emitted form of a snapshot member. Name
+ * transforms only change the case of the first character.
+ */
+function isEmittedAs(member, entry) {
+    if (entry.kind !== member.kind || entry.isStatic !== member.isStatic) return false;
+    if (member.kind === 'constructor') {
+        return sameParameters(entry.parameters, member.parameters);
+    }
+    if (entry.name !== member.clrName && entry.name !== lowerFirst(member.clrName)) return false;
+    if (member.kind !== 'method') return true;
+    return (entry.genericArity ?? member.genericArity) === member.genericArity &&
+        sameParameters(entry.parameters, member.parameters);
+}
+
+function sameParameters(emitted, parameters) {
+    // Typelists written before signatures were recorded match any overload
+    return !emitted || (emitted.length === parameters.length && emitted.every((p, i) => p === parameters[i]));
+}
+
+function lowerFirst(name) {
+    return name.length > 0 ? name[0].toLowerCase() + name.slice(1) : name;
+}
+
+function addTo(index, key, value) {
+    if (!index.has(key)) {
+        index.set(key, []);
+    }
+    const values = index.get(key);
+    if (!values.includes(value)) {
+        values.push(value);
+    }
+}
+
+function createBindings(namespaces) {
+    const namespacesByAlias = new Map();
+    const namespacesByClrName = new Map();
+    const typesByFullName = new Map();
+    const typesByTsName = new Map(); // namespace alias → TS name → types
+    const membersByType = new Map(); // type record → { byTsName, byClrName }
+
+    for (const namespace of namespaces) {
+        addTo(namespacesByAlias, namespace.tsAlias, namespace);
+        addTo(namespacesByClrName, namespace.clrName, namespace);
+
+        if (!typesByTsName.has(namespace.tsAlias)) {
+            typesByTsName.set(namespace.tsAlias, new Map());
+        }
+        const byName = typesByTsName.get(namespace.tsAlias);
+
+        for (const type of namespace.types) {
+            addTo(typesByFullName, type.fullName, type);
+
+            for (const name of type.facadeNames) {
+                addTo(byName, name, type);
+            }
+
+            const members = { byTsName: new Map(), byClrName: new Map() };
+            for (const member of [...type.members, ...type.views.flatMap(v => v.members)]) {
+                if (member.tsName !== null) {
+                    addTo(members.byTsName, member.tsName, member);
+                }
+                addTo(members.byClrName, member.clrName, member);
+            }
+            membersByType.set(type, members);
+        }
+    }
+
+    const membersOf = type => {
+        const members = membersByType.get(type);
+        if (!members) {
+            throw new Error(`Not a type record of this output tree: ${type?.fullName ?? type}`);
+        }
+        return members;
+    };
+
+    /**
+     * Namespace by TypeScript alias ("System.Linq")
+     */
+    const resolveNamespace = tsAlias =>
+        single(namespacesByAlias.get(tsAlias), `namespace alias '${tsAlias}'`, ns => ns.clrName);
+
+    return {
+        namespaces,
+        resolveNamespace,
+
+        /**
+         * Namespace by CLR name
+         */
+        getNamespace(clrName) {
+            return single(namespacesByClrName.get(clrName), `CLR namespace '${clrName}'`, ns => ns.tsAlias);
+        },
+
+        /**
+         * Type by TypeScript name within a namespace alias. Accepts the
+         * identifier ("List_1"), the emitted name ("List_1$Enumerator") or the
+         * facade name ("List"); query: { genericArity }
+         */
+        resolveType(namespaceAlias, tsName, query = {}) {
+            const namespace = resolveNamespace(namespaceAlias);
+            if (!namespace) return null;
+            const candidates = (typesByTsName.get(namespace.tsAlias).get(tsName) || [])
+                .filter(type => query.genericArity === undefined || type.genericArity === query.genericArity);
+            return single(candidates, `type '${tsName}' in ${namespace.tsAlias}`, describeType);
+        },
+
+        /**
+         * Type by CLR full name ("System.Collections.Generic.List`1+Enumerator")
+         */
+        getType(fullName) {
+            return single(typesByFullName.get(fullName), `CLR type '${fullName}'`, describeType);
+        },
+
+        /**
+         * Member of a type record by TypeScript name. query: { kind, isStatic,
+         * genericArity, parameters (normalized CLR type names), view }
+         */
+        resolveMember(type, tsName, query = {}) {
+            const candidates = filterMembers(membersOf(type).byTsName.get(tsName), query);
+            return single(candidates, `member '${tsName}' of ${type.fullName}`, describeMember);
+        },
+
+        /**
+         * Member of a type record by CLR name (".ctor" for constructors);
+         * same query as resolveMember
+         */
+        getMember(type, clrName, query = {}) {
+            const candidates = filterMembers(membersOf(type).byClrName.get(clrName), query);
+            return single(candidates, `CLR member '${clrName}' of ${type.fullName}`, describeMember);
+        }
+    };
+}
+
+function filterMembers(members, query) {
+    return (members || []).filter(member =>
+        (query.kind === undefined || member.kind === query.kind) &&
+        (query.isStatic === undefined || member.isStatic === query.isStatic) &&
+        (query.genericArity === undefined || member.genericArity === query.genericArity) &&
+        (query.parameters === undefined || sameParameters(query.parameters, member.parameters)) &&
+        (query.view === undefined || member.view === query.view));
+}
+
+/**
+ * The one candidate, null for none; several throw with the candidates listed
+ */
+function single(candidates, what, describe) {
+    if (!candidates || candidates.length === 0) return null;
+    if (candidates.length === 1) return candidates[0];
+
+    const error = new Error(
+        `Ambiguous ${what}: ${candidates.length} candidates\n` +
+        candidates.map(c => `  ${describe(c)}`).join('\n'));
+    error.candidates = candidates;
+    throw error;
+}
+
+function describeType(type) {
+    return `${type.fullName} (${type.kind}, arity ${type.genericArity}, ${type.assembly})`;
+}
+
+function describeMember(member) {
+    const modifiers = [member.isStatic ? 'static ' : '', member.view ? `view ${member.view} ` : ''].join('');
+    return `${modifiers}${member.kind} ${formatSignature(member.clrName, member)} on ${member.declaringType}`;
+}
@@ -0,0 +1,261 @@
+/**
+ * Checks the per-namespace sidecar files against the JSON Schemas in
+ * spec/schemas/ and reports every violation with its JSON path.
+ *
+ *   snapshot.json  → snapshot.schema.json
+ *   typelist.json  → typelist.schema.json
+ *   metadata.json  → metadata.schema.json
+ *   bindings.json  → bindings.schema.json (optional file)
+ *
+ * The validator implements the subset of JSON Schema 2020-12 the schemas use:
+ * type, enum, minimum, properties, required, additionalProperties, items,
+ * anyOf and $ref (local "#/..." pointers and other files in spec/schemas/).
+ *
+ * Property names are compared exactly. A property that differs from a known
+ * one only by case ("Types" for "types") is reported as a casing mismatch
+ * rather than as a missing plus an unexpected property.
+ *
+ * Violation shape:
+ * { "file": "namespaces/System/snapshot.json", "path": "$.types[3].kind", "message": "..." }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listNamespaces } from './sidecars.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SCHEMA_DIR = path.join(__dirname, '../../spec/schemas');
+
+export const SIDECAR_SCHEMAS = {
+    'snapshot.json': 'snapshot.schema.json',
+    'typelist.json': 'typelist.schema.json',
+    'metadata.json': 'metadata.schema.json',
+    'bindings.json': 'bindings.schema.json'
+};
+
+// Files every namespace must have; bindings.json is only written when names differ
+const REQUIRED_SIDECARS = ['snapshot.json', 'typelist.json', 'metadata.json'];
+
+// Stop collecting after this many violations per file, so one systematic
+// mistake in a large snapshot does not flood the report
+const MAX_VIOLATIONS_PER_FILE = 50;
+
+/**
+ * Load every *.schema.json in a directory, keyed by file name (the name
+ * $ref values use).
+ */
+export function loadSchemas(schemaDir = SCHEMA_DIR) {
+    const schemas = new Map();
+    for (const file of fs.readdirSync(schemaDir).filter(f => f.endsWith('.schema.json')).sort()) {
+        schemas.set(file, JSON.parse(fs.readFileSync(path.join(schemaDir, file), 'utf-8')));
+    }
+    return schemas;
+}
+
+/**
+ * Validate a parsed document against one of the loaded schemas.
+ * Returns { violations: [{ path, message }], truncated }.
+ */
+export function validateDocument(schemas, schemaFile, document, limit = MAX_VIOLATIONS_PER_FILE) {
+    if (!schemas.has(schemaFile)) {
+        throw new Error(`Unknown schema ${schemaFile}`);
+    }
+    const context = { schemas, violations: [], limit, truncated: false };
+    check(context, schemas.get(schemaFile), schemaFile, document, '$');
+    return { violations: context.violations, truncated: context.truncated };
+}
+
+/**
+ * Validate every sidecar file of an output tree. Missing required files and
+ * unparseable JSON are violations at path "$".
+ * Returns { filesChecked, violations: [{ file, path, message }], truncatedFiles }.
+ */
+export function validateSidecarFiles(outputDir, schemas = loadSchemas()) {
+    const violations = [];
+    const truncatedFiles = [];
+    let filesChecked = 0;
+
+    for (const namespace of listNamespaces(outputDir)) {
+        for (const [fileName, schemaFile] of Object.entries(SIDECAR_SCHEMAS)) {
+            const relative = `namespaces/${namespace}/${fileName}`;
+            const filePath = path.join(outputDir, 'namespaces', namespace, fileName);
+
+            if (!fs.existsSync(filePath)) {
+                if (REQUIRED_SIDECARS.includes(fileName)) {
+                    violations.push({ file: relative, path: '$', message: 'file is missing' });
+                }
+                continue;
+            }
+
+            filesChecked++;
+            let document;
+            try {
+                document = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            } catch (err) {
+                violations.push({ file: relative, path: '$', message: `invalid JSON: ${err.message}` });
+                continue;
+            }
+
+            const result = validateDocument(schemas, schemaFile, document);
+            violations.push(...result.violations.map(v => ({ file: relative, ...v })));
+            if (result.truncated) {
+                truncatedFiles.push(relative);
+            }
+        }
+    }
+
+    return { filesChecked, violations, truncatedFiles };
+}
+
+function check(context, schema, schemaFile, value, jsonPath) {
+    if (context.violations.length >= context.limit) {
+        context.truncated = true;
+        return;
+    }
+
+    const report = message => addViolation(context, jsonPath, message);
+
+    if (schema.$ref) {
+        const target = resolveRef(context.schemas, schemaFile, schema.$ref);
+        check(context, target.schema, target.file, value, jsonPath);
+    }
+
+    if (schema.anyOf) {
+        checkAnyOf(context, schema.anyOf, schemaFile, value, jsonPath);
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            report(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        report(`expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        report(`expected a value >= ${schema.minimum}, got ${value}`);
+    }
+
+    if (typeOf(value) === 'object') {
+        checkObject(context, schema, schemaFile, value, jsonPath);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => check(context, schema.items, schemaFile, item, `${jsonPath}[${i}]`));
+    }
+}
+
+function checkObject(context, schema, schemaFile, value, jsonPath) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const known = new Map(Object.keys(properties).map(key => [key.toLowerCase(), key]));
+
+    for (const key of required) {
+        if (Object.hasOwn(value, key)) continue;
+        const miscased = Object.keys(value).find(k => k.toLowerCase() === key.toLowerCase());
+        if (!miscased) {
+            addViolation(context, jsonPath, `missing required property '${key}'`);
+        }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+        const childPath = `${jsonPath}${formatKey(key)}`;
+
+        if (Object.hasOwn(properties, key)) {
+            check(context, properties[key], schemaFile, child, childPath);
+        } else if (known.has(key.toLowerCase())) {
+            addViolation(context, childPath, `property '${key}' has wrong casing, expected '${known.get(key.toLowerCase())}'`);
+        } else if (schema.additionalProperties === false) {
+            addViolation(context, childPath, `unexpected property '${key}'`);
+        } else if (typeof schema.additionalProperties === 'object') {
+            check(context, schema.additionalProperties, schemaFile, child, childPath);
+        }
+    }
+}
+
+/**
+ * anyOf passes if any branch does. Otherwise, if exactly one branch accepts
+ * the value's JSON type (e.g. the object branch of "null or TypeReference"),
+ * that branch's violations are reported, as they are the specific ones.
+ */
+function checkAnyOf(context, branches, schemaFile, value, jsonPath) {
+    const attempts = branches.map(branch => {
+        const attempt = { schemas: context.schemas, violations: [], limit: context.limit, truncated: false };
+        check(attempt, branch, schemaFile, value, jsonPath);
+        return attempt;
+    });
+
+    if (attempts.some(a => a.violations.length === 0)) return;
+
+    const applicable = attempts.filter((_, i) => acceptsType(context.schemas, branches[i], schemaFile, value));
+    if (applicable.length === 1) {
+        for (const violation of applicable[0].violations) {
+            addViolation(context, violation.path, violation.message);
+        }
+        context.truncated = context.truncated || applicable[0].truncated;
+    } else {
+        addViolation(context, jsonPath, `does not match any of the allowed schemas, got ${typeOf(value)}`);
+    }
+}
+
+function addViolation(context, jsonPath, message) {
+    if (context.violations.length >= context.limit) {
+        context.truncated = true;
+    } else {
+        context.violations.push({ path: jsonPath, message });
+    }
+}
+
+function acceptsType(schemas, schema, schemaFile, value) {
+    if (schema.$ref) {
+        const target = resolveRef(schemas, schemaFile, schema.$ref);
+        if (!acceptsType(schemas, target.schema, target.file, value)) return false;
+    }
+    return !schema.type || [].concat(schema.type).some(type => matchesType(value, type));
+}
+
+/**
+ * Resolve "other.schema.json#/$defs/x", "#/$defs/x" or "#" relative to the
+ * file the reference appears in.
+ */
+function resolveRef(schemas, schemaFile, ref) {
+    const [file, pointer = ''] = ref.split('#');
+    const targetFile = file || schemaFile;
+    let schema = schemas.get(targetFile);
+    if (!schema) {
+        throw new Error(`Unresolvable $ref '${ref}' in ${schemaFile}`);
+    }
+
+    for (const token of pointer.split('/').filter(Boolean)) {
+        schema = schema[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+        if (schema === undefined) {
+            throw new Error(`Unresolvable $ref '${ref}' in ${schemaFile}`);
+        }
+    }
+
+    return { schema, file: targetFile };
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    return typeOf(value) === type;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * JSON path segment for an object key: .name, or ["odd key"] when needed
+ */
+export function formatKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
@@ -0,0 +1,168 @@
+/**
+ * Loaders and signature helpers for the per-namespace sidecar files the
+ * generator writes next to each index.d.ts:
+ *
+ *   snapshot.json  - what was reflected from the assemblies
+ *   typelist.json  - what was emitted to TypeScript
+ *   metadata.json  - CLR semantics the .d.ts cannot express
+ *   bindings.json  - CLR names of renamed types (only when names differ)
+ *
+ * Shared by the validation scripts in scripts/ and the runtime-bindings.js
+ * lookup module.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Namespace folders of an output tree (<outputDir>/namespaces/<ns>), sorted.
+ */
+export function listNamespaces(outputDir) {
+    const namespacesDir = path.join(outputDir, 'namespaces');
+    if (!fs.existsSync(namespacesDir)) return [];
+    return fs.readdirSync(namespacesDir)
+        .filter(name => fs.statSync(path.join(namespacesDir, name)).isDirectory())
+        .sort();
+}
+
+/**
+ * Parse one sidecar file of a namespace folder. Returns null when the file
+ * does not exist; malformed JSON throws.
+ */
+export function loadSidecar(namespacePath, fileName) {
+    const sidecarPath = path.join(namespacePath, fileName);
+    if (!fs.existsSync(sidecarPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(sidecarPath, 'utf-8'));
+}
+
+/**
+ * CLR full name of a TypeReference ("System.Collections.Generic.List`1+Enumerator")
+ */
+export function getClrFullName(typeRef) {
+    if (!typeRef) return '';
+    if (typeRef.declaringType) {
+        return `${getClrFullName(typeRef.declaringType)}+${typeRef.typeName}`;
+    }
+    return typeRef.namespace ? `${typeRef.namespace}.${typeRef.typeName}` : typeRef.typeName;
+}
+
+/**
+ * Key of a type in typelist lookups: its TsEmitName with any CLR arity
+ * backtick turned into an underscore ("List`1" → "List_1")
+ */
+export function normalizeTypeName(name) {
+    if (!name) return '';
+    return name.replace(/`/g, '_');
+}
+
+/**
+ * Facade name of a generic type: "List_1" → "List" (FacadeEmit.StripArity)
+ */
+export function stripArity(tsName) {
+    return tsName.replace(/(.)_\d+$/, '$1');
+}
+
+/**
+ * Names the facade index.d.ts can export a snapshot type under (FacadeEmit):
+ * its TsEmitName ("List_1$Enumerator") when re-exported as-is, or its
+ * TypeScript identifier ("List_1") - without the arity ("List") for generic
+ * types - when exported through a type alias.
+ */
+export function getFacadeNames(type, identifier) {
+    const names = [type.tsEmitName, identifier];
+    if (type.genericParameters.length > 0) {
+        names.push(stripArity(identifier));
+    }
+    return [...new Set(names)];
+}
+
+/**
+ * Normalize a snapshot TypeReference the same way the typelist does
+ * (SignatureNormalization.NormalizeTypeReference), e.g. "System.Collections.Generic.List`1<T>[]"
+ */
+export function normalizeTypeReference(typeRef) {
+    if (!typeRef) return '';
+    const genericArgs = typeRef.genericArgs && typeRef.genericArgs.length > 0
+        ? `<${typeRef.genericArgs.map(normalizeTypeReference).join(',')}>`
+        : '';
+    const array = '[]'.repeat(typeRef.arrayRank || 0);
+    const pointer = '*'.repeat(typeRef.pointerDepth || 0);
+    const namespacePart = typeRef.namespace ? `${typeRef.namespace}.` : '';
+    return `${namespacePart}${typeRef.typeName}${genericArgs}${array}${pointer}`;
+}
+
+/**
+ * Signature of a snapshot method or constructor, comparable with typelist entries
+ */
+export function getSnapshotSignature(member) {
+    return {
+        genericArity: (member.genericParameters || []).length,
+        parameters: (member.parameters || []).map(p => normalizeTypeReference(p.type))
+    };
+}
+
+export function signatureKey(signature) {
+    return `${signature.genericArity}(${signature.parameters.join(',')})`;
+}
+
+export function signatureShape(signature) {
+    return `${signature.genericArity}/${signature.parameters.length}`;
+}
+
+/**
+ * Display form of a signature: "Select``2(System.Collections.Generic.IEnumerable`1)"
+ */
+export function formatSignature(name, signature) {
+    const arity = signature.genericArity > 0 ? `\`\`${signature.genericArity}` : '';
+    return `${name}${arity}(${signature.parameters.join(', ')})`;
+}
+
+/**
+ * Parse a SignatureNormalization.GetNormalizedSignature string, e.g.
+ * "copyTo<T>(in:T[]:req:noparams,in:System.Int32:opt:noparams)|ret:System.Void|static=false",
+ * into { name, genericParameters, parameters: [{ kind, type, isOptional, isParams }],
+ * returnType, isStatic }. Returns null for malformed signatures.
+ */
+export function parseNormalizedSignature(signature) {
+    const match = /^([^<(|]+)(?:<([^<>()]*)>)?\((.*)\)\|ret:(.+)\|static=(true|false)$/.exec(signature);
+    if (!match) return null;
+
+    const [, name, generics, parameterList, returnType, isStatic] = match;
+    const parameters = [];
+    for (const part of splitTopLevel(parameterList)) {
+        const fields = /^(in|ref|out|params):(.+):(req|opt):(params|noparams)$/.exec(part);
+        if (!fields) return null;
+        parameters.push({ kind: fields[1], type: fields[2], isOptional: fields[3] === 'opt', isParams: fields[4] === 'params' });
+    }
+
+    return {
+        name,
+        genericParameters: generics ? generics.split(',') : [],
+        parameters,
+        returnType,
+        isStatic: isStatic === 'true'
+    };
+}
+
+/**
+ * Split on commas outside generic argument lists
+ */
+function splitTopLevel(list) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < list.length; i++) {
+        if (list[i] === '<') depth++;
+        else if (list[i] === '>') depth--;
+        else if (list[i] === ',' && depth === 0) {
+            parts.push(list.slice(start, i));
+            start = i + 1;
+        }
+    }
+    if (list.length > 0) {
+        parts.push(list.slice(start));
+    }
+    return parts;
+}
@@ -0,0 +1,230 @@
+/**
+ * Validation targets: a name, an assembly directory and an optional namespace
+ * filter, resolved from --assembly-dir flags, the validation config
+ * (validation.config.json) or the installed .NET runtimes. Shared by
+ * validate.js and qa.js.
+ *
+ * Every target gets its default places under .tests/: outputDir
+ * (.tests/validation/<folder>) and cachePath (.tests/tsc-cache/<folder>.json),
+ * where folder is the name with unsafe characters replaced.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_CONFIG_PATH = path.join(PROJECT_ROOT, 'validation.config.json');
+
+export const VALIDATION_ROOT = path.join(PROJECT_ROOT, '.tests', 'validation');
+export const TSC_CACHE_DIR = path.join(PROJECT_ROOT, '.tests', 'tsc-cache');
+
+// Where `dotnet` installs usually live; DOTNET_ROOT wins when set
+export const DOTNET_ROOTS = [
+    process.env.DOTNET_ROOT,
+    path.join(os.homedir(), 'dotnet'),
+    path.join(os.homedir(), '.dotnet'),
+    '/usr/share/dotnet',
+    '/usr/lib/dotnet',
+    '/usr/local/share/dotnet'
+].filter(Boolean);
+
+const DEFAULT_FRAMEWORK = 'Microsoft.NETCore.App';
+
+function expandHome(p) {
+    return p.startsWith('~') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/**
+ * Orders version directory names like "8.0.20" and "10.0.0-rc.1.25451.107".
+ * Numeric parts compare numerically; a prerelease sorts before its release.
+ */
+function compareVersions(a, b) {
+    const [coreA, preA] = a.split(/-(.*)/s);
+    const [coreB, preB] = b.split(/-(.*)/s);
+    const partsA = coreA.split('.').map(Number);
+    const partsB = coreB.split('.').map(Number);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+
+    if (preA && !preB) return -1;
+    if (!preA && preB) return 1;
+    return (preA || '').localeCompare(preB || '', undefined, { numeric: true });
+}
+
+/**
+ * Finds every installed shared framework (e.g. Microsoft.NETCore.App,
+ * Microsoft.AspNetCore.App) under the known dotnet roots.
+ */
+export function discoverRuntimes() {
+    const runtimes = [];
+    const seen = new Set();
+
+    for (const root of DOTNET_ROOTS) {
+        const sharedDir = path.join(root, 'shared');
+        if (!fs.existsSync(sharedDir)) continue;
+
+        for (const framework of fs.readdirSync(sharedDir)) {
+            const frameworkDir = path.join(sharedDir, framework);
+            if (!fs.statSync(frameworkDir).isDirectory()) continue;
+
+            for (const version of fs.readdirSync(frameworkDir)) {
+                const assemblyDir = fs.realpathSync(path.join(frameworkDir, version));
+                if (seen.has(assemblyDir) || !fs.statSync(assemblyDir).isDirectory()) continue;
+                seen.add(assemblyDir);
+                runtimes.push({ framework, version, assemblyDir });
+            }
+        }
+    }
+
+    return runtimes.sort((a, b) =>
+        a.framework.localeCompare(b.framework) || compareVersions(a.version, b.version));
+}
+
+export function runtimeTargetName(framework, version) {
+    return `${framework}@${version}`;
+}
+
+/**
+ * Resolves a config target's `runtime` shorthand ("Microsoft.NETCore.App" or
+ * "Microsoft.NETCore.App@8.0.20") to an installed shared framework directory.
+ */
+function resolveRuntime(spec, runtimes) {
+    const [framework, version] = spec.split('@');
+    const candidates = runtimes.filter(r =>
+        r.framework === framework && (!version || r.version === version));
+
+    if (candidates.length === 0) {
+        throw new Error(`Runtime not installed: ${spec} (searched ${DOTNET_ROOTS.join(', ')})`);
+    }
+
+    return candidates[candidates.length - 1];
+}
+
+function loadConfig(configPath) {
+    const resolved = configPath ? path.resolve(configPath) : DEFAULT_CONFIG_PATH;
+
+    if (!fs.existsSync(resolved)) {
+        if (configPath) {
+            throw new Error(`Validation config not found: ${resolved}`);
+        }
+        return null;
+    }
+
+    const config = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+    if (!Array.isArray(config.targets)) {
+        throw new Error(`Validation config ${resolved} must have a "targets" array`);
+    }
+
+    return { path: resolved, targets: config.targets };
+}
+
+function normalizeConfigTarget(entry, configDir, runtimes) {
+    if (!entry.name) {
+        throw new Error(`Validation target is missing "name": ${JSON.stringify(entry)}`);
+    }
+    if (Boolean(entry.assemblyDir) === Boolean(entry.runtime)) {
+        throw new Error(`Validation target "${entry.name}" needs exactly one of "assemblyDir" or "runtime"`);
+    }
+
+    const assemblyDir = entry.runtime
+        ? resolveRuntime(entry.runtime, runtimes).assemblyDir
+        : path.resolve(configDir, expandHome(entry.assemblyDir));
+
+    return {
+        name: entry.name,
+        assemblyDir,
+        namespaces: entry.namespaces || []
+    };
+}
+
+export function targetNameForDir(dir) {
+    const base = path.basename(dir);
+    // Versioned folders (shared frameworks, NuGet caches) read better with their parent
+    return /^\d/.test(base) ? `${path.basename(path.dirname(dir))}@${base}` : base;
+}
+
+/**
+ * Builds the list of targets, in priority order: assemblyDirs (--assembly-dir
+ * flags), then the config file, then auto-discovery. targetNames (--target)
+ * narrows the configured or discovered set by name; namespaces replaces every
+ * target's namespace filter.
+ */
+export function resolveTargets({ configPath, targetNames = [], assemblyDirs = [], namespaces = [] }) {
+    const runtimes = discoverRuntimes();
+    const config = assemblyDirs.length > 0 ? null : loadConfig(configPath);
+    let targets;
+
+    if (assemblyDirs.length > 0) {
+        targets = assemblyDirs.map(dir => {
+            const assemblyDir = path.resolve(expandHome(dir));
+            return { name: targetNameForDir(assemblyDir), assemblyDir, namespaces: [] };
+        });
+    } else if (config) {
+        const configDir = path.dirname(config.path);
+        targets = config.targets.map(entry => normalizeConfigTarget(entry, configDir, runtimes));
+    } else {
+        targets = runtimes.map(r => ({
+            name: runtimeTargetName(r.framework, r.version),
+            assemblyDir: r.assemblyDir,
+            namespaces: []
+        }));
+
+        // Without an explicit choice, validate only the newest core runtime
+        if (targetNames.length === 0) {
+            const core = runtimes.filter(r => r.framework === DEFAULT_FRAMEWORK);
+            const newest = core[core.length - 1];
+            targets = targets.filter(t => newest && t.assemblyDir === newest.assemblyDir);
+        }
+    }
+
+    if (targetNames.length > 0) {
+        const unknown = targetNames.filter(name => !targets.some(t => t.name === name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown validation target(s): ${unknown.join(', ')}`);
+        }
+        targets = targets.filter(t => targetNames.includes(t.name));
+    }
+
+    if (namespaces.length > 0) {
+        targets = targets.map(t => ({ ...t, namespaces }));
+    }
+
+    const names = new Set();
+    const folders = new Map();
+    for (const target of targets) {
+        if (names.has(target.name)) {
+            throw new Error(`Duplicate validation target name: ${target.name}`);
+        }
+        names.add(target.name);
+        target.folder = target.name.replace(/[^\w.@-]/g, '_');
+        // Distinct names can still share a folder ("net 8" and "net/8")
+        if (folders.has(target.folder)) {
+            throw new Error(`Validation targets "${folders.get(target.folder)}" and "${target.name}" both map to folder ${target.folder}`);
+        }
+        folders.set(target.folder, target.name);
+        target.outputDir = path.join(VALIDATION_ROOT, target.folder);
+        target.cachePath = path.join(TSC_CACHE_DIR, `${target.folder}.json`);
+    }
+
+    return targets;
+}
+
+/**
+ * Output directory of the default validation target (the one validate.js
+ * picks without flags), for scripts whose target directory argument is
+ * optional. Throws unless exactly one target resolves.
+ */
+export function defaultOutputDir(options = {}) {
+    const targets = resolveTargets(options);
+    if (targets.length !== 1) {
+        const names = targets.map(t => t.name).join(', ') || 'none found';
+        throw new Error(`Expected exactly one default validation target (${names}); pass the target directory`);
+    }
+    return targets[0].outputDir;
+}
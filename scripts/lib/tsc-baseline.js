@@ -0,0 +1,144 @@
+/**
+ * Ratcheting baseline for TypeScript errors in generated declarations.
+ *
+ * The baseline records, per validation target, how many tsc errors each error
+ * code and each namespace produced. A run fails when any bucket grows; buckets
+ * that shrink are reported as improvements and can be locked in with
+ * --update-baseline so they cannot silently regress later.
+ *
+ * File format (scripts/tsc-baseline.json):
+ * {
+ *   "version": 1,
+ *   "targets": {
+ *     "netcore": {
+ *       "total": 120,
+ *       "byCode": { "TS2416": 80, "TS2420": 40 },
+ *       "byNamespace": { "System.Linq": 70, "System.Collections.Generic": 50 }
+ *     }
+ *   }
+ * }
+ */
+
+import fs from 'fs';
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Load the baseline file, or an empty baseline if it does not exist yet.
+ */
+export function loadBaseline(baselinePath) {
+    if (!fs.existsSync(baselinePath)) {
+        return { version: BASELINE_VERSION, targets: {} };
+    }
+
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+    if (baseline.version !== BASELINE_VERSION) {
+        throw new Error(`Unsupported tsc baseline version ${baseline.version} in ${baselinePath}`);
+    }
+
+    return baseline;
+}
+
+/**
+ * Write the baseline with sorted keys so diffs stay reviewable.
+ */
+export function saveBaseline(baselinePath, baseline) {
+    const targets = {};
+    for (const name of Object.keys(baseline.targets).sort()) {
+        const entry = baseline.targets[name];
+        targets[name] = {
+            total: entry.total,
+            byCode: sortKeys(entry.byCode),
+            byNamespace: sortKeys(entry.byNamespace)
+        };
+    }
+
+    fs.writeFileSync(
+        baselinePath,
+        JSON.stringify({ version: BASELINE_VERSION, targets }, null, 2) + '\n'
+    );
+}
+
+/**
+ * Compare a run's error counts ({ total, byCode, byNamespace }) with a target's
+ * baseline entry. Buckets missing from the baseline count as zero.
+ *
+ * A run narrowed to some namespaces (--namespaces) only covers their namespace
+ * buckets; error-code buckets span every namespace, so they are not compared.
+ */
+export function compareWithBaseline(entry, counts, namespaces = []) {
+    if (!entry) {
+        return { hasBaseline: false, regressions: [], improvements: [] };
+    }
+
+    const regressions = [];
+    const improvements = [];
+    const buckets = namespaces.length > 0 ? ['byNamespace'] : ['byCode', 'byNamespace'];
+
+    for (const bucket of buckets) {
+        const before = entry[bucket] || {};
+        const after = counts[bucket] || {};
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        if (namespaces.length > 0) {
+            for (const key of keys) {
+                if (!namespaces.includes(key)) keys.delete(key);
+            }
+        }
+
+        for (const key of [...keys].sort()) {
+            const baseline = before[key] || 0;
+            const current = after[key] || 0;
+            if (current > baseline) {
+                regressions.push({ bucket, key, baseline, current });
+            } else if (current < baseline) {
+                improvements.push({ bucket, key, baseline, current });
+            }
+        }
+    }
+
+    return { hasBaseline: true, regressions, improvements };
+}
+
+/**
+ * Produce the new baseline entry for a target.
+ *
+ * Improvements are always locked in. Buckets that grew keep their old count
+ * unless acceptRegressions is set, so a regression has to be accepted
+ * explicitly rather than slipping in with an update. counts must come from a
+ * run over all of the target's namespaces: buckets a run did not cover would
+ * be ratcheted down to zero.
+ */
+export function ratchetEntry(entry, counts, acceptRegressions) {
+    if (!entry || acceptRegressions) {
+        return {
+            total: counts.total,
+            byCode: { ...counts.byCode },
+            byNamespace: { ...counts.byNamespace }
+        };
+    }
+
+    const next = { byCode: {}, byNamespace: {} };
+    for (const bucket of ['byCode', 'byNamespace']) {
+        const before = entry[bucket] || {};
+        const after = counts[bucket] || {};
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        for (const key of keys) {
+            const value = Math.min(before[key] || 0, after[key] || 0);
+            if (value > 0) {
+                next[bucket][key] = value;
+            }
+        }
+    }
+    next.total = Object.values(next.byCode).reduce((sum, n) => sum + n, 0);
+
+    return next;
+}
+
+function sortKeys(obj) {
+    const sorted = {};
+    for (const key of Object.keys(obj || {}).sort()) {
+        sorted[key] = obj[key];
+    }
+    return sorted;
+}
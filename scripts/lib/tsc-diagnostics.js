@@ -0,0 +1,215 @@
+/**
+ * Type-checks a generated output tree through the TypeScript compiler API and
+ * turns the diagnostics into structured records.
+ *
+ * Record shape:
+ * {
+ *   "code": "TS2416",
+ *   "category": "error",
+ *   "file": "namespaces/System.Linq/internal/index.d.ts",  // relative to the tree, null for global
+ *   "namespace": "System.Linq",                             // "(global)" when there is no file
+ *   "line": 12,                                             // 1-based, null for global
+ *   "column": 5,
+ *   "messageChain": ["Property 'Foo' in type 'A' is not assignable ...", "Type 'B' is not ..."]
+ * }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ts from 'typescript';
+
+export const GLOBAL_NAMESPACE = '(global)';
+
+/**
+ * Parse <projectDir>/tsconfig.json (or another config file of the project)
+ * into root file names and compiler options.
+ */
+export function parseProjectConfig(projectDir, configName = 'tsconfig.json') {
+    const configPath = path.join(projectDir, configName);
+    return ts.getParsedCommandLineOfConfigFile(configPath, {}, {
+        ...ts.sys,
+        onUnRecoverableConfigFileDiagnostic: diagnostic => {
+            throw new Error(ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+        }
+    });
+}
+
+/**
+ * Build a program from <projectDir>/tsconfig.json (or configName) and collect
+ * every diagnostic tsc --noEmit would report. Returns the raw diagnostics plus
+ * records.
+ */
+export function typeCheckProject(projectDir, configName) {
+    const parsed = parseProjectConfig(projectDir, configName);
+
+    const program = ts.createProgram({
+        rootNames: parsed.fileNames,
+        options: parsed.options,
+        projectReferences: parsed.projectReferences
+    });
+
+    const diagnostics = [
+        ...parsed.errors,
+        ...ts.getPreEmitDiagnostics(program)
+    ];
+
+    return {
+        diagnostics,
+        records: diagnostics.map(d => toRecord(d, projectDir)),
+        fileCount: parsed.fileNames.length
+    };
+}
+
+/**
+ * Type-check only the given files. Their imports are loaded into the program
+ * but diagnostics are collected for the given files alone, so a namespace can
+ * be checked in isolation without re-reporting its dependencies' errors.
+ */
+export function typeCheckFiles(projectDir, options, fileNames) {
+    const program = ts.createProgram({ rootNames: fileNames, options });
+    const diagnostics = [
+        ...program.getOptionsDiagnostics(),
+        ...program.getGlobalDiagnostics()
+    ];
+
+    for (const fileName of fileNames) {
+        const sourceFile = program.getSourceFile(fileName);
+        if (!sourceFile) continue;
+        diagnostics.push(...program.getSyntacticDiagnostics(sourceFile));
+        diagnostics.push(...program.getSemanticDiagnostics(sourceFile));
+    }
+
+    return diagnostics.map(d => toRecord(d, projectDir));
+}
+
+/**
+ * Format diagnostics the way the tsc command line prints them (paths relative
+ * to the current directory), for the plain-text report.
+ */
+export function formatDiagnostics(diagnostics) {
+    return ts.formatDiagnostics(diagnostics, {
+        getCanonicalFileName: fileName => fileName,
+        getCurrentDirectory: () => process.cwd(),
+        getNewLine: () => '\n'
+    });
+}
+
+/**
+ * Format records in the same layout as formatDiagnostics, for results that
+ * only exist as records (worker threads, cache). Nested chain messages are
+ * indented like tsc does.
+ */
+export function formatRecords(records, rootDir) {
+    return records.map(record => {
+        const [first, ...rest] = record.messageChain;
+        let location = '';
+        if (record.file) {
+            const file = path.relative(process.cwd(), path.join(rootDir, record.file));
+            location = record.line !== null ? `${file}(${record.line},${record.column}): ` : `${file}: `;
+        }
+        const nested = rest.map(message => `\n  ${message}`).join('');
+        return `${location}${record.category} ${record.code}: ${first}${nested}\n`;
+    }).join('');
+}
+
+/**
+ * Convert a ts.Diagnostic into a plain record.
+ */
+export function toRecord(diagnostic, rootDir) {
+    let file = null;
+    let line = null;
+    let column = null;
+
+    if (diagnostic.file) {
+        file = path.relative(rootDir, diagnostic.file.fileName).split(path.sep).join('/');
+        if (diagnostic.start !== undefined) {
+            const pos = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+            line = pos.line + 1;
+            column = pos.character + 1;
+        }
+    }
+
+    return {
+        code: `TS${diagnostic.code}`,
+        category: ts.DiagnosticCategory[diagnostic.category].toLowerCase(),
+        file,
+        namespace: namespaceOfFile(file),
+        line,
+        column,
+        messageChain: flattenMessageChain(diagnostic.messageText)
+    };
+}
+
+/**
+ * Namespace folder a generated file belongs to ("namespaces/<ns>/...").
+ */
+export function namespaceOfFile(file) {
+    if (!file) return GLOBAL_NAMESPACE;
+    const match = file.match(/(?:^|\/)namespaces\/([^/]+)\//);
+    return match ? match[1] : GLOBAL_NAMESPACE;
+}
+
+/**
+ * Summarise error records into the counts validate.js reports and baselines.
+ */
+export function summarizeDiagnostics(records) {
+    const errors = records.filter(r => r.category === 'error');
+    const byCode = {};
+    const byNamespace = {};
+
+    for (const r of errors) {
+        byCode[r.code] = (byCode[r.code] || 0) + 1;
+        byNamespace[r.namespace] = (byNamespace[r.namespace] || 0) + 1;
+    }
+
+    const codeNumber = r => Number(r.code.slice(2));
+
+    return {
+        totalErrors: errors.length,
+        syntaxErrors: errors.filter(r => codeNumber(r) >= 1000 && codeNumber(r) < 2000).length,
+        semanticErrors: errors.filter(r => codeNumber(r) >= 2000 && codeNumber(r) < 3000).length,
+        duplicateErrors: errors.filter(r => r.code === 'TS6200').length,
+        counts: { total: errors.length, byCode, byNamespace }
+    };
+}
+
+/**
+ * Write the structured report. Kept as one JSON document so other tools can
+ * load it without re-running the type-check.
+ */
+export function writeDiagnosticsReport(reportPath, records, summary) {
+    const report = {
+        generatedAt: new Date().toISOString(),
+        typescriptVersion: ts.version,
+        summary,
+        diagnostics: records
+    };
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+}
+
+/**
+ * Human-readable single line for a record: "file(line,col): TSxxxx message".
+ */
+export function describeRecord(record) {
+    const location = record.file
+        ? `${record.file}${record.line !== null ? `(${record.line},${record.column})` : ''}: `
+        : '';
+    return `${location}${record.code} ${record.messageChain[0]}`;
+}
+
+function flattenMessageChain(messageText) {
+    if (typeof messageText === 'string') {
+        return [messageText];
+    }
+
+    const messages = [];
+    const visit = (chain) => {
+        messages.push(chain.messageText);
+        for (const next of chain.next || []) {
+            visit(next);
+        }
+    };
+    visit(messageText);
+
+    return messages;
+}
@@ -0,0 +1,337 @@
+/**
+ * Per-namespace, cached type-checking of a generated output tree.
+ *
+ * Each namespace folder (namespaces/<ns>/**.d.ts) is checked in its own
+ * program on a pool of worker threads. Its imports are loaded but only its own
+ * files are reported, so every error is attributed to exactly one namespace.
+ *
+ * Results are cached by a content hash of the namespace's declaration files
+ * plus those of every namespace it transitively imports (and the compiler
+ * options / TypeScript version / inputs from outside namespaces/, such as the
+ * resolved @tsonic/types package). A namespace is re-checked only when that
+ * hash changes, e.g. because it or one of its dependencies was regenerated.
+ *
+ * Cache format:
+ * {
+ *   "version": 1,
+ *   "namespaces": {
+ *     "System.Linq": { "hash": "<sha256>", "records": [ ...diagnostic records ] }
+ *   }
+ * }
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import ts from 'typescript';
+import { parseProjectConfig, namespaceOfFile, toRecord } from './tsc-diagnostics.js';
+import { transitiveClosure } from './dependency-graph.js';
+
+const CACHE_VERSION = 1;
+const WORKER_URL = new URL('./tsc-worker.js', import.meta.url);
+
+/**
+ * Default pool size: one worker per core, capped because every worker holds a
+ * full program for its namespace's dependency closure in memory.
+ */
+export function defaultJobs() {
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.max(1, Math.min(4, cores));
+}
+
+/**
+ * Map each namespace folder to its .d.ts files (absolute, sorted).
+ */
+export function collectNamespaceFiles(projectDir) {
+    const namespacesDir = path.join(projectDir, 'namespaces');
+    const filesByNamespace = new Map();
+
+    for (const ns of fs.readdirSync(namespacesDir).sort()) {
+        const nsDir = path.join(namespacesDir, ns);
+        if (!fs.statSync(nsDir).isDirectory()) continue;
+
+        const files = [];
+        const walk = (dir) => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const full = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    walk(full);
+                } else if (entry.name.endsWith('.d.ts')) {
+                    files.push(full);
+                }
+            }
+        };
+        walk(nsDir);
+
+        if (files.length > 0) {
+            filesByNamespace.set(ns, files.sort());
+        }
+    }
+
+    return filesByNamespace;
+}
+
+/**
+ * Direct namespace dependencies, read from each file's import specifiers and
+ * triple-slash references. Self-imports (facade → internal) are ignored.
+ */
+export function collectNamespaceDependencies(projectDir, filesByNamespace, contents) {
+    const dependencies = new Map();
+
+    for (const [ns, files] of filesByNamespace) {
+        const deps = new Set();
+
+        for (const file of files) {
+            const info = ts.preProcessFile(contents.get(file), true, true);
+            const specifiers = [...info.importedFiles, ...info.referencedFiles].map(f => f.fileName);
+
+            for (const specifier of specifiers) {
+                if (!specifier.startsWith('.')) continue;
+                const target = path.relative(projectDir, path.resolve(path.dirname(file), specifier));
+                const depNs = namespaceOfFile(target.split(path.sep).join('/'));
+                if (depNs !== ns && filesByNamespace.has(depNs)) {
+                    deps.add(depNs);
+                }
+            }
+        }
+
+        dependencies.set(ns, deps);
+    }
+
+    return dependencies;
+}
+
+/**
+ * Inputs the namespace programs load from outside namespaces/: packages
+ * (non-relative imports, type reference directives and the automatic or
+ * configured "types") and relative imports leaving the tree. Each is
+ * described by the package name and version, when it comes from one, plus a
+ * hash of the resolved file, so updating a dependency changes the result.
+ * Returns the sorted descriptions.
+ */
+export function collectExternalInputs(projectDir, filesByNamespace, contents, options) {
+    const namespacesDir = path.join(projectDir, 'namespaces') + path.sep;
+    const moduleCache = ts.createModuleResolutionCache(projectDir, fileName => fileName, options);
+    const inputs = new Map(); // resolved file → description
+
+    const add = (resolved) => {
+        if (!resolved || inputs.has(resolved.resolvedFileName)) return;
+        const file = resolved.resolvedFileName;
+        if (file.startsWith(namespacesDir)) return;
+
+        const digest = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+        const { packageId } = resolved;
+        const source = packageId ? `${packageId.name}@${packageId.version}` : path.relative(projectDir, file);
+        inputs.set(file, `${source}:${digest}`);
+    };
+
+    const addTypes = (name, containingFile) =>
+        add(ts.resolveTypeReferenceDirective(name, containingFile, options, ts.sys).resolvedTypeReferenceDirective);
+
+    // Resolved the way tsc resolves them, relative to the project config
+    for (const name of ts.getAutomaticTypeDirectiveNames(options, ts.sys)) {
+        addTypes(name, path.join(projectDir, '__inferred type names__.ts'));
+    }
+
+    for (const files of filesByNamespace.values()) {
+        for (const file of files) {
+            const info = ts.preProcessFile(contents.get(file), true, true);
+            for (const { fileName } of info.importedFiles) {
+                add(ts.resolveModuleName(fileName, file, options, ts.sys, moduleCache).resolvedModule);
+            }
+            for (const { fileName } of info.referencedFiles) {
+                const target = path.resolve(path.dirname(file), fileName);
+                if (fs.existsSync(target)) add({ resolvedFileName: target });
+            }
+            for (const { fileName } of info.typeReferenceDirectives) {
+                addTypes(fileName, file);
+            }
+        }
+    }
+
+    return [...inputs.values()].sort();
+}
+
+/**
+ * Hash every namespace together with its transitive dependency closure.
+ */
+export function computeNamespaceHashes(filesByNamespace, dependencies, contents, salt) {
+    const ownDigest = new Map();
+    for (const [ns, files] of filesByNamespace) {
+        const hash = crypto.createHash('sha256');
+        for (const file of files) {
+            hash.update(path.basename(path.dirname(file)) + '/' + path.basename(file));
+            hash.update('\0');
+            hash.update(contents.get(file));
+            hash.update('\0');
+        }
+        ownDigest.set(ns, hash.digest('hex'));
+    }
+
+    const hashes = new Map();
+    for (const ns of filesByNamespace.keys()) {
+        const closure = [...transitiveClosure(ns, dependencies)].sort();
+        const hash = crypto.createHash('sha256').update(salt);
+        for (const member of closure) {
+            hash.update(`\0${member}\0${ownDigest.get(member)}`);
+        }
+        hashes.set(ns, hash.digest('hex'));
+    }
+
+    return hashes;
+}
+
+function loadCache(cachePath) {
+    if (!cachePath || !fs.existsSync(cachePath)) {
+        return { version: CACHE_VERSION, namespaces: {} };
+    }
+
+    try {
+        const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+        return cache.version === CACHE_VERSION ? cache : { version: CACHE_VERSION, namespaces: {} };
+    } catch {
+        // A corrupt cache only costs a full re-check
+        return { version: CACHE_VERSION, namespaces: {} };
+    }
+}
+
+function saveCache(cachePath, cache) {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(cache));
+}
+
+/**
+ * Run tasks on a pool of worker threads. Each task is { projectDir, configName, files };
+ * resolves to the records of each task, in task order.
+ */
+function runPool(tasks, jobs, onDone) {
+    if (tasks.length === 0) return Promise.resolve([]);
+
+    return new Promise((resolve, reject) => {
+        const results = new Array(tasks.length);
+        const workers = [];
+        let next = 0;
+        let finished = 0;
+        let failed = false;
+
+        const shutdown = () => Promise.all(workers.map(w => w.terminate()));
+
+        const dispatch = (worker) => {
+            if (next >= tasks.length) return;
+            const id = next++;
+            const { projectDir, configName, files } = tasks[id];
+            worker.postMessage({ id, projectDir, configName, files });
+        };
+
+        for (let i = 0; i < Math.min(jobs, tasks.length); i++) {
+            const worker = new Worker(WORKER_URL);
+            workers.push(worker);
+
+            worker.on('message', ({ id, records, error }) => {
+                if (failed) return;
+                if (error) {
+                    failed = true;
+                    shutdown().then(() => reject(new Error(`Type-check failed for ${tasks[id].label}: ${error}`)));
+                    return;
+                }
+
+                results[id] = records;
+                finished++;
+                onDone?.(tasks[id], records);
+
+                if (finished === tasks.length) {
+                    shutdown().then(() => resolve(results));
+                } else {
+                    dispatch(worker);
+                }
+            });
+
+            worker.on('error', err => {
+                if (failed) return;
+                failed = true;
+                shutdown().then(() => reject(err));
+            });
+
+            dispatch(worker);
+        }
+    });
+}
+
+/**
+ * Type-check every namespace of a generated tree in isolation.
+ *
+ * Options:
+ *   configName - project config file (default tsconfig.json)
+ *   cachePath  - where cached results live (omit to disable caching)
+ *   jobs       - worker pool size
+ *   onChecked  - callback(namespace, records) after each fresh check
+ *
+ * Returns { records, checked, cached } where checked/cached list namespaces.
+ */
+export async function typeCheckNamespaces(projectDir, { configName = 'tsconfig.json', cachePath, jobs = defaultJobs(), onChecked } = {}) {
+    const parsed = parseProjectConfig(projectDir, configName);
+    const filesByNamespace = collectNamespaceFiles(projectDir);
+
+    const contents = new Map();
+    for (const files of filesByNamespace.values()) {
+        for (const file of files) {
+            contents.set(file, fs.readFileSync(file, 'utf-8'));
+        }
+    }
+
+    const dependencies = collectNamespaceDependencies(projectDir, filesByNamespace, contents);
+    const external = collectExternalInputs(projectDir, filesByNamespace, contents, parsed.options);
+    const salt = `${ts.version}\0${JSON.stringify(parsed.options)}\0${external.join('\0')}`;
+    const hashes = computeNamespaceHashes(filesByNamespace, dependencies, contents, salt);
+
+    const cache = loadCache(cachePath);
+    const tasks = [];
+    const cached = [];
+
+    for (const [ns, files] of filesByNamespace) {
+        const entry = cache.namespaces[ns];
+        if (cachePath && entry && entry.hash === hashes.get(ns)) {
+            cached.push(ns);
+        } else {
+            tasks.push({ label: ns, projectDir, configName, files });
+        }
+    }
+
+    const fresh = await runPool(tasks, jobs, (task, records) => onChecked?.(task.label, records));
+    const freshByNamespace = new Map(tasks.map((task, i) => [task.label, fresh[i]]));
+
+    const nextCache = { version: CACHE_VERSION, namespaces: {} };
+    const records = parsed.errors.map(d => toRecord(d, projectDir));
+    const seenGlobal = new Set();
+
+    const addRecords = (list) => {
+        for (const record of list) {
+            // Option/global diagnostics come back from every program; keep one copy
+            if (record.file === null) {
+                const key = `${record.code}\0${record.messageChain.join('\n')}`;
+                if (seenGlobal.has(key)) continue;
+                seenGlobal.add(key);
+            }
+            records.push(record);
+        }
+    };
+
+    for (const ns of filesByNamespace.keys()) {
+        const nsRecords = freshByNamespace.get(ns) ?? cache.namespaces[ns].records;
+        nextCache.namespaces[ns] = { hash: hashes.get(ns), records: nsRecords };
+        addRecords(nsRecords);
+    }
+
+    if (cachePath) {
+        saveCache(cachePath, nextCache);
+    }
+
+    return {
+        records,
+        checked: tasks.map(t => t.label),
+        cached,
+        dependencies
+    };
+}
@@ -0,0 +1,145 @@
+/**
+ * Named TypeScript compiler-option profiles for validate.js --profiles.
+ *
+ * The same generated tree is type-checked once per profile, each with its own
+ * tsconfig.<profile>.json next to the generated namespaces. The baseline
+ * profile writes tsconfig.json and is the one compared against the committed
+ * error baseline; the others show what consumers with different settings run
+ * into.
+ *
+ * File format (scripts/tsc-profiles.json):
+ * {
+ *   "version": 1,
+ *   "baseline": "default",
+ *   "compilerOptions": { "target": "ES2020", "strict": true, ... },
+ *   "profiles": {
+ *     "default": { "description": "..." },
+ *     "node16": {
+ *       "description": "...",
+ *       "compilerOptions": { "module": "node16", "moduleResolution": "node16" }
+ *     }
+ *   }
+ * }
+ *
+ * A profile's compilerOptions are laid over the shared ones. Options are
+ * checked with the TypeScript version in use, so a misspelt option or value
+ * fails the run instead of silently checking under the wrong settings.
+ */
+
+import fs from 'fs';
+import ts from 'typescript';
+
+const PROFILES_VERSION = 1;
+const PROFILE_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Load and validate a profiles file: { baseline, profiles: Map(name →
+ * { name, description, compilerOptions }) }
+ */
+export function loadTscProfiles(profilesPath) {
+    const config = JSON.parse(fs.readFileSync(profilesPath, 'utf-8'));
+    if (config.version !== PROFILES_VERSION) {
+        throw new Error(`Unsupported tsc profiles version ${config.version} in ${profilesPath}`);
+    }
+
+    const profiles = new Map();
+    for (const [name, profile] of Object.entries(config.profiles || {})) {
+        if (!PROFILE_NAME.test(name)) {
+            throw new Error(`Profile name '${name}' in ${profilesPath} must be lowercase letters, digits and dashes`);
+        }
+
+        const compilerOptions = { ...config.compilerOptions, ...profile.compilerOptions };
+        const { errors } = ts.convertCompilerOptionsFromJson(compilerOptions, '.');
+        if (errors.length > 0) {
+            const messages = errors.map(e => ts.flattenDiagnosticMessageText(e.messageText, ' '));
+            throw new Error(`Profile '${name}' in ${profilesPath}: ${messages.join('; ')}`);
+        }
+
+        profiles.set(name, { name, description: profile.description || '', compilerOptions });
+    }
+
+    if (!profiles.has(config.baseline)) {
+        throw new Error(`Baseline profile '${config.baseline}' is not defined in ${profilesPath}`);
+    }
+
+    return { version: config.version, baseline: config.baseline, profiles };
+}
+
+/**
+ * Profiles to run for a --profiles list ("all" for every profile), baseline
+ * first and always included
+ */
+export function selectProfiles(config, names) {
+    const requested = names.includes('all') ? [...config.profiles.keys()] : names;
+    const unknown = requested.filter(name => !config.profiles.has(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown tsc profile(s) ${unknown.join(', ')} (expected ${[...config.profiles.keys()].join(', ')} or all)`);
+    }
+
+    const selected = [config.baseline, ...requested.filter(name => name !== config.baseline)];
+    return [...new Set(selected)].map(name => config.profiles.get(name));
+}
+
+/**
+ * File name of a profile's project config
+ */
+export function tsConfigName(config, profile) {
+    return profile.name === config.baseline ? 'tsconfig.json' : `tsconfig.${profile.name}.json`;
+}
+
+/**
+ * tsconfig.json contents for a profile
+ */
+export function buildTsConfig(profile) {
+    return {
+        compilerOptions: profile.compilerOptions,
+        include: [
+            'namespaces/**/*.d.ts'
+        ]
+    };
+}
+
+/**
+ * Split error records of several profiles (Map(profile → records)) into the
+ * errors every profile reports and those only some do. The same error is the
+ * same code at the same position with the same message.
+ *
+ * Returns { common: [record], specific: [{ record, profiles }],
+ * byProfile: { <profile>: { errors, specific } } }, specific counting the
+ * profile's errors that are not common.
+ */
+export function compareProfiles(recordsByProfile) {
+    const profiles = [...recordsByProfile.keys()];
+    const seen = new Map(); // key → { record, profiles }
+
+    for (const [profile, records] of recordsByProfile) {
+        for (const record of records) {
+            if (record.category !== 'error') continue;
+            const key = [record.code, record.file, record.line, record.column, record.messageChain[0]].join('\0');
+            if (!seen.has(key)) {
+                seen.set(key, { record, profiles: [] });
+            }
+            const entry = seen.get(key);
+            if (!entry.profiles.includes(profile)) {
+                entry.profiles.push(profile);
+            }
+        }
+    }
+
+    const common = [];
+    const specific = [];
+    for (const entry of seen.values()) {
+        if (entry.profiles.length === profiles.length) {
+            common.push(entry.record);
+        } else {
+            specific.push(entry);
+        }
+    }
+
+    const byProfile = Object.fromEntries(profiles.map(profile => [profile, {
+        errors: recordsByProfile.get(profile).filter(r => r.category === 'error').length,
+        specific: specific.filter(s => s.profiles.includes(profile)).length
+    }]));
+
+    return { common, specific, byProfile };
+}
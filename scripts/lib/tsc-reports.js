@@ -0,0 +1,92 @@
+/**
+ * JUnit cases and SARIF results of tsc records (see lib/tsc-diagnostics.js),
+ * shared by validate.js and qa.js. Both take the shapes of
+ * lib/report-formats.js.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describeRecord } from './tsc-diagnostics.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+// Diagnostics listed in a failing case
+const DETAIL_LIMIT = 50;
+
+const LEVELS = { error: 'error', warning: 'warning' };
+
+/**
+ * One case per namespace (those given plus any with errors), failing on
+ * syntax errors or a namespace bucket in regressions (see lib/tsc-baseline.js),
+ * and with a baseline a "(baseline by error code)" case for the code buckets.
+ */
+export function buildTscCases(records, { namespaces, regressions, hasBaseline, classname }) {
+    const errors = records.filter(r => r.category === 'error');
+    const allNamespaces = [...new Set([...namespaces, ...errors.map(r => r.namespace)])].sort();
+
+    const cases = allNamespaces.map(ns => {
+        const nsErrors = errors.filter(r => r.namespace === ns);
+        const syntaxErrors = nsErrors.filter(r => /^TS1\d{3}$/.test(r.code)).length;
+        const regression = regressions.find(g => g.bucket === 'byNamespace' && g.key === ns);
+
+        const problems = [];
+        if (syntaxErrors > 0) problems.push(`${syntaxErrors} syntax errors`);
+        if (regression) problems.push(`${regression.current} errors, baseline ${regression.baseline}`);
+
+        const testCase = { name: ns, ...(classname ? { classname } : {}) };
+        if (problems.length > 0) {
+            testCase.failure = {
+                message: problems.join('; '),
+                details: nsErrors.slice(0, DETAIL_LIMIT).map(describeRecord).join('\n')
+            };
+        }
+        return testCase;
+    });
+
+    // Error-code buckets are not tied to one namespace
+    if (hasBaseline) {
+        const codeRegressions = regressions.filter(g => g.bucket === 'byCode');
+        const testCase = { name: '(baseline by error code)', ...(classname ? { classname } : {}) };
+        if (codeRegressions.length > 0) {
+            testCase.failure = {
+                message: `${codeRegressions.length} error codes grew past the baseline`,
+                details: codeRegressions.map(g => `${g.key}: ${g.baseline} → ${g.current}`).join('\n')
+            };
+        }
+        cases.push(testCase);
+    }
+
+    return cases;
+}
+
+/**
+ * One rule per error code of records, sorted
+ */
+export function tscSarifRules(records) {
+    return [...new Set(records.map(r => r.code))]
+        .sort()
+        .map(code => ({ id: code, description: `TypeScript ${code}` }));
+}
+
+/**
+ * SARIF results of the records of the tree in outputDir, with their namespace
+ * (and profiles, for records from lib/tsc-profiles.js) added to properties
+ */
+export function tscSarifResults(records, outputDir, properties = {}) {
+    return records.map(record => ({
+        ruleId: record.code,
+        level: LEVELS[record.category] || 'note',
+        message: record.messageChain.join('\n'),
+        uri: record.file
+            ? path.relative(PROJECT_ROOT, path.join(outputDir, record.file)).split(path.sep).join('/')
+            : null,
+        line: record.line,
+        column: record.column,
+        properties: {
+            ...properties,
+            namespace: record.namespace,
+            ...(record.profiles ? { profiles: record.profiles } : {})
+        }
+    }));
+}
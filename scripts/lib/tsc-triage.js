@@ -0,0 +1,363 @@
+/**
+ * Maps tsc diagnostics back to the CLR type and member that produced them.
+ *
+ * For every record with a position, the generated .d.ts is parsed and the
+ * enclosing declaration (and member, if any) is located. The declaration name
+ * is resolved through snapshot.json - and typelist.json, when present, for
+ * member names - to the CLR full name. Errors are then grouped by CLR type,
+ * member kind and a recognised cause, and the (type, cause) groups are ranked
+ * into a "fix these first" list.
+ *
+ * Report shape:
+ * {
+ *   "summary": { "total": 120, "mapped": 117, "unmapped": 3 },
+ *   "byCause": { "covariant-return": 80, ... },
+ *   "byMemberKind": { "method": 90, "type": 30 },
+ *   "byType": [ { "clrType": "System.Linq.Enumerable", "count": 40, "causes": {...}, "members": {...} } ],
+ *   "fixFirst": [ { "rank": 1, "clrType": "...", "cause": "...", "count": 12, "members": [...], "example": "..." } ]
+ * }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ts from 'typescript';
+import { describeRecord } from './tsc-diagnostics.js';
+import { loadSidecar, getClrFullName } from './sidecars.js';
+
+/**
+ * Cause patterns, tried in order. `codes` restricts a pattern to those error
+ * codes; `match` (optional) must also accept the flattened message chain.
+ */
+const CAUSES = [
+    {
+        cause: 'covariant-return',
+        description: 'Override or implementation changes a return type',
+        codes: ['TS2416', 'TS2420', 'TS2430'],
+        match: text => /Type '\(.*\) => .*' is not assignable to type '\(.*\) => .*'/.test(text) && !/Types of parameters/.test(text)
+    },
+    {
+        cause: 'parameter-variance',
+        description: 'Override or implementation changes parameter types',
+        codes: ['TS2416', 'TS2420', 'TS2430'],
+        match: text => /Types of parameters/.test(text)
+    },
+    {
+        cause: 'static-side-inheritance',
+        description: 'Static members clash with the base class static side',
+        codes: ['TS2417']
+    },
+    {
+        cause: 'generic-constraint',
+        description: 'Type argument does not satisfy a generic constraint',
+        codes: ['TS2344']
+    },
+    {
+        cause: 'generic-arity',
+        description: 'Generic type used with the wrong number of type arguments',
+        codes: ['TS2314', 'TS2315', 'TS2707']
+    },
+    {
+        cause: 'missing-type',
+        description: 'Reference to a type or namespace that was not emitted',
+        codes: ['TS2304', 'TS2305', 'TS2307', 'TS2552', 'TS2694', 'TS2724']
+    },
+    {
+        cause: 'duplicate-declaration',
+        description: 'Same name declared twice',
+        codes: ['TS2300', 'TS2308', 'TS2323', 'TS2451', 'TS2528', 'TS6200']
+    },
+    {
+        cause: 'incompatible-member',
+        description: 'Member incompatible with the base type or interface',
+        codes: ['TS2416']
+    },
+    {
+        cause: 'interface-implementation',
+        description: 'Class does not correctly implement an interface',
+        codes: ['TS2420']
+    },
+    {
+        cause: 'base-type-mismatch',
+        description: 'Type does not correctly extend its base type',
+        codes: ['TS2415', 'TS2430']
+    },
+    {
+        cause: 'overload-mismatch',
+        description: 'Overload signatures are not compatible with each other',
+        codes: ['TS2394']
+    }
+];
+
+const CAUSE_DESCRIPTIONS = Object.fromEntries(
+    [...CAUSES, { cause: 'syntax', description: 'Invalid declaration syntax' }, { cause: 'other', description: 'Unclassified' }]
+        .map(c => [c.cause, c.description])
+);
+
+/** Suffixes the emitter adds to a type's companion declarations. */
+const COMPANION_SUFFIXES = ['$instance', '$static', '$views', '$DomainView'];
+
+/**
+ * Classify a record by cause pattern.
+ */
+export function classifyCause(record) {
+    const text = record.messageChain.join('\n');
+
+    for (const pattern of CAUSES) {
+        if (!pattern.codes.includes(record.code)) continue;
+        if (pattern.match && !pattern.match(text)) continue;
+        return pattern.cause;
+    }
+
+    const code = Number(record.code.slice(2));
+    return code >= 1000 && code < 2000 ? 'syntax' : 'other';
+}
+
+export function describeCause(cause) {
+    return CAUSE_DESCRIPTIONS[cause] || cause;
+}
+
+/**
+ * Type emit name for a top-level declaration name: strips the companion
+ * suffixes ("List_1$instance" → "List_1") and the views prefix ("__X$views").
+ */
+export function typeNameOfDeclaration(name) {
+    let result = name.startsWith('__') ? name.slice(2) : name;
+    for (const suffix of COMPANION_SUFFIXES) {
+        if (result.endsWith(suffix)) {
+            return result.slice(0, -suffix.length);
+        }
+    }
+    return result;
+}
+
+/**
+ * Find the declaration (and member) enclosing a 1-based line/column.
+ * Returns { declaration, member, memberKind, isStatic } or null.
+ */
+export function findEnclosingDeclaration(sourceFile, line, column) {
+    const lineCount = sourceFile.getLineStarts().length;
+    if (line < 1 || line > lineCount) return null;
+    const pos = sourceFile.getPositionOfLineAndCharacter(line - 1, Math.max(0, column - 1));
+    const contains = node => node.getStart(sourceFile) <= pos && pos < node.end;
+
+    const declarationNode = sourceFile.statements.find(contains);
+    const declaration = declarationNode ? declarationName(declarationNode, pos, sourceFile) : null;
+    if (declaration === null) return null;
+
+    // Enums are emitted as a branded type plus a namespace of member constants
+    if (ts.isModuleDeclaration(declarationNode) && declarationNode.body && ts.isModuleBlock(declarationNode.body)) {
+        const inner = declarationNode.body.statements.find(contains);
+        const member = inner ? declarationName(inner, pos, sourceFile) : null;
+        return member
+            ? { declaration, member, memberKind: 'field', isStatic: true }
+            : { declaration, member: null, memberKind: 'type', isStatic: false };
+    }
+
+    const members = declarationNode.members
+        || (ts.isTypeAliasDeclaration(declarationNode) && ts.isTypeLiteralNode(declarationNode.type) ? declarationNode.type.members : null);
+    const memberNode = members ? members.find(contains) : null;
+
+    if (!memberNode) {
+        return { declaration, member: null, memberKind: 'type', isStatic: false };
+    }
+
+    const isStatic = declaration.endsWith('$static')
+        || (ts.canHaveModifiers(memberNode) && (ts.getModifiers(memberNode) || []).some(m => m.kind === ts.SyntaxKind.StaticKeyword));
+
+    if (ts.isConstructorDeclaration(memberNode) || ts.isConstructSignatureDeclaration(memberNode)) {
+        return { declaration, member: 'constructor', memberKind: 'constructor', isStatic: false };
+    }
+
+    const member = memberNode.name ? memberNode.name.getText(sourceFile).replace(/^["']|["']$/g, '') : null;
+    let memberKind = 'method';
+    if (ts.isPropertyDeclaration(memberNode) || ts.isPropertySignature(memberNode)
+        || ts.isGetAccessor(memberNode) || ts.isSetAccessor(memberNode)) {
+        memberKind = 'property';
+    } else if (ts.isIndexSignatureDeclaration(memberNode)) {
+        memberKind = 'indexer';
+    }
+
+    return { declaration, member, memberKind, isStatic };
+}
+
+function declarationName(statement, pos, sourceFile) {
+    if (ts.isVariableStatement(statement)) {
+        const decl = statement.declarationList.declarations[0];
+        return decl && ts.isIdentifier(decl.name) ? decl.name.text : null;
+    }
+    if (ts.isExportDeclaration(statement) && statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+        // Facade re-export: pick the specifier under the cursor
+        const specifier = statement.exportClause.elements.find(e => e.getStart(sourceFile) <= pos && pos < e.end)
+            || statement.exportClause.elements[0];
+        return specifier ? specifier.name.text : null;
+    }
+    if (statement.name && ts.isIdentifier(statement.name)) {
+        return statement.name.text;
+    }
+    return null;
+}
+
+/**
+ * Index one namespace's snapshot (and typelist, when present) by tsEmitName.
+ * Each entry: { clrType, kind, members: Map(emittedName → [{ clrName, kind, isStatic }]) }.
+ */
+export function loadNamespaceIndex(projectDir, namespace) {
+    const nsDir = path.join(projectDir, 'namespaces', namespace);
+    const snapshot = loadSidecar(nsDir, 'snapshot.json');
+    const typelist = loadSidecar(nsDir, 'typelist.json');
+    const index = new Map();
+
+    if (!snapshot) return index;
+
+    // Sidecars match spec/schemas/ (validate.js checks them first), so no field is guessed
+    const typelistByName = new Map((typelist ? typelist.types : []).map(t => [t.tsEmitName, t]));
+
+    for (const type of snapshot.types) {
+        // Typelist members (after constructors) are in snapshot order: methods, properties, fields, events
+        const snapshotMembers = [
+            ...type.members.methods.map(m => ({ clrName: m.clrName, kind: 'method', isStatic: m.isStatic })),
+            ...type.members.properties.map(m => ({ clrName: m.clrName, kind: m.isIndexer ? 'indexer' : 'property', isStatic: m.isStatic })),
+            ...type.members.fields.map(m => ({ clrName: m.clrName, kind: 'field', isStatic: m.isStatic })),
+            ...type.members.events.map(m => ({ clrName: m.clrName, kind: 'event', isStatic: m.isStatic }))
+        ];
+        const emitted = typelistByName.get(type.tsEmitName)?.members.filter(m => m.kind !== 'constructor');
+
+        const members = new Map();
+        snapshotMembers.forEach((member, i) => {
+            const name = emitted && emitted.length === snapshotMembers.length ? emitted[i].name : member.clrName;
+            if (!members.has(name)) members.set(name, []);
+            members.get(name).push(member);
+        });
+
+        index.set(type.tsEmitName, {
+            clrType: getClrFullName(type.binding.type),
+            kind: type.kind,
+            members
+        });
+    }
+
+    return index;
+}
+
+/**
+ * Resolve each record to { clrType, member, memberKind, cause }.
+ * Records without a file or a matching declaration keep clrType null.
+ */
+export function resolveRecords(projectDir, records) {
+    const sourceFiles = new Map();
+    const indexes = new Map();
+
+    const getSourceFile = (file) => {
+        if (!sourceFiles.has(file)) {
+            const fullPath = path.join(projectDir, file);
+            sourceFiles.set(file, fs.existsSync(fullPath)
+                ? ts.createSourceFile(fullPath, fs.readFileSync(fullPath, 'utf-8'), ts.ScriptTarget.Latest, true)
+                : null);
+        }
+        return sourceFiles.get(file);
+    };
+
+    const getIndex = (namespace) => {
+        if (!indexes.has(namespace)) {
+            indexes.set(namespace, loadNamespaceIndex(projectDir, namespace));
+        }
+        return indexes.get(namespace);
+    };
+
+    return records.map(record => {
+        const resolved = { record, clrType: null, member: null, memberKind: null, cause: classifyCause(record) };
+        if (!record.file || record.line === null) return resolved;
+
+        const sourceFile = getSourceFile(record.file);
+        const found = sourceFile && findEnclosingDeclaration(sourceFile, record.line, record.column);
+        if (!found) return resolved;
+
+        const tsName = typeNameOfDeclaration(found.declaration);
+        const type = getIndex(record.namespace).get(tsName);
+        resolved.tsName = tsName;
+        resolved.memberKind = found.memberKind;
+
+        if (!type) return resolved;
+        resolved.clrType = type.clrType;
+
+        if (found.member && found.memberKind !== 'constructor') {
+            const candidates = type.members.get(found.member) || [];
+            const match = candidates.find(m => m.isStatic === found.isStatic) || candidates[0];
+            resolved.member = match ? match.clrName : found.member;
+            if (match) resolved.memberKind = match.kind;
+        } else if (found.memberKind === 'constructor') {
+            resolved.member = '.ctor';
+        }
+
+        return resolved;
+    });
+}
+
+/**
+ * Group resolved records and rank (CLR type, cause) groups by error count.
+ * Only errors are triaged; warnings and suggestions are ignored.
+ */
+export function triageDiagnostics(projectDir, records) {
+    const errors = records.filter(r => r.category === 'error');
+    const resolved = resolveRecords(projectDir, errors);
+
+    const byCause = {};
+    const byMemberKind = {};
+    const types = new Map();
+    const groups = new Map();
+
+    for (const item of resolved) {
+        byCause[item.cause] = (byCause[item.cause] || 0) + 1;
+
+        const kind = item.memberKind || 'unknown';
+        byMemberKind[kind] = (byMemberKind[kind] || 0) + 1;
+
+        const typeKey = item.clrType || (item.tsName ? `${item.record.namespace}:${item.tsName}` : '(unmapped)');
+        if (!types.has(typeKey)) {
+            types.set(typeKey, { clrType: typeKey, namespace: item.record.namespace, count: 0, causes: {}, members: {} });
+        }
+        const type = types.get(typeKey);
+        type.count++;
+        type.causes[item.cause] = (type.causes[item.cause] || 0) + 1;
+        if (item.member) {
+            type.members[item.member] = (type.members[item.member] || 0) + 1;
+        }
+
+        const groupKey = `${typeKey}\0${item.cause}`;
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, { clrType: typeKey, cause: item.cause, count: 0, members: new Set(), codes: new Set(), example: describeRecord(item.record) });
+        }
+        const group = groups.get(groupKey);
+        group.count++;
+        group.codes.add(item.record.code);
+        if (item.member) group.members.add(item.member);
+    }
+
+    const byCount = (a, b) => b.count - a.count || a.clrType.localeCompare(b.clrType);
+
+    const fixFirst = [...groups.values()]
+        .sort((a, b) => byCount(a, b) || a.cause.localeCompare(b.cause))
+        .map((group, i) => ({
+            rank: i + 1,
+            clrType: group.clrType,
+            cause: group.cause,
+            count: group.count,
+            codes: [...group.codes].sort(),
+            members: [...group.members].sort(),
+            example: group.example
+        }));
+
+    const mapped = resolved.filter(r => r.clrType).length;
+
+    return {
+        summary: { total: resolved.length, mapped, unmapped: resolved.length - mapped },
+        byCause,
+        byMemberKind,
+        byType: [...types.values()].sort(byCount),
+        fixFirst
+    };
+}
+
+export function writeTriageReport(reportPath, triage) {
+    fs.writeFileSync(reportPath, JSON.stringify(triage, null, 2) + '\n');
+}
@@ -0,0 +1,26 @@
+/**
+ * Worker thread entry for per-namespace type-checking.
+ *
+ * Receives { id, projectDir, configName, files } messages, type-checks those
+ * files in a fresh program and replies with { id, records } or { id, error }.
+ * Compiler options are parsed once per project config.
+ */
+
+import { parentPort } from 'worker_threads';
+import { parseProjectConfig, typeCheckFiles } from './tsc-diagnostics.js';
+
+const optionsByProject = new Map();
+
+parentPort.on('message', ({ id, projectDir, configName, files }) => {
+    try {
+        const key = `${projectDir}\0${configName}`;
+        if (!optionsByProject.has(key)) {
+            optionsByProject.set(key, parseProjectConfig(projectDir, configName).options);
+        }
+
+        const records = typeCheckFiles(projectDir, optionsByProject.get(key), files);
+        parentPort.postMessage({ id, records });
+    } catch (err) {
+        parentPort.postMessage({ id, error: err.stack || err.message });
+    }
+});
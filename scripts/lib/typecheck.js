@@ -0,0 +1,121 @@
+/**
+ * Type-checking a generated output tree under a compiler-option profile (see
+ * lib/tsc-profiles.js), for validate.js and qa.js.
+ *
+ * Results are written next to the tree: tsc-validation.{txt,json} for the
+ * baseline profile, tsc-validation.<profile>.{txt,json} for the others, and
+ * tsc-triage.json when the baseline profile reports errors.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    typeCheckProject,
+    formatDiagnostics,
+    formatRecords,
+    summarizeDiagnostics,
+    writeDiagnosticsReport
+} from './tsc-diagnostics.js';
+import { typeCheckNamespaces } from './tsc-incremental.js';
+import { triageDiagnostics, writeTriageReport } from './tsc-triage.js';
+import { tsConfigName, buildTsConfig } from './tsc-profiles.js';
+
+/**
+ * Writes the project config of every profile into the output directory:
+ * tsconfig.json for the baseline profile, tsconfig.<profile>.json for the
+ * others. Returns the file names.
+ */
+export function writeTsConfigs(outputDir, profileConfig, profiles) {
+    return profiles.map(profile => {
+        const configName = tsConfigName(profileConfig, profile);
+        fs.writeFileSync(
+            path.join(outputDir, configName),
+            JSON.stringify(buildTsConfig(profile), null, 2)
+        );
+        return configName;
+    });
+}
+
+/**
+ * Type-checks outputDir under one profile, whose config writeTsConfigs wrote
+ * (or configName, a config file of the tree's, when given).
+ *
+ * options: { profileConfig, profile, configName, perNamespace, jobs,
+ *            cachePath, clearCache, log }
+ * With perNamespace, namespaces are checked in isolation on jobs workers and
+ * cached in cachePath (suffixed for profiles other than the baseline, so
+ * their results do not evict its). log receives progress lines.
+ *
+ * Returns { records, outputPath, reportPath, triage, triagePath,
+ * errorCounts (top 10 [code, count]), ...summarizeDiagnostics() }.
+ */
+export async function typeCheckOutput(outputDir, options) {
+    const { profileConfig, profile, log = () => {} } = options;
+    const isBaseline = profile.name === profileConfig.baseline;
+    const suffix = isBaseline ? '' : `.${profile.name}`;
+    const configName = options.configName || tsConfigName(profileConfig, profile);
+
+    let records;
+    let text;
+
+    if (options.perNamespace) {
+        // Results under other options must not evict the baseline profile's
+        const cachePath = options.cachePath.replace(/\.json$/, `${suffix}.json`);
+        if (options.clearCache && fs.existsSync(cachePath)) {
+            fs.rmSync(cachePath);
+        }
+
+        log(`  Checking namespaces in isolation (${options.jobs} workers)`);
+        const result = await typeCheckNamespaces(outputDir, {
+            configName,
+            cachePath,
+            jobs: options.jobs,
+            onChecked: (ns, nsRecords) => {
+                const errors = nsRecords.filter(r => r.category === 'error').length;
+                log(`    ${errors === 0 ? '✓' : '✗'} ${ns}${errors === 0 ? '' : ` (${errors} errors)`}`);
+            }
+        });
+        log(`  Checked ${result.checked.length} namespaces, ${result.cached.length} unchanged (cached)`);
+
+        records = result.records;
+        text = formatRecords(records, outputDir);
+    } else {
+        const result = typeCheckProject(outputDir, configName);
+        log(`  Checked ${result.fileCount} declaration files`);
+
+        records = result.records;
+        text = formatDiagnostics(result.diagnostics);
+    }
+
+    // Save tsc-style text and the structured records next to the generated tree
+    const outputPath = path.join(outputDir, `tsc-validation${suffix}.txt`);
+    const reportPath = path.join(outputDir, `tsc-validation${suffix}.json`);
+    const summary = summarizeDiagnostics(records);
+
+    fs.writeFileSync(outputPath, text);
+    writeDiagnosticsReport(reportPath, records, summary);
+
+    // Map errors back to the CLR types that produced them
+    let triage = null;
+    let triagePath = null;
+    if (isBaseline && summary.totalErrors > 0) {
+        triage = triageDiagnostics(outputDir, records);
+        triagePath = path.join(outputDir, 'tsc-triage.json');
+        writeTriageReport(triagePath, triage);
+    }
+
+    // Sort by count descending
+    const sortedErrors = Object.entries(summary.counts.byCode)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10);
+
+    return {
+        records,
+        outputPath,
+        reportPath,
+        triage,
+        triagePath,
+        ...summary,
+        errorCounts: sortedErrors
+    };
+}
@@ -0,0 +1,173 @@
+/**
+ * Line-based unified diffs (diff -u layout) without an external diff tool.
+ *
+ * Lines are matched with Myers' O(ND) algorithm after trimming the common
+ * prefix and suffix. When the middle needs more than maxEdits insertions and
+ * deletions, it is reported as one block removed and re-added instead, which
+ * bounds time and memory for wholesale rewrites.
+ */
+
+const DEFAULT_CONTEXT = 3;
+const DEFAULT_MAX_EDITS = 2000;
+
+/**
+ * Unified diff of two texts; '' when they are equal.
+ */
+export function unifiedDiff(oldText, newText, options = {}) {
+    const {
+        oldLabel = 'a',
+        newLabel = 'b',
+        context = DEFAULT_CONTEXT,
+        maxEdits = DEFAULT_MAX_EDITS
+    } = options;
+
+    if (oldText === newText) return '';
+
+    const ops = diffLines(splitLines(oldText), splitLines(newText), maxEdits);
+    const hunks = buildHunks(ops, context);
+    if (hunks.length === 0) return '';
+
+    return [`--- ${oldLabel}`, `+++ ${newLabel}`, ...hunks].join('\n') + '\n';
+}
+
+/**
+ * Edit script between two line arrays: [{ type: ' ' | '-' | '+', line }]
+ */
+export function diffLines(a, b, maxEdits = DEFAULT_MAX_EDITS) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const oldMiddle = a.slice(prefix, a.length - suffix);
+    const newMiddle = b.slice(prefix, b.length - suffix);
+    const middle = shortestEdit(oldMiddle, newMiddle, maxEdits) || [
+        ...oldMiddle.map(line => ({ type: '-', line })),
+        ...newMiddle.map(line => ({ type: '+', line }))
+    ];
+
+    return [
+        ...a.slice(0, prefix).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...a.slice(a.length - suffix).map(line => ({ type: ' ', line }))
+    ];
+}
+
+function splitLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Myers' greedy shortest edit script, or null past maxEdits. trace[d] keeps
+ * the furthest-reaching x for diagonals -d-1..d+1 before round d, which is all
+ * backtracking needs.
+ */
+function shortestEdit(a, b, maxEdits) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, maxEdits);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+
+    return null;
+}
+
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const furthest = k => trace[d][k + d + 1];
+        const k = x - y;
+        const previousK = k === -d || (k !== d && furthest(k - 1) < furthest(k + 1)) ? k + 1 : k - 1;
+        const previousX = furthest(previousK);
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            ops.push({ type: ' ', line: a[--x] });
+            y--;
+        }
+        if (d > 0) {
+            if (x === previousX) {
+                ops.push({ type: '+', line: b[--y] });
+            } else {
+                ops.push({ type: '-', line: a[--x] });
+            }
+        }
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * Group an edit script into "@@ -l,s +l,s @@" hunks with context lines
+ */
+function buildHunks(ops, context) {
+    const changes = [];
+    ops.forEach((op, i) => {
+        if (op.type !== ' ') changes.push(i);
+    });
+    if (changes.length === 0) return [];
+
+    // Ranges of ops to print, merged when their context overlaps
+    const ranges = [];
+    for (const i of changes) {
+        const start = Math.max(0, i - context);
+        const end = Math.min(ops.length - 1, i + context);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end + 1) {
+            last.end = Math.max(last.end, end);
+        } else {
+            ranges.push({ start, end });
+        }
+    }
+
+    // Line numbers at the start of every op
+    const oldLine = [];
+    const newLine = [];
+    let oldCount = 0;
+    let newCount = 0;
+    for (const op of ops) {
+        oldLine.push(oldCount);
+        newLine.push(newCount);
+        if (op.type !== '+') oldCount++;
+        if (op.type !== '-') newCount++;
+    }
+
+    const hunks = [];
+    for (const { start, end } of ranges) {
+        const slice = ops.slice(start, end + 1);
+        const oldSize = slice.filter(op => op.type !== '+').length;
+        const newSize = slice.filter(op => op.type !== '-').length;
+        // diff -u numbers an empty side by the line before it
+        const oldStart = oldSize === 0 ? oldLine[start] : oldLine[start] + 1;
+        const newStart = newSize === 0 ? newLine[start] : newLine[start] + 1;
+        hunks.push(`@@ -${oldStart},${oldSize} +${newStart},${newSize} @@`);
+        slice.forEach(op => hunks.push(op.type + op.line));
+    }
+
+    return hunks;
+}
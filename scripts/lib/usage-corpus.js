@@ -0,0 +1,365 @@
+/**
+ * Usage corpus: TypeScript that uses the generated declarations the way a
+ * consumer would, so type-checking it shows whether the API is usable and not
+ * just whether the declarations compile on their own.
+ *
+ * For every typelist type the corpus constructs it through each declared
+ * constructor, calls every method overload and reads every property and view
+ * (instance and static), assigns it to each interface its snapshot says it
+ * implements, reads enum members, and implements and invokes delegates.
+ * Arguments are `$value<P>()` with P copied from the declared parameter type.
+ * Type parameters are instantiated with `string`, with their constraint when
+ * they have one, or with `never` when the constraint refers to another type
+ * parameter.
+ *
+ * Every snippet is a single line, so a diagnostic's line identifies it.
+ */
+
+import ts from 'typescript';
+import { companionOf } from './declarations.js';
+import { getClrFullName, normalizeTypeReference } from './sidecars.js';
+
+// Declared in every corpus file: a value of any type
+const VALUE = '$value';
+
+/**
+ * Import alias the emitter uses for a namespace (System.Collections.Generic →
+ * System$Collections$Generic)
+ */
+export function namespaceAlias(namespace) {
+    return namespace.replace(/\./g, '$');
+}
+
+/**
+ * Build the corpus for one namespace:
+ *
+ *   sourceFile        parsed namespaces/<ns>/internal/index.d.ts
+ *   namespace         CLR namespace name
+ *   typelist          its typelist.json
+ *   snapshot          its snapshot.json (implemented interfaces), or null
+ *   lookupType        CLR full name → { namespace, tsEmitName } of any
+ *                     generated type, or null
+ *   moduleSpecifier   namespace → specifier of its internal/index.js, relative
+ *                     to the corpus file
+ *   rewriteSpecifier  relative specifier in the internal file → the same module
+ *                     relative to the corpus file
+ *
+ * Returns { text, snippets, skipped }. snippets is a Map(line → { type, kind,
+ * label, declarationLine }) with kind 'reference' | 'construct' | 'member' |
+ * 'assign'. skipped lists implemented interfaces that were not checked
+ * ({ type, interface, reason }): ones reached through a view, or ones that
+ * are not generated.
+ */
+export function generateUsageCorpus(sourceFile, options) {
+    const { namespace, typelist, snapshot, lookupType, moduleSpecifier, rewriteSpecifier } = options;
+    const own = namespaceAlias(namespace);
+    const declarations = collectDeclarations(sourceFile);
+    const locals = topLevelNames(sourceFile);
+    const snapshotTypes = new Map((snapshot?.types || []).map(type => [type.tsEmitName, type]));
+    const printer = ts.createPrinter({ removeComments: true });
+    const lineOf = node => sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1;
+
+    // Type text valid in the corpus file: local names qualified with the
+    // namespace alias, type parameters replaced by their chosen arguments
+    const rewrite = (typeNode, substitution) => {
+        const transformer = context => root => ts.visitNode(root, function visit(node) {
+            if (ts.isTypeReferenceNode(node) && ts.isIdentifier(node.typeName)) {
+                const name = node.typeName.text;
+                const typeArguments = node.typeArguments && ts.visitNodes(node.typeArguments, visit);
+                if (!typeArguments && substitution.has(name)) {
+                    return ts.factory.createTypeReferenceNode(substitution.get(name));
+                }
+                if (locals.has(name)) {
+                    return ts.factory.createTypeReferenceNode(
+                        ts.factory.createQualifiedName(ts.factory.createIdentifier(own), name), typeArguments);
+                }
+                return ts.factory.updateTypeReferenceNode(node, node.typeName, typeArguments);
+            }
+            if (ts.isTypeQueryNode(node) && ts.isIdentifier(node.exprName) && locals.has(node.exprName.text)) {
+                return ts.factory.createTypeQueryNode(
+                    ts.factory.createQualifiedName(ts.factory.createIdentifier(own), node.exprName.text));
+            }
+            return ts.visitEachChild(node, visit, context);
+        });
+
+        const result = ts.transform(typeNode, [transformer]);
+        const text = printer.printNode(ts.EmitHint.Unspecified, result.transformed[0], sourceFile);
+        result.dispose();
+        return text.replace(/\s*\n\s*/g, ' ');
+    };
+
+    const instantiate = (typeParameters, substitution) => {
+        const names = new Set(typeParameters.map(tp => tp.name.text));
+        const chosen = new Map(substitution);
+        for (const tp of typeParameters) {
+            let argument = 'string';
+            if (tp.constraint) {
+                argument = referencesAny(tp.constraint, names) ? 'never' : rewrite(tp.constraint, substitution);
+            }
+            chosen.set(tp.name.text, argument);
+        }
+        return chosen;
+    };
+    const typeArgumentList = (typeParameters, substitution) => typeParameters.length > 0
+        ? `<${typeParameters.map(tp => substitution.get(tp.name.text)).join(', ')}>`
+        : '';
+    const argumentsFor = (parameters, substitution) => withoutThis(parameters)
+        .map(p => `${p.dotDotDotToken ? '...' : ''}${VALUE}<${p.type ? rewrite(p.type, substitution) : 'any'}>()`)
+        .join(', ');
+
+    const usedNamespaces = new Set();
+    const typeReferenceText = (ref, substitution) => {
+        if (ref.pointerDepth > 0) return 'any';
+        let text;
+        if (ref.kind === 1 || ref.genericParameter) {
+            text = substitution.get(ref.typeName);
+            if (text === undefined) return null;
+        } else {
+            const target = lookupType(getClrFullName(ref));
+            if (!target) return null;
+            const typeArguments = (ref.genericArgs || []).map(arg => typeReferenceText(arg, substitution));
+            if (typeArguments.includes(null)) return null;
+            usedNamespaces.add(target.namespace);
+            text = namespaceAlias(target.namespace) + '.' + target.tsEmitName +
+                (typeArguments.length > 0 ? `<${typeArguments.join(', ')}>` : '');
+        }
+        return text + '[]'.repeat(ref.arrayRank || 0);
+    };
+
+    const body = [];
+    const bodySnippets = new Map();
+    const skipped = [];
+    const add = (type, kind, label, code, node) => {
+        body.push(`    ${code}`);
+        bodySnippets.set(body.length, { type, kind, label, declarationLine: lineOf(node) });
+    };
+
+    for (const listed of typelist.types) {
+        const name = listed.tsEmitName;
+        const declared = declarations.get(name);
+        if (!declared) continue; // verify-declarations.js reports these
+
+        const qualified = `${own}.${name}`;
+        body.push(`// ${name}`, '{');
+
+        if (declared.alias && ts.isFunctionTypeNode(declared.alias.type)) {
+            // Delegate: implement it with a lambda, then invoke it
+            const substitution = instantiate(declared.alias.typeParameters || [], new Map());
+            const fn = declared.alias.type;
+            const parameters = withoutThis(fn.parameters).map((p, i) => `${p.dotDotDotToken ? '...' : ''}p${i}`);
+            const typeText = qualified + typeArgumentList(declared.alias.typeParameters || [], substitution);
+            add(name, 'assign', `${name} implemented by a lambda`,
+                `const $d: ${typeText} = (${parameters.join(', ')}) => ${VALUE}<${rewrite(fn.type, substitution)}>();`, declared.alias);
+            add(name, 'member', `${name}(${parameterNames(fn.parameters)})`,
+                `$d(${argumentsFor(fn.parameters, substitution)});`, declared.alias);
+            body.push('}');
+            continue;
+        }
+
+        if (declared.module) {
+            // Enum: every member is a value of the enum type
+            let index = 0;
+            for (const statement of declared.module.body?.statements || []) {
+                if (!ts.isVariableStatement(statement)) continue;
+                for (const declaration of statement.declarationList.declarations) {
+                    if (!ts.isIdentifier(declaration.name)) continue;
+                    add(name, 'assign', `${name}.${declaration.name.text}`,
+                        `const $e${index++}: ${qualified} = ${qualified}.${declaration.name.text};`, declaration);
+                }
+            }
+            body.push('}');
+            continue;
+        }
+
+        const instanceNodes = [declared.class, ...declared.instance, ...declared.interface].filter(Boolean);
+        const primary = instanceNodes[0];
+        if (!primary) {
+            body.push('}');
+            continue;
+        }
+
+        const typeParameters = [...(primary.typeParameters || [])];
+        const substitution = instantiate(typeParameters, new Map());
+        const hasInstance = listed.kind !== 'namespace';
+        if (hasInstance) {
+            add(name, 'reference', `${name}${typeArgumentList(typeParameters, substitution)}`,
+                `const $self = ${VALUE}<${qualified}${typeArgumentList(typeParameters, substitution)}>();`, primary);
+        }
+
+        const useMember = (member, receiver) => {
+            const access = memberAccess(receiver, member);
+            if (!access) return;
+            if (ts.isMethodDeclaration(member) || ts.isMethodSignature(member)) {
+                const methodParameters = [...(member.typeParameters || [])];
+                const methodSubstitution = instantiate(methodParameters, substitution);
+                add(name, 'member', `${name}.${member.name.text}(${parameterNames(member.parameters)})`,
+                    `${access}${typeArgumentList(methodParameters, methodSubstitution)}(${argumentsFor(member.parameters, methodSubstitution)});`,
+                    member);
+            } else if (ts.isPropertyDeclaration(member) || ts.isPropertySignature(member) || ts.isGetAccessorDeclaration(member)) {
+                add(name, 'member', `${name}.${member.name.text}`, `${access};`, member);
+            }
+        };
+
+        if (declared.class) {
+            const isAbstract = hasModifier(declared.class, ts.SyntaxKind.AbstractKeyword);
+            for (const member of declared.class.members) {
+                if (hasModifier(member, ts.SyntaxKind.PrivateKeyword) || hasModifier(member, ts.SyntaxKind.ProtectedKeyword)) continue;
+                if (ts.isConstructorDeclaration(member)) {
+                    if (isAbstract) continue;
+                    add(name, 'construct', `new ${name}(${parameterNames(member.parameters)})`,
+                        `new ${qualified}${typeArgumentList(typeParameters, substitution)}(${argumentsFor(member.parameters, substitution)});`,
+                        member);
+                } else if (hasModifier(member, ts.SyntaxKind.StaticKeyword)) {
+                    useMember(member, qualified);
+                } else if (hasInstance) {
+                    useMember(member, '$self');
+                }
+            }
+        }
+        for (const node of [...declared.instance, ...declared.interface, ...declared.views]) {
+            node.members.forEach(member => useMember(member, '$self'));
+        }
+        for (const node of declared.static) {
+            node.members.forEach(member => useMember(member, qualified));
+        }
+
+        // Implemented interfaces, except those the emitter exposes through views
+        const snapshotType = snapshotTypes.get(name);
+        if (hasInstance && snapshotType) {
+            const viewKeys = new Set([
+                ...(snapshotType.explicitViews || []).map(view => normalizeTypeReference(view.interface)),
+                ...(snapshotType.conflictingInterfaces || []).map(normalizeTypeReference)
+            ]);
+            let index = 0;
+            for (const iface of snapshotType.implements || []) {
+                const key = normalizeTypeReference(iface);
+                if (viewKeys.has(key)) {
+                    skipped.push({ type: name, interface: key, reason: 'view' });
+                    continue;
+                }
+                const text = typeReferenceText(iface, substitution);
+                if (text === null) {
+                    skipped.push({ type: name, interface: key, reason: 'not generated' });
+                    continue;
+                }
+                add(name, 'assign', `${name} as ${key}`, `const $as${index++}: ${text} = $self;`, primary);
+            }
+        }
+
+        body.push('}');
+    }
+
+    // Imports: the internal file's own, re-rooted, plus this namespace and
+    // every namespace an implemented interface comes from
+    const imports = new Map();
+    for (const statement of sourceFile.statements) {
+        if (!ts.isImportDeclaration(statement) || !ts.isStringLiteral(statement.moduleSpecifier)) continue;
+        const specifier = statement.moduleSpecifier.text;
+        const rewritten = specifier.startsWith('.') ? rewriteSpecifier(specifier) : specifier;
+        const bindings = statement.importClause?.namedBindings;
+        const key = bindings && ts.isNamespaceImport(bindings) ? bindings.name.text : statement.getText(sourceFile);
+        imports.set(key, statement.getText(sourceFile)
+            .replace(statement.moduleSpecifier.getText(sourceFile), JSON.stringify(rewritten)));
+    }
+    imports.set(own, `import * as ${own} from ${JSON.stringify(moduleSpecifier(namespace))};`);
+    for (const used of [...usedNamespaces].sort()) {
+        const alias = namespaceAlias(used);
+        if (!imports.has(alias)) {
+            imports.set(alias, `import type * as ${alias} from ${JSON.stringify(moduleSpecifier(used))};`);
+        }
+    }
+
+    const header = [
+        `// Usage corpus for ${namespace}, generated by verify-usage.js.`,
+        '// Every line in a type block uses one declaration the way a consumer would.',
+        ...imports.values(),
+        '',
+        `declare function ${VALUE}<T>(): T;`,
+        ''
+    ];
+
+    const snippets = new Map();
+    for (const [line, snippet] of bodySnippets) {
+        snippets.set(header.length + line, snippet);
+    }
+
+    return { text: [...header, ...body].join('\n') + '\n', snippets, skipped };
+}
+
+/**
+ * Declarations per emitted type name, with companion interfaces sorted into
+ * instance, static and views
+ */
+function collectDeclarations(sourceFile) {
+    const types = new Map();
+    const entry = name => {
+        if (!types.has(name)) {
+            types.set(name, { class: null, alias: null, module: null, interface: [], instance: [], static: [], views: [] });
+        }
+        return types.get(name);
+    };
+
+    for (const statement of sourceFile.statements) {
+        if (ts.isClassDeclaration(statement) && statement.name) {
+            entry(statement.name.text).class = statement;
+        } else if (ts.isInterfaceDeclaration(statement)) {
+            const companion = companionOf(statement.name.text);
+            if (companion) {
+                entry(companion.name)[companion.role].push(statement);
+            } else {
+                entry(statement.name.text).interface.push(statement);
+            }
+        } else if (ts.isTypeAliasDeclaration(statement)) {
+            entry(statement.name.text).alias = statement;
+        } else if (ts.isModuleDeclaration(statement) && ts.isIdentifier(statement.name)) {
+            entry(statement.name.text).module = statement;
+        }
+    }
+
+    return types;
+}
+
+function topLevelNames(sourceFile) {
+    const names = new Set();
+    for (const statement of sourceFile.statements) {
+        if (ts.isVariableStatement(statement)) {
+            statement.declarationList.declarations
+                .filter(d => ts.isIdentifier(d.name))
+                .forEach(d => names.add(d.name.text));
+        } else if (!ts.isImportDeclaration(statement) && statement.name && ts.isIdentifier(statement.name)) {
+            names.add(statement.name.text);
+        }
+    }
+    return names;
+}
+
+function referencesAny(typeNode, names) {
+    let found = false;
+    const visit = node => {
+        if (ts.isTypeReferenceNode(node) && ts.isIdentifier(node.typeName) && names.has(node.typeName.text)) {
+            found = true;
+        }
+        if (!found) ts.forEachChild(node, visit);
+    };
+    visit(typeNode);
+    return found;
+}
+
+function withoutThis(parameters) {
+    return parameters.filter(p => !(ts.isIdentifier(p.name) && p.name.text === 'this'));
+}
+
+function parameterNames(parameters) {
+    return withoutThis(parameters).map(p => ts.isIdentifier(p.name) ? p.name.text : '_').join(', ');
+}
+
+function memberAccess(receiver, member) {
+    if (!member.name) return null;
+    if (ts.isIdentifier(member.name)) return `${receiver}.${member.name.text}`;
+    if (ts.isStringLiteral(member.name)) return `${receiver}[${JSON.stringify(member.name.text)}]`;
+    return null;
+}
+
+function hasModifier(node, kind) {
+    return ts.canHaveModifiers(node) && (ts.getModifiers(node) || []).some(m => m.kind === kind);
+}
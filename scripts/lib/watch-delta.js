@@ -0,0 +1,80 @@
+/**
+ * Results of one validate.js --watch iteration, and the delta between two
+ * iterations: tsc errors that appeared or were fixed, metadata problems, and
+ * types and members lost or recovered according to verify-completeness.
+ *
+ * Every problem is reduced to one line of text, which is also its identity.
+ * Line numbers move whenever an unrelated declaration above changes, so tsc
+ * errors are identified by code, file and message only; identical lines are
+ * counted, so a second error of the same kind in a file still shows as new.
+ */
+
+/**
+ * Problem lines of an iteration, from the tsc records and the parsed
+ * metadata-report.json / completeness-report.json (null when the verifier did
+ * not produce its report): { errors, metadata, lostTypes, lostMembers }, each
+ * a sorted list of lines, or null for a step that did not run.
+ */
+export function summarizeIteration({ tscRecords, metadataReport, completenessReport }) {
+    return {
+        errors: tscRecords
+            ? tscRecords
+                .filter(r => r.category === 'error')
+                .map(r => `${r.code} ${r.file ?? '(global)'}: ${r.messageChain[0]}`)
+                .sort()
+            : null,
+        metadata: metadataReport
+            ? metadataReport.stats.issues
+                .map(issue => `${issue.namespace} ${issue.subject}: ${issue.message}`)
+                .sort()
+            : null,
+        lostTypes: completenessReport
+            ? completenessReport.stats.typesLost
+                .map(t => `${t.namespace} ${t.typeName} (${t.kind})`)
+                .sort()
+            : null,
+        lostMembers: completenessReport
+            ? completenessReport.stats.membersLost
+                .map(m => `${m.namespace} ${m.type}.${m.signature ?? m.member} ` +
+                    `(${m.isStatic ? 'static ' : ''}${m.kind}${m.reason ? `, ${m.reason}` : ''})`)
+                .sort()
+            : null
+    };
+}
+
+/**
+ * Lines only in after (added) and only in before (removed), counting
+ * duplicates
+ */
+export function diffLines(before, after) {
+    const counts = new Map();
+    for (const line of before) counts.set(line, (counts.get(line) || 0) + 1);
+
+    const added = [];
+    for (const line of after) {
+        const left = counts.get(line) || 0;
+        if (left > 0) {
+            counts.set(line, left - 1);
+        } else {
+            added.push(line);
+        }
+    }
+
+    const removed = [];
+    for (const [line, count] of counts) {
+        for (let i = 0; i < count; i++) removed.push(line);
+    }
+
+    return { added, removed: removed.sort() };
+}
+
+/**
+ * Delta between two summaries: { <section>: { added, removed } } for every
+ * section both iterations have, null for the others
+ */
+export function diffIterations(previous, current) {
+    return Object.fromEntries(Object.keys(current).map(section => [
+        section,
+        previous?.[section] && current[section] ? diffLines(previous[section], current[section]) : null
+    ]));
+}
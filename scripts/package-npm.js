@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * npm Packaging Script
+ *
+ * Turns a generated output tree into installable npm package directories, one
+ * per assembly (default) or per namespace. A namespace spread over several
+ * assemblies goes with the assembly that contributes most of its types.
+ *
+ * Every package gets a package.json with:
+ * - an `exports` entry with a `types` condition per namespace ("./System.Linq"
+ *   and "./System.Linq/internal"), plus its metadata.json and bindings.json;
+ *   single-namespace packages also export it as "." and set `types`
+ * - `dependencies` on @tsonic/types, with the range from this repository's
+ *   package.json
+ * - `peerDependencies` on the packages of every namespace its namespaces
+ *   import (snapshot.json `imports`), pinned to the same version
+ * - the version of the .NET runtime the tree was generated from
+ *
+ * Usage: node scripts/package-npm.js <output-dir> [--out-dir <dir>]
+ *            [--group-by assembly|namespace] [--scope <@scope>]
+ *            [--version <semver>] [--verify [--types-from <dir|tgz>]]
+ *
+ * Packages are written to .tests/packages unless --out-dir is given. The
+ * version defaults to the one in the output directory's name, as validate.js
+ * names runtime targets (Microsoft.NETCore.App@10.0.0). --verify packs every
+ * package with `npm pack`, installs the tarballs into a scratch project and
+ * type-checks an import of every namespace there; it exits 1 when anything
+ * fails to install or resolve. --types-from installs @tsonic/types from a local
+ * folder or tarball instead of the registry.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { GROUP_BY, planPackages, buildManifest, writePackage } from './lib/npm-packages.js';
+import { typeCheckProject, describeRecord } from './lib/tsc-diagnostics.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_PACKAGES_DIR = path.join(PROJECT_ROOT, '.tests', 'packages');
+const DEFAULT_SCOPE = '@tsonic';
+
+const SEMVER = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// Diagnostics that mean a package or one of its imports did not resolve
+const RESOLUTION_CODES = new Set(['TS2307', 'TS2792', 'TS2834', 'TS2835', 'TS7016']);
+
+/**
+ * Version from an output directory named like a validate.js runtime target
+ */
+function versionFromOutputDir(outputDir) {
+    const match = path.basename(outputDir).match(/@(\d+\.\d+\.\d+[^@]*)$/);
+    return match && SEMVER.test(match[1]) ? match[1] : null;
+}
+
+function readTypesRange() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, 'package.json'), 'utf-8'));
+    const range = manifest.dependencies?.['@tsonic/types'];
+    if (!range) {
+        throw new Error('package.json does not declare the @tsonic/types dependency');
+    }
+    return range;
+}
+
+function packageFolder(name) {
+    return name.replace(/^@/, '').replace('/', '-');
+}
+
+function npm(args, cwd) {
+    return execFileSync('npm', args, { cwd, encoding: 'utf-8', stdio: 'pipe', maxBuffer: 10 * 1024 * 1024 });
+}
+
+/**
+ * npm pack every package, install the tarballs into a scratch project and
+ * type-check an import of every namespace. Returns the problems found.
+ */
+function verifyPackages(packagesDir, packages, typesFrom) {
+    const tarballDir = path.join(packagesDir, '.tarballs');
+    const scratchDir = path.join(packagesDir, '.scratch');
+    fs.rmSync(tarballDir, { recursive: true, force: true });
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+    fs.mkdirSync(tarballDir, { recursive: true });
+    fs.mkdirSync(scratchDir, { recursive: true });
+
+    const tarballs = [];
+    for (const pkg of packages) {
+        const packed = JSON.parse(npm(['pack', '--json', '--pack-destination', tarballDir], path.join(packagesDir, packageFolder(pkg.name))));
+        tarballs.push(path.join(tarballDir, packed[0].filename));
+        console.log(`  packed ${packed[0].filename} (${packed[0].entryCount} files)`);
+    }
+
+    fs.writeFileSync(path.join(scratchDir, 'package.json'),
+        JSON.stringify({ name: 'tsbindgen-package-check', version: '0.0.0', private: true }, null, 2) + '\n');
+    const installs = typesFrom ? [typesFrom, ...tarballs] : tarballs;
+    try {
+        npm(['install', '--no-audit', '--no-fund', '--no-package-lock', '--ignore-scripts', ...installs], scratchDir);
+    } catch (err) {
+        return [`npm install failed: ${(err.stderr || err.message).trim()}`];
+    }
+    console.log(`  installed ${tarballs.length} packages into ${scratchDir}`);
+
+    const imports = packages.flatMap(pkg => pkg.namespaces.map(ns => `${pkg.name}/${ns}`));
+    fs.writeFileSync(path.join(scratchDir, 'check.ts'),
+        imports.map((specifier, i) => `import type * as N${i} from "${specifier}";\nexport type { N${i} };\n`).join(''));
+    fs.writeFileSync(path.join(scratchDir, 'tsconfig.json'), JSON.stringify({
+        compilerOptions: {
+            target: 'ES2020',
+            module: 'node16',
+            moduleResolution: 'node16',
+            strict: true,
+            noEmit: true,
+            types: []
+        },
+        files: ['check.ts']
+    }, null, 2) + '\n');
+
+    // Type errors inside the declarations are validate.js's business; here
+    // only the consumer file and module resolution count
+    const { records } = typeCheckProject(scratchDir);
+    const problems = records
+        .filter(r => r.category === 'error' && (r.file === 'check.ts' || RESOLUTION_CODES.has(r.code)))
+        .map(describeRecord);
+    console.log(`  type-checked imports of ${imports.length} namespaces`);
+    return problems;
+}
+
+function usage() {
+    console.error('Usage: node scripts/package-npm.js <output-dir> [--out-dir <dir>] [--group-by assembly|namespace] ' +
+        '[--scope <@scope>] [--version <semver>] [--verify [--types-from <dir|tgz>]]');
+    process.exit(1);
+}
+
+function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                'out-dir': { type: 'string', short: 'o' },
+                'group-by': { type: 'string', default: 'assembly' },
+                'scope': { type: 'string', default: DEFAULT_SCOPE },
+                'version': { type: 'string' },
+                'verify': { type: 'boolean', default: false },
+                'types-from': { type: 'string' }
+            }
+        });
+    } catch (err) {
+        console.error(err.message);
+        usage();
+    }
+
+    const { values: args, positionals } = parsed;
+    if (positionals.length !== 1) {
+        usage();
+    }
+    if (!GROUP_BY.includes(args['group-by'])) {
+        console.error(`Unknown --group-by "${args['group-by']}" (expected ${GROUP_BY.join(', ')})`);
+        usage();
+    }
+    if (args.scope && !/^@[a-z0-9][a-z0-9._-]*$/.test(args.scope)) {
+        console.error(`Invalid --scope "${args.scope}" (expected @name, lowercase)`);
+        usage();
+    }
+
+    if (args['types-from'] && !args.verify) {
+        console.error('--types-from only applies to --verify');
+        usage();
+    }
+
+    const outputDir = path.resolve(positionals[0]);
+    if (!fs.existsSync(path.join(outputDir, 'namespaces'))) {
+        console.error(`Error: Namespaces directory not found: ${path.join(outputDir, 'namespaces')}`);
+        process.exit(1);
+    }
+
+    const version = args.version || versionFromOutputDir(outputDir);
+    if (!version) {
+        console.error(`Error: Cannot tell the .NET runtime version from ${path.basename(outputDir)}; pass --version`);
+        process.exit(1);
+    }
+    if (!SEMVER.test(version)) {
+        console.error(`Error: --version "${version}" is not a semver version`);
+        process.exit(1);
+    }
+
+    let plan;
+    let typesRange;
+    try {
+        plan = planPackages(outputDir, { groupBy: args['group-by'], scope: args.scope });
+        typesRange = readTypesRange();
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
+
+    const packagesDir = args['out-dir'] ? path.resolve(args['out-dir']) : DEFAULT_PACKAGES_DIR;
+    fs.mkdirSync(packagesDir, { recursive: true });
+
+    console.log(`Packaging ${outputDir} as ${plan.packages.length} packages (version ${version}) into ${packagesDir}`);
+    for (const pkg of plan.packages) {
+        const manifest = buildManifest(pkg, { version, typesRange });
+        const files = writePackage(outputDir, path.join(packagesDir, packageFolder(pkg.name)), pkg, manifest, plan.packageOf);
+        const peers = pkg.peers.length > 0 ? `, peers: ${pkg.peers.join(', ')}` : '';
+        console.log(`  ${pkg.name}: ${pkg.namespaces.length} namespaces, ${files} files${peers}`);
+    }
+
+    if (plan.dangling.length > 0) {
+        console.error(`Warning: ${plan.dangling.length} imports of namespaces that are not in the tree; ` +
+            'types referenced through them stay unresolved (see analyze-dependencies.js)');
+    }
+
+    if (!args.verify) return;
+
+    console.log('');
+    console.log('Verifying packages...');
+    let problems;
+    try {
+        problems = verifyPackages(packagesDir, plan.packages, args['types-from'] && path.resolve(args['types-from']));
+    } catch (err) {
+        console.error(`Error: ${(err.stderr || err.message).trim()}`);
+        process.exit(1);
+    }
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`  ✗ ${problem}`));
+        console.error(`✗ ${problems.length} problems`);
+        process.exit(1);
+    }
+    console.log('✓ All packages install and resolve');
+}
+
+main();
@@ -0,0 +1,561 @@
+#!/usr/bin/env node
+
+/**
+ * QA CLI
+ *
+ * Runs the checks of a generated output tree as separate steps:
+ *
+ *   generate      regenerate the tree of a validation target (wiping it first;
+ *                 outside .tests/ only a tree with a namespaces/ folder)
+ *   typecheck     type-check the tree under the baseline compiler profile and
+ *                 compare its errors with the target's tsc baseline (its
+ *                 config goes to tsconfig.qa.<profile>.json, so the tree's
+ *                 own tsconfig.json is not touched)
+ *   completeness  check the tree against what was reflected (see
+ *                 verify-completeness.js) and save completeness-report.json
+ *   report        summarize the steps of this run, or the results an earlier
+ *                 run left in the tree, and write qa-report.{json,junit.xml,sarif}
+ *
+ * Steps run in that order, whatever order they are given in; `all` runs all
+ * four. Any subset works on an existing tree, such as one a build produced
+ * elsewhere, without regenerating it:
+ *
+ *   node scripts/qa.js typecheck completeness report --output-dir dist/types
+ *
+ * Usage: node scripts/qa.js <step...> [--output-dir <dir>] [--target <name>]
+ *            [--assembly-dir <dir>] [--config <file>] [--namespaces <list>]
+ *            [--per-namespace] [--jobs <n>] [--policy <file>] [--thresholds <file>]
+ *            [--format json,junit,sarif] [--report-dir <dir>] [--quiet]
+ *
+ * Targets are resolved as by validate.js. A target is required by generate,
+ * and by every step when --output-dir is not given (its tree is then
+ * .tests/validation/<target>); it also names the tsc baseline entry, so a
+ * tree checked without one has no baseline to regress against. --namespaces
+ * restricts generation and narrows type-check and completeness results to
+ * those namespaces. --format applies to report (default json), whose files go
+ * to --report-dir, by default the output directory. --quiet prints only the
+ * results. Exits 1 when any step failed.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { resolveTargets, VALIDATION_ROOT, TSC_CACHE_DIR } from './lib/targets.js';
+import { runGenerator } from './lib/generate.js';
+import { typeCheckOutput } from './lib/typecheck.js';
+import {
+    verifyCompleteness,
+    completenessPassed,
+    buildCompletenessJUnit,
+    buildCompletenessSarif
+} from './lib/completeness.js';
+import { summarizeDiagnostics, describeRecord, GLOBAL_NAMESPACE } from './lib/tsc-diagnostics.js';
+import { defaultJobs } from './lib/tsc-incremental.js';
+import { loadTscProfiles, selectProfiles, buildTsConfig } from './lib/tsc-profiles.js';
+import { loadBaseline, compareWithBaseline } from './lib/tsc-baseline.js';
+import { loadOmissionPolicy } from './lib/omission-policy.js';
+import { loadCoverageConfig } from './lib/coverage.js';
+import { listNamespaces } from './lib/sidecars.js';
+import { parseFormats, writeReports } from './lib/report-formats.js';
+import { buildTscCases, tscSarifRules, tscSarifResults } from './lib/tsc-reports.js';
+import { parsePositiveInt, splitList } from './lib/cli-options.js';
+import { formatMetric } from './lib/perf.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STEPS = ['generate', 'typecheck', 'completeness', 'report'];
+const BASELINE_PATH = path.join(__dirname, 'tsc-baseline.json');
+const TSC_PROFILES_PATH = path.join(__dirname, 'tsc-profiles.json');
+const DEFAULT_POLICY_PATH = path.join(__dirname, 'omission-policy.json');
+const DEFAULT_THRESHOLDS_PATH = path.join(__dirname, 'coverage-thresholds.json');
+
+// Results of earlier runs that report picks up from the tree
+const TSC_REPORT = 'tsc-validation.json';
+const COMPLETENESS_REPORT = 'completeness-report.json';
+
+// Problems listed per failed step in the summary
+const PRINT_LIMIT = 10;
+
+let quiet = false;
+
+function log(message) {
+    if (quiet) return;
+    console.log(`[qa] ${message}`);
+}
+
+function error(message) {
+    console.error(`[qa] ERROR: ${message}`);
+}
+
+function parseOptions() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'output-dir': { type: 'string' },
+            'target': { type: 'string' },
+            'assembly-dir': { type: 'string' },
+            'config': { type: 'string' },
+            'namespaces': { type: 'string' },
+            'per-namespace': { type: 'boolean', default: false },
+            'jobs': { type: 'string' },
+            'policy': { type: 'string' },
+            'thresholds': { type: 'string' },
+            'format': { type: 'string', multiple: true },
+            'report-dir': { type: 'string' },
+            'quiet': { type: 'boolean', short: 'q', default: false }
+        }
+    });
+
+    if (positionals.length === 0) {
+        throw new Error('No step given');
+    }
+    const unknown = positionals.filter(step => step !== 'all' && !STEPS.includes(step));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown step(s): ${unknown.join(', ')} (expected ${STEPS.join(', ')} or all)`);
+    }
+    const steps = STEPS.filter(step => positionals.includes(step) || positionals.includes('all'));
+
+    if (!steps.includes('report')) {
+        for (const flag of ['format', 'report-dir']) {
+            if (values[flag]) throw new Error(`--${flag} only applies to the report step`);
+        }
+    }
+    if (!steps.includes('typecheck')) {
+        for (const flag of ['per-namespace', 'jobs']) {
+            if (values[flag]) throw new Error(`--${flag} only applies to the typecheck step`);
+        }
+    }
+    if (!steps.includes('completeness')) {
+        for (const flag of ['policy', 'thresholds']) {
+            if (values[flag]) throw new Error(`--${flag} only applies to the completeness step`);
+        }
+    }
+    if (values['target'] && values['assembly-dir']) {
+        throw new Error('--target and --assembly-dir cannot be combined');
+    }
+
+    return {
+        steps,
+        outputDir: values['output-dir'] ? path.resolve(values['output-dir']) : null,
+        configPath: values['config'],
+        targetNames: values['target'] ? [values['target']] : [],
+        assemblyDirs: values['assembly-dir'] ? [values['assembly-dir']] : [],
+        namespaces: splitList(values['namespaces']),
+        perNamespace: values['per-namespace'],
+        jobs: values['jobs'] ? parsePositiveInt(values['jobs'], '--jobs') : defaultJobs(),
+        policyPath: values['policy'] ? path.resolve(values['policy']) : DEFAULT_POLICY_PATH,
+        thresholdsPath: values['thresholds'] ? path.resolve(values['thresholds']) : DEFAULT_THRESHOLDS_PATH,
+        formats: steps.includes('report') ? parseFormats(values['format'] || ['json']) : [],
+        reportDir: values['report-dir'] ? path.resolve(values['report-dir']) : null,
+        quiet: values['quiet']
+    };
+}
+
+/**
+ * The one target the run is about, or null for a tree given by --output-dir
+ * alone
+ */
+function resolveTarget(options) {
+    const explicit = options.targetNames.length > 0 || options.assemblyDirs.length > 0;
+    if (!explicit && options.outputDir && !options.steps.includes('generate')) {
+        return null;
+    }
+
+    const targets = resolveTargets(options);
+    if (targets.length !== 1) {
+        throw new Error(targets.length === 0
+            ? 'No validation target found; pass --assembly-dir, --target or --output-dir'
+            : `${targets.length} validation targets configured (${targets.map(t => t.name).join(', ')}); pick one with --target`);
+    }
+    return targets[0];
+}
+
+/**
+ * Empties the output directory for generate. Outside .tests/ only an earlier
+ * generated tree (one with a namespaces/ folder) is removed, so a mistyped
+ * --output-dir cannot wipe the repository or an unrelated directory.
+ */
+function clearOutputDir(outputDir) {
+    const relative = path.relative(path.dirname(VALIDATION_ROOT), outputDir);
+    const underTests = relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+
+    if (!underTests && fs.existsSync(outputDir) && fs.readdirSync(outputDir).length > 0 &&
+        !fs.existsSync(path.join(outputDir, 'namespaces'))) {
+        throw new Error(`Refusing to clear ${outputDir}: it is not empty and holds no generated namespaces/ folder`);
+    }
+
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+}
+
+async function runGenerate(context) {
+    const { target, outputDir, namespaces } = context;
+    log(`Generating ${target.name} from ${target.assemblyDir}`);
+
+    clearOutputDir(outputDir);
+
+    try {
+        const result = await runGenerator({ assemblyDir: target.assemblyDir, outputDir, namespaces });
+        return {
+            passed: true,
+            namespaces: listNamespaces(outputDir).length,
+            wallMs: result.wallMs,
+            peakRssKb: result.peakRssKb
+        };
+    } catch (err) {
+        const output = [err.stdout, err.stderr].filter(Boolean).join('\n').trim();
+        return { passed: false, error: err.message, output: output.split('\n').slice(-20).join('\n') };
+    }
+}
+
+async function runTypecheck(context, options) {
+    const { target, outputDir } = context;
+    const profileConfig = loadTscProfiles(TSC_PROFILES_PATH);
+    const [profile] = selectProfiles(profileConfig, []);
+    // A config of its own, so a tsconfig.json the tree already has is left alone
+    const configName = `tsconfig.qa.${profile.name}.json`;
+    fs.writeFileSync(path.join(outputDir, configName), JSON.stringify(buildTsConfig(profile), null, 2));
+
+    log(`Type-checking ${outputDir} (${profile.name} profile)`);
+    const tsc = await typeCheckOutput(outputDir, {
+        profileConfig,
+        profile,
+        configName,
+        perNamespace: options.perNamespace,
+        jobs: options.jobs,
+        // Trees outside .tests/validation get a cache of their own
+        cachePath: target
+            ? target.cachePath
+            : path.join(TSC_CACHE_DIR, `qa-${crypto.createHash('sha1').update(outputDir).digest('hex').slice(0, 12)}.json`),
+        log
+    });
+    log(`Results written to ${tsc.reportPath}`);
+
+    return summarizeTypecheck(tsc.records, context);
+}
+
+/**
+ * Step result of tsc records, narrowed to the namespace filter (global errors
+ * are kept) and compared with the target's baseline
+ */
+function summarizeTypecheck(allRecords, { target, namespaces, namespaceFilter }) {
+    const records = namespaces.length > 0
+        ? allRecords.filter(r => r.namespace === GLOBAL_NAMESPACE || namespaces.includes(r.namespace))
+        : allRecords;
+    const summary = summarizeDiagnostics(records);
+    const comparison = target
+        ? compareWithBaseline(loadBaseline(BASELINE_PATH).targets[target.name], summary.counts, namespaceFilter)
+        : { hasBaseline: false, regressions: [], improvements: [] };
+
+    return {
+        passed: summary.syntaxErrors === 0 && comparison.regressions.length === 0,
+        ...summary,
+        comparison,
+        records
+    };
+}
+
+function runCompleteness(context, options) {
+    const { outputDir, namespaces } = context;
+    const policy = loadOmissionPolicy(options.policyPath);
+    const coverageConfig = loadCoverageConfig(options.thresholdsPath);
+
+    log(`Checking completeness of ${outputDir}`);
+    const stats = verifyCompleteness(outputDir, {
+        policy,
+        coverageConfig,
+        namespaces,
+        reporter: {
+            section: title => log(title),
+            error: message => log(`  ✗ ${message}`)
+        }
+    });
+    const passed = completenessPassed(stats);
+
+    // Same document as verify-completeness.js --format json, for report and other tools
+    const reportPath = path.join(outputDir, COMPLETENESS_REPORT);
+    fs.writeFileSync(reportPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        passed,
+        validationDir: outputDir,
+        policy: options.policyPath,
+        thresholds: options.thresholdsPath,
+        namespaces,
+        stats
+    }, null, 2) + '\n');
+    log(`Results written to ${reportPath}`);
+
+    return { passed, stats };
+}
+
+/**
+ * Results of the steps report covers: those of this run, else those saved in
+ * the tree by an earlier run. A step with neither is null.
+ */
+function collectResults(results, context) {
+    const collected = { ...results };
+
+    const tscPath = path.join(context.outputDir, TSC_REPORT);
+    if (!collected.typecheck && fs.existsSync(tscPath)) {
+        const saved = JSON.parse(fs.readFileSync(tscPath, 'utf-8'));
+        collected.typecheck = { ...summarizeTypecheck(saved.diagnostics, context), loadedFrom: tscPath };
+    }
+
+    const completenessPath = path.join(context.outputDir, COMPLETENESS_REPORT);
+    if (!collected.completeness && fs.existsSync(completenessPath)) {
+        const saved = JSON.parse(fs.readFileSync(completenessPath, 'utf-8'));
+        // Its totals cannot be narrowed afterwards, so only the same filter counts
+        const savedFilter = [...(saved.namespaces || [])].sort().join(',');
+        if (savedFilter !== [...context.namespaces].sort().join(',')) {
+            log(`Ignoring ${completenessPath}: it covers ${savedFilter || 'all namespaces'}; run completeness again`);
+            return collected;
+        }
+        collected.completeness = {
+            passed: completenessPassed(saved.stats),
+            stats: saved.stats,
+            loadedFrom: completenessPath
+        };
+    }
+
+    return collected;
+}
+
+function describeStep(step, result) {
+    if (step === 'generate') {
+        return result.passed
+            ? `${result.namespaces} namespaces in ${formatMetric('wallMs', result.wallMs)}`
+            : result.error;
+    }
+
+    if (step === 'typecheck') {
+        const { regressions, hasBaseline } = result.comparison;
+        const baseline = hasBaseline
+            ? `${regressions.length} baseline regressions`
+            : 'no baseline';
+        return `${result.totalErrors} errors (${result.syntaxErrors} syntax), ${baseline}`;
+    }
+
+    const { stats } = result;
+    return `${stats.namespacesChecked} namespaces, ` +
+        `${stats.typesLost.filter(t => !t.allowed).length} types and ` +
+        `${stats.membersLost.filter(m => !m.allowed).length} members lost outside the allow-list, ` +
+        `${stats.thresholdBreaches.length} thresholds not met` +
+        (stats.schemaViolations.length > 0 ? `, ${stats.schemaViolations.length} schema violations` : '');
+}
+
+/**
+ * Lines explaining why a step failed
+ */
+function stepProblems(step, result) {
+    if (step === 'generate') {
+        return result.output ? result.output.split('\n') : [];
+    }
+
+    if (step === 'typecheck') {
+        return [
+            ...result.records
+                .filter(r => r.category === 'error' && /^TS1\d{3}$/.test(r.code))
+                .map(describeRecord),
+            ...result.comparison.regressions
+                .map(g => `${g.bucket === 'byCode' ? 'Error code' : 'Namespace'} ${g.key}: ${g.baseline} → ${g.current} errors`)
+        ];
+    }
+
+    const { stats } = result;
+    return [
+        ...stats.typesLost.filter(t => !t.allowed).map(t => `Type lost: ${t.namespace}.${t.typeName} (${t.kind})`),
+        ...stats.membersLost.filter(m => !m.allowed)
+            .map(m => `${m.reason ? `Overload ${m.reason}` : 'Member lost'}: ${m.namespace}.${m.type}.${m.signature || m.member}`),
+        ...stats.thresholdBreaches.map(b => `Coverage: ${b.namespace} ${b.kind} below ${b.minimum}%`),
+        ...stats.unreportedOmissions.map(o => `Unreported omission: ${o.type}.${o.member} (rule: ${o.rule})`),
+        ...stats.duplicateKeys.map(d => `Duplicate ${d.source} key: ${d.namespace} ${d.key}`),
+        ...stats.schemaViolations.map(v => `Schema violation: ${v.namespace}/${v.file}: ${v.path}: ${v.message}`)
+    ];
+}
+
+function printSummary(results, context) {
+    console.log('');
+    console.log('================================================================');
+    console.log('QA RESULTS');
+    console.log('================================================================');
+    console.log('');
+    console.log(`  Output directory: ${context.outputDir}`);
+    console.log(`  Target: ${context.target ? context.target.name : '(none)'}`);
+    console.log(`  Namespaces: ${context.namespaces.length > 0 ? context.namespaces.join(', ') : 'all'}`);
+    console.log('');
+
+    for (const step of STEPS.slice(0, -1)) {
+        const result = results[step];
+        if (!result) {
+            console.log(`  - ${step.padEnd(13)} not run`);
+            continue;
+        }
+
+        const from = result.loadedFrom ? ` (from ${result.loadedFrom})` : '';
+        console.log(`  ${result.passed ? '✓' : '✗'} ${step.padEnd(13)} ${describeStep(step, result)}${from}`);
+        if (result.passed) continue;
+
+        const problems = stepProblems(step, result);
+        for (const line of problems.slice(0, PRINT_LIMIT)) {
+            console.log(`      ${line}`);
+        }
+        if (problems.length > PRINT_LIMIT) {
+            console.log(`      ... and ${problems.length - PRINT_LIMIT} more`);
+        }
+    }
+    console.log('');
+}
+
+function buildJsonReport(results, context) {
+    const { typecheck, completeness } = results;
+    return {
+        generatedAt: new Date().toISOString(),
+        outputDir: context.outputDir,
+        target: context.target ? context.target.name : null,
+        namespaces: context.namespaces,
+        passed: Object.values(results).every(r => !r || r.passed),
+        steps: {
+            generate: results.generate || null,
+            typecheck: typecheck
+                ? {
+                    passed: typecheck.passed,
+                    totalErrors: typecheck.totalErrors,
+                    syntaxErrors: typecheck.syntaxErrors,
+                    semanticErrors: typecheck.semanticErrors,
+                    duplicateErrors: typecheck.duplicateErrors,
+                    counts: typecheck.counts,
+                    comparison: typecheck.comparison,
+                    loadedFrom: typecheck.loadedFrom || null
+                }
+                : null,
+            completeness: completeness
+                ? { passed: completeness.passed, stats: completeness.stats, loadedFrom: completeness.loadedFrom || null }
+                : null
+        }
+    };
+}
+
+function buildJUnitSuites(results, context) {
+    const suites = [];
+
+    if (results.generate) {
+        const testCase = { name: 'generate', classname: 'generate' };
+        if (!results.generate.passed) {
+            testCase.error = { message: results.generate.error, details: results.generate.output || '' };
+        }
+        suites.push({ name: 'generate', cases: [testCase] });
+    }
+
+    const typecheck = results.typecheck;
+    if (typecheck) {
+        const cases = buildTscCases(typecheck.records, {
+            namespaces: listNamespaces(context.outputDir)
+                .filter(ns => context.namespaces.length === 0 || context.namespaces.includes(ns)),
+            regressions: typecheck.comparison.regressions,
+            hasBaseline: typecheck.comparison.hasBaseline,
+            classname: 'typecheck'
+        });
+        suites.push({ name: 'typecheck', cases });
+    }
+
+    if (results.completeness) {
+        suites.push(...buildCompletenessJUnit(results.completeness.stats));
+    }
+
+    return suites;
+}
+
+function buildSarifReport(results, context) {
+    const records = results.typecheck ? results.typecheck.records : [];
+    const rules = tscSarifRules(records);
+    const sarifResults = tscSarifResults(records, context.outputDir);
+    if (!results.completeness) {
+        return { toolName: 'tsbindgen-qa', rules, results: sarifResults };
+    }
+
+    const completeness = buildCompletenessSarif(results.completeness.stats, context.outputDir);
+    return {
+        toolName: 'tsbindgen-qa',
+        rules: [...rules, ...completeness.rules],
+        results: [...sarifResults, ...completeness.results]
+    };
+}
+
+function usage() {
+    console.error('Usage: node scripts/qa.js <generate|typecheck|completeness|report|all...> [--output-dir <dir>] ' +
+        '[--target <name>] [--assembly-dir <dir>] [--config <file>] [--namespaces <list>] [--per-namespace] ' +
+        '[--jobs <n>] [--policy <file>] [--thresholds <file>] [--format json,junit,sarif] [--report-dir <dir>] [--quiet]');
+    process.exit(1);
+}
+
+async function main() {
+    let options;
+    let target;
+    try {
+        options = parseOptions();
+        quiet = options.quiet;
+        target = resolveTarget(options);
+    } catch (err) {
+        error(err.message);
+        usage();
+    }
+
+    const context = {
+        target,
+        outputDir: options.outputDir || target.outputDir,
+        namespaces: target ? target.namespaces : options.namespaces,
+        // Narrower than the target's own filter, which its baseline was recorded with
+        namespaceFilter: options.namespaces
+    };
+    const { steps } = options;
+
+    if (!steps.includes('generate') && !fs.existsSync(path.join(context.outputDir, 'namespaces'))) {
+        error(`Namespaces directory not found: ${path.join(context.outputDir, 'namespaces')}`);
+        process.exit(1);
+    }
+
+    const results = {};
+    try {
+        if (steps.includes('generate')) {
+            results.generate = await runGenerate(context);
+        }
+        // Nothing to check when generation failed
+        if (!results.generate || results.generate.passed) {
+            if (steps.includes('typecheck')) {
+                results.typecheck = await runTypecheck(context, options);
+            }
+            if (steps.includes('completeness')) {
+                results.completeness = runCompleteness(context, options);
+            }
+        }
+    } catch (err) {
+        error(err.message);
+        process.exit(1);
+    }
+
+    const reported = steps.includes('report') ? collectResults(results, context) : results;
+    printSummary(reported, context);
+
+    if (steps.includes('report')) {
+        if (!reported.generate && !reported.typecheck && !reported.completeness) {
+            error(`Nothing to report: no step ran and ${context.outputDir} holds no ${TSC_REPORT} or ${COMPLETENESS_REPORT}`);
+            process.exit(1);
+        }
+
+        const written = writeReports(options.reportDir || context.outputDir, 'qa-report', options.formats, {
+            json: () => buildJsonReport(reported, context),
+            junit: () => buildJUnitSuites(reported, context),
+            sarif: () => buildSarifReport(reported, context)
+        });
+        for (const file of written) {
+            console.log(`Report written to ${file}`);
+        }
+    }
+
+    process.exit(Object.values(reported).every(r => r.passed) ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { verifyCompleteness, completenessPassed } from '../lib/completeness.js';
+import { loadCoverageConfig } from '../lib/coverage.js';
+
+// Sidecars written the way NamespacePipeline writes them: the snapshot with
+// every reflected overload, the typelist with what was emitted
+
+const ref = (namespace, typeName, extra = {}) => ({
+    kind: 0, namespace, typeName, genericArgs: [], arrayRank: 0, pointerDepth: 0,
+    declaringType: null, genericParameter: null, assembly: null, ...extra
+});
+const param = (type, kind = 'In') => ({ name: 'value', type, kind, isOptional: false, defaultValue: null, isParams: false });
+
+const CORELIB = 'System.Private.CoreLib';
+const INT32 = ref('System', 'Int32');
+const STRING = ref('System', 'String');
+const VOID = ref('System', 'Void');
+const WRITER = ref('Demo', 'Writer');
+
+const method = (clrName, parameters, extra = {}) => ({
+    clrName, isStatic: false, isVirtual: false, isOverride: false, isAbstract: false, visibility: 'Public',
+    genericParameters: [], parameters, returnType: VOID,
+    binding: { assembly: CORELIB, type: WRITER, member: clrName },
+    syntheticOverload: null, emitScope: 0, ...extra
+});
+const ctor = parameters => ({ visibility: 'Public', parameters });
+const generic = names => names.map(name => ({ name, constraints: [], variance: 'None' }));
+const type = (clrName, tsEmitName, members) => ({
+    clrName, kind: 'Class', isStatic: false, isSealed: false, isAbstract: false, visibility: 'Public',
+    genericParameters: [], baseType: null, implements: [], binding: { assembly: CORELIB, type: ref('Demo', clrName) },
+    diagnostics: [], helpers: [], conflictingInterfaces: null, hasBaseClassConflicts: false,
+    conflictingMemberNames: null, explicitViews: null, underlyingType: null, enumMembers: null,
+    delegateParameters: null, delegateReturnType: null, tsEmitName, isValueType: false,
+    members: { constructors: [], methods: [], properties: [], fields: [], events: [], ...members }
+});
+
+const emitted = (name, kind, parameters, genericArity = 0) =>
+    ({ name, kind, isStatic: false, emitScope: 'ClassSurface', genericArity, parameters });
+
+// The Writer type reflects overloads that differ by parameter type, by
+// ref/out kind and by generic arity, and two constructors
+const WRITER_TYPE = type('Writer', 'Writer', {
+    constructors: [ctor([]), ctor([param(INT32)])],
+    methods: [
+        method('Write', [param(INT32)]),
+        method('Write', [param(STRING)]),
+        method('Write', [param(INT32), param(INT32)]),
+        method('Read', [param(INT32)]),
+        method('Read', [param(INT32, 'Ref')]),
+        method('TryRead', [param(INT32, 'Out')]),
+        method('Cast', []),
+        method('Cast', [], { genericParameters: generic(['T']) })
+    ]
+});
+
+const ALL_EMITTED = [
+    emitted('constructor', 'constructor', []),
+    emitted('constructor', 'constructor', ['System.Int32']),
+    emitted('Write', 'method', ['System.Int32']),
+    emitted('Write', 'method', ['System.String']),
+    emitted('Write', 'method', ['System.Int32', 'System.Int32']),
+    emitted('Read', 'method', ['System.Int32']),
+    emitted('Read', 'method', ['System.Int32']),
+    emitted('TryRead', 'method', ['System.Int32']),
+    emitted('Cast', 'method', []),
+    emitted('Cast', 'method', [], 1)
+];
+
+function writeTree(dir, snapshotTypes, typelistTypes) {
+    const nsDir = path.join(dir, 'namespaces', 'Demo');
+    fs.mkdirSync(nsDir, { recursive: true });
+    fs.writeFileSync(path.join(nsDir, 'snapshot.json'), JSON.stringify({
+        clrName: 'Demo', tsAlias: 'Demo', types: snapshotTypes, imports: {},
+        diagnostics: [], sourceAssemblies: [CORELIB]
+    }));
+    fs.writeFileSync(path.join(nsDir, 'typelist.json'), JSON.stringify({ namespace: 'Demo', types: typelistTypes }));
+}
+
+function verify(snapshotTypes, typelistTypes) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'completeness-'));
+    try {
+        writeTree(dir, snapshotTypes, typelistTypes);
+        return verifyCompleteness(dir, {
+            policy: { version: 1, rules: [] },
+            coverageConfig: loadCoverageConfig(path.join(dir, 'no-thresholds.json'))
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const lost = stats => stats.membersLost.map(m => [m.signature, m.reason, m.emittedAs]);
+
+test('accounts for every overload that was emitted', () => {
+    const stats = verify([WRITER_TYPE], [{ tsEmitName: 'Writer', kind: 'class', members: ALL_EMITTED }]);
+
+    assert.deepEqual(lost(stats), []);
+    assert.equal(stats.membersInSnapshot, 10);
+    assert.equal(stats.membersInTypelist, 10);
+    assert.equal(completenessPassed(stats), true);
+});
+
+test('reports each dropped, merged or changed overload on its own', () => {
+    const stats = verify([WRITER_TYPE], [{
+        tsEmitName: 'Writer',
+        kind: 'class',
+        members: [
+            emitted('constructor', 'constructor', []),
+            emitted('Write', 'method', ['System.Int32']),
+            emitted('Write', 'method', ['System.Object']),
+            emitted('Read', 'method', ['System.Int32']),
+            emitted('TryRead', 'method', ['System.Int32']),
+            emitted('Cast', 'method', [], 1)
+        ]
+    }]);
+
+    assert.deepEqual(lost(stats), [
+        ['constructor(System.Int32)', 'dropped', null],
+        // Only the parameter type differs from the emitted Write(System.Object)
+        ['Write(System.String)', 'changed', 'Write(System.Object)'],
+        ['Write(System.Int32, System.Int32)', 'dropped', null],
+        // Parameter kinds are not part of the signature: the by-ref overload
+        // is covered by the by-value one that was emitted
+        ['Read(System.Int32)', 'merged', 'Read(System.Int32)'],
+        // Same parameters, different generic arity
+        ['Cast()', 'dropped', null]
+    ]);
+    assert.deepEqual(stats.overloadsLost, { dropped: 3, merged: 1, changed: 1 });
+    assert.deepEqual(stats.membersLost.map(m => m.kind),
+        ['constructor', 'method', 'method', 'method', 'method']);
+    assert.equal(completenessPassed(stats), false);
+});
+
+test('matches any overload against typelist entries without signatures', () => {
+    const members = ALL_EMITTED.map(({ genericArity, parameters, ...entry }) => entry);
+    const stats = verify([WRITER_TYPE], [{ tsEmitName: 'Writer', kind: 'class', members }]);
+
+    assert.deepEqual(lost(stats), []);
+});
+
+test('merges typelist entries that share a lookup key and reports them', () => {
+    const pair = type('Pair`1', 'Pair_1', { methods: [method('First', []), method('Second', [])] });
+    const stats = verify([pair], [
+        { tsEmitName: 'Pair_1', kind: 'class', members: [emitted('First', 'method', [])] },
+        { tsEmitName: 'Pair`1', kind: 'class', members: [emitted('Second', 'method', [])] }
+    ]);
+
+    // Neither entry shadows the other, so no member is lost
+    assert.deepEqual(lost(stats), []);
+    assert.deepEqual(stats.duplicateKeys, [
+        { namespace: 'Demo', source: 'typelist', key: 'Pair_1', names: ['Pair_1', 'Pair`1'] }
+    ]);
+    assert.equal(completenessPassed(stats), false);
+});
+
+test('reports a namespace whose sidecars fail their schema instead of checking it', () => {
+    const stats = verify([WRITER_TYPE], [{ tsEmitName: 'Writer', kind: 'class', Members: ALL_EMITTED }]);
+
+    assert.deepEqual(stats.namespaceResults, [
+        { namespace: 'Demo', invalid: '1 schema violations in typelist.json, namespace not checked' }
+    ]);
+    assert.deepEqual(stats.schemaViolations.map(v => [v.file, v.path, v.message]), [
+        ['typelist.json', '$.types[0].Members', "property 'Members' has wrong casing, expected 'members'"]
+    ]);
+    assert.equal(completenessPassed(stats), false);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    loadCoverageConfig,
+    findAllowedLoss,
+    findUnusedAllowances,
+    emptyCoverage,
+    coveragePercent,
+    findThresholdBreaches,
+    formatPercent
+} from '../lib/coverage.js';
+
+function withConfig(config, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-'));
+    try {
+        const file = path.join(dir, 'thresholds.json');
+        fs.writeFileSync(file, JSON.stringify(config));
+        return fn(file);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('loads thresholds with per-kind fallbacks and rejects bad entries', () => {
+    withConfig({
+        version: 1,
+        minimumCoverage: 50,
+        namespaces: { 'System.Linq': { minimumCoverage: { methods: 95 }, allowedLosses: [{ type: 'Enumerable', reason: 'x' }] } }
+    }, file => {
+        const config = loadCoverageConfig(file);
+        assert.equal(config.minimumCoverage.fields, 50);
+        const linq = config.namespaces.get('System.Linq');
+        assert.equal(linq.minimumCoverage.methods, 95);
+        assert.equal(linq.minimumCoverage.types, 50);
+        assert.deepEqual(linq.allowedLosses, [{ type: 'Enumerable', member: null, signature: null, reason: 'x', matched: 0 }]);
+    });
+
+    assert.equal(loadCoverageConfig('/nonexistent/thresholds.json').minimumCoverage.types, 0);
+    withConfig({ version: 2 }, file => assert.throws(() => loadCoverageConfig(file), /version 2/));
+    withConfig({ version: 1, minimumCoverage: { method: 90 } }, file =>
+        assert.throws(() => loadCoverageConfig(file), /unknown coverage kind\(s\) method/));
+    withConfig({ version: 1, minimumCoverage: 120 }, file =>
+        assert.throws(() => loadCoverageConfig(file), /must be a percentage/));
+    withConfig({ version: 1, namespaces: { A: { allowedLosses: [{ type: 'T' }] } } }, file =>
+        assert.throws(() => loadCoverageConfig(file), /needs a type and a reason/));
+});
+
+test('matches losses against the allow-list and reports unused entries', () => {
+    withConfig({
+        version: 1,
+        namespaces: {
+            System: {
+                allowedLosses: [
+                    { type: 'String', member: 'Substring', signature: '(System.Int32)', reason: 'one overload' },
+                    { type: 'Console', member: 'WriteLine', reason: 'all overloads' },
+                    { type: 'Gone', reason: 'type' },
+                    { type: 'Unused', member: 'X', reason: 'stale' }
+                ]
+            }
+        }
+    }, file => {
+        const config = loadCoverageConfig(file);
+        assert.equal(findAllowedLoss(config, 'System', { type: 'String', member: 'Substring', signature: '(System.Int32)' }).reason, 'one overload');
+        assert.equal(findAllowedLoss(config, 'System', { type: 'String', member: 'Substring', signature: '()' }), null);
+        assert.equal(findAllowedLoss(config, 'System', { type: 'Console', member: 'WriteLine', signature: '()' }).reason, 'all overloads');
+        assert.equal(findAllowedLoss(config, 'System', { type: 'Gone' }).reason, 'type');
+        assert.equal(findAllowedLoss(config, 'System', { type: 'Gone', member: 'M' }), null);
+        assert.equal(findAllowedLoss(config, 'Other', { type: 'Gone' }), null);
+        assert.deepEqual(findUnusedAllowances(config), [{ namespace: 'System', type: 'Unused', member: 'X', signature: null }]);
+    });
+});
+
+test('computes coverage, breaches and table percentages', () => {
+    assert.equal(coveragePercent({ total: 10, lost: 1, omitted: 0 }), 90);
+    assert.equal(coveragePercent({ total: 10, lost: 1, omitted: 5 }), 80);
+    assert.equal(coveragePercent({ total: 2, lost: 0, omitted: 2 }), null);
+
+    withConfig({ version: 1, minimumCoverage: { methods: 90 } }, file => {
+        const coverage = emptyCoverage();
+        coverage.methods = { total: 3, lost: 1, omitted: 0 };
+        coverage.types = { total: 1, lost: 1, omitted: 0 };
+        const breaches = findThresholdBreaches(loadCoverageConfig(file), 'System.Linq', coverage);
+        assert.deepEqual(breaches.map(b => [b.kind, b.minimum]), [['methods', 90]]);
+    });
+
+    assert.equal(formatPercent(100), '100%');
+    assert.equal(formatPercent(99.99), '99.9%');
+    assert.equal(formatPercent(66.666), '66.6%');
+    assert.equal(formatPercent(null), '-');
+});
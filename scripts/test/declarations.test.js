@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ts from 'typescript';
+import { extractDeclarations, listExportedNames } from '../lib/declarations.js';
+
+function parse(text) {
+    return ts.createSourceFile('index.d.ts', text, ts.ScriptTarget.Latest, true);
+}
+
+test('lists exported names once', () => {
+    const sourceFile = parse(`
+export type Point = Point$instance;
+export const Point: Point$static;
+export { List_1 as List } from "./internal/index.js";
+declare class Hidden {}
+`);
+    assert.deepEqual(listExportedNames(sourceFile).map(e => e.name), ['Point', 'List']);
+});
+
+test('folds struct companions into their type', () => {
+    const declarations = extractDeclarations(parse(`
+export interface Point$instance {
+    get_X(): int;
+    Offset(dx: int, dy: int): void;
+}
+export interface Point$static {
+    Parse<T>(s: string): Point;
+}
+export interface __Point$views {
+    As_IEquatable_1(): IEquatable_1<Point>;
+}
+export type Point = Point$instance & __Point$views;
+export const Point: Point$static;
+`));
+
+    const point = declarations.get('Point');
+    assert.deepEqual([...point.forms].sort(), ['alias', 'const', 'instance', 'static', 'views']);
+    assert.deepEqual(point.members.map(m => [m.name, m.kind, m.isStatic, m.parameters, m.typeParameters]), [
+        ['get_X', 'method', false, 0, 0],
+        ['Offset', 'method', false, 2, 0],
+        ['Parse', 'method', true, 1, 1]
+    ]);
+    assert.deepEqual(point.views.map(v => v.name), ['As_IEquatable_1']);
+    assert.equal(declarations.size, 1);
+});
+
+test('reads classes, enums and delegates', () => {
+    const declarations = extractDeclarations(parse(`
+export class List_1<T> {
+    constructor();
+    constructor(capacity: int);
+    static Empty(): void;
+    readonly Changed: EventHandler;
+    readonly As_IEnumerable_1: IEnumerable_1<T>;
+}
+export type DayOfWeek = int;
+export namespace DayOfWeek {
+    const Sunday: DayOfWeek;
+}
+export type Action = () => void;
+`));
+
+    const list = declarations.get('List_1');
+    assert.deepEqual(list.members.map(m => [m.name, m.kind, m.isStatic, m.parameters]), [
+        ['constructor', 'constructor', false, 0],
+        ['constructor', 'constructor', false, 1],
+        ['Empty', 'method', true, 0],
+        ['Changed', 'property', false, 0]
+    ]);
+    assert.deepEqual(list.views.map(v => v.name), ['As_IEnumerable_1']);
+    assert.equal(list.line, 2);
+
+    const dayOfWeek = declarations.get('DayOfWeek');
+    assert.deepEqual([...dayOfWeek.forms], ['alias', 'namespace']);
+    assert.deepEqual(dayOfWeek.members.map(m => [m.name, m.kind]), [['Sunday', 'const']]);
+    assert.deepEqual([...declarations.get('Action').forms], ['function-alias']);
+});
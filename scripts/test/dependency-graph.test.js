@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDependencyGraph, transitiveClosure, findCycles, toDot, toMermaid } from '../lib/dependency-graph.js';
+
+const snapshots = [
+    { clrName: 'System', imports: { 'System.Linq': ['System.Linq'] }, sourceAssemblies: ['System.Private.CoreLib'] },
+    { clrName: 'System.Linq', imports: { 'System.Private.CoreLib': ['System', 'System.Collections.Generic'] }, sourceAssemblies: ['System.Linq'] },
+    {
+        clrName: 'System.Collections.Generic',
+        imports: { 'System.Private.CoreLib': ['System', 'System.Collections.Generic'], 'System.Runtime': ['System.Runtime.Intrinsics'] },
+        sourceAssemblies: ['System.Private.CoreLib']
+    },
+    { clrName: 'System.Text', imports: {}, sourceAssemblies: ['System.Private.CoreLib'] }
+];
+
+test('builds namespace and assembly graphs with dangling imports', () => {
+    const graph = buildDependencyGraph(snapshots);
+
+    assert.deepEqual([...graph.namespaces.get('System.Linq')], ['System', 'System.Collections.Generic']);
+    assert.deepEqual([...graph.namespaces.get('System.Collections.Generic')], ['System']);
+    assert.deepEqual(graph.dangling, [
+        { namespace: 'System.Collections.Generic', target: 'System.Runtime.Intrinsics', assembly: 'System.Runtime' }
+    ]);
+    assert.deepEqual([...graph.assemblies.get('System.Private.CoreLib')].sort(), ['System.Linq', 'System.Runtime']);
+    assert.deepEqual([...graph.assemblies.get('System.Runtime')], []);
+});
+
+test('computes closures and cycles', () => {
+    const graph = buildDependencyGraph(snapshots);
+
+    assert.deepEqual([...transitiveClosure('System.Collections.Generic', graph.namespaces)].sort(),
+        ['System', 'System.Collections.Generic', 'System.Linq']);
+    assert.deepEqual([...transitiveClosure('System.Text', graph.namespaces)], ['System.Text']);
+
+    assert.deepEqual(findCycles(graph.namespaces), [{
+        members: ['System', 'System.Collections.Generic', 'System.Linq'],
+        cycle: ['System', 'System.Linq', 'System']
+    }]);
+    assert.deepEqual(findCycles(new Map([['A', new Set(['B'])], ['B', new Set()]])), []);
+});
+
+test('exports DOT and Mermaid', () => {
+    const graph = new Map([['System.Linq', new Set(['System'])], ['System', new Set()]]);
+    const missing = [{ namespace: 'System.Linq', target: 'System.Runtime', assembly: 'System.Runtime' }];
+
+    const dot = toDot(graph, { highlight: new Set(['System.Linq']), missing });
+    assert.match(dot, /^digraph "dependencies" \{/);
+    assert.match(dot, /"System.Linq" -> "System";/);
+    assert.match(dot, /"System.Linq" \[style=filled/);
+    assert.match(dot, /"System.Linq" -> "System.Runtime" \[style=dashed, color=red\];/);
+
+    assert.equal(toMermaid(graph, { missing }), [
+        'flowchart LR',
+        '    n0["System"]',
+        '    n1["System.Linq"]',
+        '    n2["System.Runtime"]',
+        '    n1 --> n0',
+        '    n1 -.-> n2',
+        '    classDef missing stroke:#d00,stroke-dasharray:4',
+        '    class n2 missing',
+        ''
+    ].join('\n'));
+});
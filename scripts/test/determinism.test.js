@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { firstDifference, compareOutputTrees, shuffle } from '../lib/determinism.js';
+
+test('reports the first differing JSON path, ignoring volatile fields', () => {
+    const first = JSON.stringify({ timestamp: '2026-01-01', types: [{ name: 'A', kind: 'class' }, { name: 'B' }] });
+    const second = JSON.stringify({ timestamp: '2026-01-02', types: [{ name: 'A', kind: 'struct' }, { name: 'C' }] });
+
+    assert.deepEqual(firstDifference('snapshot.json', first, second),
+        { location: '$.types[0].kind', first: '"class"', second: '"struct"' });
+    assert.equal(firstDifference('snapshot.json', '{"timestamp":"x","n":1}', '{"timestamp":"y","n":1}'), null);
+    assert.deepEqual(firstDifference('a.json', '{"a":1,"b":2}', '{"b":2,"a":1}'),
+        { location: '$', first: "property 'a'", second: "property 'b'" });
+    assert.deepEqual(firstDifference('a.json', '{"list":[1,2]}', '{"list":[1]}'),
+        { location: '$.list', first: '2 items', second: '1 items' });
+    assert.equal(firstDifference('a.json', '{"path":"/run/one/x"}', '{"path":"/run/two/x"}',
+        [['/run/one', '<outputDir>']], [['/run/two', '<outputDir>']]), null);
+});
+
+test('reports the first differing line of text files', () => {
+    assert.deepEqual(firstDifference('index.d.ts', 'a\nb\nc\n', 'a\nc\nb\n'), { location: 'line 2', first: 'b', second: 'c' });
+    assert.deepEqual(firstDifference('index.d.ts', 'a\n', 'a\nb\n'), { location: 'line 2', first: '', second: 'b' });
+    assert.equal(firstDifference('index.d.ts', 'a\n', 'a\n'), null);
+});
+
+test('compares output trees and shuffles reproducibly', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'determinism-'));
+    try {
+        const write = (file, content) => {
+            fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+            fs.writeFileSync(path.join(root, file), content);
+        };
+        write('first/namespaces/A/index.d.ts', 'x\n');
+        write('first/namespaces/A/typelist.json', '[1,2]');
+        write('first/only.txt', '');
+        write('second/namespaces/A/index.d.ts', 'x\n');
+        write('second/namespaces/A/typelist.json', '[2,1]');
+
+        const { filesCompared, differences } = compareOutputTrees(path.join(root, 'first'), path.join(root, 'second'));
+        assert.equal(filesCompared, 3);
+        assert.deepEqual(differences, [
+            { file: 'namespaces/A/typelist.json', location: '$[0]', first: '1', second: '2' },
+            { file: 'only.txt', location: 'file', first: 'present', second: '(missing)' }
+        ]);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    const items = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+    assert.deepEqual(shuffle(items, 42), shuffle(items, 42));
+    assert.deepEqual([...shuffle(items, 42)].sort(), items);
+    assert.notDeepEqual(shuffle(items, 42), shuffle(items, 43));
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { normalizeOutput, normalizeGoldenContent, compareGoldens, acceptGoldens } from '../lib/golden.js';
+import { unifiedDiff } from '../lib/unified-diff.js';
+
+test('normalises volatile fields, paths and line endings', () => {
+    const metadata = '{\r\n"namespace":"System.Linq","timestamp":"2026-01-01T00:00:00Z",' +
+        '"assemblyPath":"/home/me/ref/System.Linq.dll","source":"/home/me/out/x"}';
+    const replacements = [['/home/me', '<home>'], ['/home/me/out', '<outputDir>']];
+
+    assert.equal(normalizeGoldenContent('metadata.json', metadata, replacements), [
+        '{',
+        '  "namespace": "System.Linq",',
+        '  "timestamp": "<normalized>",',
+        '  "assemblyPath": "<normalized>",',
+        '  "source": "<outputDir>/x"',
+        '}',
+        ''
+    ].join('\n'));
+    assert.equal(normalizeGoldenContent('index.d.ts', 'a\r\n// /home/me/x\r\n', replacements), 'a\n// <home>/x\n');
+});
+
+test('normalises output the same way for goldens and the determinism check', () => {
+    const replacements = [['/run/one', '<outputDir>']];
+
+    assert.deepEqual(normalizeOutput('typelist.json', '{"generatedAt":"today","file":"/run/one/a.d.ts"}', replacements), {
+        text: '{"generatedAt":"today","file":"<outputDir>/a.d.ts"}',
+        json: { generatedAt: '<normalized>', file: '<outputDir>/a.d.ts' }
+    });
+    assert.deepEqual(normalizeOutput('broken.json', '{"file":"/run/one', replacements),
+        { text: '{"file":"<outputDir>', json: undefined });
+    assert.deepEqual(normalizeOutput('index.d.ts', '// /run/one\r\n', replacements),
+        { text: '// <outputDir>\r\n', json: undefined });
+});
+
+test('unified diff reports hunks with line numbers', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n') + '\n';
+    const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'].join('\n') + '\n';
+
+    assert.equal(unifiedDiff(before, before), '');
+    assert.equal(unifiedDiff(before, after, { oldLabel: 'old', newLabel: 'new', context: 1 }), [
+        '--- old',
+        '+++ new',
+        '@@ -1,3 +1,3 @@',
+        ' a',
+        '-b',
+        '+B',
+        ' c',
+        '@@ -10,1 +10,2 @@',
+        ' j',
+        '+k',
+        ''
+    ].join('\n'));
+    assert.equal(unifiedDiff('', 'x\n', { oldLabel: 'old', newLabel: 'new' }), '--- old\n+++ new\n@@ -0,0 +1,1 @@\n+x\n');
+});
+
+test('accepts goldens and reports changed, added and stale files', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'golden-'));
+    try {
+        const outputDir = path.join(root, 'out');
+        const goldenDir = path.join(root, 'golden');
+        const write = (file, content) => {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, content);
+        };
+        const generated = (ns, file) => path.join(outputDir, 'namespaces', ns, file);
+
+        write(generated('System.Linq', 'index.d.ts'), 'export type A = 1;\n');
+        write(generated('System.Linq', 'metadata.json'), `{"assemblyPath":"${outputDir}/a.dll","n":1}`);
+        write(path.join(goldenDir, 'System.Old', 'index.d.ts'), 'old\n');
+
+        assert.equal(acceptGoldens(outputDir, goldenDir, ['System.Linq'], [[outputDir, '<outputDir>']], { pruneStale: true }), 2);
+        assert.equal(fs.existsSync(path.join(goldenDir, 'System.Old')), false);
+        assert.deepEqual(compareGoldens(outputDir, goldenDir, ['System.Linq']).files.map(f => f.status),
+            ['unchanged', 'unchanged']);
+
+        write(generated('System.Linq', 'index.d.ts'), 'export type A = 2;\n');
+        write(generated('System.Linq', 'typelist.json'), '[]');
+        write(path.join(goldenDir, 'System.Old', 'index.d.ts'), 'old\n');
+        const { files, stale } = compareGoldens(outputDir, goldenDir, ['System.Linq']);
+
+        assert.deepEqual(files.map(f => [f.file, f.status]), [
+            ['index.d.ts', 'changed'],
+            ['metadata.json', 'unchanged'],
+            ['typelist.json', 'added']
+        ]);
+        assert.match(files[0].diff, /^--- golden\/System\.Linq\/index\.d\.ts\n\+\+\+ generated\/System\.Linq\/index\.d\.ts\n/);
+        assert.match(files[0].diff, /\n-export type A = 1;\n\+export type A = 2;\n$/);
+        assert.match(files[2].diff, /^--- \/dev\/null\n/);
+        assert.deepEqual(stale, ['System.Old']);
+
+        // A run over some namespaces leaves the other goldens alone
+        assert.deepEqual(compareGoldens(outputDir, goldenDir, ['System.Linq'], [], { reportStale: false }).stale, []);
+        fs.rmSync(generated('System.Linq', 'typelist.json'));
+        assert.equal(acceptGoldens(outputDir, goldenDir, ['System.Linq']), 2);
+        assert.equal(fs.readFileSync(path.join(goldenDir, 'System.Old', 'index.d.ts'), 'utf-8'), 'old\n');
+        assert.equal(fs.existsSync(path.join(goldenDir, 'System.Linq', 'typelist.json')), false);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCamelCase, detectTransforms, findNameCollisions } from '../lib/name-collisions.js';
+
+function member(kind, clrName, tsName, isStatic = false) {
+    return { kind, clrName, tsName, isStatic };
+}
+
+function type(fullName, tsEmitName, members = []) {
+    return { fullName, tsEmitName, kind: 'Class', members };
+}
+
+test('names the transforms between CLR and TypeScript names', () => {
+    assert.equal(toCamelCase('SelectMany'), 'selectMany');
+    assert.equal(toCamelCase('XMLParser'), 'xMLParser');
+    assert.deepEqual(detectTransforms('List`1', 'List_1'), ['arity-suffix']);
+    assert.deepEqual(detectTransforms('List`1+Enumerator', 'List_1$Enumerator'), ['arity-suffix', 'nested-type']);
+    assert.deepEqual(detectTransforms('List`1', 'list_1'), ['arity-suffix', 'camelCase']);
+    assert.deepEqual(detectTransforms('System.Linq', 'system.Linq'), ['camelCase']);
+    assert.deepEqual(detectTransforms('Foo_1', 'Foo_1'), []);
+    assert.deepEqual(detectTransforms('Foo', 'Bar'), ['renamed']);
+});
+
+test('reports colliding namespaces and types with their cause', () => {
+    const collisions = findNameCollisions([
+        { clrName: 'System', tsAlias: 'System', types: [
+            type('System.Action`1', 'Action_1'),
+            type('System.Action_1', 'Action_1'),
+            type('System.Func`1', 'Func_1')
+        ] },
+        { clrName: 'Foo.Bar', tsAlias: 'foo.Bar', types: [] },
+        { clrName: 'foo.Bar', tsAlias: 'foo.Bar', types: [] }
+    ]);
+
+    assert.deepEqual(collisions.map(c => [c.scope, c.namespace, c.name, c.first.clrName, c.second.clrName, c.transforms]), [
+        ['namespace', null, 'foo.Bar', 'Foo.Bar', 'foo.Bar', ['camelCase']],
+        ['type', 'System', 'Action_1', 'System.Action`1', 'System.Action_1', ['arity-suffix']]
+    ]);
+});
+
+test('reports colliding members, predicting the names of members not emitted', () => {
+    const [collision, ...rest] = findNameCollisions([
+        { clrName: 'System', tsAlias: 'System', types: [
+            type('System.String', 'String', [
+                member('constructor', '.ctor', 'constructor'),
+                member('method', 'Substring', 'substring'),
+                member('method', 'Substring', 'substring'),
+                member('method', 'substring', null),
+                member('method', 'Concat', 'concat', true),
+                member('property', 'Concat', 'Concat'),
+                member('property', 'Length', 'Length'),
+                member('field', 'Length', 'Length', true)
+            ])
+        ] }
+    ]);
+
+    assert.equal(rest.length, 0);
+    assert.equal(collision.scope, 'member');
+    assert.equal(collision.type, 'String');
+    assert.equal(collision.name, 'substring');
+    assert.deepEqual([collision.first, collision.second], [
+        { clrName: 'Substring', kind: 'method', isStatic: false, emitted: true, transforms: ['camelCase'] },
+        { clrName: 'substring', kind: 'method', isStatic: false, emitted: false, transforms: [] }
+    ]);
+    assert.deepEqual(collision.transforms, ['camelCase']);
+});
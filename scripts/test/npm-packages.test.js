@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { packageName, primaryAssembly, planPackages, buildManifest, rewriteImports } from '../lib/npm-packages.js';
+
+function writeTree(root, namespaces) {
+    for (const [clrName, { imports = {}, assemblies, bindings = false }] of Object.entries(namespaces)) {
+        const dir = path.join(root, 'namespaces', clrName);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'snapshot.json'),
+            JSON.stringify({ clrName, imports, sourceAssemblies: Object.keys(assemblies) }));
+        const types = Object.entries(assemblies).flatMap(([assembly, count]) =>
+            Array.from({ length: count }, () => ({ assembly })));
+        fs.writeFileSync(path.join(dir, 'metadata.json'), JSON.stringify({ namespace_: clrName, types }));
+        if (bindings) {
+            fs.writeFileSync(path.join(dir, 'bindings.json'), '{}');
+        }
+    }
+}
+
+test('names packages and picks the primary assembly', () => {
+    assert.equal(packageName('@tsonic', 'System.Private.CoreLib'), '@tsonic/system.private.corelib');
+    assert.equal(packageName('', 'Microsoft.VisualBasic+Extra'), 'microsoft.visualbasic-extra');
+
+    const metadata = { types: [{ assembly: 'System.Runtime' }, { assembly: 'System.Private.CoreLib' }, { assembly: 'System.Private.CoreLib' }] };
+    assert.equal(primaryAssembly(metadata, null), 'System.Private.CoreLib');
+    assert.equal(primaryAssembly({ types: [{ assembly: 'B' }, { assembly: 'A' }] }, null), 'A');
+    assert.equal(primaryAssembly(null, { sourceAssemblies: ['Z', 'Y'] }), 'Y');
+});
+
+test('plans packages with peers from cross-package imports', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'npm-packages-'));
+    try {
+        writeTree(root, {
+            'System': { assemblies: { 'System.Private.CoreLib': 5, 'System.Console': 1 }, imports: { 'System.Private.CoreLib': ['System.Collections.Generic'] } },
+            'System.Collections.Generic': { assemblies: { 'System.Private.CoreLib': 2 }, imports: { 'System.Private.CoreLib': ['System'] } },
+            'System.Linq': {
+                assemblies: { 'System.Linq': 1 },
+                imports: { 'System.Private.CoreLib': ['System', 'System.Collections.Generic'], 'System.Runtime': ['System.Missing'] },
+                bindings: true
+            }
+        });
+
+        const byAssembly = planPackages(root, { scope: '@tsonic' });
+        assert.deepEqual(byAssembly.packages.map(p => [p.name, p.namespaces, p.assemblies, p.peers]), [
+            ['@tsonic/system.linq', ['System.Linq'], ['System.Linq'], ['@tsonic/system.private.corelib']],
+            ['@tsonic/system.private.corelib', ['System', 'System.Collections.Generic'],
+                ['System.Console', 'System.Private.CoreLib'], []]
+        ]);
+        assert.equal(byAssembly.packageOf.get('System.Collections.Generic'), '@tsonic/system.private.corelib');
+        assert.deepEqual(byAssembly.dangling, [{ namespace: 'System.Linq', target: 'System.Missing', assembly: 'System.Runtime' }]);
+
+        const byNamespace = planPackages(root, { groupBy: 'namespace', scope: '@tsonic' });
+        assert.deepEqual(byNamespace.packages.map(p => [p.name, p.peers]), [
+            ['@tsonic/system', ['@tsonic/system.collections.generic']],
+            ['@tsonic/system.collections.generic', ['@tsonic/system']],
+            ['@tsonic/system.linq', ['@tsonic/system', '@tsonic/system.collections.generic']]
+        ]);
+
+        const manifest = buildManifest(byNamespace.packages[2], { version: '10.0.1', typesRange: '^0.1.0' });
+        assert.equal(manifest.types, './System.Linq/index.d.ts');
+        assert.deepEqual(Object.keys(manifest.exports), [
+            '.', './System.Linq', './System.Linq/internal', './System.Linq/metadata.json', './System.Linq/bindings.json', './package.json'
+        ]);
+        assert.deepEqual(manifest.dependencies, { '@tsonic/types': '^0.1.0' });
+        assert.deepEqual(manifest.peerDependencies, { '@tsonic/system': '10.0.1', '@tsonic/system.collections.generic': '10.0.1' });
+
+        const multi = buildManifest(byAssembly.packages[1], { version: '10.0.1', typesRange: '^0.1.0' });
+        assert.equal(multi.types, undefined);
+        assert.equal(multi.exports['.'], undefined);
+        assert.equal(multi.exports['./System/bindings.json'], undefined);
+        assert.equal(multi.peerDependencies, undefined);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('rewrites imports of namespaces packaged elsewhere', () => {
+    const packageOf = new Map([['System', '@tsonic/corelib'], ['System.Linq', '@tsonic/linq']]);
+    const internal = [
+        'import type * as System from "../../System/internal/index.js";',
+        'import type * as System$Linq from "../../System.Linq/internal/index.js";',
+        'import type * as Other from "../../Other/internal/index.js";'
+    ].join('\n');
+
+    assert.equal(rewriteImports(internal, '@tsonic/linq', packageOf), [
+        'import type * as System from "@tsonic/corelib/System/internal";',
+        'import type * as System$Linq from "../../System.Linq/internal/index.js";',
+        'import type * as Other from "../../Other/internal/index.js";'
+    ].join('\n'));
+    assert.equal(rewriteImports("import type * as System from '../System/internal/index';\nexport { A } from './internal/index';",
+        '@tsonic/linq', packageOf),
+    "import type * as System from '@tsonic/corelib/System/internal';\nexport { A } from './internal/index';");
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadOmissionPolicy, findOmissionRule, findReportingDiagnostic } from '../lib/omission-policy.js';
+import { verifyCompleteness, completenessPassed } from '../lib/completeness.js';
+import { loadCoverageConfig } from '../lib/coverage.js';
+
+function withTempDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omission-policy-'));
+    try {
+        return fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function writePolicy(dir, rules) {
+    const policyPath = path.join(dir, 'omission-policy.json');
+    fs.writeFileSync(policyPath, JSON.stringify({ version: 1, rules }));
+    return policyPath;
+}
+
+const loadRules = rules => withTempDir(dir => loadOmissionPolicy(writePolicy(dir, rules)));
+
+const member = (kind, name, extra = {}) => ({
+    kind, name, type: 'Demo.Widget', typeName: 'Widget', namespace: 'Demo', isStatic: false, ...extra
+});
+
+test('picks the first matching rule and compares isStatic exactly', () => {
+    const policy = loadRules([
+        { id: 'static-fields', reason: 'Static fields', match: { kind: '^field$', isStatic: true } },
+        { id: 'generated', reason: 'Compiler-generated', match: { name: '^<' } },
+        { id: 'all-fields', reason: 'Fields', match: { kind: '^field$' } }
+    ]);
+
+    assert.equal(findOmissionRule(policy, member('field', '<Count>k__BackingField', { isStatic: true })).id, 'static-fields');
+    assert.equal(findOmissionRule(policy, member('field', '<Count>k__BackingField')).id, 'generated');
+    assert.equal(findOmissionRule(policy, member('field', 'Count')).id, 'all-fields');
+    assert.equal(findOmissionRule(policy, member('method', 'Count', { isStatic: true })), null);
+});
+
+test('rejects invalid patterns, duplicate ids and incomplete rules', () => {
+    assert.throws(() => loadRules([{ id: 'bad', reason: 'r', match: { name: '(' } }]),
+        /Omission rule 'bad': invalid name pattern: /);
+    assert.throws(() => loadRules([{ id: 'a', reason: 'r' }, { id: 'a', reason: 's' }]),
+        /Duplicate omission rule id 'a' in .*omission-policy\.json/);
+    assert.throws(() => loadRules([{ id: 'a' }]), /Omission rule a in .* needs an id and a reason/);
+    assert.throws(() => withTempDir(dir => {
+        fs.writeFileSync(path.join(dir, 'policy.json'), JSON.stringify({ version: 2, rules: [] }));
+        return loadOmissionPolicy(path.join(dir, 'policy.json'));
+    }), /Unsupported omission policy version 2/);
+});
+
+test('finds the diagnostic that reports an omitted member', () => {
+    const [rule] = loadRules([{ id: 'any', reason: 'r' }]).rules;
+    const diagnostic = message => ({ code: 'TSB1001', severity: 'Info', message });
+
+    // Type diagnostics only need the member name, as a whole word
+    const count = member('property', 'Count');
+    assert.equal(findReportingDiagnostic(rule, count, [diagnostic('Skipped CountItems')], []), null);
+    assert.equal(findReportingDiagnostic(rule, count, [diagnostic('Skipped Count (indexer)')], []).message,
+        'Skipped Count (indexer)');
+
+    // Constructors are reported as .ctor or by the word "constructor"
+    const ctor = member('constructor', '.ctor');
+    assert.equal(findReportingDiagnostic(rule, ctor, [diagnostic('Skipped constructors')], []), null);
+    assert.ok(findReportingDiagnostic(rule, ctor, [diagnostic('Skipped Widget..ctor(Int32*)')], []));
+    assert.ok(findReportingDiagnostic(rule, ctor, [diagnostic('Skipped constructor with pointer parameters')], []));
+
+    // Namespace diagnostics must also name the type
+    assert.equal(findReportingDiagnostic(rule, count, [], [diagnostic('Skipped Gadget.Count')]), null);
+    assert.ok(findReportingDiagnostic(rule, count, [], [diagnostic('Skipped Demo.Widget Count')]));
+    assert.ok(findReportingDiagnostic(rule, count, [], [diagnostic('Skipped Count on Widget')]));
+
+    // Only the listed codes count when the rule restricts them
+    const restricted = { ...rule, diagnostics: ['TSB2000'] };
+    assert.equal(findReportingDiagnostic(restricted, count, [diagnostic('Skipped Count')], []), null);
+});
+
+test('flags an omission that no snapshot diagnostic reports', () => {
+    const ref = (namespace, typeName) => ({
+        kind: 0, namespace, typeName, genericArgs: [], arrayRank: 0, pointerDepth: 0,
+        declaringType: null, genericParameter: null, assembly: null
+    });
+    const method = clrName => ({
+        clrName, isStatic: false, isVirtual: false, isOverride: false, isAbstract: false, visibility: 'Public',
+        genericParameters: [], parameters: [], returnType: ref('System', 'Void'),
+        binding: { assembly: 'Demo', type: ref('Demo', 'Widget'), member: clrName },
+        syntheticOverload: null, emitScope: 0
+    });
+    const widget = diagnostics => ({
+        clrName: 'Widget', kind: 'Class', isStatic: false, isSealed: false, isAbstract: false, visibility: 'Public',
+        genericParameters: [], baseType: null, implements: [], binding: { assembly: 'Demo', type: ref('Demo', 'Widget') },
+        diagnostics, helpers: [], conflictingInterfaces: null, hasBaseClassConflicts: false,
+        conflictingMemberNames: null, explicitViews: null, underlyingType: null, enumMembers: null,
+        delegateParameters: null, delegateReturnType: null, tsEmitName: 'Widget', isValueType: false,
+        members: { constructors: [], methods: [method('Show'), method('<Clone>$')], properties: [], fields: [], events: [] }
+    });
+
+    const verify = diagnostics => withTempDir(dir => {
+        const nsDir = path.join(dir, 'namespaces', 'Demo');
+        fs.mkdirSync(nsDir, { recursive: true });
+        fs.writeFileSync(path.join(nsDir, 'snapshot.json'), JSON.stringify({
+            clrName: 'Demo', tsAlias: 'Demo', types: [widget(diagnostics)], imports: {},
+            diagnostics: [], sourceAssemblies: ['Demo']
+        }));
+        fs.writeFileSync(path.join(nsDir, 'typelist.json'), JSON.stringify({
+            namespace: 'Demo',
+            types: [{ tsEmitName: 'Widget', kind: 'class', members: [
+                { name: 'Show', kind: 'method', isStatic: false, emitScope: 'ClassSurface', genericArity: 0, parameters: [] }
+            ] }]
+        }));
+        return verifyCompleteness(dir, {
+            policy: loadOmissionPolicy(writePolicy(dir, [
+                { id: 'compiler-generated', reason: 'No callable TypeScript form', match: { name: '^<' } }
+            ])),
+            coverageConfig: loadCoverageConfig(path.join(dir, 'no-thresholds.json'))
+        });
+    });
+
+    const silent = verify([]);
+    assert.deepEqual(silent.membersLost, []);
+    assert.deepEqual(silent.intentionalOmissions, { 'compiler-generated': { reason: 'No callable TypeScript form', count: 1 } });
+    assert.deepEqual(silent.unreportedOmissions.map(o => [o.type, o.member, o.rule]),
+        [['Demo.Widget', '<Clone>$()', 'compiler-generated']]);
+    assert.equal(completenessPassed(silent), false);
+
+    const reported = verify([{ code: 'TSB1001', severity: 'Info', message: 'Skipped compiler-generated <Clone>$' }]);
+    assert.deepEqual(reported.unreportedOmissions, []);
+    assert.equal(completenessPassed(reported), true);
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    runMeasured,
+    measureProcessPeak,
+    treeRss,
+    measureOutput,
+    loadPerfBudget,
+    budgetFor,
+    findPreviousEntry,
+    appendHistoryEntry,
+    findPerfRegressions
+} from '../lib/perf.js';
+
+const BUDGET_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'perf-budget.json');
+
+function withTempDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-'));
+    try {
+        return fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function entry(overrides = {}) {
+    return {
+        target: 'Microsoft.NETCore.App@10.0.0',
+        namespaces: [],
+        tscMode: 'project',
+        generation: { wallMs: 60000, peakRssKb: 1024 * 1024 },
+        tsc: { wallMs: 30000, peakRssKb: 2048 * 1024 },
+        output: { bytes: 100000, namespaces: { 'System.Linq': { bytes: 40000 }, 'System.Tiny': { bytes: 100 } } },
+        ...overrides
+    };
+}
+
+test('sums the RSS of a process tree', () => {
+    const processes = [
+        { pid: 1, ppid: 0, rss: 1000 },
+        { pid: 10, ppid: 1, rss: 100 },
+        { pid: 11, ppid: 10, rss: 20 },
+        { pid: 12, ppid: 10, rss: 3 },
+        { pid: 20, ppid: 1, rss: 5000 }
+    ];
+    assert.equal(treeRss(processes, 10), 123);
+    assert.equal(treeRss(processes, 99), 0);
+});
+
+test('measures the peak RSS of this process over one phase', { skip: process.platform !== 'linux' }, () => {
+    const startKb = process.memoryUsage().rss / 1024;
+    const stop = measureProcessPeak();
+    const buffer = Buffer.alloc(64 * 1024 * 1024, 1);
+    const peak = stop();
+
+    assert.equal(buffer[0], 1);
+    // RSS counters are approximate; the 64 MB buffer must show all the same
+    assert.ok(peak - startKb >= 48 * 1024, `peak ${peak} kB, ${startKb} kB at the start`);
+    assert.ok(peak <= process.resourceUsage().maxRSS + 1024);
+});
+
+test('runs a command and rejects with its output or the buffer overflow', async () => {
+    const node = `"${process.execPath}" -e`;
+    const result = await runMeasured(`${node} "process.stdout.write('out'); process.stderr.write('err')"`);
+    assert.equal(result.stdout, 'out');
+    assert.equal(result.stderr, 'err');
+    assert.ok(result.wallMs >= 0);
+
+    await assert.rejects(runMeasured(`${node} "console.log('partial'); process.exit(3)"`),
+        err => /exit code 3/.test(err.message) && err.stdout === 'partial\n');
+
+    await assert.rejects(runMeasured(`${node} "process.stdout.write('x'.repeat(4096)); setTimeout(() => {}, 60000)"`, { maxBuffer: 1024 }),
+        err => err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER'
+            && /^stdout maxBuffer length exceeded \(1024 bytes\)/.test(err.message)
+            && err.stdout.length === 1024);
+});
+
+test('measures bytes, lines and declarations per namespace', () => withTempDir(dir => {
+    const nsDir = path.join(dir, 'namespaces', 'System.Linq');
+    fs.mkdirSync(path.join(nsDir, 'internal'), { recursive: true });
+    fs.writeFileSync(path.join(nsDir, 'index.d.ts'), 'export * from "./internal/index";\n');
+    fs.writeFileSync(path.join(nsDir, 'internal', 'index.d.ts'),
+        'export interface Lookup_2$instance {\n    Count: int;\n    Contains(key: TKey): boolean;\n}\n' +
+        'export declare class Enumerable {\n    static Empty(): void;\n}\n');
+    fs.writeFileSync(path.join(nsDir, 'metadata.json'), '{}');
+
+    const output = measureOutput(dir);
+    const linq = output.namespaces['System.Linq'];
+    assert.deepEqual(Object.keys(linq.files), ['index.d.ts', 'internal/index.d.ts', 'metadata.json']);
+    assert.equal(linq.bytes, Object.values(linq.files).reduce((a, b) => a + b, 0));
+    assert.equal(linq.lines, 8);
+    assert.equal(linq.types, 2);
+    assert.equal(linq.members, 3);
+    assert.equal(output.bytes, linq.bytes);
+}));
+
+test('loads the committed budget and looks targets up without their version', () => {
+    const budget = loadPerfBudget(BUDGET_PATH);
+    assert.equal(budget.version, 1);
+    assert.equal(typeof budget.maxIncreasePercent.wallTime, 'number');
+
+    budget.targets = { 'Microsoft.NETCore.App': { outputMb: 1 } };
+    assert.deepEqual(budgetFor(budget, 'Microsoft.NETCore.App@10.0.0'), { outputMb: 1 });
+    assert.equal(budgetFor(budget, 'asm'), null);
+
+    withTempDir(dir => {
+        const file = path.join(dir, 'budget.json');
+        fs.writeFileSync(file, JSON.stringify({ version: 2 }));
+        assert.throws(() => loadPerfBudget(file), /Unsupported perf budget version 2/);
+        fs.writeFileSync(file, JSON.stringify({ version: 1, ignoreBelow: { wallSeconds: -1 } }));
+        assert.throws(() => loadPerfBudget(file), /wallSeconds .* non-negative/);
+    });
+});
+
+test('finds the previous comparable history entry', () => withTempDir(dir => {
+    const history = path.join(dir, 'nested', 'history.jsonl');
+    assert.equal(findPreviousEntry(history, entry()), null);
+
+    appendHistoryEntry(history, entry({ recordedAt: 'first' }));
+    appendHistoryEntry(history, entry({ recordedAt: 'per-namespace', tscMode: 'per-namespace' }));
+    appendHistoryEntry(history, entry({ recordedAt: 'filtered', namespaces: ['System.Linq'] }));
+    fs.appendFileSync(history, '{"torn');
+
+    assert.equal(findPreviousEntry(history, entry()).recordedAt, 'first');
+    assert.equal(findPreviousEntry(history, entry({ tscMode: 'per-namespace' })).recordedAt, 'per-namespace');
+}));
+
+test('flags budget breaches and growth over the previous run', () => {
+    const budget = {
+        maxIncreasePercent: { wallTime: 50, peakRss: 30, outputSize: 10 },
+        ignoreBelow: { wallSeconds: 5, peakRssMb: 200, namespaceKb: 1 },
+        targets: { 'Microsoft.NETCore.App': { tsc: { wallSeconds: 20 }, outputMb: 1 } }
+    };
+    const current = entry({
+        generation: { wallMs: 100000, peakRssKb: null },
+        output: { bytes: 120000, namespaces: { 'System.Linq': { bytes: 50000 }, 'System.Tiny': { bytes: 900 } } }
+    });
+    const previous = entry({
+        generation: { wallMs: 60000, peakRssKb: 1024 },
+        output: { bytes: 100000, namespaces: { 'System.Linq': { bytes: 40000 }, 'System.Tiny': { bytes: 100 } } }
+    });
+
+    const regressions = findPerfRegressions(current, previous, budget);
+    assert.deepEqual(regressions.map(r => `${r.source} ${r.metric}`), [
+        'previous generation.wallMs',
+        'budget tsc.wallMs',
+        'previous output.bytes',
+        'previous output.namespaces.System.Linq.bytes'
+    ]);
+    assert.deepEqual(regressions[1], { metric: 'tsc.wallMs', source: 'budget', current: 30000, limit: 20000 });
+    assert.equal(regressions[0].limit, 90000);
+
+    // No history and no budget: nothing to flag
+    assert.deepEqual(findPerfRegressions(entry({ target: 'asm' }), null, budget), []);
+});
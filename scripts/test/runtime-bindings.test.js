@@ -0,0 +1,292 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadBindings } from '../lib/runtime-bindings.js';
+
+// A small output tree written the way NamespacePipeline writes sidecars,
+// with camelCase member names in the typelist
+
+const ref = (namespace, typeName, extra = {}) => ({
+    kind: 0, namespace, typeName, genericArgs: [], arrayRank: 0, pointerDepth: 0,
+    declaringType: null, genericParameter: null, assembly: null, ...extra
+});
+const param = (name, type) => ({ name, type, kind: 'In', isOptional: false, defaultValue: null, isParams: false });
+
+const CORELIB = 'System.Private.CoreLib';
+const INT32 = ref('System', 'Int32');
+const STRING = ref('System', 'String');
+const VOID = ref('System', 'Void');
+const LIST = ref('System.Collections.Generic', 'List`1');
+const T = ref(null, 'T', { kind: 1 });
+
+const binding = (owner, assembly = CORELIB) => ({ assembly, type: owner });
+const method = (clrName, owner, parameters, extra = {}) => ({
+    clrName, isStatic: false, isVirtual: false, isOverride: false, isAbstract: false, visibility: 'Public',
+    genericParameters: [], parameters, returnType: VOID, binding: { ...binding(owner), member: clrName },
+    syntheticOverload: null, emitScope: 0, ...extra
+});
+const property = (clrName, owner, type, extra = {}) => ({
+    clrName, type, isReadonly: false, isStatic: false, isVirtual: false, isOverride: false, visibility: 'Public',
+    binding: { ...binding(owner), member: clrName }, contractType: null, syntheticMember: false,
+    isIndexer: false, indexerParameters: [], ...extra
+});
+const type = (clrName, owner, tsEmitName, members, extra = {}) => ({
+    clrName, kind: 'Class', isStatic: false, isSealed: false, isAbstract: false, visibility: 'Public',
+    genericParameters: [], baseType: null, implements: [], binding: binding(owner),
+    diagnostics: [], helpers: [], conflictingInterfaces: null, hasBaseClassConflicts: false,
+    conflictingMemberNames: null, explicitViews: null, underlyingType: null, enumMembers: null,
+    delegateParameters: null, delegateReturnType: null, tsEmitName, isValueType: false,
+    ...extra,
+    members: { constructors: [], methods: [], properties: [], fields: [], events: [], ...members }
+});
+const generic = names => names.map(name => ({ name, constraints: [], variance: 'None' }));
+
+const ENUMERATOR = ref(null, 'Enumerator', { declaringType: LIST });
+const TUPLE_1 = ref('System', 'Tuple`1');
+const TUPLE_2 = ref('System', 'Tuple`2');
+const CONSOLE = ref('System', 'Console');
+const ICOLLECTION = ref('System.Collections.Generic', 'ICollection`1', { genericArgs: [T] });
+
+const namespaces = {
+    'System.Collections.Generic': {
+        tsAlias: 'System.Collections.Generic',
+        types: [
+            type('List`1', LIST, 'List_1', {
+                constructors: [
+                    { visibility: 'Public', parameters: [] },
+                    { visibility: 'Public', parameters: [param('capacity', INT32)] }
+                ],
+                methods: [
+                    method('Add', LIST, [param('item', T)]),
+                    method('CopyTo', LIST, [param('array', ref(null, 'T', { kind: 1, arrayRank: 1 }))]),
+                    method('CopyTo', LIST, [param('array', ref(null, 'T', { kind: 1, arrayRank: 1 })), param('index', INT32)]),
+                    method('ToString', ref('System', 'Object'), [], { isVirtual: true, returnType: STRING,
+                        binding: { assembly: CORELIB, type: ref('System', 'Object'), member: 'ToString' } }),
+                    method('Internal', LIST, [])
+                ],
+                properties: [
+                    property('Count', LIST, INT32, { isReadonly: true }),
+                    property('Item', LIST, T, { isIndexer: true, indexerParameters: [param('index', INT32)] })
+                ]
+            }, {
+                genericParameters: generic(['T']),
+                explicitViews: [{
+                    viewName: 'As_ICollection_1',
+                    interface: ICOLLECTION,
+                    viewOnlyMethods: [method('Add', LIST, [param('item', T)], { emitScope: 1 })],
+                    disambiguator: null
+                }]
+            }),
+            type('Enumerator', ENUMERATOR, 'List_1$Enumerator', {
+                properties: [property('Current', ENUMERATOR, T, { isReadonly: true })]
+            }, { kind: 'Struct', isValueType: true })
+        ],
+        typelist: {
+            'List_1': [
+                { name: 'constructor', kind: 'constructor', isStatic: false, emitScope: 'ClassSurface', genericArity: 0, parameters: [] },
+                { name: 'constructor', kind: 'constructor', isStatic: false, emitScope: 'ClassSurface', genericArity: 0, parameters: ['System.Int32'] },
+                { name: 'add', kind: 'method', isStatic: false, emitScope: 'Class', genericArity: 0, parameters: ['T'] },
+                { name: 'copyTo', kind: 'method', isStatic: false, emitScope: 'Class', genericArity: 0, parameters: ['T[]'] },
+                { name: 'copyTo', kind: 'method', isStatic: false, emitScope: 'Class', genericArity: 0, parameters: ['T[]', 'System.Int32'] },
+                { name: 'toString', kind: 'method', isStatic: false, emitScope: 'Class', genericArity: 0, parameters: [] },
+                { name: 'count', kind: 'property', isStatic: false, emitScope: 'ClassSurface' },
+                { name: 'item', kind: 'property', isStatic: false, emitScope: 'ClassSurface' }
+            ],
+            'List_1$Enumerator': [
+                { name: 'current', kind: 'property', isStatic: false, emitScope: 'ClassSurface' }
+            ]
+        },
+        metadata: {
+            'System.Collections.Generic.List`1': {
+                tsName: 'List_1',
+                explicitViews: [{
+                    viewName: 'As_ICollection_1',
+                    interface_: 'System.Collections.Generic.ICollection_1',
+                    reason: 'StructuralConformance',
+                    methods: [{ tsName: 'add', clrName: 'Add', normalizedSignature: 'add(in:T:req:noparams)|ret:System.Void|static=false' }]
+                }]
+            },
+            'System.Collections.Generic.List`1+Enumerator': { tsName: 'List_1_Enumerator' }
+        }
+    },
+    'System': {
+        tsAlias: 'System',
+        types: [
+            type('Tuple`1', TUPLE_1, 'Tuple_1', {}, { genericParameters: generic(['T1']) }),
+            type('Tuple`2', TUPLE_2, 'Tuple_2', {}, { genericParameters: generic(['T1', 'T2']) }),
+            type('Console', CONSOLE, 'Console', {
+                methods: [STRING, INT32].map(valueType => method('WriteLine', CONSOLE, [param('value', valueType)], {
+                    isStatic: true,
+                    binding: { ...binding(CONSOLE, 'System.Console'), member: 'WriteLine' }
+                }))
+            }, { isStatic: true, binding: binding(CONSOLE, 'System.Console') })
+        ],
+        typelist: {
+            'Console': [
+                { name: 'writeLine', kind: 'method', isStatic: true, emitScope: 'Class', genericArity: 0, parameters: ['System.String'] },
+                { name: 'writeLine', kind: 'method', isStatic: true, emitScope: 'Class', genericArity: 0, parameters: ['System.Int32'] }
+            ]
+        },
+        metadata: {}
+    }
+};
+
+let outputDir;
+let bindings;
+
+function writeNamespace(clrName, spec, tsAlias = spec.tsAlias) {
+    const dir = path.join(outputDir, 'namespaces', clrName);
+    fs.mkdirSync(dir, { recursive: true });
+    const write = (file, doc) => fs.writeFileSync(path.join(dir, file), JSON.stringify(doc, null, 2));
+
+    write('snapshot.json', {
+        clrName, tsAlias, types: spec.types, imports: {}, diagnostics: [],
+        sourceAssemblies: [...new Set(spec.types.map(t => t.binding.assembly))]
+    });
+    write('typelist.json', {
+        namespace: tsAlias,
+        types: spec.types.map(t => ({ tsEmitName: t.tsEmitName, kind: 'class', members: spec.typelist[t.tsEmitName] || [] }))
+    });
+    write('metadata.json', {
+        namespace_: clrName,
+        types: spec.types.map(t => {
+            const fullName = t.binding.type.declaringType
+                ? `${t.binding.type.declaringType.namespace}.${t.binding.type.declaringType.typeName}+${t.clrName}`
+                : `${t.binding.type.namespace}.${t.clrName}`;
+            const extra = spec.metadata[fullName] || {};
+            return {
+                tsName: extra.tsName || t.tsEmitName, clrType: t.binding.type, assembly: t.binding.assembly,
+                kind: t.kind, isStatic: t.isStatic, explicitViews: extra.explicitViews || null
+            };
+        })
+    });
+
+    const renamed = spec.types.filter(t => t.clrName !== t.tsEmitName.replace(/\$/g, '_'));
+    write('bindings.json', {
+        namespace_: { name: clrName, alias: tsAlias },
+        types: renamed.map(t => ({ name: t.clrName, alias: t.tsEmitName.replace(/\$/g, '_'), explicitViews: null }))
+    });
+}
+
+before(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsbindgen-runtime-'));
+    for (const [clrName, spec] of Object.entries(namespaces)) {
+        writeNamespace(clrName, spec);
+    }
+    bindings = loadBindings(outputDir);
+});
+
+after(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('resolves namespaces in both directions', () => {
+    assert.equal(bindings.resolveNamespace('System.Collections.Generic').clrName, 'System.Collections.Generic');
+    assert.equal(bindings.getNamespace('System').tsAlias, 'System');
+    assert.equal(bindings.resolveNamespace('System.Linq'), null);
+});
+
+test('resolves types by identifier, emitted name and facade name', () => {
+    const list = bindings.resolveType('System.Collections.Generic', 'List_1');
+    assert.equal(list.fullName, 'System.Collections.Generic.List`1');
+    assert.equal(bindings.resolveType('System.Collections.Generic', 'List'), list);
+
+    const enumerator = bindings.resolveType('System.Collections.Generic', 'List_1$Enumerator');
+    assert.equal(enumerator.fullName, 'System.Collections.Generic.List`1+Enumerator');
+    assert.equal(bindings.resolveType('System.Collections.Generic', 'List_1_Enumerator'), enumerator);
+    assert.equal(enumerator.kind, 'Struct');
+});
+
+test('maps CLR full names back to TypeScript names and owning assemblies', () => {
+    assert.equal(bindings.getType('System.Collections.Generic.List`1').tsName, 'List_1');
+    assert.equal(bindings.getType('System.Collections.Generic.List`1+Enumerator').tsName, 'List_1_Enumerator');
+    assert.equal(bindings.getType('System.Console').assembly, 'System.Console');
+    assert.equal(bindings.getType('System.Collections.Generic.List`1').assembly, CORELIB);
+    assert.equal(bindings.getType('System.Missing'), null);
+});
+
+test('multi-arity facade names need a generic arity', () => {
+    assert.throws(() => bindings.resolveType('System', 'Tuple'), err => {
+        assert.match(err.message, /Ambiguous type 'Tuple' in System: 2 candidates/);
+        assert.match(err.message, /System\.Tuple`1 \(Class, arity 1/);
+        assert.match(err.message, /System\.Tuple`2 \(Class, arity 2/);
+        assert.equal(err.candidates.length, 2);
+        return true;
+    });
+    assert.equal(bindings.resolveType('System', 'Tuple', { genericArity: 2 }).fullName, 'System.Tuple`2');
+});
+
+test('pairs transformed member names with CLR members', () => {
+    const list = bindings.getType('System.Collections.Generic.List`1');
+    const add = bindings.resolveMember(list, 'add', { view: null });
+    assert.equal(add.clrName, 'Add');
+    assert.equal(add.kind, 'method');
+    assert.equal(bindings.getMember(list, 'Count').tsName, 'count');
+    assert.equal(bindings.getMember(list, 'Internal').tsName, null, 'members missing from the typelist have no TS name');
+    assert.equal(bindings.resolveMember(list, 'Internal'), null);
+});
+
+test('selects CLR overloads by parameter types', () => {
+    const list = bindings.getType('System.Collections.Generic.List`1');
+
+    assert.throws(() => bindings.resolveMember(list, 'copyTo'), err => {
+        assert.match(err.message, /Ambiguous member 'copyTo' of System\.Collections\.Generic\.List`1: 2 candidates/);
+        assert.match(err.message, /method CopyTo\(T\[\]\) on/);
+        assert.match(err.message, /method CopyTo\(T\[\], System\.Int32\) on/);
+        return true;
+    });
+
+    const copyTo = bindings.resolveMember(list, 'copyTo', { parameters: ['T[]', 'System.Int32'] });
+    assert.deepEqual(copyTo.parameters, ['T[]', 'System.Int32']);
+    assert.equal(bindings.resolveMember(list, 'copyTo', { parameters: ['System.String'] }), null);
+
+    const ctor = bindings.resolveMember(list, 'constructor', { parameters: ['System.Int32'] });
+    assert.equal(ctor.clrName, '.ctor');
+    assert.equal(bindings.getMember(list, '.ctor', { parameters: [] }).kind, 'constructor');
+
+    const console = bindings.getType('System.Console');
+    assert.equal(bindings.resolveMember(console, 'writeLine', { parameters: ['System.Int32'], isStatic: true }).assembly, 'System.Console');
+});
+
+test('exposes member semantics and binding records', () => {
+    const list = bindings.getType('System.Collections.Generic.List`1');
+
+    const toString = bindings.resolveMember(list, 'toString');
+    assert.equal(toString.isVirtual, true);
+    assert.equal(toString.declaringType, 'System.Object');
+    assert.equal(toString.type, 'System.Collections.Generic.List`1');
+
+    const item = bindings.resolveMember(list, 'item');
+    assert.equal(item.isIndexer, true);
+    assert.deepEqual(item.parameters, ['System.Int32']);
+    assert.equal(bindings.resolveMember(list, 'count').isReadonly, true);
+});
+
+test('resolves view-only methods through explicit views', () => {
+    const list = bindings.getType('System.Collections.Generic.List`1');
+
+    assert.throws(() => bindings.resolveMember(list, 'add'), /view As_ICollection_1 method Add\(T\)/);
+
+    const viaView = bindings.resolveMember(list, 'add', { view: 'As_ICollection_1' });
+    assert.equal(viaView.view, 'As_ICollection_1');
+    assert.equal(viaView.normalizedSignature, 'add(in:T:req:noparams)|ret:System.Void|static=false');
+    assert.equal(list.views[0].interface, 'System.Collections.Generic.ICollection`1');
+});
+
+test('rejects lookups of records from another tree', () => {
+    assert.throws(() => bindings.resolveMember({ fullName: 'System.Foo' }, 'x'), /Not a type record of this output tree: System\.Foo/);
+});
+
+test('reports namespace aliases shared by several namespaces', () => {
+    writeNamespace('System.Collections.Generic.Legacy', { ...namespaces.System, tsAlias: 'System' });
+    try {
+        const clashing = loadBindings(outputDir);
+        assert.throws(() => clashing.resolveNamespace('System'),
+            /Ambiguous namespace alias 'System': 2 candidates\n {2}System\n {2}System\.Collections\.Generic\.Legacy/);
+        assert.throws(() => clashing.resolveType('System', 'Console'), /Ambiguous namespace alias 'System'/);
+    } finally {
+        fs.rmSync(path.join(outputDir, 'namespaces', 'System.Collections.Generic.Legacy'), { recursive: true });
+    }
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadSchemas, validateDocument, validateSidecarFiles } from '../lib/sidecar-schema.js';
+
+const member = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'kind'],
+    properties: {
+        name: { type: 'string' },
+        kind: { enum: ['method', 'field'] },
+        arity: { type: 'integer', minimum: 0 }
+    }
+};
+
+const schemas = new Map([
+    ['test.schema.json', {
+        type: 'object',
+        additionalProperties: false,
+        required: ['members', 'imports'],
+        properties: {
+            members: { type: 'array', items: { $ref: 'member.schema.json' } },
+            imports: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+            baseType: { anyOf: [{ type: 'null' }, { $ref: 'member.schema.json' }] }
+        }
+    }],
+    ['member.schema.json', member]
+]);
+
+function violationsOf(document) {
+    return validateDocument(schemas, 'test.schema.json', document).violations;
+}
+
+test('accepts documents that match their schema', () => {
+    assert.deepEqual(violationsOf({
+        members: [{ name: 'Add', kind: 'method', arity: 1 }],
+        imports: { 'System.Runtime': ['System'] },
+        baseType: null
+    }), []);
+});
+
+test('reports type, enum and minimum violations with their JSON path', () => {
+    assert.deepEqual(violationsOf({
+        members: [{ name: 1, kind: 'event', arity: -1 }, { name: 'x', kind: 'field', arity: 1.5 }],
+        imports: { 'System.Runtime': 'System' }
+    }), [
+        { path: '$.members[0].name', message: 'expected string, got number' },
+        { path: '$.members[0].kind', message: 'expected one of "method", "field", got "event"' },
+        { path: '$.members[0].arity', message: 'expected a value >= 0, got -1' },
+        { path: '$.members[1].arity', message: 'expected integer, got number' },
+        { path: '$.imports["System.Runtime"]', message: 'expected array, got string' }
+    ]);
+
+    assert.deepEqual(violationsOf({ members: {}, imports: {} }),
+        [{ path: '$.members', message: 'expected array, got object' }]);
+});
+
+test('reports missing, unexpected and miscased properties', () => {
+    assert.deepEqual(violationsOf({
+        members: [{ Name: 'Add', kind: 'method', isStatic: true }],
+        extra: 1
+    }), [
+        { path: '$', message: "missing required property 'imports'" },
+        { path: '$.members[0].Name', message: "property 'Name' has wrong casing, expected 'name'" },
+        { path: '$.members[0].isStatic', message: "unexpected property 'isStatic'" },
+        { path: '$.extra', message: "unexpected property 'extra'" }
+    ]);
+});
+
+test('reports the matching anyOf branch, or a summary when none applies', () => {
+    assert.deepEqual(violationsOf({ members: [], imports: {}, baseType: { name: 'Object' } }),
+        [{ path: '$.baseType', message: "missing required property 'kind'" }]);
+    assert.deepEqual(violationsOf({ members: [], imports: {}, baseType: 'Object' }),
+        [{ path: '$.baseType', message: 'does not match any of the allowed schemas, got string' }]);
+});
+
+test('stops collecting violations at the limit', () => {
+    const document = { members: Array.from({ length: 5 }, () => ({ name: 1, kind: 'method' })), imports: {} };
+    const result = validateDocument(schemas, 'test.schema.json', document, 3);
+    assert.equal(result.violations.length, 3);
+    assert.equal(result.truncated, true);
+
+    assert.throws(() => validateDocument(schemas, 'nope.schema.json', {}), /Unknown schema nope.schema.json/);
+    const broken = new Map([['a.schema.json', { $ref: 'b.schema.json#/$defs/x' }]]);
+    assert.throws(() => validateDocument(broken, 'a.schema.json', {}), /Unresolvable \$ref 'b.schema.json#\/\$defs\/x' in a.schema.json/);
+});
+
+test('checks the sidecar files of an output tree against spec/schemas', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sidecar-schema-'));
+    try {
+        const nsDir = path.join(dir, 'namespaces', 'System.Linq');
+        fs.mkdirSync(nsDir, { recursive: true });
+        fs.writeFileSync(path.join(nsDir, 'typelist.json'), JSON.stringify({
+            namespace: 'System.Linq',
+            types: [{ tsEmitName: 'Enumerable', kind: 'class', members: [{ name: 'where', kind: 'method', isStatic: 'yes' }] }]
+        }));
+        fs.writeFileSync(path.join(nsDir, 'metadata.json'), '{ "namespace_": ');
+
+        const result = validateSidecarFiles(dir, loadSchemas());
+        assert.equal(result.filesChecked, 2);
+        assert.deepEqual(result.truncatedFiles, []);
+        assert.deepEqual(result.violations.map(v => [v.file, v.path, v.message.split(':')[0]]), [
+            ['namespaces/System.Linq/snapshot.json', '$', 'file is missing'],
+            ['namespaces/System.Linq/typelist.json', '$.types[0].members[0].isStatic', 'expected boolean, got string'],
+            ['namespaces/System.Linq/metadata.json', '$', 'invalid JSON']
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNormalizedSignature, getFacadeNames, stripArity } from '../lib/sidecars.js';
+
+test('parses normalized method signatures', () => {
+    assert.deepEqual(
+        parseNormalizedSignature('tryGetValue<TKey>(in:System.Collections.Generic.Dictionary`2<TKey,System.String>:req:noparams,out:System.String:opt:noparams)|ret:System.Boolean|static=true'),
+        {
+            name: 'tryGetValue',
+            genericParameters: ['TKey'],
+            parameters: [
+                { kind: 'in', type: 'System.Collections.Generic.Dictionary`2<TKey,System.String>', isOptional: false, isParams: false },
+                { kind: 'out', type: 'System.String', isOptional: true, isParams: false }
+            ],
+            returnType: 'System.Boolean',
+            isStatic: true
+        });
+
+    assert.deepEqual(parseNormalizedSignature('clear()|ret:System.Void|static=false').parameters, []);
+    assert.deepEqual(parseNormalizedSignature('format(params:System.Object[]:req:params)|ret:System.String|static=true').parameters,
+        [{ kind: 'params', type: 'System.Object[]', isOptional: false, isParams: true }]);
+});
+
+test('rejects malformed signatures', () => {
+    assert.equal(parseNormalizedSignature('Method(int)'), null);
+    assert.equal(parseNormalizedSignature('clear()|ret:System.Void'), null);
+    assert.equal(parseNormalizedSignature('add(in:T:required:noparams)|ret:System.Void|static=false'), null);
+});
+
+test('derives facade names', () => {
+    assert.equal(stripArity('List_1'), 'List');
+    assert.equal(stripArity('BIND_OPTS'), 'BIND_OPTS');
+    assert.equal(stripArity('_1'), '_1');
+
+    const generic = { tsEmitName: 'List_1', genericParameters: [{ name: 'T' }] };
+    assert.deepEqual(getFacadeNames(generic, 'List_1'), ['List_1', 'List']);
+    const nested = { tsEmitName: 'List_1$Enumerator', genericParameters: [] };
+    assert.deepEqual(getFacadeNames(nested, 'List_1_Enumerator'), ['List_1$Enumerator', 'List_1_Enumerator']);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveTargets, defaultOutputDir, targetNameForDir, VALIDATION_ROOT, TSC_CACHE_DIR } from '../lib/targets.js';
+
+function withTempDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'targets-'));
+    try {
+        return fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('names versioned assembly folders after their parent', () => {
+    assert.equal(targetNameForDir('/usr/share/dotnet/shared/Microsoft.NETCore.App/8.0.20'), 'Microsoft.NETCore.App@8.0.20');
+    assert.equal(targetNameForDir('/work/assemblies'), 'assemblies');
+});
+
+test('resolves assembly directories to targets with their output and cache paths', () => {
+    const [target] = resolveTargets({ assemblyDirs: ['/work/my libs'], namespaces: ['System.Linq'] });
+
+    assert.equal(target.name, 'my libs');
+    assert.equal(target.assemblyDir, path.resolve('/work/my libs'));
+    assert.deepEqual(target.namespaces, ['System.Linq']);
+    assert.equal(target.folder, 'my_libs');
+    assert.equal(target.outputDir, path.join(VALIDATION_ROOT, 'my_libs'));
+    assert.equal(target.cachePath, path.join(TSC_CACHE_DIR, 'my_libs.json'));
+});
+
+test('reads configured targets relative to the config file', () => withTempDir(dir => {
+    const configPath = path.join(dir, 'validation.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        targets: [
+            { name: 'json', assemblyDir: 'lib/net10.0', namespaces: ['System.Text.Json'] },
+            { name: 'other', assemblyDir: '/abs/other' }
+        ]
+    }));
+
+    const targets = resolveTargets({ configPath, targetNames: ['json'] });
+    assert.deepEqual(targets.map(t => [t.name, t.assemblyDir, t.namespaces]), [
+        ['json', path.join(dir, 'lib', 'net10.0'), ['System.Text.Json']]
+    ]);
+
+    assert.throws(() => resolveTargets({ configPath, targetNames: ['nope'] }), /Unknown validation target\(s\): nope/);
+
+    fs.writeFileSync(configPath, JSON.stringify({ targets: [{ name: 'a', assemblyDir: 'x' }, { name: 'a', assemblyDir: 'y' }] }));
+    assert.throws(() => resolveTargets({ configPath }), /Duplicate validation target name: a/);
+
+    fs.writeFileSync(configPath, JSON.stringify({ targets: [{ name: 'net 8', assemblyDir: 'x' }, { name: 'net/8', assemblyDir: 'y' }] }));
+    assert.throws(() => resolveTargets({ configPath }), /"net 8" and "net\/8" both map to folder net_8/);
+
+    fs.writeFileSync(configPath, JSON.stringify({ targets: [{ name: 'a' }] }));
+    assert.throws(() => resolveTargets({ configPath }), /needs exactly one of "assemblyDir" or "runtime"/);
+
+    assert.throws(() => resolveTargets({ configPath: path.join(dir, 'missing.json') }), /Validation config not found/);
+}));
+
+test('defaults to the output directory of the only target', () => withTempDir(dir => {
+    const configPath = path.join(dir, 'validation.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ targets: [{ name: 'json', assemblyDir: 'lib' }] }));
+    assert.equal(defaultOutputDir({ configPath }), path.join(VALIDATION_ROOT, 'json'));
+
+    fs.writeFileSync(configPath, JSON.stringify({ targets: [{ name: 'a', assemblyDir: 'x' }, { name: 'b', assemblyDir: 'y' }] }));
+    assert.throws(() => defaultOutputDir({ configPath }), /Expected exactly one default validation target \(a, b\)/);
+}));
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareWithBaseline, ratchetEntry } from '../lib/tsc-baseline.js';
+
+const entry = {
+    total: 5,
+    byCode: { TS2416: 3, TS2420: 2 },
+    byNamespace: { 'System.Linq': 4, 'System.Collections.Generic': 1 }
+};
+
+test('compares every bucket, counting missing buckets as zero', () => {
+    const comparison = compareWithBaseline(entry, {
+        total: 6,
+        byCode: { TS2416: 3, TS2420: 1, TS2304: 2 },
+        byNamespace: { 'System.Linq': 6 }
+    });
+
+    assert.equal(comparison.hasBaseline, true);
+    assert.deepEqual(comparison.regressions, [
+        { bucket: 'byCode', key: 'TS2304', baseline: 0, current: 2 },
+        { bucket: 'byNamespace', key: 'System.Linq', baseline: 4, current: 6 }
+    ]);
+    assert.deepEqual(comparison.improvements, [
+        { bucket: 'byCode', key: 'TS2420', baseline: 2, current: 1 },
+        { bucket: 'byNamespace', key: 'System.Collections.Generic', baseline: 1, current: 0 }
+    ]);
+
+    assert.deepEqual(compareWithBaseline(undefined, entry), { hasBaseline: false, regressions: [], improvements: [] });
+});
+
+test('compares a filtered run only on the namespaces it covered', () => {
+    const comparison = compareWithBaseline(entry, {
+        total: 2,
+        byCode: { TS2416: 2 },
+        byNamespace: { 'System.Linq': 2 }
+    }, ['System.Linq']);
+
+    assert.deepEqual(comparison.regressions, []);
+    assert.deepEqual(comparison.improvements, [
+        { bucket: 'byNamespace', key: 'System.Linq', baseline: 4, current: 2 }
+    ]);
+});
+
+test('ratchets improvements in and keeps grown buckets unless accepted', () => {
+    const counts = {
+        total: 5,
+        byCode: { TS2416: 4, TS2304: 1 },
+        byNamespace: { 'System.Linq': 5 }
+    };
+
+    assert.deepEqual(ratchetEntry(entry, counts, false), {
+        byCode: { TS2416: 3 },
+        byNamespace: { 'System.Linq': 4 },
+        total: 3
+    });
+    assert.deepEqual(ratchetEntry(entry, counts, true), counts);
+    assert.deepEqual(ratchetEntry(null, counts, false), counts);
+});
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { typeCheckNamespaces } from '../lib/tsc-incremental.js';
+
+// Two namespaces, one importing the other, both using a type from a package
+// installed next to the tree
+
+let projectDir;
+let cachePath;
+
+function write(file, content) {
+    const full = path.join(projectDir, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content);
+}
+
+function writePackage(version, declarations) {
+    write('node_modules/@tsonic/types/package.json',
+        JSON.stringify({ name: '@tsonic/types', version, types: 'index.d.ts' }));
+    write('node_modules/@tsonic/types/index.d.ts', declarations);
+}
+
+const check = () => typeCheckNamespaces(projectDir, { cachePath, jobs: 1 });
+
+before(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsbindgen-tsc-incremental-'));
+    cachePath = path.join(projectDir, 'cache', 'tsc-cache.json');
+
+    write('tsconfig.json', JSON.stringify({
+        compilerOptions: { strict: true, noEmit: true, module: 'nodenext', moduleResolution: 'nodenext', types: [] },
+        include: ['namespaces/**/*.d.ts']
+    }));
+    write('namespaces/System/internal/index.d.ts', [
+        'import type { int } from "@tsonic/types";',
+        'export declare class Int32 { value: int; }',
+        ''
+    ].join('\n'));
+    write('namespaces/System.Linq/internal/index.d.ts', [
+        'import type * as System from "../../System/internal/index.js";',
+        'export declare class Enumerable { static count(): System.Int32; }',
+        ''
+    ].join('\n'));
+    writePackage('0.1.0', 'export type int = number;\n');
+});
+
+after(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+test('re-checks only the namespaces whose closure changed', async () => {
+    const first = await check();
+    assert.deepEqual(first.checked, ['System', 'System.Linq']);
+    assert.deepEqual(first.records.filter(r => r.category === 'error'), []);
+
+    assert.deepEqual((await check()).cached, ['System', 'System.Linq']);
+
+    write('namespaces/System.Linq/internal/index.d.ts', [
+        'import type * as System from "../../System/internal/index.js";',
+        'export declare class Enumerable { static count(): System.Int64; }',
+        ''
+    ].join('\n'));
+    const changed = await check();
+    assert.deepEqual(changed.checked, ['System.Linq']);
+    assert.deepEqual(changed.records.map(r => [r.namespace, r.code]), [['System.Linq', 'TS2694']]);
+});
+
+test('re-checks every namespace when a package the tree imports changes', async () => {
+    await check();
+    assert.deepEqual((await check()).checked, []);
+
+    // Same version, different declarations (e.g. a locally linked build)
+    writePackage('0.1.0', 'export type uint = number;\n');
+    const edited = await check();
+    assert.deepEqual(edited.checked, ['System', 'System.Linq']);
+    assert.deepEqual(edited.records.map(r => [r.namespace, r.code]), [['System', 'TS2724'], ['System.Linq', 'TS2694']]);
+
+    writePackage('0.2.0', 'export type uint = number;\n');
+    assert.deepEqual((await check()).checked, ['System', 'System.Linq']);
+    assert.deepEqual((await check()).checked, []);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadTscProfiles, selectProfiles, tsConfigName, compareProfiles } from '../lib/tsc-profiles.js';
+
+const PROFILES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'tsc-profiles.json');
+
+function withProfiles(config, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsc-profiles-'));
+    try {
+        const file = path.join(dir, 'profiles.json');
+        fs.writeFileSync(file, JSON.stringify(config));
+        return fn(file);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('loads the committed profiles and selects the baseline first', () => {
+    const config = loadTscProfiles(PROFILES_PATH);
+    const selected = selectProfiles(config, ['node16', config.baseline]);
+
+    assert.deepEqual(selected.map(p => p.name), [config.baseline, 'node16']);
+    assert.equal(selected[1].compilerOptions.moduleResolution, 'node16');
+    assert.equal(selected[1].compilerOptions.strict, true);
+    assert.deepEqual(selected.map(p => tsConfigName(config, p)), ['tsconfig.json', 'tsconfig.node16.json']);
+    assert.equal(selectProfiles(config, []).length, 1);
+    assert.equal(selectProfiles(config, ['all']).length, config.profiles.size);
+    assert.throws(() => selectProfiles(config, ['node14']), /Unknown tsc profile\(s\) node14/);
+});
+
+test('rejects invalid compiler options and missing baselines', () => {
+    withProfiles({ version: 1, baseline: 'a', profiles: { a: { compilerOptions: { moduleResolution: 'node99' } } } }, file =>
+        assert.throws(() => loadTscProfiles(file), /Profile 'a'.*moduleResolution/));
+    withProfiles({ version: 1, baseline: 'b', profiles: { a: {} } }, file =>
+        assert.throws(() => loadTscProfiles(file), /Baseline profile 'b' is not defined/));
+    withProfiles({ version: 1, baseline: 'A', profiles: { A: {} } }, file =>
+        assert.throws(() => loadTscProfiles(file), /must be lowercase/));
+});
+
+test('splits errors into common and profile-specific', () => {
+    const error = (code, line) => ({
+        code, category: 'error', file: 'namespaces/A/index.d.ts', namespace: 'A', line, column: 1, messageChain: [`${code} message`]
+    });
+    const warning = { ...error('TS6385', 9), category: 'suggestion' };
+
+    const result = compareProfiles(new Map([
+        ['default', [error('TS2304', 3), warning]],
+        ['node16', [error('TS2304', 3), error('TS2835', 4)]],
+        ['nodenext', [error('TS2304', 3), error('TS2835', 4), error('TS2835', 4)]]
+    ]));
+
+    assert.deepEqual(result.common.map(r => r.code), ['TS2304']);
+    assert.deepEqual(result.specific.map(s => [s.record.code, s.profiles]), [['TS2835', ['node16', 'nodenext']]]);
+    assert.deepEqual(result.byProfile, {
+        default: { errors: 1, specific: 0 },
+        node16: { errors: 2, specific: 1 },
+        nodenext: { errors: 3, specific: 1 }
+    });
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildTscCases, tscSarifRules, tscSarifResults } from '../lib/tsc-reports.js';
+
+const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+function record(code, namespace, category = 'error') {
+    return {
+        code,
+        category,
+        file: `namespaces/${namespace}/internal/index.d.ts`,
+        namespace,
+        line: 3,
+        column: 5,
+        messageChain: ['Top message.', 'Nested message.']
+    };
+}
+
+test('fails namespaces on syntax errors and namespace regressions', () => {
+    const records = [record('TS1005', 'System'), record('TS2304', 'System.Linq'), record('TS6200', 'System.IO', 'warning')];
+    const regressions = [
+        { bucket: 'byNamespace', key: 'System.Linq', baseline: 0, current: 1 },
+        { bucket: 'byCode', key: 'TS2304', baseline: 0, current: 1 }
+    ];
+
+    const cases = buildTscCases(records, { namespaces: ['System.IO'], regressions, hasBaseline: true, classname: 'typecheck' });
+    assert.deepEqual(cases.map(c => [c.name, c.classname, c.failure?.message ?? null]), [
+        ['System', 'typecheck', '1 syntax errors'],
+        ['System.IO', 'typecheck', null],
+        ['System.Linq', 'typecheck', '1 errors, baseline 0'],
+        ['(baseline by error code)', 'typecheck', '1 error codes grew past the baseline']
+    ]);
+    assert.match(cases[0].failure.details, /index\.d\.ts\(3,5\): TS1005 Top message\./);
+
+    const withoutBaseline = buildTscCases(records, { namespaces: [], regressions: [], hasBaseline: false });
+    assert.deepEqual(withoutBaseline.map(c => c.name), ['System', 'System.Linq']);
+    assert.equal('classname' in withoutBaseline[0], false);
+});
+
+test('builds SARIF rules and results located in the tree', () => {
+    const records = [record('TS2304', 'System.Linq'), record('TS1005', 'System', 'warning'), record('TS2304', 'System')];
+    const outputDir = path.join(PROJECT_ROOT, '.tests', 'validation', 'netcore');
+
+    assert.deepEqual(tscSarifRules(records).map(r => r.id), ['TS1005', 'TS2304']);
+
+    const [first, second] = tscSarifResults(records, outputDir, { target: 'netcore' });
+    assert.deepEqual(first, {
+        ruleId: 'TS2304',
+        level: 'error',
+        message: 'Top message.\nNested message.',
+        uri: '.tests/validation/netcore/namespaces/System.Linq/internal/index.d.ts',
+        line: 3,
+        column: 5,
+        properties: { target: 'netcore', namespace: 'System.Linq' }
+    });
+    assert.equal(second.level, 'warning');
+});
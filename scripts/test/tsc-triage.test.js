@@ -0,0 +1,185 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveRecords, triageDiagnostics } from '../lib/tsc-triage.js';
+
+// A one-namespace output tree: sidecars written the way NamespacePipeline
+// writes them, and declarations in the emitter's layout (internal/index.d.ts
+// plus a facade re-exporting the public names)
+
+const ref = (namespace, typeName, extra = {}) => ({
+    kind: 0, namespace, typeName, genericArgs: [], arrayRank: 0, pointerDepth: 0,
+    declaringType: null, genericParameter: null, assembly: null, ...extra
+});
+const param = (name, type) => ({ name, type, kind: 'In', isOptional: false, defaultValue: null, isParams: false });
+
+const CORELIB = 'System.Private.CoreLib';
+const INT32 = ref('System', 'Int32');
+const VOID = ref('System', 'Void');
+const LIST = ref('System.Collections.Generic', 'List`1');
+const ENUMERATOR = ref(null, 'Enumerator', { declaringType: LIST });
+const T = ref(null, 'T', { kind: 1 });
+
+const binding = owner => ({ assembly: CORELIB, type: owner });
+const method = (clrName, owner, parameters, extra = {}) => ({
+    clrName, isStatic: false, isVirtual: false, isOverride: false, isAbstract: false, visibility: 'Public',
+    genericParameters: [], parameters, returnType: VOID, binding: { ...binding(owner), member: clrName },
+    syntheticOverload: null, emitScope: 0, ...extra
+});
+const property = (clrName, owner, type, extra = {}) => ({
+    clrName, type, isReadonly: true, isStatic: false, isVirtual: false, isOverride: false, visibility: 'Public',
+    binding: { ...binding(owner), member: clrName }, contractType: null, syntheticMember: false,
+    isIndexer: false, indexerParameters: [], ...extra
+});
+const type = (clrName, owner, tsEmitName, members, extra = {}) => ({
+    clrName, kind: 'Class', isStatic: false, isSealed: false, isAbstract: false, visibility: 'Public',
+    genericParameters: [{ name: 'T', constraints: [], variance: 'None' }], baseType: null, implements: [],
+    binding: binding(owner), diagnostics: [], helpers: [], conflictingInterfaces: null, hasBaseClassConflicts: false,
+    conflictingMemberNames: null, explicitViews: null, underlyingType: null, enumMembers: null,
+    delegateParameters: null, delegateReturnType: null, tsEmitName, isValueType: false,
+    ...extra,
+    members: { constructors: [], methods: [], properties: [], fields: [], events: [], ...members }
+});
+
+const NAMESPACE = 'System.Collections.Generic';
+
+const TYPES = [
+    type('List`1', LIST, 'List_1', {
+        constructors: [{ visibility: 'Public', parameters: [param('capacity', INT32)] }],
+        methods: [
+            method('Add', LIST, [param('item', T)]),
+            method('Create', LIST, [], { isStatic: true })
+        ],
+        properties: [property('Count', LIST, INT32)]
+    }),
+    type('Enumerator', ENUMERATOR, 'List_1$Enumerator', {
+        properties: [property('Current', ENUMERATOR, T)]
+    }, { kind: 'Struct', isValueType: true })
+];
+
+// Member names as emitted (camelCase), in snapshot order after constructors
+const TYPELIST = {
+    'List_1': [
+        { name: 'constructor', kind: 'constructor', isStatic: false, emitScope: 'ClassSurface', genericArity: 0, parameters: ['System.Int32'] },
+        { name: 'add', kind: 'method', isStatic: false, emitScope: 'ClassSurface', genericArity: 0, parameters: ['T'] },
+        { name: 'create', kind: 'method', isStatic: true, emitScope: 'ClassSurface', genericArity: 0, parameters: [] },
+        { name: 'count', kind: 'property', isStatic: false, emitScope: 'ClassSurface' }
+    ],
+    'List_1$Enumerator': [
+        { name: 'current', kind: 'property', isStatic: false, emitScope: 'ClassSurface' }
+    ]
+};
+
+const INTERNAL = `export class List_1<T> {
+    constructor(capacity: number);
+    add(item: T): void;
+    static create<T>(): List_1<T>;
+    readonly count: number;
+}
+
+export interface List_1$Enumerator$instance<T> {
+    readonly current: T;
+}
+
+export interface List_1$Enumerator$static {
+}
+
+export type List_1$Enumerator<T> = List_1$Enumerator$instance<T>;
+export const List_1$Enumerator: List_1$Enumerator$static;
+`;
+
+const FACADE = `export { List_1, List_1$Enumerator } from './internal/index';
+`;
+
+const INTERNAL_FILE = `namespaces/${NAMESPACE}/internal/index.d.ts`;
+const FACADE_FILE = `namespaces/${NAMESPACE}/index.d.ts`;
+
+let outputDir;
+
+/** Error record positioned on the first occurrence of `text` in a generated file */
+function recordAt(file, text, code = 'TS2416', messageChain = ['Error']) {
+    const lines = fs.readFileSync(path.join(outputDir, file), 'utf-8').split('\n');
+    const line = lines.findIndex(l => l.includes(text));
+    assert.notEqual(line, -1, `'${text}' not found in ${file}`);
+    return {
+        code, category: 'error', file, namespace: NAMESPACE,
+        line: line + 1, column: lines[line].indexOf(text) + 1, messageChain
+    };
+}
+
+const resolve = record => {
+    const [{ clrType, member, memberKind }] = resolveRecords(outputDir, [record]);
+    return { clrType, member, memberKind };
+};
+
+before(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tsbindgen-triage-'));
+    const dir = path.join(outputDir, 'namespaces', NAMESPACE);
+    fs.mkdirSync(path.join(dir, 'internal'), { recursive: true });
+    const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+
+    write('snapshot.json', JSON.stringify({
+        clrName: NAMESPACE, tsAlias: NAMESPACE, types: TYPES, imports: {}, diagnostics: [], sourceAssemblies: [CORELIB]
+    }));
+    write('typelist.json', JSON.stringify({
+        namespace: NAMESPACE,
+        types: TYPES.map(t => ({ tsEmitName: t.tsEmitName, kind: 'class', members: TYPELIST[t.tsEmitName] }))
+    }));
+    write('internal/index.d.ts', INTERNAL);
+    write('index.d.ts', FACADE);
+});
+
+after(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('resolves class members through the typelist to their CLR names', () => {
+    const list = 'System.Collections.Generic.List`1';
+    assert.deepEqual(resolve(recordAt(INTERNAL_FILE, 'add(item')), { clrType: list, member: 'Add', memberKind: 'method' });
+    assert.deepEqual(resolve(recordAt(INTERNAL_FILE, 'create<T>')), { clrType: list, member: 'Create', memberKind: 'method' });
+    assert.deepEqual(resolve(recordAt(INTERNAL_FILE, 'count:')), { clrType: list, member: 'Count', memberKind: 'property' });
+    assert.deepEqual(resolve(recordAt(INTERNAL_FILE, 'constructor(')), { clrType: list, member: '.ctor', memberKind: 'constructor' });
+    assert.deepEqual(resolve(recordAt(INTERNAL_FILE, 'export class List_1')), { clrType: list, member: null, memberKind: 'type' });
+});
+
+test('resolves companion declarations of nested types in the internal file', () => {
+    const enumerator = 'System.Collections.Generic.List`1+Enumerator';
+    assert.deepEqual(resolve(recordAt(INTERNAL_FILE, 'current:')),
+        { clrType: enumerator, member: 'Current', memberKind: 'property' });
+    assert.deepEqual(resolve(recordAt(INTERNAL_FILE, 'List_1$Enumerator$static')),
+        { clrType: enumerator, member: null, memberKind: 'type' });
+    assert.deepEqual(resolve(recordAt(INTERNAL_FILE, 'const List_1$Enumerator')),
+        { clrType: enumerator, member: null, memberKind: 'type' });
+});
+
+test('resolves facade re-exports by the specifier under the position', () => {
+    assert.equal(resolve(recordAt(FACADE_FILE, 'List_1,')).clrType, 'System.Collections.Generic.List`1');
+    assert.equal(resolve(recordAt(FACADE_FILE, 'List_1$Enumerator')).clrType, 'System.Collections.Generic.List`1+Enumerator');
+});
+
+test('leaves records without a position or a known file unmapped', () => {
+    const global = { code: 'TS2318', category: 'error', file: null, namespace: '(global)', line: null, column: null, messageChain: ['Cannot find global type'] };
+    const missing = { ...recordAt(INTERNAL_FILE, 'add(item'), file: `namespaces/${NAMESPACE}/internal/missing.d.ts` };
+    assert.deepEqual(resolve(global), { clrType: null, member: null, memberKind: null });
+    assert.deepEqual(resolve(missing), { clrType: null, member: null, memberKind: null });
+});
+
+test('ranks (CLR type, cause) groups by error count', () => {
+    const variance = ['Property \'add\' in type \'List_1<T>\' is not assignable', 'Types of parameters \'item\' and \'item\' are incompatible.'];
+    const triage = triageDiagnostics(outputDir, [
+        recordAt(INTERNAL_FILE, 'add(item', 'TS2416', variance),
+        recordAt(INTERNAL_FILE, 'count:', 'TS2416', variance),
+        recordAt(INTERNAL_FILE, 'current:', 'TS2304', ['Cannot find name \'Missing\'.']),
+        { ...recordAt(INTERNAL_FILE, 'current:'), category: 'warning' }
+    ]);
+
+    assert.deepEqual(triage.summary, { total: 3, mapped: 3, unmapped: 0 });
+    assert.deepEqual(triage.byCause, { 'parameter-variance': 2, 'missing-type': 1 });
+    assert.deepEqual(triage.byMemberKind, { method: 1, property: 2 });
+    assert.deepEqual(triage.fixFirst.map(g => [g.rank, g.clrType, g.cause, g.count, g.members]), [
+        [1, 'System.Collections.Generic.List`1', 'parameter-variance', 2, ['Add', 'Count']],
+        [2, 'System.Collections.Generic.List`1+Enumerator', 'missing-type', 1, ['Current']]
+    ]);
+});
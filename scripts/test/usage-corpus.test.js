@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ts from 'typescript';
+import { generateUsageCorpus, namespaceAlias } from '../lib/usage-corpus.js';
+
+const ref = (namespace, typeName, genericArgs = []) => ({
+    kind: 0, namespace, typeName, genericArgs, arrayRank: 0, pointerDepth: 0, declaringType: null, genericParameter: null, assembly: null
+});
+const param = name => ({ ...ref(null, name), kind: 1 });
+
+function corpus(text, types, snapshotTypes = []) {
+    const sourceFile = ts.createSourceFile('index.d.ts', text, ts.ScriptTarget.Latest, true);
+    return generateUsageCorpus(sourceFile, {
+        namespace: 'System.Collections.Generic',
+        typelist: { types },
+        snapshot: { types: snapshotTypes },
+        lookupType: fullName => ({
+            'System.Collections.Generic.IEnumerable`1': { namespace: 'System.Collections.Generic', tsEmitName: 'IEnumerable_1' },
+            'System.IDisposable': { namespace: 'System', tsEmitName: 'IDisposable' }
+        })[fullName] || null,
+        moduleSpecifier: namespace => `../namespaces/${namespace}/internal/index.js`,
+        rewriteSpecifier: specifier => specifier.replace('../../', '../namespaces/')
+    });
+}
+
+test('derives namespace aliases', () => {
+    assert.equal(namespaceAlias('System.Collections.Generic'), 'System$Collections$Generic');
+});
+
+test('constructs, calls and assigns classes', () => {
+    const { text, snippets, skipped } = corpus(`
+import type * as System from "../../System/internal/index.js";
+export class List_1<T> {
+    constructor(capacity: System.Int32);
+    Add(item: T): void;
+    ConvertAll<TOutput extends Comparer_1<TOutput>>(converter: Converter_2<T, TOutput>): List_1<TOutput>;
+    static Empty(): List_1$Enumerator;
+    readonly As_IList: IList;
+}
+export interface Converter_2<TInput, TOutput> {}
+`, [{ tsEmitName: 'List_1', kind: 'class', members: [] }], [{
+        tsEmitName: 'List_1',
+        implements: [ref('System.Collections.Generic', 'IEnumerable`1', [param('T')]), ref('System', 'IDisposable'), ref('System.Collections', 'IList')],
+        explicitViews: [{ viewName: 'As_IList', interface: ref('System.Collections', 'IList'), viewOnlyMethods: [], disambiguator: null }],
+        conflictingInterfaces: null
+    }]);
+
+    const lines = text.split('\n');
+    assert.ok(lines.includes('import type * as System from "../namespaces/System/internal/index.js";'));
+    assert.ok(lines.includes('import * as System$Collections$Generic from "../namespaces/System.Collections.Generic/internal/index.js";'));
+    assert.deepEqual([...snippets.entries()].map(([line, s]) => [lines[line - 1].trim(), s.kind, s.label]), [
+        ['const $self = $value<System$Collections$Generic.List_1<string>>();', 'reference', 'List_1<string>'],
+        ['new System$Collections$Generic.List_1<string>($value<System.Int32>());', 'construct', 'new List_1(capacity)'],
+        ['$self.Add($value<string>());', 'member', 'List_1.Add(item)'],
+        ['$self.ConvertAll<never>($value<System$Collections$Generic.Converter_2<string, never>>());', 'member', 'List_1.ConvertAll(converter)'],
+        ['System$Collections$Generic.List_1.Empty();', 'member', 'List_1.Empty()'],
+        ['$self.As_IList;', 'member', 'List_1.As_IList'],
+        ['const $as0: System$Collections$Generic.IEnumerable_1<string> = $self;', 'assign', 'List_1 as System.Collections.Generic.IEnumerable`1<T>'],
+        ['const $as1: System.IDisposable = $self;', 'assign', 'List_1 as System.IDisposable']
+    ]);
+    assert.deepEqual(skipped.map(s => [s.interface, s.reason]), [['System.Collections.IList', 'view']]);
+});
+
+test('uses structs, enums and delegates', () => {
+    const { text, snippets } = corpus(`
+export type int = number;
+export interface Point$instance { Offset(dx: int): void; }
+export interface Point$static { Parse(s: string): Point; }
+export type Point = Point$instance;
+export const Point: Point$static;
+export type DayOfWeek = int;
+export namespace DayOfWeek { const Sunday: DayOfWeek; }
+export type Predicate_1<T> = (obj: T) => boolean;
+`, [
+        { tsEmitName: 'Point', kind: 'class', members: [] },
+        { tsEmitName: 'DayOfWeek', kind: 'enum', members: [] },
+        { tsEmitName: 'Predicate_1', kind: 'delegate', members: [] }
+    ]);
+
+    const lines = text.split('\n');
+    assert.deepEqual([...snippets.keys()].map(line => lines[line - 1].trim()), [
+        'const $self = $value<System$Collections$Generic.Point>();',
+        '$self.Offset($value<System$Collections$Generic.int>());',
+        'System$Collections$Generic.Point.Parse($value<string>());',
+        'const $e0: System$Collections$Generic.DayOfWeek = System$Collections$Generic.DayOfWeek.Sunday;',
+        'const $d: System$Collections$Generic.Predicate_1<string> = (p0) => $value<boolean>();',
+        '$d($value<string>());'
+    ]);
+});
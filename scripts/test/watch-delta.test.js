@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeIteration, diffLines, diffIterations } from '../lib/watch-delta.js';
+
+function record(code, file, message, line = 1) {
+    return { code, category: 'error', file, line, column: 1, namespace: 'System', messageChain: [message, 'detail'] };
+}
+
+test('summarizes tsc errors without their position', () => {
+    const summary = summarizeIteration({
+        tscRecords: [
+            record('TS2304', 'namespaces/System/internal/index.d.ts', "Cannot find name 'X'.", 40),
+            { ...record('TS6200', 'namespaces/System/internal/index.d.ts', 'Duplicate'), category: 'warning' }
+        ],
+        metadataReport: null,
+        completenessReport: {
+            stats: {
+                typesLost: [{ namespace: 'System.Linq', typeName: 'Lookup_2', kind: 'class' }],
+                membersLost: [
+                    { namespace: 'System.Linq', type: 'Enumerable', member: 'Zip', isStatic: true, kind: 'property' },
+                    { namespace: 'System.Linq', type: 'Enumerable', member: 'Where', signature: 'Where(Func`2)', isStatic: true, kind: 'method', reason: 'dropped' }
+                ]
+            }
+        }
+    });
+
+    assert.deepEqual(summary.errors, ["TS2304 namespaces/System/internal/index.d.ts: Cannot find name 'X'."]);
+    assert.equal(summary.metadata, null);
+    assert.deepEqual(summary.lostTypes, ['System.Linq Lookup_2 (class)']);
+    assert.deepEqual(summary.lostMembers, [
+        'System.Linq Enumerable.Where(Func`2) (static method, dropped)',
+        'System.Linq Enumerable.Zip (static property)'
+    ]);
+});
+
+test('diffs lines counting duplicates', () => {
+    assert.deepEqual(diffLines(['a', 'b', 'b'], ['b', 'c', 'b', 'b']), { added: ['c', 'b'], removed: ['a'] });
+    assert.deepEqual(diffLines(['a'], ['a']), { added: [], removed: [] });
+});
+
+test('diffs only the sections both iterations have', () => {
+    const previous = { errors: ['e1', 'e2'], metadata: null, lostTypes: [], lostMembers: ['m1'] };
+    const current = { errors: ['e2', 'e3'], metadata: ['p1'], lostTypes: [], lostMembers: [] };
+
+    assert.deepEqual(diffIterations(previous, current), {
+        errors: { added: ['e3'], removed: ['e1'] },
+        metadata: null,
+        lostTypes: { added: [], removed: [] },
+        lostMembers: { added: [], removed: ['m1'] }
+    });
+});
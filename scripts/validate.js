@@ -2,32 +2,137 @@
 /**
  * Validation script for tsbindgen namespace-based output
  *
- * This script:
- * 1. Cleans the validation directory
- * 2. Runs tsbindgen generate command on the full .NET framework
- * 3. Creates a tsconfig.json in the output directory
- * 4. Runs TypeScript compiler to validate all declarations
- * 5. Reports error breakdown by category
+ * This script, for every validation target:
+ * 1. Cleans the target's validation directory
+ * 2. Runs tsbindgen generate command on the target's assemblies
+ * 3. Creates a tsconfig.json in the output directory and checks every sidecar
+ *    file (snapshot/typelist/metadata/bindings.json) against spec/schemas/
+ * 4. Type-checks all declarations through the TypeScript compiler API
+ * 5. Reports error breakdown by category, and maps errors back to the CLR
+ *    types and members that produced them (tsc-triage.json)
+ *
+ * Targets come from a validation config file (--config, default
+ * validation.config.json in the project root), from --assembly-dir flags,
+ * or - when neither is given - from the newest installed .NET runtime.
+ *
+ * Error counts per code and per namespace are compared against the committed
+ * baseline (scripts/tsc-baseline.json); any bucket that grows fails the run.
+ *
+ * With --per-namespace, every namespace is type-checked in isolation on a
+ * worker pool and results are cached (.tests/tsc-cache/) by a content hash of
+ * the namespace and its dependencies, so unchanged namespaces are not re-checked.
+ *
+ * With --golden, each target generates only a fixed set of namespaces (into
+ * .tests/golden-output/<target>/) and the emitted index.d.ts,
+ * internal/index.d.ts, metadata.json, bindings.json and typelist.json are
+ * compared against the committed goldens in tests/golden/<target>/
+ * (normalised, see lib/golden.js), with unified diffs for every change.
+ * --golden --accept rewrites the goldens instead.
+ *
+ * With --determinism, each target is generated twice into
+ * .tests/determinism/<target>/ (the second run optionally from another
+ * working directory and with a shuffled assembly list) and every output file
+ * is compared; volatile fields aside, both runs must be identical.
+ *
+ * With --profiles, the declarations are also type-checked under other named
+ * compiler-option profiles (scripts/tsc-profiles.json): node16/nodenext
+ * resolution, exactOptionalPropertyTypes, isolatedModules and so on. Errors
+ * every profile reports are told apart from those specific to some profiles;
+ * the baseline profile alone is compared against the error baseline.
+ *
+ * Every full run also records the wall time and peak RSS of generation and
+ * tsc, and the size of every generated namespace, in a local history file
+ * (.tests/perf-history.jsonl, see lib/perf.js). A run exceeding a budget of
+ * scripts/perf-budget.json fails; growth over the previous run is flagged.
+ *
+ * With --watch, one target is validated, then regenerated and checked again
+ * (tsc, verify-metadata.js and verify-completeness.js) whenever a source file
+ * under src/tsbindgen/ changes, printing what each iteration changed: new and
+ * fixed errors, lost and recovered members.
  */
 
-import { execSync } from 'child_process';
+import { execSync, execFile } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { parseArgs } from 'util';
 import { fileURLToPath } from 'url';
+import { loadBaseline, saveBaseline, compareWithBaseline, ratchetEntry } from './lib/tsc-baseline.js';
+import { describeRecord } from './lib/tsc-diagnostics.js';
+import { buildTscCases, tscSarifRules, tscSarifResults } from './lib/tsc-reports.js';
+import { parsePositiveInt, splitList } from './lib/cli-options.js';
+import { defaultJobs } from './lib/tsc-incremental.js';
+import { describeCause } from './lib/tsc-triage.js';
+import { parseFormats, writeReports } from './lib/report-formats.js';
+import { listNamespaces } from './lib/sidecars.js';
+import { validateSidecarFiles } from './lib/sidecar-schema.js';
+import { compareGoldens, acceptGoldens } from './lib/golden.js';
+import { compareOutputTrees, shuffle } from './lib/determinism.js';
+import { loadTscProfiles, selectProfiles, tsConfigName, compareProfiles } from './lib/tsc-profiles.js';
+import { writeTsConfigs, typeCheckOutput } from './lib/typecheck.js';
+import {
+    measureProcessPeak,
+    measureOutput,
+    loadPerfBudget,
+    findPreviousEntry,
+    appendHistoryEntry,
+    findPerfRegressions,
+    formatMetric
+} from './lib/perf.js';
+import { summarizeIteration, diffIterations } from './lib/watch-delta.js';
+import {
+    VALIDATION_ROOT,
+    DOTNET_ROOTS,
+    discoverRuntimes,
+    runtimeTargetName,
+    resolveTargets
+} from './lib/targets.js';
+import { runGenerator } from './lib/generate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Configuration
-const DOTNET_VERSION = '10.0.0-rc.1.25451.107';
-const DOTNET_HOME = os.homedir() + '/dotnet';
-const DOTNET_RUNTIME_PATH = `${DOTNET_HOME}/shared/Microsoft.NETCore.App/${DOTNET_VERSION}`;
-
-const VALIDATION_DIR = path.join(__dirname, '..', '.tests', 'validation');
 const PROJECT_ROOT = path.join(__dirname, '..');
+const BASELINE_PATH = path.join(__dirname, 'tsc-baseline.json');
+const GOLDEN_ROOT = path.join(PROJECT_ROOT, 'tests', 'golden');
+// Outside VALIDATION_ROOT, where a target of the same name would share them
+const GOLDEN_OUTPUT_ROOT = path.join(PROJECT_ROOT, '.tests', 'golden-output');
+const DETERMINISM_ROOT = path.join(PROJECT_ROOT, '.tests', 'determinism');
+const TSC_PROFILES_PATH = path.join(__dirname, 'tsc-profiles.json');
+const PERF_BUDGET_PATH = path.join(__dirname, 'perf-budget.json');
+const DEFAULT_PERF_HISTORY = path.join(PROJECT_ROOT, '.tests', 'perf-history.jsonl');
+const WATCH_ROOT = path.join(PROJECT_ROOT, 'src', 'tsbindgen');
+
+// --watch: quiet period after the last change before an iteration starts
+const WATCH_DEBOUNCE_MS = 300;
+
+// --watch: delta lines printed per section and direction
+const WATCH_PRINT_LIMIT = 10;
+
+// Namespaces generated by --golden unless --namespaces is given: small, but
+// covering generic classes and structs, interfaces, a static class, enums
+// and delegates
+const GOLDEN_NAMESPACES = [
+    'System.Collections.Generic',
+    'System.Linq',
+    'System.Text.RegularExpressions'
+];
+
+// Diff lines printed per target; the full diff is written to golden.diff
+const GOLDEN_DIFF_LINES = 200;
+
+// Non-deterministic files printed per target; all are in determinism.json
+const DETERMINISM_PRINT_LIMIT = 50;
+
+// Profile-specific errors printed per target; all are in tsc-profiles.json
+const PROFILE_PRINT_LIMIT = 20;
+
+// --quiet: progress output is suppressed, only the final summary is printed
+let quiet = false;
 
 function log(message) {
+    if (quiet) return;
     console.log(`[validate] ${message}`);
 }
 
@@ -35,251 +140,1337 @@ function error(message) {
     console.error(`[validate] ERROR: ${message}`);
 }
 
-function cleanValidationDir() {
+function parseOptions() {
+    const { values } = parseArgs({
+        options: {
+            'config': { type: 'string' },
+            'target': { type: 'string', multiple: true },
+            'assembly-dir': { type: 'string', multiple: true },
+            'namespaces': { type: 'string' },
+            'list-targets': { type: 'boolean', default: false },
+            'skip-tsc': { type: 'boolean', default: false },
+            'update-baseline': { type: 'boolean', default: false },
+            'accept-regressions': { type: 'boolean', default: false },
+            'per-namespace': { type: 'boolean', default: false },
+            'jobs': { type: 'string' },
+            'clear-tsc-cache': { type: 'boolean', default: false },
+            'golden': { type: 'boolean', default: false },
+            'accept': { type: 'boolean', default: false },
+            'determinism': { type: 'boolean', default: false },
+            'vary-cwd': { type: 'boolean', default: false },
+            'shuffle-assemblies': { type: 'boolean', default: false },
+            'seed': { type: 'string' },
+            'profiles': { type: 'string' },
+            'perf-history': { type: 'string' },
+            'watch': { type: 'boolean', default: false },
+            'format': { type: 'string', multiple: true },
+            'report-dir': { type: 'string' },
+            'quiet': { type: 'boolean', short: 'q', default: false }
+        }
+    });
+
+    if (values['golden'] && values['determinism']) {
+        throw new Error('--golden and --determinism cannot be combined');
+    }
+    if (values['accept'] && !values['golden']) {
+        throw new Error('--accept only applies to --golden');
+    }
+    for (const flag of ['vary-cwd', 'shuffle-assemblies', 'seed']) {
+        if (values[flag] && !values['determinism']) {
+            throw new Error(`--${flag} only applies to --determinism`);
+        }
+    }
+    const mode = values['golden'] ? '--golden' : values['determinism'] ? '--determinism' : null;
+    if (mode && (values['update-baseline'] || values['accept-regressions'])) {
+        throw new Error(`${mode} does not run tsc; the error baseline cannot be updated with it`);
+    }
+    for (const flag of ['golden', 'determinism', 'skip-tsc', 'update-baseline', 'accept-regressions', 'profiles', 'format', 'perf-history']) {
+        if (values['watch'] && values[flag]) {
+            throw new Error(`--watch cannot be combined with --${flag}`);
+        }
+    }
+    // The baseline holds whole-target counts; a filtered run would zero the rest
+    if (values['namespaces'] && (values['update-baseline'] || values['accept-regressions'])) {
+        throw new Error('--namespaces cannot be combined with --update-baseline or --accept-regressions');
+    }
+    if (values['perf-history'] && mode) {
+        throw new Error(`${mode} does not record performance; --perf-history does not apply`);
+    }
+    if (values['profiles'] && (mode || values['skip-tsc'])) {
+        throw new Error(`--profiles cannot be combined with ${mode || '--skip-tsc'}, which does not run tsc`);
+    }
+
+    return {
+        configPath: values['config'],
+        targetNames: values['target'] || [],
+        assemblyDirs: values['assembly-dir'] || [],
+        namespaces: splitList(values['namespaces']),
+        listTargets: values['list-targets'],
+        skipTsc: values['skip-tsc'],
+        updateBaseline: values['update-baseline'],
+        acceptRegressions: values['accept-regressions'],
+        perNamespace: values['per-namespace'],
+        jobs: values['jobs'] ? parsePositiveInt(values['jobs'], '--jobs') : defaultJobs(),
+        clearTscCache: values['clear-tsc-cache'],
+        golden: values['golden'],
+        accept: values['accept'],
+        determinism: values['determinism'],
+        varyCwd: values['vary-cwd'],
+        shuffleAssemblies: values['shuffle-assemblies'],
+        seed: values['seed'] ? parsePositiveInt(values['seed'], '--seed') : 1 + Math.floor(Math.random() * 0x7fffffff),
+        profiles: splitList(values['profiles']),
+        perfHistory: values['perf-history'] ? path.resolve(values['perf-history']) : DEFAULT_PERF_HISTORY,
+        watch: values['watch'],
+        formats: parseFormats(values['format']),
+        reportDir: values['report-dir'] ? path.resolve(values['report-dir']) : VALIDATION_ROOT,
+        quiet: values['quiet']
+    };
+}
+
+/**
+ * Targets to validate (see lib/targets.js), moved to their own output
+ * directories with --golden and --determinism
+ */
+function resolveValidationTargets(options) {
+    const targets = resolveTargets(options);
+
+    for (const target of targets) {
+        if (options.golden) {
+            target.namespaces = options.namespaces.length > 0 ? options.namespaces : GOLDEN_NAMESPACES;
+            target.outputDir = path.join(GOLDEN_OUTPUT_ROOT, target.folder);
+            target.goldenDir = path.join(GOLDEN_ROOT, target.folder);
+        }
+        if (options.determinism) {
+            target.outputDir = path.join(DETERMINISM_ROOT, target.folder);
+        }
+    }
+
+    return targets;
+}
+
+function listTargets(options) {
+    const runtimes = discoverRuntimes();
+
+    console.log('');
+    console.log('Installed runtimes:');
+    if (runtimes.length === 0) {
+        console.log(`  (none found in ${DOTNET_ROOTS.join(', ')})`);
+    }
+    for (const r of runtimes) {
+        console.log(`  ${runtimeTargetName(r.framework, r.version).padEnd(45)} ${r.assemblyDir}`);
+    }
+
+    console.log('');
+    console.log('Selected targets:');
+    for (const target of resolveValidationTargets(options)) {
+        const filter = target.namespaces.length > 0 ? ` [${target.namespaces.join(', ')}]` : '';
+        console.log(`  ${target.name.padEnd(45)} ${target.assemblyDir}${filter}`);
+    }
+    console.log('');
+}
+
+function cleanValidationDir(outputDir) {
     log('Cleaning validation directory...');
-    if (fs.existsSync(VALIDATION_DIR)) {
-        fs.rmSync(VALIDATION_DIR, { recursive: true, force: true });
+    if (fs.existsSync(outputDir)) {
+        fs.rmSync(outputDir, { recursive: true, force: true });
     }
-    fs.mkdirSync(VALIDATION_DIR, { recursive: true });
+    fs.mkdirSync(outputDir, { recursive: true });
 }
 
-function generateTypes() {
-    log('Generating TypeScript declarations for entire .NET framework...');
-    log(`  Source: ${DOTNET_RUNTIME_PATH}`);
-    log(`  Output: ${VALIDATION_DIR}`);
-    log('');
+/**
+ * Runs the generator for a target. run overrides the output directory and
+ * working directory, passes an explicit assembly list (-a) instead of the
+ * assembly directory, or also writes the per-assembly debug snapshots.
+ * Resolves to the run's { wallMs, peakRssKb }.
+ */
+async function generateTypes(target, run = {}) {
+    const { outputDir = target.outputDir, cwd, assemblies, debugSnapshot = false } = run;
 
-    const projectPath = path.join(PROJECT_ROOT, 'src', 'tsbindgen', 'tsbindgen.csproj');
+    log(`Generating TypeScript declarations for ${target.name}...`);
+    log(`  Source: ${target.assemblyDir}`);
+    log(`  Output: ${outputDir}`);
+    if (target.namespaces.length > 0) {
+        log(`  Namespaces: ${target.namespaces.join(', ')}`);
+    }
+    if (assemblies) {
+        log(`  Assemblies: ${assemblies.length}, passed individually`);
+    }
+    if (cwd) {
+        log(`  Working directory: ${cwd}`);
+    }
+    log('');
 
     try {
-        const output = execSync(
-            `dotnet run --project "${projectPath}" -- generate -d "${DOTNET_RUNTIME_PATH}" -o "${VALIDATION_DIR}" --debug-typelist`,
-            {
-                stdio: 'pipe',
-                encoding: 'utf-8',
-                maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-            }
-        );
+        const { stdout, wallMs, peakRssKb } = await runGenerator({
+            assemblyDir: target.assemblyDir,
+            outputDir,
+            namespaces: target.namespaces,
+            cwd,
+            assemblies,
+            debugSnapshot
+        });
 
-        console.log(output);
-        log('✓ Type generation completed');
+        if (!quiet) {
+            console.log(stdout);
+        }
+        log(`✓ Type generation completed (${formatMetric('wallMs', wallMs)})`);
         log('');
+        return { wallMs, peakRssKb };
     } catch (err) {
         error('Failed to generate types');
-        console.error(err.stderr || err.stdout || err.message);
+        const output = err.stderr || err.stdout;
+        if (output) console.error(output);
+        // Last, so a truncated flood of output does not hide why the run stopped
+        console.error(err.message);
         throw new Error('Type generation failed');
     }
 }
 
-function createTsConfig() {
-    log('Creating tsconfig.json...');
-
-    const tsconfig = {
-        compilerOptions: {
-            target: 'ES2020',
-            module: 'ES2020',
-            lib: ['ES2020'],
-            strict: true,
-            noEmit: true,
-            skipLibCheck: false,
-            moduleResolution: 'bundler'
-        },
-        include: [
-            'namespaces/**/*.d.ts'
-        ]
-    };
+/**
+ * Writes tsconfig.json, plus tsconfig.<profile>.json for every other
+ * --profiles profile, into the output directory
+ */
+function createTsConfigs(outputDir, options) {
+    const written = writeTsConfigs(outputDir, options.profileConfig, options.tscProfiles);
+    log(`✓ Created ${written.length === 1 ? 'tsconfig.json' : `${written.length} tsconfig files`}`);
+}
 
-    fs.writeFileSync(
-        path.join(VALIDATION_DIR, 'tsconfig.json'),
-        JSON.stringify(tsconfig, null, 2)
-    );
+/**
+ * Type-checks the target under one profile. The baseline profile's results
+ * go to tsc-validation.{txt,json} and are triaged; other profiles write
+ * tsc-validation.<profile>.{txt,json} (see lib/typecheck.js).
+ */
+async function runTypeScriptCompiler(target, options, profile) {
+    log(options.tscProfiles.length > 1
+        ? `Running TypeScript compiler (profile ${profile.name})...`
+        : 'Running TypeScript compiler...');
+    log('');
 
-    log('✓ Created tsconfig.json');
+    return typeCheckOutput(target.outputDir, {
+        profileConfig: options.profileConfig,
+        profile,
+        perNamespace: options.perNamespace,
+        jobs: options.jobs,
+        cachePath: target.cachePath,
+        clearCache: options.clearTscCache,
+        log
+    });
 }
 
-function runTypeScriptCompiler() {
-    log('Running TypeScript compiler...');
-    log('');
+/**
+ * Checks that every namespace has its index.d.ts and that each sidecar file
+ * (snapshot, typelist, metadata, bindings) matches its JSON Schema in
+ * spec/schemas/. All violations are saved to schema-validation.json with their
+ * JSON path; any violation fails the target.
+ */
+function validateSidecars(outputDir) {
+    log('Validating sidecar files against spec/schemas...');
 
-    let output;
-    let exitCode = 0;
+    if (!fs.existsSync(path.join(outputDir, 'namespaces'))) {
+        throw new Error('Namespaces directory not found');
+    }
 
-    try {
-        output = execSync(
-            `npx tsc --noEmit --project "${VALIDATION_DIR}"`,
-            {
-                stdio: 'pipe',
-                encoding: 'utf-8',
-                maxBuffer: 50 * 1024 * 1024 // 50MB buffer for errors
-            }
-        );
-    } catch (err) {
-        exitCode = err.status || 1;
-        output = err.stdout || '';
+    const namespaces = listNamespaces(outputDir);
+    const missingIndex = namespaces.filter(ns => !fs.existsSync(path.join(outputDir, 'namespaces', ns, 'index.d.ts')));
+    for (const ns of missingIndex) {
+        error(`  Missing index.d.ts in ${ns}`);
     }
 
-    // Save full output to file
-    const outputPath = path.join(PROJECT_ROOT, '.tests', 'tsc-validation.txt');
-    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-    fs.writeFileSync(outputPath, output);
+    const result = validateSidecarFiles(outputDir);
+    const reportPath = path.join(outputDir, 'schema-validation.json');
+    fs.writeFileSync(reportPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        filesChecked: result.filesChecked,
+        truncatedFiles: result.truncatedFiles,
+        violations: result.violations
+    }, null, 2) + '\n');
 
-    // Count different error types
-    const errorLines = output.split('\n').filter(line => line.includes('error TS'));
+    const shown = 20;
+    for (const v of result.violations.slice(0, shown)) {
+        error(`  ${v.file}: ${v.path}: ${v.message}`);
+    }
+    if (result.violations.length > shown) {
+        error(`  ... and ${result.violations.length - shown} more (see ${reportPath})`);
+    }
+
+    const problems = [];
+    if (missingIndex.length > 0) {
+        problems.push(`${missingIndex.length} missing index files`);
+    }
+    if (result.violations.length > 0) {
+        const files = new Set(result.violations.map(v => v.file)).size;
+        problems.push(`${result.violations.length} schema violations in ${files} sidecar files`);
+    }
+    if (problems.length > 0) {
+        throw new Error(problems.join(', '));
+    }
+
+    log(`  ✓ All ${namespaces.length} namespaces have index.d.ts; ${result.filesChecked} sidecar files match their schemas`);
+}
+
+/**
+ * --golden: compare the generated golden files with the committed goldens, or
+ * with --accept replace the goldens. Machine-specific paths are normalised
+ * away so goldens compare across checkouts.
+ */
+function compareWithGoldens(target, options) {
+    const replacements = [
+        [target.assemblyDir, '<assemblyDir>'],
+        [target.outputDir, '<outputDir>'],
+        [PROJECT_ROOT, '<projectRoot>']
+    ];
+    const goldenLabel = path.relative(PROJECT_ROOT, target.goldenDir);
+    // Goldens of other namespaces are only stale when the whole set was generated
+    const fullSet = options.namespaces.length === 0;
+
+    if (options.accept) {
+        const written = acceptGoldens(target.outputDir, target.goldenDir, target.namespaces, replacements,
+            { pruneStale: fullSet });
+        log(`✓ Accepted ${written} golden files into ${goldenLabel}`);
+        return { target, passed: true, tsc: null, golden: { accepted: written, files: [], stale: [], diffPath: null } };
+    }
+
+    log(`Comparing with goldens in ${goldenLabel}...`);
+    const { files, stale } = compareGoldens(target.outputDir, target.goldenDir, target.namespaces, replacements,
+        { reportStale: fullSet });
+    const diffPath = path.join(target.outputDir, 'golden.diff');
+    fs.writeFileSync(diffPath, files.map(f => f.diff).join(''));
+
+    const changed = files.filter(f => f.status !== 'unchanged');
+    return {
+        target,
+        passed: changed.length === 0 && stale.length === 0,
+        tsc: null,
+        golden: { accepted: null, files, stale, diffPath }
+    };
+}
+
+/**
+ * --determinism: generate the target twice into first/ and second/ and compare
+ * every file. The second run can be varied: another working directory
+ * (--vary-cwd) and the assemblies passed one by one in a seeded random order
+ * (--shuffle-assemblies). Debug snapshots are written too, since they carry
+ * the volatile fields.
+ */
+async function checkDeterminism(target, options) {
+    const firstDir = path.join(target.outputDir, 'first');
+    const secondDir = path.join(target.outputDir, 'second');
+    const secondRun = { outputDir: secondDir, debugSnapshot: true };
 
-    const syntaxErrors = errorLines.filter(line => /error TS1\d{3}:/.test(line)).length;
-    const semanticErrors = errorLines.filter(line => /error TS2\d{3}:/.test(line)).length;
-    const duplicateErrors = errorLines.filter(line => /error TS6200:/.test(line)).length;
-    const totalErrors = errorLines.length;
+    if (options.shuffleAssemblies) {
+        const assemblies = fs.readdirSync(target.assemblyDir)
+            .filter(file => file.toLowerCase().endsWith('.dll'))
+            .sort()
+            .map(file => path.join(target.assemblyDir, file));
+        secondRun.assemblies = shuffle(assemblies, options.seed);
+    }
+    if (options.varyCwd) {
+        secondRun.cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'tsbindgen-cwd-'));
+    }
 
-    // Breakdown by specific error codes
-    const errorCounts = {};
-    errorLines.forEach(line => {
-        const match = line.match(/error (TS\d+):/);
-        if (match) {
-            const code = match[1];
-            errorCounts[code] = (errorCounts[code] || 0) + 1;
+    try {
+        log('First run');
+        await generateTypes(target, { outputDir: firstDir, debugSnapshot: true });
+        log('Second run');
+        await generateTypes(target, secondRun);
+    } finally {
+        if (secondRun.cwd) {
+            fs.rmSync(secondRun.cwd, { recursive: true, force: true });
         }
-    });
+    }
 
-    // Sort by count descending
-    const sortedErrors = Object.entries(errorCounts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10);
+    log('Comparing runs...');
+    const { filesCompared, differences } = compareOutputTrees(firstDir, secondDir, {
+        firstReplacements: [[firstDir, '<outputDir>']],
+        secondReplacements: [[secondDir, '<outputDir>']]
+    });
+    const determinism = {
+        filesCompared,
+        differences,
+        varyCwd: options.varyCwd,
+        shuffled: Boolean(secondRun.assemblies),
+        seed: secondRun.assemblies ? options.seed : null,
+        reportPath: path.join(target.outputDir, 'determinism.json')
+    };
+    const { reportPath, ...report } = determinism;
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
 
     return {
-        exitCode,
-        output,
-        outputPath,
-        totalErrors,
-        syntaxErrors,
-        semanticErrors,
-        duplicateErrors,
-        errorCounts: sortedErrors
+        target,
+        passed: filesCompared > 0 && differences.length === 0,
+        tsc: null,
+        determinism
     };
 }
 
-function validateMetadataFiles() {
-    log('Validating metadata files...');
+/**
+ * Type-checks the target under the remaining --profiles and splits the errors
+ * into those every profile reports and those specific to some. The matrix is
+ * saved to tsc-profiles.json.
+ */
+async function checkProfiles(target, options, baselineTsc) {
+    const recordsByProfile = new Map([[options.profileConfig.baseline, baselineTsc.records]]);
+    const results = [{ name: options.profileConfig.baseline, tsc: baselineTsc }];
 
-    const namespacesDir = path.join(VALIDATION_DIR, 'namespaces');
+    for (const profile of options.tscProfiles.slice(1)) {
+        log('');
+        const tsc = await runTypeScriptCompiler(target, options, profile);
+        recordsByProfile.set(profile.name, tsc.records);
+        results.push({ name: profile.name, tsc });
+    }
 
-    if (!fs.existsSync(namespacesDir)) {
-        throw new Error('Namespaces directory not found');
+    const { common, specific, byProfile } = compareProfiles(recordsByProfile);
+    const profiles = {
+        baseline: options.profileConfig.baseline,
+        results: results.map(({ name, tsc }) => ({
+            name,
+            description: options.profileConfig.profiles.get(name).description,
+            configName: tsConfigName(options.profileConfig, options.profileConfig.profiles.get(name)),
+            totalErrors: tsc.totalErrors,
+            syntaxErrors: tsc.syntaxErrors,
+            specificErrors: byProfile[name].specific,
+            reportPath: tsc.reportPath
+        })),
+        commonErrors: common.length,
+        specific: specific.map(({ record, profiles }) => ({ profiles, ...record })),
+        reportPath: path.join(target.outputDir, 'tsc-profiles.json')
+    };
+
+    const { reportPath, ...report } = profiles;
+    fs.writeFileSync(reportPath, JSON.stringify({ ...report, common }, null, 2) + '\n');
+    return profiles;
+}
+
+function currentCommit() {
+    try {
+        return execSync('git rev-parse HEAD', { cwd: PROJECT_ROOT, stdio: 'pipe', encoding: 'utf-8' }).trim();
+    } catch {
+        return null;
     }
+}
+
+/**
+ * Measures the generated tree, compares the run with the previous comparable
+ * history entry and the budget, and appends it to the history.
+ */
+function recordPerformance(target, options, phases) {
+    log('Recording performance...');
+    const entry = {
+        recordedAt: new Date().toISOString(),
+        target: target.name,
+        commit: currentCommit(),
+        namespaces: target.namespaces,
+        tscMode: options.perNamespace ? 'per-namespace' : 'project',
+        generation: phases.generation,
+        tsc: phases.tsc,
+        output: measureOutput(target.outputDir)
+    };
+
+    const previous = findPreviousEntry(options.perfHistory, entry);
+    const regressions = findPerfRegressions(entry, previous, options.perfBudget);
+    appendHistoryEntry(options.perfHistory, entry);
+
+    return {
+        entry,
+        previous: previous ? { recordedAt: previous.recordedAt, commit: previous.commit } : null,
+        regressions,
+        historyPath: options.perfHistory
+    };
+}
 
-    const namespaces = fs.readdirSync(namespacesDir);
-    let missingMetadata = 0;
-    let missingIndex = 0;
+function perfBudgetBreaches(result) {
+    return result.perf ? result.perf.regressions.filter(r => r.source === 'budget') : [];
+}
 
-    for (const ns of namespaces) {
-        const nsPath = path.join(namespacesDir, ns);
-        if (!fs.statSync(nsPath).isDirectory()) continue;
+/**
+ * Runs generate → tsconfig → sidecar schema check → tsc for one target, or
+ * generate → golden comparison with --golden, or two generator runs with
+ * --determinism.
+ * Failures are captured in the result so the remaining targets still run.
+ */
+async function validateTarget(target, options, baseline) {
+    if (!quiet) {
+        console.log('');
+        console.log('----------------------------------------------------------------');
+        console.log(`Target: ${target.name}`);
+        console.log('----------------------------------------------------------------');
+        console.log('');
+    }
 
-        const indexPath = path.join(nsPath, 'index.d.ts');
-        const metadataPath = path.join(nsPath, 'metadata.json');
+    try {
+        cleanValidationDir(target.outputDir);
+        if (options.determinism) {
+            return await checkDeterminism(target, options);
+        }
 
-        if (!fs.existsSync(indexPath)) {
-            error(`  Missing index.d.ts in ${ns}`);
-            missingIndex++;
+        const generation = await generateTypes(target);
+        if (options.golden) {
+            return compareWithGoldens(target, options);
         }
 
-        if (!fs.existsSync(metadataPath)) {
-            error(`  Missing metadata.json in ${ns}`);
-            missingMetadata++;
+        createTsConfigs(target.outputDir, options);
+        validateSidecars(target.outputDir);
+
+        if (options.skipTsc) {
+            const perf = recordPerformance(target, options, { generation, tsc: null });
+            return { target, passed: !perf.regressions.some(r => r.source === 'budget'), tsc: null, perf };
         }
-    }
 
-    if (missingIndex > 0 || missingMetadata > 0) {
-        throw new Error(`Missing ${missingIndex} index files and ${missingMetadata} metadata files`);
+        log('');
+        const [baselineProfile, ...otherProfiles] = options.tscProfiles;
+        // Workers of --per-namespace are threads, so their memory counts too
+        const tscStarted = performance.now();
+        const tscPeak = measureProcessPeak();
+        const tsc = await runTypeScriptCompiler(target, options, baselineProfile);
+        const tscPhase = {
+            wallMs: Math.round(performance.now() - tscStarted),
+            peakRssKb: tscPeak()
+        };
+        const comparison = compareWithBaseline(baseline.targets[target.name], tsc.counts, options.namespaces);
+        const profiles = otherProfiles.length > 0
+            ? await checkProfiles(target, options, tsc)
+            : null;
+        log('');
+        const perf = recordPerformance(target, options, { generation, tsc: tscPhase });
+        const result = { target, passed: false, tsc, comparison, profiles, perf };
+        result.passed = tsc.syntaxErrors === 0 && comparison.regressions.length === 0 &&
+            profileSyntaxFailures(result).length === 0 && perfBudgetBreaches(result).length === 0;
+        return result;
+    } catch (err) {
+        error(err.message);
+        if (err.stack) {
+            console.error(err.stack);
+        }
+        return { target, passed: false, tsc: null, error: err.message };
     }
-
-    log(`  ✓ All ${namespaces.length} namespaces have index.d.ts and metadata.json`);
 }
 
-async function main() {
+function printTargetResult(result) {
+    const { target, tsc } = result;
+
     console.log('');
     console.log('================================================================');
-    console.log('tsbindgen - Full Framework Validation');
+    console.log(`VALIDATION RESULTS - ${target.name}`);
     console.log('================================================================');
     console.log('');
+    console.log(`  Source: ${target.assemblyDir}`);
+    console.log(`  Validation directory: ${target.outputDir}`);
+    console.log('');
+
+    if (result.error) {
+        console.log(`  ✗ VALIDATION FAILED - ${result.error}`);
+        console.log('');
+        return;
+    }
 
-    // Check for --skip-tsc flag
-    const skipTsc = process.argv.includes('--skip-tsc');
+    if (result.golden) {
+        printGoldenResult(result);
+        return;
+    }
+    if (result.determinism) {
+        printDeterminismResult(result);
+        return;
+    }
 
-    try {
-        // Step 1: Clean and prepare
-        cleanValidationDir();
+    if (!tsc) {
+        printPerformance(result.perf);
+        if (perfBudgetBreaches(result).length > 0) {
+            console.log(`  ✗ VALIDATION FAILED - ${perfBudgetBreaches(result).length} performance budgets exceeded`);
+            console.log('');
+            return;
+        }
+        console.log('  ✓ GENERATION COMPLETE (TypeScript validation skipped)');
+        console.log(`  Namespaces generated: check ${path.join(target.outputDir, 'namespaces')}`);
+        console.log('');
+        return;
+    }
 
-        // Step 2: Generate all types
-        generateTypes();
+    console.log(`  Total errors: ${tsc.totalErrors}`);
+    console.log('');
+    console.log('  Error breakdown:');
+    console.log(`    - Syntax errors (TS1xxx):     ${tsc.syntaxErrors}`);
+    console.log(`    - Semantic errors (TS2xxx):   ${tsc.semanticErrors}`);
+    console.log(`    - Duplicate types (TS6200):   ${tsc.duplicateErrors}`);
+    console.log('');
+    console.log('  Top 10 error codes:');
+    tsc.errorCounts.forEach(([code, count]) => {
+        const pct = ((count / tsc.totalErrors) * 100).toFixed(1);
+        console.log(`    ${count.toString().padStart(5)} ${code} (${pct}%)`);
+    });
+    console.log('');
+    printTriage(tsc);
+    console.log(`  Full output saved to: ${tsc.outputPath}`);
+    console.log(`  Structured report: ${tsc.reportPath}`);
+    if (tsc.triagePath) {
+        console.log(`  Triage report: ${tsc.triagePath}`);
+    }
+    console.log('');
 
-        // Step 3: Create tsconfig
-        createTsConfig();
+    printBaselineComparison(result.comparison);
+    if (result.profiles) {
+        printProfileMatrix(result.profiles);
+    }
+    printPerformance(result.perf);
 
-        // Step 4: Validate metadata files
-        validateMetadataFiles();
+    // Success criteria: zero syntax errors (under every profile), no error
+    // bucket above the baseline and no performance budget exceeded
+    const regressions = result.comparison.regressions.length;
+    const profileSyntaxErrors = profileSyntaxFailures(result);
+    const budgetBreaches = perfBudgetBreaches(result);
+    if (tsc.syntaxErrors === 0 && profileSyntaxErrors.length > 0) {
+        console.log(`  ✗ VALIDATION FAILED - syntax errors under profile ${profileSyntaxErrors.map(p => p.name).join(', ')}`);
+        console.log('');
+    } else if (tsc.syntaxErrors === 0 && budgetBreaches.length > 0) {
+        console.log(`  ✗ VALIDATION FAILED - ${budgetBreaches.length} performance budgets exceeded`);
+        console.log('');
+    } else if (tsc.syntaxErrors === 0 && regressions > 0 && result.regressionsAccepted) {
+        console.log(`  ✓ VALIDATION PASSED - ${regressions} grown error buckets accepted into the baseline`);
+        console.log('');
+    } else if (tsc.syntaxErrors === 0 && regressions === 0) {
+        console.log('  ✓ VALIDATION PASSED - No TypeScript syntax errors, no regressions against baseline');
+        console.log('');
+    } else if (tsc.syntaxErrors === 0) {
+        console.log(`  ✗ VALIDATION FAILED - ${regressions} error buckets grew past the baseline`);
+        console.log('');
+        console.log('  Fix the regressions, or accept them as expected with --update-baseline --accept-regressions');
+        console.log('');
+    } else {
+        console.log(`  ✗ VALIDATION FAILED - ${tsc.syntaxErrors} syntax errors found`);
+        console.log('');
+        console.log('  First 10 syntax errors:');
+        tsc.records
+            .filter(r => r.category === 'error' && /^TS1\d{3}$/.test(r.code))
+            .slice(0, 10)
+            .forEach(r => console.log(`    ${describeRecord(r)}`));
+        console.log('');
+    }
+}
 
-        // Step 5: Run TypeScript compiler (optional)
-        if (skipTsc) {
-            console.log('');
-            console.log('================================================================');
-            console.log('GENERATION COMPLETE (TypeScript validation skipped)');
-            console.log('================================================================');
-            console.log('');
-            console.log(`  Validation directory: ${VALIDATION_DIR}`);
-            console.log(`  Namespaces generated: check ${path.join(VALIDATION_DIR, 'namespaces')}`);
-            console.log('');
-            console.log('  Run without --skip-tsc to validate TypeScript compilation');
-            console.log('');
-            process.exit(0);
-        }
+function printGoldenResult(result) {
+    const { target, golden } = result;
+    console.log(`  Goldens: ${path.relative(PROJECT_ROOT, target.goldenDir)}`);
+    console.log(`  Namespaces: ${target.namespaces.join(', ')}`);
+    console.log('');
 
+    if (golden.accepted !== null) {
+        console.log(`  ✓ GOLDENS UPDATED - ${golden.accepted} files accepted`);
         console.log('');
-        const result = runTypeScriptCompiler();
+        return;
+    }
 
-        // Print results
+    const changed = golden.files.filter(f => f.status !== 'unchanged');
+    if (changed.length === 0 && golden.stale.length === 0) {
+        console.log(`  ✓ GOLDEN OUTPUT MATCHES - ${golden.files.length} files compared`);
         console.log('');
-        console.log('================================================================');
-        console.log('VALIDATION RESULTS');
-        console.log('================================================================');
+        return;
+    }
+
+    if (changed.length > 0) {
+        console.log('  Changed files:');
+        for (const f of changed) {
+            const lines = f.diff.split('\n');
+            const added = lines.filter(l => l.startsWith('+') && !l.startsWith('+++')).length;
+            const removed = lines.filter(l => l.startsWith('-') && !l.startsWith('---')).length;
+            console.log(`    ${f.status.padEnd(8)} ${f.namespace}/${f.file} (+${added} -${removed})`);
+        }
         console.log('');
-        console.log(`  Total errors: ${result.totalErrors}`);
+    }
+    if (golden.stale.length > 0) {
+        console.log(`  Golden namespaces outside the golden set: ${golden.stale.join(', ')}`);
         console.log('');
-        console.log('  Error breakdown:');
-        console.log(`    - Syntax errors (TS1xxx):     ${result.syntaxErrors}`);
-        console.log(`    - Semantic errors (TS2xxx):   ${result.semanticErrors}`);
-        console.log(`    - Duplicate types (TS6200):   ${result.duplicateErrors}`);
+    }
+
+    const diffLines = changed.map(f => f.diff).join('').split('\n');
+    diffLines.slice(0, GOLDEN_DIFF_LINES).forEach(line => console.log(`  ${line}`));
+    if (diffLines.length > GOLDEN_DIFF_LINES) {
+        console.log(`  ... ${diffLines.length - GOLDEN_DIFF_LINES} more diff lines`);
+    }
+    console.log(`  Full diff: ${golden.diffPath}`);
+    console.log('');
+
+    const missing = golden.files.length > 0 && golden.files.every(f => f.status === 'added');
+    console.log(missing
+        ? '  ✗ VALIDATION FAILED - no goldens recorded for this target'
+        : `  ✗ VALIDATION FAILED - ${changed.length} files differ from the goldens`);
+    console.log('');
+    console.log('  Review the diff, then record the new output with --golden --accept');
+    console.log('');
+}
+
+function printDeterminismResult(result) {
+    const { determinism } = result;
+    const variations = [
+        determinism.shuffled ? `shuffled assembly order (--seed ${determinism.seed})` : null,
+        determinism.varyCwd ? 'another working directory' : null
+    ].filter(Boolean);
+    console.log(`  Second run: ${variations.length > 0 ? variations.join(', ') : 'same inputs'}`);
+    console.log('');
+
+    if (determinism.filesCompared === 0) {
+        console.log('  ✗ VALIDATION FAILED - the generator wrote no files');
         console.log('');
-        console.log('  Top 10 error codes:');
-        result.errorCounts.forEach(([code, count]) => {
-            const pct = ((count / result.totalErrors) * 100).toFixed(1);
-            console.log(`    ${count.toString().padStart(5)} ${code} (${pct}%)`);
-        });
+        return;
+    }
+    if (determinism.differences.length === 0) {
+        console.log(`  ✓ OUTPUT IS DETERMINISTIC - ${determinism.filesCompared} files identical`);
+        console.log('');
+        return;
+    }
+
+    console.log('  Non-deterministic files:');
+    for (const d of determinism.differences.slice(0, DETERMINISM_PRINT_LIMIT)) {
+        console.log(`    ${d.file}`);
+        console.log(`      at ${d.location}: ${d.first}  ≠  ${d.second}`);
+    }
+    if (determinism.differences.length > DETERMINISM_PRINT_LIMIT) {
+        console.log(`    ... ${determinism.differences.length - DETERMINISM_PRINT_LIMIT} more`);
+    }
+    console.log(`  Details: ${determinism.reportPath}`);
+    console.log('');
+    console.log(`  ✗ VALIDATION FAILED - ${determinism.differences.length} of ${determinism.filesCompared} files differ between runs`);
+    console.log('');
+}
+
+/**
+ * Non-baseline profiles with syntax errors
+ */
+function profileSyntaxFailures(result) {
+    if (!result.profiles) return [];
+    return result.profiles.results.filter(p => p.name !== result.profiles.baseline && p.syntaxErrors > 0);
+}
+
+function printProfileMatrix(profiles) {
+    console.log('  Compiler-option profiles:');
+    for (const p of profiles.results) {
+        const baseline = p.name === profiles.baseline ? ' (baseline)' : '';
+        const syntax = p.syntaxErrors > 0 ? `, ${p.syntaxErrors} syntax errors` : '';
+        console.log(`    ${p.syntaxErrors === 0 ? '✓' : '✗'} ${`${p.name}${baseline}`.padEnd(28)} ` +
+            `${p.totalErrors.toString().padStart(5)} errors, ${p.specificErrors} profile-specific${syntax}`);
+    }
+    console.log(`    ${profiles.commonErrors} errors are common to all profiles`);
+    console.log('');
+
+    if (profiles.specific.length > 0) {
+        console.log('  Profile-specific errors:');
+        for (const s of profiles.specific.slice(0, PROFILE_PRINT_LIMIT)) {
+            console.log(`    [${s.profiles.join(', ')}] ${describeRecord(s)}`);
+        }
+        if (profiles.specific.length > PROFILE_PRINT_LIMIT) {
+            console.log(`    ... ${profiles.specific.length - PROFILE_PRINT_LIMIT} more`);
+        }
+        console.log(`  Details: ${profiles.reportPath}`);
+        console.log('');
+    }
+}
+
+function printPerformance(perf) {
+    if (!perf) return;
+
+    const { entry, previous, regressions } = perf;
+    const phase = measured => measured
+        ? `${formatMetric('wallMs', measured.wallMs)}, peak RSS ${formatMetric('peakRssKb', measured.peakRssKb)}`
+        : 'skipped';
+
+    console.log('  Performance:');
+    console.log(`    Generation: ${phase(entry.generation)}`);
+    console.log(`    tsc:        ${phase(entry.tsc)}`);
+    console.log(`    Output:     ${formatMetric('bytes', entry.output.bytes)}, ${entry.output.lines} lines, ` +
+        `${entry.output.types} types, ${entry.output.members} members in ${Object.keys(entry.output.namespaces).length} namespaces`);
+    console.log(previous
+        ? `    Compared with the run of ${previous.recordedAt}${previous.commit ? ` (${previous.commit.slice(0, 10)})` : ''}`
+        : '    No previous run to compare with');
+
+    for (const r of regressions) {
+        const detail = r.source === 'budget'
+            ? `over its budget of ${formatMetric(r.metric, r.limit)}`
+            : `was ${formatMetric(r.metric, r.previous)} (limit ${formatMetric(r.metric, r.limit)})`;
+        console.log(`    ${r.source === 'budget' ? '✗' : '⚠'} ${r.metric}: ${formatMetric(r.metric, r.current)}, ${detail}`);
+    }
+    console.log(`  History: ${perf.historyPath}`);
+    console.log('');
+}
+
+function printTriage(tsc) {
+    if (!tsc.triage) return;
+
+    const { summary, fixFirst } = tsc.triage;
+    console.log(`  Fix these first (${summary.mapped} of ${summary.total} errors mapped to CLR types):`);
+    fixFirst.slice(0, 10).forEach(group => {
+        console.log(`    ${group.count.toString().padStart(5)} ${group.clrType} - ${describeCause(group.cause)} [${group.codes.join(', ')}]`);
+        if (group.members.length > 0) {
+            const shown = group.members.slice(0, 5).join(', ');
+            const more = group.members.length > 5 ? `, +${group.members.length - 5} more` : '';
+            console.log(`          members: ${shown}${more}`);
+        }
+    });
+    console.log('');
+}
+
+function printBaselineComparison(comparison) {
+    if (!comparison.hasBaseline) {
+        console.log('  ⚠ No tsc baseline for this target - run with --update-baseline to record one');
+        console.log('');
+        return;
+    }
+
+    const label = bucket => bucket === 'byCode' ? 'code' : 'namespace';
+
+    if (comparison.regressions.length > 0) {
+        console.log('  Regressions against baseline:');
+        for (const r of comparison.regressions) {
+            console.log(`    ✗ ${label(r.bucket).padEnd(9)} ${r.key}: ${r.baseline} → ${r.current} (+${r.current - r.baseline})`);
+        }
+        console.log('');
+    }
+
+    if (comparison.improvements.length > 0) {
+        console.log('  Improvements against baseline:');
+        for (const i of comparison.improvements) {
+            console.log(`    ✓ ${label(i.bucket).padEnd(9)} ${i.key}: ${i.baseline} → ${i.current} (-${i.baseline - i.current})`);
+        }
         console.log('');
-        console.log(`  Full output saved to: ${result.outputPath}`);
-        console.log(`  Validation directory: ${VALIDATION_DIR}`);
+    }
+
+    if (comparison.regressions.length === 0 && comparison.improvements.length === 0) {
+        console.log('  Error counts match the baseline');
         console.log('');
+    }
+}
+
+/**
+ * Locks in improvements (and, when accepted, regressions) for every target
+ * that ran the type-check. Targets that failed earlier keep their entry.
+ */
+function updateBaselineFile(baseline, results, acceptRegressions) {
+    let updated = 0;
+
+    for (const result of results) {
+        if (!result.tsc) continue;
+
+        const name = result.target.name;
+        baseline.targets[name] = ratchetEntry(baseline.targets[name], result.tsc.counts, acceptRegressions);
+        if (acceptRegressions && result.tsc.syntaxErrors === 0) {
+            result.regressionsAccepted = true;
+            result.passed = profileSyntaxFailures(result).length === 0 && perfBudgetBreaches(result).length === 0;
+        }
+        updated++;
+    }
+
+    saveBaseline(BASELINE_PATH, baseline);
+    log(`Updated tsc baseline for ${updated} target(s): ${BASELINE_PATH}`);
+}
+
+/**
+ * One-line outcome for the summary: error totals, regressions or the failure.
+ */
+function describeOutcome(result) {
+    if (result.error) return ` - ${result.error}`;
+    if (result.golden) {
+        if (result.golden.accepted !== null) return ` - ${result.golden.accepted} golden files accepted`;
+        const changed = result.golden.files.filter(f => f.status !== 'unchanged').length;
+        const stale = result.golden.stale.length > 0 ? `, ${result.golden.stale.length} stale golden namespaces` : '';
+        return changed > 0 ? ` - ${changed} files differ from the goldens${stale}` : ` - matches the goldens${stale}`;
+    }
+    if (result.determinism) {
+        const { differences, filesCompared } = result.determinism;
+        return differences.length > 0
+            ? ` - ${differences.length} of ${filesCompared} files differ between runs`
+            : ` - ${filesCompared} files identical across runs`;
+    }
+    const perfParts = [];
+    if (result.perf) {
+        const budget = perfBudgetBreaches(result).length;
+        const grown = result.perf.regressions.length - budget;
+        if (budget > 0) perfParts.push(`${budget} performance budgets exceeded`);
+        if (grown > 0) perfParts.push(`${grown} metrics grew since the previous run`);
+    }
+    if (!result.tsc) return ` - ${['TypeScript validation skipped', ...perfParts].join(', ')}`;
+
+    const parts = [`${result.tsc.totalErrors} errors`];
+    if (result.tsc.syntaxErrors > 0) {
+        parts.push(`${result.tsc.syntaxErrors} syntax errors`);
+    }
+    if (result.comparison.regressions.length > 0) {
+        parts.push(`${result.comparison.regressions.length} baseline regressions${result.regressionsAccepted ? ' (accepted)' : ''}`);
+    }
+    if (result.profiles) {
+        parts.push(`${result.profiles.specific.length} profile-specific errors across ${result.profiles.results.length} profiles`);
+        const failing = profileSyntaxFailures(result);
+        if (failing.length > 0) {
+            parts.push(`syntax errors under ${failing.map(p => p.name).join(', ')}`);
+        }
+    }
+    parts.push(...perfParts);
+    return ` - ${parts.join(', ')}`;
+}
+
+/**
+ * JSON report: per-target tsc summary, baseline comparison and top triage entries.
+ * Individual diagnostics stay in each target's tsc-validation.json.
+ */
+function buildJsonReport(results) {
+    return {
+        generatedAt: new Date().toISOString(),
+        passed: results.every(r => r.passed),
+        targets: results.map(r => ({
+            name: r.target.name,
+            assemblyDir: r.target.assemblyDir,
+            outputDir: r.target.outputDir,
+            passed: r.passed,
+            error: r.error || null,
+            regressionsAccepted: Boolean(r.regressionsAccepted),
+            golden: r.golden
+                ? {
+                    accepted: r.golden.accepted,
+                    compared: r.golden.files.length,
+                    changed: r.golden.files
+                        .filter(f => f.status !== 'unchanged')
+                        .map(f => ({ namespace: f.namespace, file: f.file, status: f.status })),
+                    stale: r.golden.stale,
+                    diffPath: r.golden.diffPath
+                }
+                : null,
+            determinism: r.determinism
+                ? {
+                    filesCompared: r.determinism.filesCompared,
+                    shuffled: r.determinism.shuffled,
+                    seed: r.determinism.seed,
+                    varyCwd: r.determinism.varyCwd,
+                    differences: r.determinism.differences
+                }
+                : null,
+            tsc: r.tsc
+                ? {
+                    totalErrors: r.tsc.totalErrors,
+                    syntaxErrors: r.tsc.syntaxErrors,
+                    semanticErrors: r.tsc.semanticErrors,
+                    duplicateErrors: r.tsc.duplicateErrors,
+                    counts: r.tsc.counts,
+                    reportPath: r.tsc.reportPath,
+                    triage: r.tsc.triage
+                        ? { summary: r.tsc.triage.summary, byCause: r.tsc.triage.byCause, fixFirst: r.tsc.triage.fixFirst.slice(0, 20) }
+                        : null
+                }
+                : null,
+            baseline: r.comparison || null,
+            profiles: r.profiles
+                ? {
+                    baseline: r.profiles.baseline,
+                    results: r.profiles.results,
+                    commonErrors: r.profiles.commonErrors,
+                    specific: r.profiles.specific,
+                    reportPath: r.profiles.reportPath
+                }
+                : null,
+            perf: r.perf
+                ? {
+                    generation: r.perf.entry.generation,
+                    tsc: r.perf.entry.tsc,
+                    output: r.perf.entry.output,
+                    previous: r.perf.previous,
+                    regressions: r.perf.regressions
+                }
+                : null
+        }))
+    };
+}
 
-        // Success criteria: zero syntax errors
-        if (result.syntaxErrors === 0) {
-            console.log('  ✓ VALIDATION PASSED - No TypeScript syntax errors');
+/**
+ * JUnit: one suite per target, one test case per namespace. A namespace fails
+ * when it has syntax errors or its error count grew past the baseline, a
+ * --profiles profile when it has syntax errors, the performance case when a
+ * budget is exceeded, or with --golden when any of its files differ from the goldens, or with
+ * --determinism when any of its files differ between the two runs.
+ */
+function buildJUnitSuites(results) {
+    return results.map(r => {
+        const suite = { name: r.target.name, cases: [] };
+
+        if (r.error) {
+            suite.cases.push({ name: 'validate', error: { message: r.error, details: '' } });
+            return suite;
+        }
+
+        if (r.golden) {
+            for (const ns of r.target.namespaces) {
+                const changed = r.golden.files.filter(f => f.namespace === ns && f.status !== 'unchanged');
+                const testCase = { name: ns };
+                if (changed.length > 0) {
+                    testCase.failure = {
+                        message: changed.map(f => `${f.file} ${f.status}`).join(', '),
+                        details: changed.map(f => f.diff).join('').split('\n').slice(0, GOLDEN_DIFF_LINES).join('\n')
+                    };
+                }
+                suite.cases.push(testCase);
+            }
+            if (r.golden.stale.length > 0) {
+                suite.cases.push({
+                    name: '(stale goldens)',
+                    failure: { message: `Golden namespaces outside the golden set: ${r.golden.stale.join(', ')}`, details: '' }
+                });
+            }
+            return suite;
+        }
+
+        if (r.determinism) {
+            const firstDir = path.join(r.target.outputDir, 'first');
+            const groupOf = file => file.match(/^namespaces\/([^/]+)\//)?.[1] ?? '(other files)';
+            const groups = new Set([...listNamespaces(firstDir), ...r.determinism.differences.map(d => groupOf(d.file))]);
+            groups.delete('(other files)');
+            for (const group of [...groups, '(other files)']) {
+                const differing = r.determinism.differences.filter(d => groupOf(d.file) === group);
+                const testCase = { name: group };
+                if (differing.length > 0) {
+                    testCase.failure = {
+                        message: `${differing.length} non-deterministic files`,
+                        details: differing.map(d => `${d.file} at ${d.location}: ${d.first} vs ${d.second}`).join('\n')
+                    };
+                }
+                suite.cases.push(testCase);
+            }
+            return suite;
+        }
+
+        const namespaces = listNamespaces(r.target.outputDir);
+        if (!r.tsc) {
+            for (const ns of namespaces) {
+                suite.cases.push({ name: ns, skipped: 'TypeScript validation skipped' });
+            }
+            suite.cases.push(...buildPerfCases(r));
+            return suite;
+        }
+
+        suite.cases.push(...buildTscCases(r.tsc.records, {
+            namespaces,
+            regressions: r.regressionsAccepted ? [] : r.comparison.regressions,
+            hasBaseline: r.comparison.hasBaseline
+        }));
+
+        // Other profiles fail on syntax errors; their specific errors are listed
+        for (const p of r.profiles ? r.profiles.results.filter(p => p.name !== r.profiles.baseline) : []) {
+            const testCase = { name: `(profile ${p.name})` };
+            if (p.syntaxErrors > 0) {
+                testCase.failure = {
+                    message: `${p.syntaxErrors} syntax errors under ${p.configName}`,
+                    details: r.profiles.specific
+                        .filter(s => s.profiles.includes(p.name))
+                        .slice(0, 50)
+                        .map(describeRecord)
+                        .join('\n')
+                };
+            }
+            suite.cases.push(testCase);
+        }
+
+        suite.cases.push(...buildPerfCases(r));
+        return suite;
+    });
+}
+
+/**
+ * JUnit case of a target's performance: fails on budget breaches, listing
+ * every flagged metric
+ */
+function buildPerfCases(r) {
+    if (!r.perf) return [];
+
+    const describe = g => `${g.metric}: ${formatMetric(g.metric, g.current)} ` +
+        (g.source === 'budget'
+            ? `(budget ${formatMetric(g.metric, g.limit)})`
+            : `(previous ${formatMetric(g.metric, g.previous)}, limit ${formatMetric(g.metric, g.limit)})`);
+    const budget = perfBudgetBreaches(r);
+    const testCase = { name: '(performance)' };
+    if (budget.length > 0) {
+        testCase.failure = {
+            message: `${budget.length} performance budgets exceeded`,
+            details: r.perf.regressions.map(describe).join('\n')
+        };
+    }
+    return [testCase];
+}
+
+/**
+ * SARIF: every tsc diagnostic, located in the generated .d.ts (paths relative
+ * to the project root). Errors only other --profiles report carry the
+ * profiles in their properties.
+ */
+function buildSarifReport(results) {
+    const records = [];
+    const sarifResults = [];
+
+    for (const r of results) {
+        if (!r.tsc) continue;
+
+        // Errors the baseline profile does not report come from the other profiles
+        const profileOnly = r.profiles
+            ? r.profiles.specific.filter(s => !s.profiles.includes(r.profiles.baseline))
+            : [];
+
+        const targetRecords = [...r.tsc.records, ...profileOnly];
+        records.push(...targetRecords);
+        sarifResults.push(...tscSarifResults(targetRecords, r.target.outputDir, { target: r.target.name }));
+    }
+
+    return {
+        toolName: 'tsbindgen-validate',
+        rules: tscSarifRules(records),
+        results: sarifResults
+    };
+}
+
+/**
+ * Runs verify-metadata.js or verify-completeness.js on an output directory.
+ * Resolves to { report } with its parsed JSON report, or { error } when it
+ * wrote none or an unreadable one.
+ */
+function runVerifier(script, reportName, outputDir) {
+    const reportPath = path.join(outputDir, `${reportName}.json`);
+    fs.rmSync(reportPath, { force: true });
+
+    return new Promise(resolve => {
+        execFile(process.execPath, [path.join(__dirname, script), outputDir, '--format', 'json', '--quiet'],
+            { maxBuffer: 10 * 1024 * 1024 },
+            (err, stdout, stderr) => {
+                // Both exit 1 when they find problems; only a missing report is a failure
+                if (fs.existsSync(reportPath)) {
+                    try {
+                        resolve({ report: JSON.parse(fs.readFileSync(reportPath, 'utf-8')) });
+                    } catch (parseErr) {
+                        resolve({ error: `${script}: unreadable ${reportName}.json: ${parseErr.message}` });
+                    }
+                } else {
+                    resolve({ error: `${script}: ${(stderr || stdout || err?.message || 'no report written').trim().split('\n')[0]}` });
+                }
+            });
+    });
+}
+
+/**
+ * One --watch iteration: generate → tsconfig → sidecar schema check → tsc
+ * (baseline profile) → metadata and completeness checks. Only a failed
+ * generation ends the iteration; a later step that throws is recorded in
+ * failures and the remaining checks still run.
+ */
+async function runWatchIteration(target, options) {
+    const started = performance.now();
+    const failures = [];
+    const runStep = async (name, step) => {
+        try {
+            return await step();
+        } catch (err) {
+            failures.push(`${name}: ${err.message}`);
+            return {};
+        }
+    };
+
+    cleanValidationDir(target.outputDir);
+    await generateTypes(target);
+    createTsConfigs(target.outputDir, options);
+    await runStep('sidecar schemas', () => validateSidecars(target.outputDir));
+    const tsc = await runStep('tsc', () => runTypeScriptCompiler(target, options, options.tscProfiles[0]));
+    const metadata = await runVerifier('verify-metadata.js', 'metadata-report', target.outputDir);
+    const completeness = await runVerifier('verify-completeness.js', 'completeness-report', target.outputDir);
+    failures.push(...[metadata.error, completeness.error].filter(Boolean));
+
+    return {
+        wallMs: Math.round(performance.now() - started),
+        failures,
+        summary: summarizeIteration({
+            tscRecords: tsc.records,
+            metadataReport: metadata.report,
+            completenessReport: completeness.report
+        })
+    };
+}
+
+function printWatchIteration(iteration, delta) {
+    const sections = [
+        ['errors', 'tsc errors', 'new', 'fixed'],
+        ['metadata', 'metadata problems', 'new', 'fixed'],
+        ['lostTypes', 'lost types', 'lost', 'recovered'],
+        ['lostMembers', 'lost members', 'lost', 'recovered']
+    ];
+    const printLines = (marker, lines) => {
+        lines.slice(0, WATCH_PRINT_LIMIT).forEach(line => console.log(`    ${marker} ${line}`));
+        if (lines.length > WATCH_PRINT_LIMIT) {
+            console.log(`      ... and ${lines.length - WATCH_PRINT_LIMIT} more`);
+        }
+    };
+
+    for (const [section, label, added, removed] of sections) {
+        const lines = iteration.summary[section];
+        if (!lines) continue;
+
+        const change = delta?.[section];
+        const counts = change && (change.added.length > 0 || change.removed.length > 0)
+            ? `  (+${change.added.length} ${added}, -${change.removed.length} ${removed})`
+            : '';
+        console.log(`  ${`${label}:`.padEnd(19)} ${String(lines.length).padStart(6)}${counts}`);
+        if (change) {
+            printLines('+', change.added);
+            printLines('-', change.removed);
+        }
+    }
+    iteration.failures.forEach(failure => console.log(`  ✗ ${failure}`));
+    console.log('');
+}
+
+/**
+ * Source files whose change starts an iteration: C# sources and the project
+ * file, not the build output under bin/ and obj/
+ */
+function isWatchedSource(file) {
+    const parts = file.split(/[\\/]/);
+    return /\.(cs|csproj)$/.test(file) && !parts.includes('bin') && !parts.includes('obj');
+}
+
+/**
+ * --watch: validates the target, then again after every change under
+ * src/tsbindgen/, printing the delta against the previous successful
+ * iteration. Changes during an iteration start the next one when it ends.
+ * Resolves on Ctrl+C.
+ */
+async function watchTarget(target, options) {
+    let previous = null;
+    let count = 0;
+    let running = false;
+    let timer = null;
+    const pending = new Set();
+
+    const run = async changed => {
+        running = true;
+        count++;
+        const time = new Date().toLocaleTimeString();
+        const reason = changed.length === 0
+            ? 'initial run'
+            : `after ${changed[0]}${changed.length > 1 ? ` (+${changed.length - 1} more)` : ''}`;
+        console.log(`[${time}] #${count} ${reason}...`);
+
+        try {
+            const iteration = await runWatchIteration(target, options);
+            console.log(`[${new Date().toLocaleTimeString()}] #${count} done in ${formatMetric('wallMs', iteration.wallMs)}`);
+            printWatchIteration(iteration, previous && diffIterations(previous, iteration.summary));
+            // A step that failed keeps the previous lines to compare the next iteration with
+            previous = Object.fromEntries(Object.entries(iteration.summary)
+                .map(([section, lines]) => [section, lines ?? previous?.[section] ?? null]));
+        } catch (err) {
+            error(`Iteration #${count} failed: ${err.message}`);
             console.log('');
-            console.log('  Note: Semantic errors are expected and documented.');
-            console.log('  See CLAUDE.md for details on known limitations.');
+        }
+
+        running = false;
+        if (pending.size > 0) {
+            schedule();
+        }
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const changed = [...pending].sort();
+            pending.clear();
+            run(changed);
+        }, WATCH_DEBOUNCE_MS);
+    };
+
+    await run([]);
+
+    const watcher = fs.watch(WATCH_ROOT, { recursive: true }, (event, file) => {
+        if (!file || !isWatchedSource(file)) return;
+        pending.add(file.split(path.sep).join('/'));
+        if (!running) {
+            schedule();
+        }
+    });
+    console.log(`Watching ${path.relative(PROJECT_ROOT, WATCH_ROOT)}/ for changes (Ctrl+C to stop)`);
+    console.log('');
+
+    return new Promise(resolve => {
+        process.once('SIGINT', () => {
+            clearTimeout(timer);
+            watcher.close();
+            console.log('');
+            resolve();
+        });
+    });
+}
+
+async function main() {
+    try {
+        const options = parseOptions();
+        quiet = options.quiet;
+
+        if (!quiet) {
+            console.log('');
+            console.log('================================================================');
+            console.log('tsbindgen - Framework Validation');
+            console.log('================================================================');
             console.log('');
+        }
+
+        if (options.listTargets) {
+            listTargets(options);
+            process.exit(0);
+        }
+
+        options.profileConfig = loadTscProfiles(TSC_PROFILES_PATH);
+        options.tscProfiles = selectProfiles(options.profileConfig, options.profiles);
+        options.perfBudget = loadPerfBudget(PERF_BUDGET_PATH);
+
+        const targets = resolveValidationTargets(options);
+        if (targets.length === 0) {
+            throw new Error('No validation targets: pass --assembly-dir, add validation.config.json, or install a .NET runtime');
+        }
+
+        if (options.watch) {
+            if (targets.length !== 1) {
+                throw new Error(`--watch needs exactly one target, got ${targets.length}: ${targets.map(t => t.name).join(', ')}`);
+            }
+            // Only the per-iteration summaries are printed
+            quiet = true;
+            await watchTarget(targets[0], options);
             process.exit(0);
-        } else {
-            console.log(`  ✗ VALIDATION FAILED - ${result.syntaxErrors} syntax errors found`);
+        }
+
+        log(`Validating ${targets.length} target(s): ${targets.map(t => t.name).join(', ')}`);
+
+        const baseline = loadBaseline(BASELINE_PATH);
+        const results = [];
+        for (const target of targets) {
+            results.push(await validateTarget(target, options, baseline));
+        }
+
+        if (options.updateBaseline || options.acceptRegressions) {
+            updateBaselineFile(baseline, results, options.acceptRegressions);
+        }
+
+        if (!quiet) {
+            results.forEach(printTargetResult);
+        }
+
+        const failed = results.filter(r => !r.passed);
+        if (results.length > 1 || quiet) {
+            console.log('================================================================');
+            console.log(`SUMMARY: ${results.length - failed.length}/${results.length} targets passed`);
+            console.log('================================================================');
+            for (const r of results) {
+                console.log(`  ${r.passed ? '✓' : '✗'} ${r.target.name}${describeOutcome(r)}`);
+            }
             console.log('');
-            console.log('  First 10 syntax errors:');
-            const syntaxLines = result.output.split('\n')
-                .filter(line => /error TS1\d{3}:/.test(line))
-                .slice(0, 10);
-            syntaxLines.forEach(line => console.log(`    ${line}`));
+        }
+
+        if (options.formats.length > 0) {
+            const written = writeReports(options.reportDir, 'validation-report', options.formats, {
+                json: () => buildJsonReport(results),
+                junit: () => buildJUnitSuites(results),
+                sarif: () => buildSarifReport(results)
+            });
+            written.forEach(p => console.log(`Report written: ${p}`));
             console.log('');
-            process.exit(1);
         }
 
+        process.exit(failed.length === 0 ? 0 : 1);
+
     } catch (err) {
         console.log('');
         console.log('================================================================');
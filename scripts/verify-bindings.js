@@ -0,0 +1,503 @@
+#!/usr/bin/env node
+
+/**
+ * Bindings Verification Script
+ *
+ * Verifies that bindings.json lets the runtime map every TypeScript name back
+ * to exactly one CLR type, and that every binding points at something real.
+ *
+ * For each namespace:
+ * - Every name exported from the generated index.d.ts must resolve to exactly
+ *   one CLR full name per generic arity (the facade exports "List" for all of
+ *   List_1, List_2, ...), using the bindings.json aliases - or the CLR name,
+ *   for types without an entry - as the types' TypeScript identifiers
+ * - Every entry's CLR name must exist in snapshot.json, so its full name can
+ *   be resolved; explicit-view members must exist on their type
+ * - Every type metadata.json renames (tsName differs from the CLR name) must
+ *   have an entry with that alias
+ *
+ * Problems are reported per namespace as:
+ * - collisions: one alias resolving to several CLR types, or several entries
+ *               (or snapshot types) sharing a bare CLR name a lookup keys on
+ * - orphaned:   entries whose CLR name is not in the snapshot, or whose alias
+ *               the declarations never export
+ * - missing:    exported names that resolve to nothing, and renamed types
+ *               without an entry
+ *
+ * Usage: node scripts/verify-bindings.js [validation-target-dir]
+ *            [--format json,junit,sarif] [--report-dir <dir>] [--quiet]
+ *
+ * Without a directory, the default validation target's output is checked.
+ * --format writes bindings-report.{json,junit.xml,sarif} (to the validation
+ * directory unless --report-dir is given); --quiet prints only the final report.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { parseFormats, writeReports } from './lib/report-formats.js';
+import { listNamespaces, loadSidecar, getClrFullName, getFacadeNames } from './lib/sidecars.js';
+import { parseDeclarationFile, listExportedNames } from './lib/declarations.js';
+import { defaultOutputDir } from './lib/targets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// ANSI colors
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+};
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'format': { type: 'string', multiple: true },
+        'report-dir': { type: 'string' },
+        'quiet': { type: 'boolean', short: 'q', default: false }
+    }
+});
+
+// Target output directory written by validate.js (e.g. .tests/validation/<target>)
+const VALIDATION_DIR = positionals[0]
+    ? path.resolve(positionals[0])
+    : defaultValidationDir();
+const NAMESPACES_DIR = path.join(VALIDATION_DIR, 'namespaces');
+
+const REPORT_DIR = args['report-dir'] ? path.resolve(args['report-dir']) : VALIDATION_DIR;
+
+// With --quiet, per-namespace output is muted until the final report
+let muted = args.quiet;
+
+// Statistics tracking
+const stats = {
+    namespacesChecked: 0,
+    bindingFiles: 0,
+    entriesChecked: 0,
+    aliasesChecked: 0,
+    collisions: [],
+    orphaned: [],
+    missing: [],
+    namespaceResults: [],
+    warnings: []
+};
+
+function log(message, color = colors.reset) {
+    if (muted) return;
+    console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSection(title) {
+    log('\n' + '='.repeat(70), colors.cyan);
+    log(title, colors.bright + colors.cyan);
+    log('='.repeat(70), colors.cyan);
+}
+
+function logError(message) {
+    log(`  ✗ ${message}`, colors.red);
+}
+
+function logWarning(message) {
+    stats.warnings.push(message);
+    log(`  ⚠ ${message}`, colors.yellow);
+}
+
+function logSuccess(message) {
+    log(`  ✓ ${message}`, colors.green);
+}
+
+function logInfo(message) {
+    log(`  ${message}`);
+}
+
+/**
+ * Facade names of each snapshot type. The identifier is the bindings.json
+ * alias; types without an entry are exactly those whose identifier equals
+ * their CLR name.
+ */
+function facadeNames(types, typeEntries) {
+    const aliases = new Map(typeEntries.map(e => [e.name, e.alias]));
+    return new Map(types.map(type => [type, getFacadeNames(type, aliases.get(type.clrName) ?? type.clrName)]));
+}
+
+function groupBy(items, key) {
+    const groups = new Map();
+    for (const item of items) {
+        const k = key(item);
+        if (!groups.has(k)) {
+            groups.set(k, []);
+        }
+        groups.get(k).push(item);
+    }
+    return groups;
+}
+
+/**
+ * Flatten bindings.json into entries:
+ * { kind: 'namespace' | 'type', name, alias, views? } plus
+ * { kind: 'view-member', name, alias: signature, typeName, view }
+ */
+function collectEntries(bindings) {
+    const entries = [{ kind: 'namespace', name: bindings.namespace_.name, alias: bindings.namespace_.alias }];
+
+    for (const type of bindings.types) {
+        entries.push({ kind: 'type', name: type.name, alias: type.alias });
+        for (const [view, { members }] of Object.entries(type.explicitViews || {})) {
+            for (const [signature, clrName] of Object.entries(members)) {
+                entries.push({ kind: 'view-member', name: clrName, alias: signature, typeName: type.name, view });
+            }
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Verify one namespace's bindings.json against its snapshot, metadata and
+ * facade declarations
+ */
+function verifyNamespace(namespaceName, namespacePath) {
+    logSection(`Verifying: ${namespaceName}`);
+    stats.namespacesChecked++;
+
+    const snapshot = loadSidecar(namespacePath, 'snapshot.json');
+    if (!snapshot) {
+        logWarning('No snapshot.json found');
+        stats.namespaceResults.push({ namespace: namespaceName, skipped: 'No snapshot.json found' });
+        return;
+    }
+    const metadata = loadSidecar(namespacePath, 'metadata.json');
+    const bindings = loadSidecar(namespacePath, 'bindings.json');
+
+    const facadePath = path.join(namespacePath, 'index.d.ts');
+    const exported = fs.existsSync(facadePath) ? listExportedNames(parseDeclarationFile(facadePath)) : [];
+    if (!fs.existsSync(facadePath)) {
+        logWarning('No index.d.ts found, exported names not checked');
+    }
+
+    const before = {
+        collisions: stats.collisions.length,
+        orphaned: stats.orphaned.length,
+        missing: stats.missing.length
+    };
+    const reported = new Set();
+    const collision = (key, fullNames, reason, location = {}) => {
+        if (reported.has(key)) return;
+        reported.add(key);
+        stats.collisions.push({ namespace: namespaceName, key, fullNames, reason, ...location });
+        logError(`Collision: ${reason} (${fullNames.join(', ')})`);
+    };
+    const orphaned = (entry, reason) => {
+        stats.orphaned.push({ namespace: namespaceName, kind: entry.kind, name: entry.name, alias: entry.alias, reason });
+        logError(`Orphaned ${entry.kind} entry ${entry.name} → ${entry.alias}: ${reason}`);
+    };
+    const missing = (alias, reason, location = {}) => {
+        stats.missing.push({ namespace: namespaceName, alias, reason, ...location });
+        logError(`Missing: ${alias}: ${reason}`);
+    };
+
+    const fullNameOf = type => getClrFullName(type.binding.type);
+    const typesByClrName = groupBy(snapshot.types, type => type.clrName);
+
+    const entries = bindings ? collectEntries(bindings) : [];
+    const typeEntries = entries.filter(e => e.kind === 'type');
+    if (bindings) {
+        stats.bindingFiles++;
+    }
+    stats.entriesChecked += entries.length;
+    stats.aliasesChecked += exported.length;
+
+    logInfo(`bindings.json: ${bindings ? `${entries.length} entries` : 'none'}`);
+    logInfo(`index.d.ts exports ${exported.length} names`);
+
+    // The namespace entry must describe this namespace
+    const namespaceEntry = entries.find(e => e.kind === 'namespace');
+    if (namespaceEntry) {
+        namespaceEntry.fullName = namespaceEntry.name;
+        if (namespaceEntry.name !== snapshot.clrName) {
+            orphaned(namespaceEntry, `snapshot.json describes namespace ${snapshot.clrName}`);
+        } else if (namespaceEntry.alias !== snapshot.tsAlias) {
+            orphaned(namespaceEntry, `snapshot.json aliases the namespace as ${snapshot.tsAlias}`);
+        }
+    }
+
+    // Each type entry resolves to exactly one snapshot type by its bare CLR name
+    for (const [name, sameName] of groupBy(typeEntries, e => e.name)) {
+        const types = typesByClrName.get(name) || [];
+        if (types.length === 0) {
+            sameName.forEach(entry => orphaned(entry, `no type ${name} in snapshot.json`));
+            continue;
+        }
+        if (types.length > 1) {
+            collision(`name:${name}`, types.map(fullNameOf), `CLR name ${name} matches ${types.length} types`);
+        }
+        if (sameName.length > 1) {
+            collision(`name:${name}`, types.map(fullNameOf), `${sameName.length} entries for CLR name ${name}`);
+        }
+        for (const entry of sameName) {
+            entry.fullName = fullNameOf(types[0]);
+        }
+    }
+
+    // Explicit-view members must exist on their type
+    for (const entry of entries.filter(e => e.kind === 'view-member')) {
+        const type = (typesByClrName.get(entry.typeName) || [])[0];
+        if (!type) continue; // already reported for the type entry
+        const methods = [
+            ...type.members.methods,
+            ...(type.explicitViews || []).flatMap(view => view.viewOnlyMethods)
+        ];
+        if (!methods.some(m => m.clrName === entry.name)) {
+            orphaned(entry, `no method ${entry.name} on ${fullNameOf(type)} (view ${entry.view})`);
+        }
+    }
+
+    // Entries sharing an alias must agree on the CLR type
+    for (const [alias, sameAlias] of groupBy(entries.filter(e => e.kind !== 'view-member' && e.fullName), e => e.alias)) {
+        const fullNames = [...new Set(sameAlias.map(e => e.fullName))];
+        if (fullNames.length > 1) {
+            collision(`alias:${alias}`, fullNames, `alias ${alias} is bound to ${fullNames.length} CLR names`);
+        }
+    }
+
+    // Every exported name resolves to one CLR type per arity
+    const exportNames = facadeNames(snapshot.types, typeEntries);
+    for (const { name, line } of exported) {
+        const candidates = snapshot.types.filter(type => exportNames.get(type).includes(name));
+        if (candidates.length === 0) {
+            missing(name, 'exported from index.d.ts but no bindings entry or CLR type resolves it', { file: 'index.d.ts', line });
+            continue;
+        }
+
+        for (const [arity, sameArity] of groupBy(candidates, type => type.genericParameters.length)) {
+            const fullNames = [...new Set(sameArity.map(fullNameOf))];
+            if (fullNames.length > 1) {
+                collision(`alias:${name}`, fullNames, `${name} (arity ${arity}) resolves to ${fullNames.length} CLR types`,
+                    { file: 'index.d.ts', line });
+            }
+        }
+    }
+
+    // Every type entry's alias is something the declarations export
+    if (fs.existsSync(facadePath)) {
+        const exportedNames = new Set(exported.map(e => e.name));
+        for (const entry of typeEntries.filter(e => e.fullName)) {
+            const type = typesByClrName.get(entry.name)[0];
+            if (!exportNames.get(type).some(name => exportedNames.has(name))) {
+                orphaned(entry, `alias ${entry.alias} is not exported from index.d.ts`);
+            }
+        }
+    }
+
+    // Types metadata.json renames need an entry carrying that alias
+    const snapshotTypesByFullName = new Map(snapshot.types.map(t => [fullNameOf(t), t]));
+    for (const metadataType of metadata?.types || []) {
+        const type = snapshotTypesByFullName.get(getClrFullName(metadataType.clrType));
+        if (!type || type.clrName === metadataType.tsName) continue;
+
+        const entry = typeEntries.find(e => e.name === type.clrName);
+        if (!entry) {
+            missing(metadataType.tsName, `renamed from ${type.clrName} but bindings.json has no entry`);
+        } else if (entry.alias !== metadataType.tsName) {
+            missing(metadataType.tsName, `bindings.json aliases ${type.clrName} as ${entry.alias}`);
+        }
+    }
+
+    const result = {
+        namespace: namespaceName,
+        entries: entries.length,
+        exportedNames: exported.length,
+        collisions: stats.collisions.length - before.collisions,
+        orphaned: stats.orphaned.length - before.orphaned,
+        missing: stats.missing.length - before.missing
+    };
+    stats.namespaceResults.push(result);
+
+    if (result.collisions + result.orphaned + result.missing === 0) {
+        logSuccess(`All ${exported.length} exported names resolve; all ${entries.length} entries resolve`);
+    }
+}
+
+/**
+ * Generate final report
+ */
+function generateReport() {
+    muted = false;
+    logSection('BINDINGS VERIFICATION REPORT');
+
+    log(`\nNamespaces checked: ${stats.namespacesChecked}`, colors.bright);
+    log(`bindings.json files: ${stats.bindingFiles}`, colors.bright);
+    log(`Entries checked: ${stats.entriesChecked}`, colors.bright);
+    log(`Exported names checked: ${stats.aliasesChecked}`, colors.bright);
+
+    const problems = stats.collisions.length + stats.orphaned.length + stats.missing.length;
+
+    if (problems === 0) {
+        log('\n' + '✓'.repeat(70), colors.green);
+        log('VERIFICATION PASSED - EVERY NAME RESOLVES TO EXACTLY ONE CLR TYPE', colors.bright + colors.green);
+        log('✓'.repeat(70), colors.green);
+        log('');
+        return true;
+    }
+
+    log('\n' + '✗'.repeat(70), colors.red);
+    log('BINDINGS ISSUES DETECTED', colors.bright + colors.red);
+    log('✗'.repeat(70), colors.red);
+
+    const section = (title, list, describe) => {
+        if (list.length === 0) return;
+        log(`\n${list.length} ${title}:`, colors.red);
+        list.slice(0, 10).forEach(item => log(`  ${item.namespace}: ${describe(item)}`, colors.red));
+        if (list.length > 10) {
+            log(`  ... and ${list.length - 10} more`, colors.red);
+        }
+    };
+    section('collisions', stats.collisions, c => `${c.reason} (${c.fullNames.join(', ')})`);
+    section('orphaned entries', stats.orphaned, o => `${o.kind} ${o.name} → ${o.alias}: ${o.reason}`);
+    section('missing entries', stats.missing, m => `${m.alias}: ${m.reason}`);
+
+    log(`\n✗ ${problems} problems (see above)`, colors.red);
+    log('');
+    return false;
+}
+
+/**
+ * JUnit suite with one test case per namespace
+ */
+function buildJUnitSuites() {
+    const cases = stats.namespaceResults.map(result => {
+        const testCase = { name: result.namespace, classname: 'bindings' };
+        if (result.skipped) {
+            testCase.skipped = result.skipped;
+            return testCase;
+        }
+
+        const problems = [];
+        if (result.collisions > 0) problems.push(`${result.collisions} collisions`);
+        if (result.orphaned > 0) problems.push(`${result.orphaned} orphaned entries`);
+        if (result.missing > 0) problems.push(`${result.missing} missing entries`);
+
+        if (problems.length > 0) {
+            const ofNamespace = list => list.filter(entry => entry.namespace === result.namespace);
+            const details = [
+                ...ofNamespace(stats.collisions).map(c => `Collision: ${c.reason} (${c.fullNames.join(', ')})`),
+                ...ofNamespace(stats.orphaned).map(o => `Orphaned: ${o.kind} ${o.name} → ${o.alias}: ${o.reason}`),
+                ...ofNamespace(stats.missing).map(m => `Missing: ${m.alias}: ${m.reason}`)
+            ];
+            testCase.failure = { message: problems.join(', '), details: details.join('\n') };
+        }
+        return testCase;
+    });
+
+    return [{ name: 'bindings', cases }];
+}
+
+/**
+ * SARIF results located at the exported name in index.d.ts when known,
+ * otherwise at the namespace's bindings.json
+ */
+function buildSarifReport() {
+    const rules = [
+        { id: 'binding-collision', description: 'TypeScript name or CLR name resolves to more than one CLR type' },
+        { id: 'binding-orphaned', description: 'bindings.json entry that does not match the snapshot or the declarations' },
+        { id: 'binding-missing', description: 'Exported or renamed name without a bindings.json entry' }
+    ];
+
+    const locate = item => {
+        const file = path.join(NAMESPACES_DIR, item.namespace, item.file || 'bindings.json');
+        return {
+            uri: path.relative(PROJECT_ROOT, file).split(path.sep).join('/'),
+            line: item.line || null
+        };
+    };
+
+    const results = [
+        ...stats.collisions.map(c => ({
+            ruleId: 'binding-collision',
+            level: 'error',
+            message: `${c.reason} (${c.fullNames.join(', ')})`,
+            ...locate(c)
+        })),
+        ...stats.orphaned.map(o => ({
+            ruleId: 'binding-orphaned',
+            level: 'error',
+            message: `${o.kind} entry ${o.name} → ${o.alias}: ${o.reason}`,
+            ...locate(o)
+        })),
+        ...stats.missing.map(m => ({
+            ruleId: 'binding-missing',
+            level: 'error',
+            message: `${m.alias}: ${m.reason}`,
+            ...locate(m)
+        }))
+    ];
+
+    return { toolName: 'tsbindgen-verify-bindings', rules, results };
+}
+
+/**
+ * Output directory of the default validation target, when no directory is
+ * given
+ */
+function defaultValidationDir() {
+    try {
+        return defaultOutputDir();
+    } catch (err) {
+        console.error(`${colors.red}Error: ${err.message}${colors.reset}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Main verification
+ */
+function main() {
+    logSection('TSBINDGEN BINDINGS VERIFICATION');
+    log(`Validation directory: ${VALIDATION_DIR}`, colors.cyan);
+
+    if (!fs.existsSync(NAMESPACES_DIR)) {
+        muted = false;
+        log(`Error: Namespaces directory not found: ${NAMESPACES_DIR}`, colors.red);
+        log('Usage: node scripts/verify-bindings.js <validation-target-dir>', colors.yellow);
+        process.exit(1);
+    }
+
+    const namespaces = listNamespaces(VALIDATION_DIR);
+    log(`Found ${namespaces.length} namespaces to verify\n`, colors.cyan);
+
+    for (const namespace of namespaces) {
+        try {
+            verifyNamespace(namespace, path.join(NAMESPACES_DIR, namespace));
+        } catch (err) {
+            logWarning(`Failed to verify ${namespace}: ${err.message}`);
+            stats.namespaceResults.push({ namespace, skipped: err.message });
+        }
+    }
+
+    const passed = generateReport();
+
+    const formats = parseFormats(args.format);
+    if (formats.length > 0) {
+        const written = writeReports(REPORT_DIR, 'bindings-report', formats, {
+            json: () => ({
+                generatedAt: new Date().toISOString(),
+                passed,
+                validationDir: VALIDATION_DIR,
+                stats
+            }),
+            junit: () => buildJUnitSuites(),
+            sarif: () => buildSarifReport()
+        });
+        written.forEach(p => log(`Report written: ${p}`, colors.cyan));
+    }
+
+    process.exit(passed ? 0 : 1);
+}
+
+main();
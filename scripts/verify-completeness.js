@@ -10,11 +10,51 @@
  * - typelist.json = source of truth (what actually got emitted by render pipeline)
  * - snapshot.json = what was reflected from assemblies
  * - Report anything in snapshot that's missing from typelist (genuine data loss)
+ * - Methods and constructors are compared overload by overload (generic arity +
+ *   parameter types), so a dropped or merged overload is reported on its own
+ * - Missing members covered by the omission policy (scripts/omission-policy.json)
+ *   are intentional, but only when a snapshot diagnostic reports the omission
+ * - Sidecar files are read as-is: each namespace's snapshot.json and
+ *   typelist.json are checked against the JSON Schemas in spec/schemas/ first,
+ *   and a namespace whose files do not match is reported and not checked
+ * - Coverage is computed per namespace and per kind (types, methods,
+ *   properties, fields, events, constructors). The thresholds config
+ *   (scripts/coverage-thresholds.json) sets minimum coverage per namespace and
+ *   lists known losses per namespace; the run fails on a loss that is not
+ *   listed, a namespace below its minimum, or an unreported omission
+ * - Types of a namespace that share a lookup key (snapshot or typelist) are
+ *   reported and fail the run instead of silently shadowing each other;
+ *   analyze-collisions.js shows which naming transform made them clash
+ *
+ * Usage: node scripts/verify-completeness.js [validation-target-dir] [--policy <file>]
+ *            [--thresholds <file>] [--format json,junit,sarif] [--report-dir <dir>] [--quiet]
+ *
+ * Without a directory, the output of the default validation target is checked
+ * (the one validate.js picks without flags); it is an error when that is not
+ * exactly one target.
+ *
+ * --format writes completeness-report.{json,junit.xml,sarif} (to the validation
+ * directory unless --report-dir is given); --quiet prints only the final report.
+ *
+ * The checks live in lib/completeness.js; `qa.js completeness` runs the same
+ * checks as a step of the QA CLI.
  */
 
 import fs from 'fs';
 import path from 'path';
+import { parseArgs } from 'util';
 import { fileURLToPath } from 'url';
+import { loadOmissionPolicy } from './lib/omission-policy.js';
+import { parseFormats, writeReports } from './lib/report-formats.js';
+import { COVERAGE_KINDS, loadCoverageConfig, formatPercent } from './lib/coverage.js';
+import { listNamespaces } from './lib/sidecars.js';
+import { defaultOutputDir } from './lib/targets.js';
+import {
+    verifyCompleteness,
+    completenessPassed,
+    buildCompletenessJUnit,
+    buildCompletenessSarif
+} from './lib/completeness.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,29 +69,43 @@ const colors = {
     cyan: '\x1b[36m',
 };
 
-const VALIDATION_DIR = path.join(__dirname, '../.tests/validation');
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'policy': { type: 'string' },
+        'thresholds': { type: 'string' },
+        'format': { type: 'string', multiple: true },
+        'report-dir': { type: 'string' },
+        'quiet': { type: 'boolean', short: 'q', default: false }
+    }
+});
+
+// Target output directory written by validate.js (e.g. .tests/validation/<target>)
+const VALIDATION_DIR = positionals[0]
+    ? path.resolve(positionals[0])
+    : defaultValidationDir();
 const NAMESPACES_DIR = path.join(VALIDATION_DIR, 'namespaces');
 
-// Statistics tracking
-const stats = {
-    namespacesChecked: 0,
-    typesInSnapshot: 0,
-    typesInTypelist: 0,
-    typesLost: [],
-    membersInSnapshot: 0,
-    membersInTypelist: 0,
-    membersLost: [],
-    intentionalOmissions: {
-        indexers: 0,
-        genericStaticMembers: 0,
-        compilerGenerated: 0,
-        other: 0
-    },
-    warnings: [],
-    errors: []
-};
+// Members the generator may leave out on purpose, and why
+const POLICY_PATH = args.policy
+    ? path.resolve(args.policy)
+    : path.join(__dirname, 'omission-policy.json');
+
+// Minimum coverage per namespace and known losses
+const THRESHOLDS_PATH = args.thresholds
+    ? path.resolve(args.thresholds)
+    : path.join(__dirname, 'coverage-thresholds.json');
+
+// Rows of the worst-covered namespaces table
+const WORST_NAMESPACES = 20;
+
+const REPORT_DIR = args['report-dir'] ? path.resolve(args['report-dir']) : VALIDATION_DIR;
+
+// With --quiet, per-namespace output is muted until the final report
+let muted = args.quiet;
 
 function log(message, color = colors.reset) {
+    if (muted) return;
     console.log(`${color}${message}${colors.reset}`);
 }
 
@@ -62,12 +116,10 @@ function logSection(title) {
 }
 
 function logError(message) {
-    stats.errors.push(message);
     log(`  ✗ ${message}`, colors.red);
 }
 
 function logWarning(message) {
-    stats.warnings.push(message);
     log(`  ⚠ ${message}`, colors.yellow);
 }
 
@@ -80,296 +132,115 @@ function logInfo(message) {
 }
 
 /**
- * Load snapshot.json (what was reflected from assemblies)
- */
-function loadSnapshot(namespacePath) {
-    const snapshotPath = path.join(namespacePath, 'snapshot.json');
-    if (!fs.existsSync(snapshotPath)) {
-        return null;
-    }
-
-    try {
-        const content = fs.readFileSync(snapshotPath, 'utf-8');
-        return JSON.parse(content);
-    } catch (err) {
-        logWarning(`Failed to load snapshot: ${err.message}`);
-        return null;
-    }
-}
-
-/**
- * Load typelist.json (what was actually emitted to TypeScript)
+ * Generate final report
  */
-function loadTypelist(namespacePath) {
-    const typelistPath = path.join(namespacePath, 'typelist.json');
-    if (!fs.existsSync(typelistPath)) {
-        return null;
-    }
-
-    try {
-        const content = fs.readFileSync(typelistPath, 'utf-8');
-        return JSON.parse(content);
-    } catch (err) {
-        logWarning(`Failed to load typelist: ${err.message}`);
-        return null;
-    }
-}
+function generateReport(stats) {
+    muted = false;
+    logSection('COMPLETENESS VERIFICATION REPORT');
 
-/**
- * Normalize type names - handle case variations and backtick/underscore conversion
- */
-function normalizeTypeName(name) {
-    if (!name) return '';
-    // Convert backtick to underscore (CLR format -> TS format)
-    return name.replace(/`/g, '_');
-}
+    log(`\nNamespaces checked: ${stats.namespacesChecked}`, colors.bright);
+    log(`Types in snapshots: ${stats.typesInSnapshot}`, colors.bright);
+    log(`Types in typelists: ${stats.typesInTypelist}`, colors.bright);
+    log(`Members in snapshots: ${stats.membersInSnapshot}`, colors.bright);
+    log(`Members in typelists: ${stats.membersInTypelist}`, colors.bright);
 
-/**
- * Check if a member is an intentional omission (indexers, compiler-generated, etc.)
- */
-function isIntentionalOmission(memberName, memberKind) {
-    // Indexers - comprehensive patterns
-    if (/^(Item|get_Item|set_Item)(`\d+)?$/.test(memberName)) {
-        stats.intentionalOmissions.indexers++;
-        return 'indexer';
+    log('\nIntentional Omissions:', colors.cyan);
+    const omissionRules = Object.keys(stats.intentionalOmissions).sort();
+    if (omissionRules.length === 0) {
+        log('  None');
     }
-
-    // Generic static members (TypeScript limitation)
-    if (memberKind === 'Method' && /^(Default|Empty|Zero)/.test(memberName)) {
-        stats.intentionalOmissions.genericStaticMembers++;
-        return 'generic_static_member';
+    for (const id of omissionRules) {
+        const { reason, count } = stats.intentionalOmissions[id];
+        log(`  ${id}: ${count} - ${reason}`);
     }
 
-    // Compiler-generated members
-    if (memberName.startsWith('<') || memberName.includes('__')) {
-        stats.intentionalOmissions.compilerGenerated++;
-        return 'compiler_generated';
-    }
+    log('\nOverloads lost:', colors.cyan);
+    log(`  Dropped: ${stats.overloadsLost.dropped}`);
+    log(`  Merged: ${stats.overloadsLost.merged}`);
+    log(`  Signature changed: ${stats.overloadsLost.changed}`);
 
-    return null;
-}
+    printCoverageTable(stats);
 
-/**
- * Build lookup map from typelist for fast checking
- * Uses tsEmitName as the key (matches snapshot.json structure)
- */
-function buildTypelistLookup(typelist) {
-    const typeMap = new Map();
+    const newTypesLost = stats.typesLost.filter(t => !t.allowed);
+    const newMembersLost = stats.membersLost.filter(m => !m.allowed);
+    const allowedCount = stats.typesLost.length + stats.membersLost.length - newTypesLost.length - newMembersLost.length;
 
-    if (!typelist || !typelist.types) {
-        return typeMap;
+    if (allowedCount > 0) {
+        log(`\n${allowedCount} known losses allowed by ${THRESHOLDS_PATH}`, colors.yellow);
     }
-
-    for (const type of typelist.types) {
-        const tsEmitName = type.tsEmitName || type.TsEmitName;
-        const normalizedName = normalizeTypeName(tsEmitName);
-
-        // Build member lookup for this type
-        const memberSet = new Set();
-        if (type.members) {
-            for (const member of type.members) {
-                // Store member with static/instance distinction
-                const memberKey = `${member.isStatic ? 'static:' : 'instance:'}${member.name}`;
-                memberSet.add(memberKey);
-            }
+    if (stats.unusedAllowances.length > 0) {
+        log(`\n${stats.unusedAllowances.length} allowed losses no longer occur; remove them from ${THRESHOLDS_PATH}:`, colors.yellow);
+        const sampleSize = Math.min(10, stats.unusedAllowances.length);
+        for (let i = 0; i < sampleSize; i++) {
+            const a = stats.unusedAllowances[i];
+            log(`  ${a.namespace}: ${a.type}${a.member ? `.${a.signature || a.member}` : ''}`, colors.yellow);
+        }
+        if (stats.unusedAllowances.length > sampleSize) {
+            log(`  ... and ${stats.unusedAllowances.length - sampleSize} more`, colors.yellow);
         }
-
-        typeMap.set(normalizedName, {
-            kind: type.kind,
-            members: memberSet
-        });
-    }
-
-    return typeMap;
-}
-
-/**
- * Get types from snapshot (handle case variations)
- */
-function getSnapshotTypes(snapshot) {
-    return snapshot.types || snapshot.Types || [];
-}
-
-/**
- * Get members from snapshot type (handle case variations)
- */
-function getSnapshotMembers(type) {
-    const members = type.members || type.Members;
-    if (!members) return [];
-
-    const methods = members.methods || members.Methods || [];
-    const properties = members.properties || members.Properties || [];
-    const fields = members.fields || members.Fields || [];
-    const events = members.events || members.Events || [];
-
-    return [...methods, ...properties, ...fields, ...events];
-}
-
-/**
- * Get member name from snapshot member
- */
-function getSnapshotMemberName(member) {
-    return member.tsName || member.TsName || member.clrName || member.ClrName || '';
-}
-
-/**
- * Get member kind from snapshot member
- */
-function getSnapshotMemberKind(member) {
-    // Infer kind from which collection it came from
-    // This is a heuristic - we'd need to track this when collecting members
-    return 'Unknown';
-}
-
-/**
- * Verify namespace completeness
- */
-function verifyNamespace(namespaceName, namespacePath) {
-    logSection(`Verifying: ${namespaceName}`);
-    stats.namespacesChecked++;
-
-    const snapshot = loadSnapshot(namespacePath);
-    const typelist = loadTypelist(namespacePath);
-
-    if (!snapshot) {
-        logWarning('No snapshot.json found');
-        return;
     }
 
-    if (!typelist) {
-        logWarning('No typelist.json found');
-        return;
-    }
+    if (!completenessPassed(stats)) {
+        log('\n' + '✗'.repeat(70), colors.red);
+        log('COMPLETENESS ISSUES DETECTED', colors.bright + colors.red);
+        log('✗'.repeat(70), colors.red);
 
-    // Build lookup from typelist (what was actually emitted)
-    const typelistLookup = buildTypelistLookup(typelist);
-
-    // Get types from snapshot (what was reflected)
-    const snapshotTypes = getSnapshotTypes(snapshot);
-
-    logInfo(`Snapshot has ${snapshotTypes.length} types`);
-    logInfo(`Typelist has ${typelist.types?.length || 0} types`);
-
-    let typesLostCount = 0;
-    let membersLostCount = 0;
-
-    // Check each type from snapshot
-    for (const snapshotType of snapshotTypes) {
-        const tsEmitName = snapshotType.tsEmitName || snapshotType.TsEmitName;
-        const normalizedTypeName = normalizeTypeName(tsEmitName);
-
-        stats.typesInSnapshot++;
-
-        // Check if type exists in typelist
-        if (!typelistLookup.has(normalizedTypeName)) {
-            typesLostCount++;
-            const kind = snapshotType.kind || snapshotType.Kind || 'Unknown';
-            stats.typesLost.push({
-                namespace: namespaceName,
-                typeName: normalizedTypeName,
-                clrName: snapshotType.clrName || snapshotType.ClrName,
-                kind
-            });
-            logError(`Type lost: ${normalizedTypeName} (kind: ${kind})`);
-            continue; // Skip member checking if type is lost
+        if (newTypesLost.length > 0) {
+            log(`\n${newTypesLost.length} types lost (not in the allow-list):`, colors.red);
+            const sampleSize = Math.min(10, newTypesLost.length);
+            for (let i = 0; i < sampleSize; i++) {
+                const t = newTypesLost[i];
+                log(`  ${t.namespace}.${t.typeName} (${t.kind})`, colors.red);
+            }
+            if (newTypesLost.length > sampleSize) {
+                log(`  ... and ${newTypesLost.length - sampleSize} more`, colors.red);
+            }
         }
 
-        // Type exists - check members
-        const typeInfo = typelistLookup.get(normalizedTypeName);
-        const snapshotMembers = getSnapshotMembers(snapshotType);
-
-        for (const snapshotMember of snapshotMembers) {
-            const memberName = getSnapshotMemberName(snapshotMember);
-            const memberKind = getSnapshotMemberKind(snapshotMember);
-            const isStatic = snapshotMember.isStatic || snapshotMember.IsStatic || false;
-
-            stats.membersInSnapshot++;
-
-            // Check if intentionally omitted
-            const omissionReason = isIntentionalOmission(memberName, memberKind);
-            if (omissionReason) {
-                continue; // Intentionally omitted, not an error
+        if (newMembersLost.length > 0) {
+            log(`\n${newMembersLost.length} members lost (not in the allow-list):`, colors.red);
+            const sampleSize = Math.min(10, newMembersLost.length);
+            for (let i = 0; i < sampleSize; i++) {
+                const m = newMembersLost[i];
+                const reason = m.reason ? ` [${m.reason}]` : '';
+                log(`  ${m.namespace}.${m.type}.${m.signature || m.member} (static: ${m.isStatic})${reason}`, colors.red);
             }
-
-            // Check if member exists in typelist
-            const memberKey = `${isStatic ? 'static:' : 'instance:'}${memberName}`;
-            if (!typeInfo.members.has(memberKey)) {
-                membersLostCount++;
-                stats.membersLost.push({
-                    namespace: namespaceName,
-                    type: normalizedTypeName,
-                    member: memberName,
-                    isStatic,
-                    kind: memberKind
-                });
-                logError(`Member lost: ${normalizedTypeName}.${memberName} (static: ${isStatic})`);
+            if (newMembersLost.length > sampleSize) {
+                log(`  ... and ${newMembersLost.length - sampleSize} more`, colors.red);
             }
         }
-    }
-
-    // Count members in typelist
-    for (const [_, typeInfo] of typelistLookup) {
-        stats.membersInTypelist += typeInfo.members.size;
-    }
-
-    stats.typesInTypelist += typelistLookup.size;
 
-    if (typesLostCount === 0 && membersLostCount === 0) {
-        logSuccess(`All ${snapshotTypes.length} types and their members accounted for`);
-    } else {
-        if (typesLostCount > 0) {
-            logError(`${typesLostCount} types lost`);
-        }
-        if (membersLostCount > 0) {
-            logError(`${membersLostCount} members lost`);
+        if (stats.thresholdBreaches.length > 0) {
+            log(`\n${stats.thresholdBreaches.length} coverage thresholds not met:`, colors.red);
+            for (const b of stats.thresholdBreaches) {
+                log(`  ${b.namespace}: ${b.kind} ${formatPercent(b.percent)} < ${b.minimum}%`, colors.red);
+            }
         }
-    }
-}
-
-/**
- * Generate final report
- */
-function generateReport() {
-    logSection('COMPLETENESS VERIFICATION REPORT');
 
-    log(`\nNamespaces checked: ${stats.namespacesChecked}`, colors.bright);
-    log(`Types in snapshots: ${stats.typesInSnapshot}`, colors.bright);
-    log(`Types in typelists: ${stats.typesInTypelist}`, colors.bright);
-    log(`Members in snapshots: ${stats.membersInSnapshot}`, colors.bright);
-    log(`Members in typelists: ${stats.membersInTypelist}`, colors.bright);
-
-    log('\nIntentional Omissions:', colors.cyan);
-    log(`  Indexers: ${stats.intentionalOmissions.indexers}`);
-    log(`  Generic static members: ${stats.intentionalOmissions.genericStaticMembers}`);
-    log(`  Compiler-generated: ${stats.intentionalOmissions.compilerGenerated}`);
-    log(`  Other: ${stats.intentionalOmissions.other}`);
-
-    if (stats.typesLost.length > 0 || stats.membersLost.length > 0) {
-        log('\n' + '✗'.repeat(70), colors.red);
-        log('COMPLETENESS ISSUES DETECTED', colors.bright + colors.red);
-        log('✗'.repeat(70), colors.red);
-
-        if (stats.typesLost.length > 0) {
-            log(`\n${stats.typesLost.length} types lost:`, colors.red);
-            const sampleSize = Math.min(10, stats.typesLost.length);
+        if (stats.unreportedOmissions.length > 0) {
+            log(`\n${stats.unreportedOmissions.length} omissions not reported by any snapshot diagnostic:`, colors.red);
+            const sampleSize = Math.min(10, stats.unreportedOmissions.length);
             for (let i = 0; i < sampleSize; i++) {
-                const t = stats.typesLost[i];
-                log(`  ${t.namespace}.${t.typeName} (${t.kind})`, colors.red);
+                const o = stats.unreportedOmissions[i];
+                log(`  ${o.type}.${o.member} (${o.kind}, rule: ${o.rule})`, colors.red);
             }
-            if (stats.typesLost.length > sampleSize) {
-                log(`  ... and ${stats.typesLost.length - sampleSize} more`, colors.red);
+            if (stats.unreportedOmissions.length > sampleSize) {
+                log(`  ... and ${stats.unreportedOmissions.length - sampleSize} more`, colors.red);
             }
         }
 
-        if (stats.membersLost.length > 0) {
-            log(`\n${stats.membersLost.length} members lost:`, colors.red);
-            const sampleSize = Math.min(10, stats.membersLost.length);
-            for (let i = 0; i < sampleSize; i++) {
-                const m = stats.membersLost[i];
-                log(`  ${m.namespace}.${m.type}.${m.member} (static: ${m.isStatic})`, colors.red);
+        if (stats.duplicateKeys.length > 0) {
+            log(`\n${stats.duplicateKeys.length} type names shared by several types (run analyze-collisions.js):`, colors.red);
+            for (const d of stats.duplicateKeys) {
+                log(`  ${d.namespace}: ${d.key} in ${d.source}.json (${d.names.join(', ')})`, colors.red);
             }
-            if (stats.membersLost.length > sampleSize) {
-                log(`  ... and ${stats.membersLost.length - sampleSize} more`, colors.red);
+        }
+
+        const invalid = stats.namespaceResults.filter(r => r.invalid);
+        if (invalid.length > 0) {
+            log(`\n${invalid.length} namespaces not checked, their sidecars do not match spec/schemas:`, colors.red);
+            for (const r of invalid) {
+                log(`  ${r.namespace}: ${r.invalid}`, colors.red);
             }
         }
 
@@ -379,7 +250,9 @@ function generateReport() {
         return false; // Verification failed
     } else {
         log('\n' + '✓'.repeat(70), colors.green);
-        log('VERIFICATION PASSED - ALL REFLECTED DATA ACCOUNTED FOR', colors.bright + colors.green);
+        log(allowedCount > 0
+            ? 'VERIFICATION PASSED - ONLY KNOWN LOSSES, ALL THRESHOLDS MET'
+            : 'VERIFICATION PASSED - ALL REFLECTED DATA ACCOUNTED FOR', colors.bright + colors.green);
         log('✓'.repeat(70), colors.green);
         log('');
 
@@ -387,6 +260,50 @@ function generateReport() {
     }
 }
 
+/**
+ * Table of the namespaces below 100% overall coverage, worst first
+ */
+function printCoverageTable(stats) {
+    const rows = stats.namespaceResults
+        .filter(r => r.overallCoverage !== null && r.overallCoverage !== undefined && r.overallCoverage < 100)
+        .sort((a, b) => a.overallCoverage - b.overallCoverage || a.namespace.localeCompare(b.namespace));
+
+    log('\nWorst-covered namespaces:', colors.cyan);
+    if (rows.length === 0) {
+        log('  None - every namespace is fully covered');
+        return;
+    }
+
+    const shown = rows.slice(0, WORST_NAMESPACES);
+    const headers = ['Namespace', 'Overall', ...COVERAGE_KINDS.map(kind => kind[0].toUpperCase() + kind.slice(1))];
+    const table = shown.map(r => [
+        r.namespace,
+        formatPercent(r.overallCoverage),
+        ...COVERAGE_KINDS.map(kind => formatPercent(r.coverage[kind].percent))
+    ]);
+    const widths = headers.map((header, i) => Math.max(header.length, ...table.map(row => row[i].length)));
+    const format = row => '  ' + row.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ');
+
+    log(format(headers));
+    table.forEach(row => log(format(row)));
+    if (rows.length > shown.length) {
+        log(`  ... and ${rows.length - shown.length} more below 100%`);
+    }
+}
+
+/**
+ * Output directory of the default validation target; several configured
+ * targets are ambiguous, so the directory must then be given explicitly.
+ */
+function defaultValidationDir() {
+    try {
+        return defaultOutputDir();
+    } catch (err) {
+        console.error(`${colors.red}Error: ${err.message}${colors.reset}`);
+        process.exit(1);
+    }
+}
+
 /**
  * Main verification
  */
@@ -395,27 +312,68 @@ function main() {
     log(`Validation directory: ${VALIDATION_DIR}`, colors.cyan);
 
     if (!fs.existsSync(NAMESPACES_DIR)) {
+        muted = false;
         log(`Error: Namespaces directory not found: ${NAMESPACES_DIR}`, colors.red);
+        log('Usage: node scripts/verify-completeness.js <validation-target-dir> [--policy <file>] [--thresholds <file>]', colors.yellow);
+        process.exit(1);
+    }
+
+    let policy;
+    try {
+        policy = loadOmissionPolicy(POLICY_PATH);
+    } catch (err) {
+        muted = false;
+        log(`Error: Could not load omission policy ${POLICY_PATH}: ${err.message}`, colors.red);
         process.exit(1);
     }
+    log(`Omission policy: ${POLICY_PATH} (${policy.rules.length} rules)`, colors.cyan);
 
-    const namespaces = fs.readdirSync(NAMESPACES_DIR)
-        .filter(name => {
-            const nsPath = path.join(NAMESPACES_DIR, name);
-            return fs.statSync(nsPath).isDirectory();
-        })
-        .sort();
+    let coverageConfig;
+    try {
+        coverageConfig = loadCoverageConfig(THRESHOLDS_PATH);
+    } catch (err) {
+        muted = false;
+        log(`Error: Could not load coverage thresholds ${THRESHOLDS_PATH}: ${err.message}`, colors.red);
+        process.exit(1);
+    }
+    log(`Coverage thresholds: ${THRESHOLDS_PATH} (${coverageConfig.namespaces.size} namespaces configured)`, colors.cyan);
+
+    const namespaces = listNamespaces(VALIDATION_DIR);
 
     log(`Found ${namespaces.length} namespaces to verify\n`, colors.cyan);
 
     // Verify each namespace
-    for (const namespace of namespaces) {
-        const namespacePath = path.join(NAMESPACES_DIR, namespace);
-        verifyNamespace(namespace, namespacePath);
-    }
+    const stats = verifyCompleteness(VALIDATION_DIR, {
+        policy,
+        coverageConfig,
+        reporter: {
+            section: logSection,
+            info: logInfo,
+            success: logSuccess,
+            warning: logWarning,
+            error: logError
+        }
+    });
 
     // Generate final report
-    const passed = generateReport();
+    const passed = generateReport(stats);
+
+    const formats = parseFormats(args.format);
+    if (formats.length > 0) {
+        const written = writeReports(REPORT_DIR, 'completeness-report', formats, {
+            json: () => ({
+                generatedAt: new Date().toISOString(),
+                passed,
+                validationDir: VALIDATION_DIR,
+                policy: POLICY_PATH,
+                thresholds: THRESHOLDS_PATH,
+                stats
+            }),
+            junit: () => buildCompletenessJUnit(stats),
+            sarif: () => buildCompletenessSarif(stats, VALIDATION_DIR)
+        });
+        written.forEach(p => log(`Report written: ${p}`, colors.cyan));
+    }
 
     process.exit(passed ? 0 : 1);
 }
@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+
+/**
+ * Declarations Verification Script
+ *
+ * verify-completeness.js trusts typelist.json as "what was emitted", but the
+ * typelist is written by the same render pipeline as the .d.ts text. This
+ * script parses each namespace's internal/index.d.ts with the TypeScript
+ * parser and diffs what the text actually declares three ways against
+ * typelist.json and snapshot.json.
+ *
+ * Declarations are read per emitted type name, with the companion interfaces
+ * the emitter splits a type into (Name$instance, Name$static, __Name$views)
+ * folded back into the type. Members are compared by name, staticness and,
+ * for constructors and methods, parameter and type parameter counts.
+ * Properties and fields are emitted as getter/setter methods, so they only
+ * need a member of that name.
+ *
+ * Reported per namespace:
+ * - phantom:  listed in typelist.json but not declared in the text (missing
+ *             type, wrong declaration form for its kind, missing member or
+ *             overload, ViewOnly member on a type that declares no views)
+ * - unlisted: declared in the text but not listed in typelist.json
+ * - unknown:  declared in the text as a member of a snapshot type that has no
+ *             member of that name
+ * Snapshot members that are in neither the typelist nor the text are counted
+ * as omitted; verify-completeness.js reports on those.
+ *
+ * Usage: node scripts/verify-declarations.js [validation-target-dir]
+ *            [--format json,junit,sarif] [--report-dir <dir>] [--quiet]
+ *
+ * Without a directory, the default validation target's output is checked.
+ *
+ * --format writes declarations-report.{json,junit.xml,sarif} (to the
+ * validation directory unless --report-dir is given); --quiet prints only the
+ * final report.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { parseFormats, writeReports } from './lib/report-formats.js';
+import { listNamespaces, loadSidecar } from './lib/sidecars.js';
+import { parseDeclarationFile, extractDeclarations } from './lib/declarations.js';
+import { defaultOutputDir } from './lib/targets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// ANSI colors
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+};
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'format': { type: 'string', multiple: true },
+        'report-dir': { type: 'string' },
+        'quiet': { type: 'boolean', short: 'q', default: false }
+    }
+});
+
+// Target output directory written by validate.js (e.g. .tests/validation/<target>)
+const VALIDATION_DIR = positionals[0]
+    ? path.resolve(positionals[0])
+    : defaultValidationDir();
+const NAMESPACES_DIR = path.join(VALIDATION_DIR, 'namespaces');
+
+const REPORT_DIR = args['report-dir'] ? path.resolve(args['report-dir']) : VALIDATION_DIR;
+
+// With --quiet, per-namespace output is muted until the final report
+let muted = args.quiet;
+
+// Problem categories, in report order
+const CATEGORIES = {
+    phantom: { title: 'phantom declarations', rule: 'Listed in typelist.json but not declared in the .d.ts text' },
+    unlisted: { title: 'unlisted declarations', rule: 'Declared in the .d.ts text but not listed in typelist.json' },
+    unknown: { title: 'unknown members', rule: 'Declared in the .d.ts text but not in snapshot.json' }
+};
+
+// Declaration forms that can carry each typelist kind (TypeScriptEmit)
+const KIND_FORMS = {
+    class: [['class'], ['instance']],           // classes; structs are split interfaces
+    interface: [['interface']],
+    enum: [['alias', 'namespace']],
+    delegate: [['function-alias']],
+    namespace: [['class']]                      // static classes
+};
+
+// constructors first: they carry no clrName
+const SNAPSHOT_GROUPS = ['constructors', 'methods', 'properties', 'fields', 'events'];
+
+// Statistics tracking
+const stats = {
+    namespacesChecked: 0,
+    typesChecked: 0,
+    membersChecked: 0,
+    membersOmitted: 0,
+    issues: [],
+    namespaceResults: [],
+    warnings: []
+};
+
+function log(message, color = colors.reset) {
+    if (muted) return;
+    console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSection(title) {
+    log('\n' + '='.repeat(70), colors.cyan);
+    log(title, colors.bright + colors.cyan);
+    log('='.repeat(70), colors.cyan);
+}
+
+function logError(message) {
+    log(`  ✗ ${message}`, colors.red);
+}
+
+function logWarning(message) {
+    stats.warnings.push(message);
+    log(`  ⚠ ${message}`, colors.yellow);
+}
+
+function logSuccess(message) {
+    log(`  ✓ ${message}`, colors.green);
+}
+
+function logInfo(message) {
+    log(`  ${message}`);
+}
+
+function lowerFirst(name) {
+    return name.length > 0 ? name[0].toLowerCase() + name.slice(1) : name;
+}
+
+function staticMatches(declared, listed) {
+    return declared.isStatic === null || declared.isStatic === listed;
+}
+
+function describeForms(declared) {
+    return declared ? [...declared.forms].join(' + ') : 'nothing';
+}
+
+/**
+ * Text members a typelist member can be declared as
+ */
+function declarationCandidates(declared, member) {
+    return declared.members.filter(d => {
+        if (!staticMatches(d, member.isStatic)) return false;
+        switch (member.kind) {
+            case 'constructor':
+                return d.kind === 'constructor' &&
+                    (!member.parameters || d.parameters === member.parameters.length);
+            case 'method':
+                return d.kind === 'method' && d.name === member.name &&
+                    (!member.parameters || d.parameters === member.parameters.length) &&
+                    (member.genericArity === undefined || d.typeParameters === member.genericArity);
+            case 'event':
+                return d.kind === 'property' && d.name === member.name;
+            default:
+                // properties and fields: getter/setter methods, or property signatures
+                return (d.kind === 'method' || d.kind === 'property') && d.name === member.name;
+        }
+    });
+}
+
+/**
+ * Verify one namespace's declarations against its typelist and snapshot
+ */
+function verifyNamespace(namespaceName, namespacePath) {
+    logSection(`Verifying: ${namespaceName}`);
+    stats.namespacesChecked++;
+
+    const declarationsPath = path.join(namespacePath, 'internal', 'index.d.ts');
+    const typelist = loadSidecar(namespacePath, 'typelist.json');
+    const snapshot = loadSidecar(namespacePath, 'snapshot.json');
+    if (!typelist || !snapshot || !fs.existsSync(declarationsPath)) {
+        const missing = [
+            !fs.existsSync(declarationsPath) && 'internal/index.d.ts',
+            !typelist && 'typelist.json',
+            !snapshot && 'snapshot.json'
+        ].filter(Boolean).join(', ');
+        logWarning(`Missing ${missing}`);
+        stats.namespaceResults.push({ namespace: namespaceName, skipped: `Missing ${missing}` });
+        return;
+    }
+
+    const declarations = extractDeclarations(parseDeclarationFile(declarationsPath));
+    const snapshotTypes = new Map(snapshot.types.map(type => [type.tsEmitName, type]));
+
+    const before = stats.issues.length;
+    const issue = (category, subject, message, location = {}) => {
+        stats.issues.push({ namespace: namespaceName, category, subject, message, file: 'internal/index.d.ts', ...location });
+        logError(`${subject}: ${message}`);
+    };
+
+    logInfo(`typelist.json: ${typelist.types.length} types; internal/index.d.ts: ${declarations.size} declarations`);
+
+    const listedTypes = new Set();
+    for (const listed of typelist.types) {
+        stats.typesChecked++;
+        listedTypes.add(listed.tsEmitName);
+        const declared = declarations.get(listed.tsEmitName);
+        const snapshotType = snapshotTypes.get(listed.tsEmitName);
+        const inSnapshot = snapshotType ? '' : ' (not in snapshot.json either)';
+
+        const forms = KIND_FORMS[listed.kind] || [];
+        if (!declared || !forms.some(required => required.every(form => declared.forms.has(form)))) {
+            issue('phantom', listed.tsEmitName,
+                `typelist lists kind ${listed.kind}, the text declares ${describeForms(declared)}${inSnapshot}`,
+                { file: 'typelist.json', line: declared?.line });
+            if (!declared) continue;
+        }
+
+        // typelist → text; methods and constructors consume one declaration per overload
+        const consumed = new Set();
+        const listedNames = new Set();
+        for (const member of listed.members) {
+            stats.membersChecked++;
+            const subject = member.kind === 'constructor'
+                ? `${listed.tsEmitName} constructor(${(member.parameters || []).join(', ')})`
+                : `${listed.tsEmitName}.${member.name}`;
+            listedNames.add(member.name);
+
+            if (member.emitScope === 'ViewOnly') {
+                if (declared.views.length === 0) {
+                    issue('phantom', subject, 'ViewOnly member, but the type declares no views', { line: declared.line });
+                }
+                continue;
+            }
+
+            const candidates = declarationCandidates(declared, member);
+            const overloaded = member.kind === 'constructor' || member.kind === 'method';
+            const match = overloaded ? candidates.find(d => !consumed.has(d)) : candidates[0];
+            if (!match) {
+                const staticness = member.isStatic ? 'static ' : '';
+                const shape = overloaded && member.parameters ? ` with ${member.parameters.length} parameters` : '';
+                const others = candidates.length > 0 ? ` (all ${candidates.length} declared overloads are claimed by other entries)` : '';
+                issue('phantom', subject, `typelist lists a ${staticness}${member.kind}${shape}, not declared in the text${others}`,
+                    { line: declared.line });
+            } else if (overloaded) {
+                consumed.add(match);
+            }
+        }
+
+        // text → typelist and snapshot
+        const snapshotNames = new Set();
+        for (const group of SNAPSHOT_GROUPS.slice(1)) {
+            for (const member of snapshotType?.members[group] || []) {
+                snapshotNames.add(member.clrName);
+                snapshotNames.add(lowerFirst(member.clrName));
+            }
+        }
+        (snapshotType?.enumMembers || []).forEach(m => snapshotNames.add(m.name));
+
+        const reported = new Set();
+        for (const member of declared.members) {
+            const key = `${member.kind}:${member.name}`;
+            if (member.kind === 'constructor') {
+                if (!consumed.has(member)) {
+                    issue('unlisted', `${listed.tsEmitName} constructor`,
+                        `declared with ${member.parameters} parameters, not listed in typelist.json`, { line: member.line });
+                }
+                continue;
+            }
+            if (reported.has(key)) continue;
+            reported.add(key);
+
+            if (member.kind !== 'const' && !listedNames.has(member.name)) {
+                issue('unlisted', `${listed.tsEmitName}.${member.name}`, `declared ${member.kind}, not listed in typelist.json`,
+                    { line: member.line });
+            }
+            if (snapshotType && !snapshotNames.has(member.name)) {
+                issue('unknown', `${listed.tsEmitName}.${member.name}`,
+                    `declared ${member.kind}, but ${snapshotType.clrName} has no member of that name in snapshot.json`,
+                    { line: member.line });
+            }
+        }
+
+        // snapshot members in neither the typelist nor the text
+        for (const group of SNAPSHOT_GROUPS) {
+            for (const member of snapshotType?.members[group] || []) {
+                // constructors carry no clrName in the snapshot
+                const listedOrDeclared = group === 'constructors'
+                    ? listed.members.some(m => m.kind === 'constructor') || declared.members.some(d => d.kind === 'constructor')
+                    : [member.clrName, lowerFirst(member.clrName)]
+                        .some(name => listedNames.has(name) || declared.members.some(d => d.name === name));
+                if (!listedOrDeclared) {
+                    stats.membersOmitted++;
+                }
+            }
+        }
+    }
+
+    // Snapshot types the text declares without the typelist listing them
+    for (const type of snapshot.types) {
+        if (!listedTypes.has(type.tsEmitName) && declarations.has(type.tsEmitName)) {
+            issue('unlisted', type.tsEmitName, 'declared in the text, not listed in typelist.json',
+                { line: declarations.get(type.tsEmitName).line });
+        }
+    }
+
+    const problems = stats.issues.length - before;
+    const result = { namespace: namespaceName, types: typelist.types.length, problems };
+    for (const category of Object.keys(CATEGORIES)) {
+        result[category] = stats.issues.slice(before).filter(i => i.category === category).length;
+    }
+    stats.namespaceResults.push(result);
+
+    if (problems === 0) {
+        logSuccess(`Text, typelist.json and snapshot.json agree (${typelist.types.length} types)`);
+    }
+}
+
+/**
+ * Generate final report
+ */
+function generateReport() {
+    muted = false;
+    logSection('DECLARATIONS VERIFICATION REPORT');
+
+    log(`\nNamespaces checked: ${stats.namespacesChecked}`, colors.bright);
+    log(`Typelist types checked: ${stats.typesChecked}`, colors.bright);
+    log(`Typelist members checked: ${stats.membersChecked}`, colors.bright);
+    log(`Snapshot members in neither typelist nor text: ${stats.membersOmitted} (see verify-completeness.js)`, colors.bright);
+
+    if (stats.issues.length === 0) {
+        log('\n' + '✓'.repeat(70), colors.green);
+        log('VERIFICATION PASSED - TYPELIST MATCHES THE DECLARATION TEXT', colors.bright + colors.green);
+        log('✓'.repeat(70), colors.green);
+        log('');
+        return true;
+    }
+
+    log('\n' + '✗'.repeat(70), colors.red);
+    log('DECLARATION DRIFT DETECTED', colors.bright + colors.red);
+    log('✗'.repeat(70), colors.red);
+
+    for (const [category, { title }] of Object.entries(CATEGORIES)) {
+        const list = stats.issues.filter(i => i.category === category);
+        if (list.length === 0) continue;
+        log(`\n${list.length} ${title}:`, colors.red);
+        list.slice(0, 10).forEach(i => log(`  ${i.namespace}: ${i.subject}: ${i.message}`, colors.red));
+        if (list.length > 10) {
+            log(`  ... and ${list.length - 10} more`, colors.red);
+        }
+    }
+
+    log(`\n✗ ${stats.issues.length} problems (see above)`, colors.red);
+    log('');
+    return false;
+}
+
+/**
+ * JUnit suite with one test case per namespace
+ */
+function buildJUnitSuites() {
+    const cases = stats.namespaceResults.map(result => {
+        const testCase = { name: result.namespace, classname: 'declarations' };
+        if (result.skipped) {
+            testCase.skipped = result.skipped;
+            return testCase;
+        }
+
+        if (result.problems > 0) {
+            const counts = Object.entries(CATEGORIES)
+                .filter(([category]) => result[category] > 0)
+                .map(([category, { title }]) => `${result[category]} ${title}`);
+            const details = stats.issues
+                .filter(i => i.namespace === result.namespace)
+                .map(i => `${i.subject}: ${i.message}`);
+            testCase.failure = { message: counts.join(', '), details: details.join('\n') };
+        }
+        return testCase;
+    });
+
+    return [{ name: 'declarations', cases }];
+}
+
+/**
+ * SARIF results located at the declaration in internal/index.d.ts, or at
+ * typelist.json for types the text does not declare
+ */
+function buildSarifReport() {
+    const rules = Object.entries(CATEGORIES).map(([category, { rule }]) => ({
+        id: `declaration-${category}`,
+        description: rule
+    }));
+
+    const results = stats.issues.map(i => ({
+        ruleId: `declaration-${i.category}`,
+        level: 'error',
+        message: `${i.subject}: ${i.message}`,
+        uri: path.relative(PROJECT_ROOT, path.join(NAMESPACES_DIR, i.namespace, i.file)).split(path.sep).join('/'),
+        line: i.line || null
+    }));
+
+    return { toolName: 'tsbindgen-verify-declarations', rules, results };
+}
+
+/**
+ * Output directory of the default validation target, when no directory is
+ * given
+ */
+function defaultValidationDir() {
+    try {
+        return defaultOutputDir();
+    } catch (err) {
+        console.error(`${colors.red}Error: ${err.message}${colors.reset}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Main verification
+ */
+function main() {
+    logSection('TSBINDGEN DECLARATIONS VERIFICATION');
+    log(`Validation directory: ${VALIDATION_DIR}`, colors.cyan);
+
+    if (!fs.existsSync(NAMESPACES_DIR)) {
+        muted = false;
+        log(`Error: Namespaces directory not found: ${NAMESPACES_DIR}`, colors.red);
+        log('Usage: node scripts/verify-declarations.js <validation-target-dir>', colors.yellow);
+        process.exit(1);
+    }
+
+    const namespaces = listNamespaces(VALIDATION_DIR);
+    log(`Found ${namespaces.length} namespaces to verify\n`, colors.cyan);
+
+    for (const namespace of namespaces) {
+        try {
+            verifyNamespace(namespace, path.join(NAMESPACES_DIR, namespace));
+        } catch (err) {
+            logWarning(`Failed to verify ${namespace}: ${err.message}`);
+            stats.namespaceResults.push({ namespace, skipped: err.message });
+        }
+    }
+
+    const passed = generateReport();
+
+    const formats = parseFormats(args.format);
+    if (formats.length > 0) {
+        const written = writeReports(REPORT_DIR, 'declarations-report', formats, {
+            json: () => ({
+                generatedAt: new Date().toISOString(),
+                passed,
+                validationDir: VALIDATION_DIR,
+                stats
+            }),
+            junit: () => buildJUnitSuites(),
+            sarif: () => buildSarifReport()
+        });
+        written.forEach(p => log(`Report written: ${p}`, colors.cyan));
+    }
+
+    process.exit(passed ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,632 @@
+#!/usr/bin/env node
+
+/**
+ * Metadata Verification Script
+ *
+ * Cross-checks the contents of metadata.json against the declarations and the
+ * snapshots. The schema check in validate.js only proves the files are well
+ * formed; this proves they describe the same API, since the downstream C#
+ * emitter trusts metadata.json and the snapshot binding records as-is.
+ *
+ * For each namespace:
+ * - Every type index.d.ts exports or typelist.json lists has a metadata.json
+ *   entry, and every entry has a snapshot type (by CLR full name)
+ * - Entry flags agree with the snapshot: kind, isStatic, assembly; snapshot
+ *   isStatic agrees with isSealed && isAbstract, and value types and
+ *   delegates are sealed
+ * - typelist.json kinds and member staticness agree with the snapshot, and
+ *   every typelist member has a snapshot member
+ * - Explicit views match the snapshot's views; every view method's
+ *   normalizedSignature parses and matches the snapshot method (name, generic
+ *   parameters, parameter kinds/types/optional/params, return type, static),
+ *   and every ViewOnly typelist member appears in a view
+ * - Every isOverride method or property has a virtual, abstract or override
+ *   member of the same name and parameter count up its baseType chain. Chains
+ *   that leave the output tree cannot be checked and are only counted.
+ *
+ * Usage: node scripts/verify-metadata.js [validation-target-dir]
+ *            [--format json,junit,sarif] [--report-dir <dir>] [--quiet]
+ *
+ * Without a directory, the default validation target's output is checked.
+ *
+ * --format writes metadata-report.{json,junit.xml,sarif} (to the validation
+ * directory unless --report-dir is given); --quiet prints only the final report.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { parseFormats, writeReports } from './lib/report-formats.js';
+import {
+    listNamespaces,
+    loadSidecar,
+    getClrFullName,
+    getFacadeNames,
+    normalizeTypeReference,
+    parseNormalizedSignature
+} from './lib/sidecars.js';
+import { parseDeclarationFile, listExportedNames } from './lib/declarations.js';
+import { defaultOutputDir } from './lib/targets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// ANSI colors
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+};
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'format': { type: 'string', multiple: true },
+        'report-dir': { type: 'string' },
+        'quiet': { type: 'boolean', short: 'q', default: false }
+    }
+});
+
+// Target output directory written by validate.js (e.g. .tests/validation/<target>)
+const VALIDATION_DIR = positionals[0]
+    ? path.resolve(positionals[0])
+    : defaultValidationDir();
+const NAMESPACES_DIR = path.join(VALIDATION_DIR, 'namespaces');
+
+const REPORT_DIR = args['report-dir'] ? path.resolve(args['report-dir']) : VALIDATION_DIR;
+
+// With --quiet, per-namespace output is muted until the final report
+let muted = args.quiet;
+
+// Problem categories, in report order
+const CATEGORIES = {
+    missing: { title: 'missing metadata', rule: 'Declared type or member without a metadata.json or snapshot entry' },
+    stale: { title: 'stale metadata', rule: 'metadata.json entry without a snapshot counterpart' },
+    signature: { title: 'signature mismatches', rule: 'normalizedSignature that does not parse or does not match the snapshot method' },
+    flags: { title: 'flag mismatches', rule: 'Kind or modifier that disagrees between metadata.json, typelist.json and the snapshot' },
+    override: { title: 'unbacked overrides', rule: 'isOverride member without a virtual or abstract base member' }
+};
+
+const TYPELIST_KINDS = {
+    Class: 'class',
+    Struct: 'class',
+    Interface: 'interface',
+    Enum: 'enum',
+    Delegate: 'delegate',
+    StaticNamespace: 'namespace'
+};
+
+const MEMBER_GROUPS = {
+    constructor: 'constructors',
+    method: 'methods',
+    property: 'properties',
+    field: 'fields',
+    event: 'events'
+};
+
+// Statistics tracking
+const stats = {
+    namespacesChecked: 0,
+    typesChecked: 0,
+    viewMethodsChecked: 0,
+    overridesChecked: 0,
+    overridesUnverified: 0,
+    issues: [],
+    namespaceResults: [],
+    warnings: []
+};
+
+function log(message, color = colors.reset) {
+    if (muted) return;
+    console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSection(title) {
+    log('\n' + '='.repeat(70), colors.cyan);
+    log(title, colors.bright + colors.cyan);
+    log('='.repeat(70), colors.cyan);
+}
+
+function logError(message) {
+    log(`  ✗ ${message}`, colors.red);
+}
+
+function logWarning(message) {
+    stats.warnings.push(message);
+    log(`  ⚠ ${message}`, colors.yellow);
+}
+
+function logSuccess(message) {
+    log(`  ✓ ${message}`, colors.green);
+}
+
+function logInfo(message) {
+    log(`  ${message}`);
+}
+
+function lowerFirst(name) {
+    return name.length > 0 ? name[0].toLowerCase() + name.slice(1) : name;
+}
+
+/**
+ * Whether a TypeScript member name is a CLR name after the name transform
+ * (which only changes the case of the first character)
+ */
+function isTransformOf(tsName, clrName) {
+    return tsName === clrName || tsName === lowerFirst(clrName);
+}
+
+function sameList(a, b) {
+    return a.length === b.length && a.every((item, i) => item === b[i]);
+}
+
+/**
+ * Snapshots of every namespace, keyed by namespace folder, plus an index of
+ * all types by CLR full name for the baseType walks
+ */
+function loadSnapshots(namespaces) {
+    const snapshots = new Map();
+    const typesByFullName = new Map();
+    for (const namespace of namespaces) {
+        try {
+            const snapshot = loadSidecar(path.join(NAMESPACES_DIR, namespace), 'snapshot.json');
+            if (!snapshot) continue;
+            snapshots.set(namespace, snapshot);
+            for (const type of snapshot.types) {
+                typesByFullName.set(getClrFullName(type.binding.type), type);
+            }
+        } catch (err) {
+            logWarning(`Failed to load ${namespace}/snapshot.json: ${err.message}`);
+        }
+    }
+    return { snapshots, typesByFullName };
+}
+
+/**
+ * Differences between a parsed normalizedSignature and the snapshot method
+ * it was generated from
+ */
+function compareSignature(parsed, method, tsName) {
+    const differences = [];
+    if (parsed.name !== tsName) {
+        differences.push(`name ${parsed.name}, expected ${tsName}`);
+    }
+
+    const generics = method.genericParameters.map(g => g.name);
+    if (!sameList(parsed.genericParameters, generics)) {
+        differences.push(`generic parameters <${parsed.genericParameters.join(',')}>, snapshot has <${generics.join(',')}>`);
+    }
+
+    if (parsed.parameters.length !== method.parameters.length) {
+        differences.push(`${parsed.parameters.length} parameters, snapshot has ${method.parameters.length}`);
+    } else {
+        method.parameters.forEach((p, i) => {
+            const actual = parsed.parameters[i];
+            const expected = {
+                kind: p.kind.toLowerCase(),
+                type: normalizeTypeReference(p.type),
+                isOptional: p.isOptional,
+                isParams: p.isParams
+            };
+            for (const aspect of ['kind', 'type', 'isOptional', 'isParams']) {
+                if (actual[aspect] !== expected[aspect]) {
+                    differences.push(`parameter ${i + 1} (${p.name}) ${aspect} ${actual[aspect]}, snapshot has ${expected[aspect]}`);
+                }
+            }
+        });
+    }
+
+    const returnType = normalizeTypeReference(method.returnType);
+    if (parsed.returnType !== returnType) {
+        differences.push(`return type ${parsed.returnType}, snapshot has ${returnType}`);
+    }
+    if (parsed.isStatic !== method.isStatic) {
+        differences.push(`static=${parsed.isStatic}, snapshot has static=${method.isStatic}`);
+    }
+    return differences;
+}
+
+/**
+ * Snapshot member a typelist entry was emitted from: same kind, transformed
+ * name and, for constructors and methods, the same signature. Staticness is
+ * compared by the caller.
+ */
+function findSnapshotMember(type, entry) {
+    const candidates = type.members[MEMBER_GROUPS[entry.kind]] || [];
+    return candidates.find(member => {
+        if (entry.kind !== 'constructor' && !isTransformOf(entry.name, member.clrName)) return false;
+        if (entry.kind !== 'constructor' && entry.kind !== 'method') return true;
+        if (entry.genericArity !== undefined && entry.genericArity !== (member.genericParameters || []).length) return false;
+        return !entry.parameters || sameList(entry.parameters, member.parameters.map(p => normalizeTypeReference(p.type)));
+    });
+}
+
+/**
+ * Walk the baseType chain for a virtual/abstract/override member with the same
+ * name and parameter count. Returns 'found', 'missing' or 'unverified' (the
+ * chain leaves the output tree).
+ */
+function findOverriddenMember(type, member, group, typesByFullName) {
+    const parameterCount = member => (group === 'properties' ? member.indexerParameters : member.parameters).length;
+    const seen = new Set();
+    let baseRef = type.baseType;
+
+    while (baseRef) {
+        const fullName = getClrFullName(baseRef);
+        const base = typesByFullName.get(fullName);
+        if (!base || seen.has(fullName)) return 'unverified';
+        seen.add(fullName);
+
+        const overridable = base.members[group].some(candidate =>
+            candidate.clrName === member.clrName &&
+            parameterCount(candidate) === parameterCount(member) &&
+            (candidate.isVirtual || candidate.isAbstract || candidate.isOverride));
+        if (overridable) return 'found';
+
+        baseRef = base.baseType;
+    }
+    return 'missing';
+}
+
+/**
+ * Verify one namespace's metadata.json
+ */
+function verifyNamespace(namespaceName, namespacePath, snapshot, typesByFullName) {
+    logSection(`Verifying: ${namespaceName}`);
+    stats.namespacesChecked++;
+
+    if (!snapshot) {
+        logWarning('No snapshot.json found');
+        stats.namespaceResults.push({ namespace: namespaceName, skipped: 'No snapshot.json found' });
+        return;
+    }
+    const metadata = loadSidecar(namespacePath, 'metadata.json');
+    if (!metadata) {
+        logWarning('No metadata.json found');
+        stats.namespaceResults.push({ namespace: namespaceName, skipped: 'No metadata.json found' });
+        return;
+    }
+    const typelist = loadSidecar(namespacePath, 'typelist.json');
+
+    const facadePath = path.join(namespacePath, 'index.d.ts');
+    const exported = fs.existsSync(facadePath) ? listExportedNames(parseDeclarationFile(facadePath)) : [];
+
+    const before = stats.issues.length;
+    const issue = (category, subject, message, location = {}) => {
+        stats.issues.push({ namespace: namespaceName, category, subject, message, file: 'metadata.json', ...location });
+        logError(`${subject}: ${message}`);
+    };
+
+    const fullNameOf = type => getClrFullName(type.binding.type);
+    const snapshotTypes = new Map(snapshot.types.map(type => [fullNameOf(type), type]));
+    const metadataTypes = new Map(metadata.types.map(entry => [getClrFullName(entry.clrType), entry]));
+
+    logInfo(`metadata.json: ${metadata.types.length} types; snapshot.json: ${snapshot.types.length} types`);
+
+    // Entries ↔ snapshot types, and the flags they share
+    for (const entry of metadata.types) {
+        stats.typesChecked++;
+        const fullName = getClrFullName(entry.clrType);
+        const type = snapshotTypes.get(fullName);
+        if (!type) {
+            issue('stale', fullName, 'metadata.json entry has no type in snapshot.json');
+            continue;
+        }
+
+        for (const aspect of ['kind', 'isStatic']) {
+            if (entry[aspect] !== type[aspect]) {
+                issue('flags', fullName, `metadata ${aspect} ${entry[aspect]}, snapshot has ${type[aspect]}`);
+            }
+        }
+        if (entry.assembly !== type.binding.assembly) {
+            issue('flags', fullName, `metadata assembly ${entry.assembly}, snapshot binding has ${type.binding.assembly}`);
+        }
+    }
+
+    for (const [fullName, type] of snapshotTypes) {
+        if (!metadataTypes.has(fullName)) {
+            issue('missing', fullName, 'snapshot type has no metadata.json entry');
+        }
+
+        // Flags that must agree within the snapshot (Reflect: IsStatic = IsAbstract && IsSealed)
+        if (type.isStatic !== (type.isSealed && type.isAbstract)) {
+            issue('flags', fullName, `isStatic ${type.isStatic} but isSealed ${type.isSealed}, isAbstract ${type.isAbstract}`,
+                { file: 'snapshot.json' });
+        }
+        if (['Struct', 'Enum', 'Delegate'].includes(type.kind) && !type.isSealed) {
+            issue('flags', fullName, `${type.kind} is not sealed`, { file: 'snapshot.json' });
+        }
+    }
+
+    // Exported names need a metadata entry (tsName is the type's identifier)
+    for (const { name, line } of exported) {
+        const resolved = snapshot.types.some(type => {
+            const entry = metadataTypes.get(fullNameOf(type));
+            return entry && getFacadeNames(type, entry.tsName).includes(name);
+        });
+        if (!resolved) {
+            issue('missing', name, 'exported from index.d.ts but no metadata.json entry has that name',
+                { file: 'index.d.ts', line });
+        }
+    }
+
+    // typelist.json ↔ snapshot: type kinds, members and their staticness
+    const snapshotByEmitName = new Map(snapshot.types.map(type => [type.tsEmitName, type]));
+    const viewOnlyEntries = [];
+    for (const listed of typelist?.types || []) {
+        const type = snapshotByEmitName.get(listed.tsEmitName);
+        if (!type) {
+            issue('missing', listed.tsEmitName, 'listed in typelist.json but not in snapshot.json', { file: 'typelist.json' });
+            continue;
+        }
+        if (listed.kind !== TYPELIST_KINDS[type.kind]) {
+            issue('flags', listed.tsEmitName, `typelist kind ${listed.kind}, snapshot kind ${type.kind}`, { file: 'typelist.json' });
+        }
+
+        for (const member of listed.members) {
+            const subject = `${listed.tsEmitName}.${member.name}`;
+            if (member.emitScope === 'ViewOnly') {
+                viewOnlyEntries.push({ type, member, subject });
+            }
+            const source = findSnapshotMember(type, member);
+            if (!source) {
+                issue('missing', subject, `typelist ${member.kind} has no snapshot member`, { file: 'typelist.json' });
+            } else if ((source.isStatic ?? false) !== member.isStatic) {
+                issue('flags', subject, `typelist isStatic ${member.isStatic}, snapshot has ${source.isStatic ?? false}`,
+                    { file: 'typelist.json' });
+            }
+        }
+    }
+
+    // Explicit views: metadata lists each view's methods in the snapshot's order
+    for (const [fullName, type] of snapshotTypes) {
+        const entry = metadataTypes.get(fullName);
+        if (!entry) continue;
+
+        const snapshotViews = new Map((type.explicitViews || []).map(view => [view.viewName + (view.disambiguator ?? ''), view]));
+        const metadataViews = new Map((entry.explicitViews || []).map(view => [view.viewName, view]));
+
+        for (const viewName of snapshotViews.keys()) {
+            if (!metadataViews.has(viewName)) {
+                issue('missing', `${fullName} view ${viewName}`, 'snapshot view has no metadata.json entry');
+            }
+        }
+
+        for (const [viewName, view] of metadataViews) {
+            const subject = `${fullName} view ${viewName}`;
+            const source = snapshotViews.get(viewName);
+            if (!source) {
+                issue('stale', subject, 'metadata view is not in the snapshot');
+                continue;
+            }
+
+            const expectedInterface = `${source.interface.namespace}.${source.interface.typeName}`;
+            if (view.interface_ !== expectedInterface) {
+                issue('flags', subject, `interface ${view.interface_}, snapshot has ${expectedInterface}`);
+            }
+            if (view.methods.length !== source.viewOnlyMethods.length) {
+                issue(view.methods.length > source.viewOnlyMethods.length ? 'stale' : 'missing', subject,
+                    `${view.methods.length} methods, snapshot has ${source.viewOnlyMethods.length}`);
+            }
+
+            view.methods.forEach((viewMethod, i) => {
+                stats.viewMethodsChecked++;
+                const methodSubject = `${subject}: ${viewMethod.tsName}`;
+                const method = source.viewOnlyMethods[i];
+                if (!method) return;
+
+                if (viewMethod.clrName !== method.clrName || !isTransformOf(viewMethod.tsName, method.clrName)) {
+                    issue('signature', methodSubject, `clrName ${viewMethod.clrName}, snapshot method ${i + 1} is ${method.clrName}`);
+                    return;
+                }
+                const parsed = parseNormalizedSignature(viewMethod.normalizedSignature);
+                if (!parsed) {
+                    issue('signature', methodSubject, `normalizedSignature does not parse: ${viewMethod.normalizedSignature}`);
+                    return;
+                }
+                for (const difference of compareSignature(parsed, method, viewMethod.tsName)) {
+                    issue('signature', methodSubject, difference);
+                }
+            });
+        }
+    }
+
+    // ViewOnly typelist members must be reachable through a metadata view
+    for (const { type, member, subject } of viewOnlyEntries) {
+        const views = metadataTypes.get(fullNameOf(type))?.explicitViews || [];
+        const inView = views.some(view => view.methods.some(viewMethod => {
+            const parsed = parseNormalizedSignature(viewMethod.normalizedSignature);
+            return viewMethod.tsName === member.name &&
+                (!member.parameters || (parsed && sameList(parsed.parameters.map(p => p.type), member.parameters)));
+        }));
+        if (!inView) {
+            issue('missing', subject, 'ViewOnly member is in no metadata.json explicit view', { file: 'typelist.json' });
+        }
+    }
+
+    // Overrides need something to override
+    for (const [fullName, type] of snapshotTypes) {
+        for (const group of ['methods', 'properties']) {
+            for (const member of type.members[group].filter(m => m.isOverride)) {
+                stats.overridesChecked++;
+                const result = findOverriddenMember(type, member, group, typesByFullName);
+                if (result === 'unverified') {
+                    stats.overridesUnverified++;
+                } else if (result === 'missing') {
+                    issue('override', `${fullName}.${member.clrName}`,
+                        'isOverride but no virtual, abstract or override member of that name up the baseType chain',
+                        { file: 'snapshot.json' });
+                }
+            }
+        }
+    }
+
+    const problems = stats.issues.length - before;
+    const result = { namespace: namespaceName, types: metadata.types.length, problems };
+    for (const category of Object.keys(CATEGORIES)) {
+        result[category] = stats.issues.slice(before).filter(i => i.category === category).length;
+    }
+    stats.namespaceResults.push(result);
+
+    if (problems === 0) {
+        logSuccess(`metadata.json agrees with the declarations and snapshot (${metadata.types.length} types)`);
+    }
+}
+
+/**
+ * Generate final report
+ */
+function generateReport() {
+    muted = false;
+    logSection('METADATA VERIFICATION REPORT');
+
+    log(`\nNamespaces checked: ${stats.namespacesChecked}`, colors.bright);
+    log(`Metadata types checked: ${stats.typesChecked}`, colors.bright);
+    log(`View method signatures checked: ${stats.viewMethodsChecked}`, colors.bright);
+    log(`Overrides checked: ${stats.overridesChecked}`, colors.bright);
+    if (stats.overridesUnverified > 0) {
+        log(`  ${stats.overridesUnverified} with a base type outside the output tree (not verifiable)`, colors.yellow);
+    }
+
+    if (stats.issues.length === 0) {
+        log('\n' + '✓'.repeat(70), colors.green);
+        log('VERIFICATION PASSED - METADATA MATCHES DECLARATIONS AND SNAPSHOTS', colors.bright + colors.green);
+        log('✓'.repeat(70), colors.green);
+        log('');
+        return true;
+    }
+
+    log('\n' + '✗'.repeat(70), colors.red);
+    log('METADATA DRIFT DETECTED', colors.bright + colors.red);
+    log('✗'.repeat(70), colors.red);
+
+    for (const [category, { title }] of Object.entries(CATEGORIES)) {
+        const list = stats.issues.filter(i => i.category === category);
+        if (list.length === 0) continue;
+        log(`\n${list.length} ${title}:`, colors.red);
+        list.slice(0, 10).forEach(i => log(`  ${i.namespace}: ${i.subject}: ${i.message}`, colors.red));
+        if (list.length > 10) {
+            log(`  ... and ${list.length - 10} more`, colors.red);
+        }
+    }
+
+    log(`\n✗ ${stats.issues.length} problems (see above)`, colors.red);
+    log('');
+    return false;
+}
+
+/**
+ * JUnit suite with one test case per namespace
+ */
+function buildJUnitSuites() {
+    const cases = stats.namespaceResults.map(result => {
+        const testCase = { name: result.namespace, classname: 'metadata' };
+        if (result.skipped) {
+            testCase.skipped = result.skipped;
+            return testCase;
+        }
+
+        if (result.problems > 0) {
+            const counts = Object.entries(CATEGORIES)
+                .filter(([category]) => result[category] > 0)
+                .map(([category, { title }]) => `${result[category]} ${title}`);
+            const details = stats.issues
+                .filter(i => i.namespace === result.namespace)
+                .map(i => `${i.subject}: ${i.message}`);
+            testCase.failure = { message: counts.join(', '), details: details.join('\n') };
+        }
+        return testCase;
+    });
+
+    return [{ name: 'metadata', cases }];
+}
+
+/**
+ * SARIF results located at the sidecar (or index.d.ts export) the problem was
+ * found in
+ */
+function buildSarifReport() {
+    const rules = Object.entries(CATEGORIES).map(([category, { rule }]) => ({
+        id: `metadata-${category}`,
+        description: rule
+    }));
+
+    const results = stats.issues.map(i => ({
+        ruleId: `metadata-${i.category}`,
+        level: 'error',
+        message: `${i.subject}: ${i.message}`,
+        uri: path.relative(PROJECT_ROOT, path.join(NAMESPACES_DIR, i.namespace, i.file)).split(path.sep).join('/'),
+        line: i.line || null
+    }));
+
+    return { toolName: 'tsbindgen-verify-metadata', rules, results };
+}
+
+/**
+ * Output directory of the default validation target, when no directory is
+ * given
+ */
+function defaultValidationDir() {
+    try {
+        return defaultOutputDir();
+    } catch (err) {
+        console.error(`${colors.red}Error: ${err.message}${colors.reset}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Main verification
+ */
+function main() {
+    logSection('TSBINDGEN METADATA VERIFICATION');
+    log(`Validation directory: ${VALIDATION_DIR}`, colors.cyan);
+
+    if (!fs.existsSync(NAMESPACES_DIR)) {
+        muted = false;
+        log(`Error: Namespaces directory not found: ${NAMESPACES_DIR}`, colors.red);
+        log('Usage: node scripts/verify-metadata.js <validation-target-dir>', colors.yellow);
+        process.exit(1);
+    }
+
+    const namespaces = listNamespaces(VALIDATION_DIR);
+    log(`Found ${namespaces.length} namespaces to verify\n`, colors.cyan);
+
+    // Override checks follow base types across namespaces
+    const { snapshots, typesByFullName } = loadSnapshots(namespaces);
+
+    for (const namespace of namespaces) {
+        try {
+            verifyNamespace(namespace, path.join(NAMESPACES_DIR, namespace), snapshots.get(namespace), typesByFullName);
+        } catch (err) {
+            logWarning(`Failed to verify ${namespace}: ${err.message}`);
+            stats.namespaceResults.push({ namespace, skipped: err.message });
+        }
+    }
+
+    const passed = generateReport();
+
+    const formats = parseFormats(args.format);
+    if (formats.length > 0) {
+        const written = writeReports(REPORT_DIR, 'metadata-report', formats, {
+            json: () => ({
+                generatedAt: new Date().toISOString(),
+                passed,
+                validationDir: VALIDATION_DIR,
+                stats
+            }),
+            junit: () => buildJUnitSuites(),
+            sarif: () => buildSarifReport()
+        });
+        written.forEach(p => log(`Report written: ${p}`, colors.cyan));
+    }
+
+    process.exit(passed ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+
+/**
+ * Usage Verification Script
+ *
+ * validate.js proves the declarations compile by themselves, not that they can
+ * be used. This script generates a usage corpus (lib/usage-corpus.js) for
+ * every namespace and type-checks it against the generated tree with the
+ * target's own tsconfig.json (strict). The corpus constructs each type, calls
+ * each method overload with arguments of the declared parameter types, reads
+ * each property and view, assigns each type to the interfaces its snapshot
+ * says it implements, reads enum members and implements delegates.
+ *
+ * Every corpus error is an "unusable API" finding for the type the snippet
+ * belongs to:
+ * - reference: the type cannot be named with type arguments
+ * - construct: a declared constructor cannot be called
+ * - member:    a method, property or view cannot be used
+ * - assign:    the type is not assignable to an interface it implements, an
+ *              enum member is not of its enum type, or a delegate cannot be
+ *              implemented
+ *
+ * The corpus is written to <validation-dir>/usage/<namespace>.ts and left in
+ * place, so failures can be reproduced with tsc.
+ *
+ * Usage: node scripts/verify-usage.js [validation-target-dir]
+ *            [--format json,junit,sarif] [--report-dir <dir>] [--quiet]
+ *
+ * Without a directory, the default validation target's output is checked.
+ *
+ * The validation directory must contain the tsconfig.json validate.js writes.
+ * --format writes usage-report.{json,junit.xml,sarif} (to the validation
+ * directory unless --report-dir is given); --quiet prints only the final
+ * report.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { parseFormats, writeReports } from './lib/report-formats.js';
+import { listNamespaces, loadSidecar, getClrFullName } from './lib/sidecars.js';
+import { parseDeclarationFile } from './lib/declarations.js';
+import { generateUsageCorpus } from './lib/usage-corpus.js';
+import { parseProjectConfig, typeCheckFiles } from './lib/tsc-diagnostics.js';
+import { defaultOutputDir } from './lib/targets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// ANSI colors
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+};
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'format': { type: 'string', multiple: true },
+        'report-dir': { type: 'string' },
+        'quiet': { type: 'boolean', short: 'q', default: false }
+    }
+});
+
+// Target output directory written by validate.js (e.g. .tests/validation/<target>)
+const VALIDATION_DIR = positionals[0]
+    ? path.resolve(positionals[0])
+    : defaultValidationDir();
+const NAMESPACES_DIR = path.join(VALIDATION_DIR, 'namespaces');
+const CORPUS_DIR = path.join(VALIDATION_DIR, 'usage');
+
+const REPORT_DIR = args['report-dir'] ? path.resolve(args['report-dir']) : VALIDATION_DIR;
+
+// With --quiet, per-namespace output is muted until the final report
+let muted = args.quiet;
+
+// Problem categories, in report order
+const CATEGORIES = {
+    reference: { title: 'unusable type references', rule: 'The type cannot be referenced with type arguments' },
+    construct: { title: 'unusable constructors', rule: 'A declared constructor cannot be called with its parameter types' },
+    member: { title: 'unusable members', rule: 'A declared method, property or view cannot be used with its declared types' },
+    assign: { title: 'failed assignments', rule: 'The type is not assignable where its CLR contract says it should be' }
+};
+
+// Statistics tracking
+const stats = {
+    namespacesChecked: 0,
+    typesChecked: 0,
+    snippets: 0,
+    interfacesSkipped: 0,
+    issues: [],
+    typeResults: [],
+    warnings: []
+};
+
+function log(message, color = colors.reset) {
+    if (muted) return;
+    console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSection(title) {
+    log('\n' + '='.repeat(70), colors.cyan);
+    log(title, colors.bright + colors.cyan);
+    log('='.repeat(70), colors.cyan);
+}
+
+function logError(message) {
+    log(`  ✗ ${message}`, colors.red);
+}
+
+function logWarning(message) {
+    stats.warnings.push(message);
+    log(`  ⚠ ${message}`, colors.yellow);
+}
+
+function logSuccess(message) {
+    log(`  ✓ ${message}`, colors.green);
+}
+
+function logInfo(message) {
+    log(`  ${message}`);
+}
+
+/**
+ * CLR full name → { namespace, tsEmitName } for every generated type
+ */
+function loadTypeIndex(namespaces) {
+    const index = new Map();
+    for (const namespace of namespaces) {
+        try {
+            const snapshot = loadSidecar(path.join(NAMESPACES_DIR, namespace), 'snapshot.json');
+            for (const type of snapshot?.types || []) {
+                index.set(getClrFullName(type.binding.type), { namespace, tsEmitName: type.tsEmitName });
+            }
+        } catch (err) {
+            logWarning(`Failed to load ${namespace}/snapshot.json: ${err.message}`);
+        }
+    }
+    return index;
+}
+
+/**
+ * Write one namespace's corpus file. Returns { file, namespace, snippets,
+ * types } or null when the namespace cannot be read.
+ */
+function writeCorpus(namespace, typeIndex) {
+    const namespacePath = path.join(NAMESPACES_DIR, namespace);
+    const declarationsPath = path.join(namespacePath, 'internal', 'index.d.ts');
+    const typelist = loadSidecar(namespacePath, 'typelist.json');
+    if (!typelist || !fs.existsSync(declarationsPath)) {
+        logWarning(`${namespace}: missing ${typelist ? 'internal/index.d.ts' : 'typelist.json'}, not checked`);
+        return null;
+    }
+
+    const toSpecifier = target => {
+        const relative = path.relative(CORPUS_DIR, target).split(path.sep).join('/');
+        return relative.startsWith('.') ? relative : `./${relative}`;
+    };
+    const corpus = generateUsageCorpus(parseDeclarationFile(declarationsPath), {
+        namespace,
+        typelist,
+        snapshot: loadSidecar(namespacePath, 'snapshot.json'),
+        lookupType: fullName => typeIndex.get(fullName) || null,
+        moduleSpecifier: target => toSpecifier(path.join(NAMESPACES_DIR, target, 'internal', 'index.js')),
+        rewriteSpecifier: specifier => toSpecifier(path.resolve(path.dirname(declarationsPath), specifier))
+    });
+
+    const file = path.join(CORPUS_DIR, `${namespace}.ts`);
+    fs.writeFileSync(file, corpus.text);
+
+    stats.snippets += corpus.snippets.size;
+    stats.interfacesSkipped += corpus.skipped.length;
+    return { file, namespace, snippets: corpus.snippets, types: typelist.types.map(t => t.tsEmitName) };
+}
+
+/**
+ * Attribute corpus errors to the snippet (and so the type) on their line
+ */
+function collectIssues(corpora, records) {
+    const byFile = new Map(corpora.map(c => [path.relative(VALIDATION_DIR, c.file).split(path.sep).join('/'), c]));
+    const seen = new Set();
+
+    for (const record of records) {
+        if (record.category !== 'error') continue;
+        const corpus = byFile.get(record.file);
+        if (!corpus) {
+            logWarning(`${record.code} outside the corpus: ${record.messageChain[0]}`);
+            continue;
+        }
+
+        const snippet = corpus.snippets.get(record.line);
+        const key = `${record.file}:${record.line}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        stats.issues.push({
+            namespace: corpus.namespace,
+            type: snippet ? snippet.type : '(corpus)',
+            category: snippet ? snippet.kind : 'reference',
+            subject: snippet ? snippet.label : `${record.file}:${record.line}`,
+            message: `${record.code}: ${record.messageChain.join(' ')}`,
+            file: 'internal/index.d.ts',
+            line: snippet ? snippet.declarationLine : null,
+            corpusFile: record.file,
+            corpusLine: record.line
+        });
+    }
+}
+
+/**
+ * Generate final report
+ */
+function generateReport() {
+    muted = false;
+    logSection('USAGE VERIFICATION REPORT');
+
+    const unusableTypes = stats.typeResults.filter(r => r.problems > 0).length;
+    log(`\nNamespaces checked: ${stats.namespacesChecked}`, colors.bright);
+    log(`Types checked: ${stats.typesChecked}`, colors.bright);
+    log(`Usage snippets type-checked: ${stats.snippets}`, colors.bright);
+    log(`Implemented interfaces not checked (view or not generated): ${stats.interfacesSkipped}`, colors.bright);
+    log(`Corpus: ${CORPUS_DIR}`, colors.bright);
+
+    if (stats.issues.length === 0) {
+        log('\n' + '✓'.repeat(70), colors.green);
+        log('VERIFICATION PASSED - EVERY DECLARED API IS USABLE', colors.bright + colors.green);
+        log('✓'.repeat(70), colors.green);
+        log('');
+        return true;
+    }
+
+    log('\n' + '✗'.repeat(70), colors.red);
+    log(`UNUSABLE API IN ${unusableTypes} TYPES`, colors.bright + colors.red);
+    log('✗'.repeat(70), colors.red);
+
+    for (const [category, { title }] of Object.entries(CATEGORIES)) {
+        const list = stats.issues.filter(i => i.category === category);
+        if (list.length === 0) continue;
+        log(`\n${list.length} ${title}:`, colors.red);
+        list.slice(0, 10).forEach(i => log(`  ${i.namespace}: ${i.subject}: ${i.message}`, colors.red));
+        if (list.length > 10) {
+            log(`  ... and ${list.length - 10} more`, colors.red);
+        }
+    }
+
+    log(`\n✗ ${stats.issues.length} problems (see above)`, colors.red);
+    log('');
+    return false;
+}
+
+/**
+ * JUnit suite with one test case per type
+ */
+function buildJUnitSuites() {
+    const cases = stats.typeResults.map(result => {
+        const testCase = { name: result.type, classname: result.namespace };
+        if (result.skipped) {
+            testCase.skipped = result.skipped;
+            return testCase;
+        }
+
+        const issues = stats.issues.filter(i => i.namespace === result.namespace && i.type === result.type);
+        if (issues.length > 0) {
+            testCase.failure = {
+                message: `${issues.length} unusable API`,
+                details: issues.map(i => `${i.subject}: ${i.message} (${i.corpusFile}:${i.corpusLine})`).join('\n')
+            };
+        }
+        return testCase;
+    });
+
+    return [{ name: 'usage', cases }];
+}
+
+/**
+ * SARIF results located at the declaration the failing snippet uses
+ */
+function buildSarifReport() {
+    const rules = Object.entries(CATEGORIES).map(([category, { rule }]) => ({
+        id: `usage-${category}`,
+        description: rule
+    }));
+
+    const results = stats.issues.map(i => ({
+        ruleId: `usage-${i.category}`,
+        level: 'error',
+        message: `${i.subject}: ${i.message} (${i.corpusFile}:${i.corpusLine})`,
+        uri: path.relative(PROJECT_ROOT, path.join(NAMESPACES_DIR, i.namespace, i.file)).split(path.sep).join('/'),
+        line: i.line || null
+    }));
+
+    return { toolName: 'tsbindgen-verify-usage', rules, results };
+}
+
+/**
+ * Output directory of the default validation target, when no directory is
+ * given
+ */
+function defaultValidationDir() {
+    try {
+        return defaultOutputDir();
+    } catch (err) {
+        console.error(`${colors.red}Error: ${err.message}${colors.reset}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Main verification
+ */
+function main() {
+    logSection('TSBINDGEN USAGE VERIFICATION');
+    log(`Validation directory: ${VALIDATION_DIR}`, colors.cyan);
+
+    if (!fs.existsSync(NAMESPACES_DIR) || !fs.existsSync(path.join(VALIDATION_DIR, 'tsconfig.json'))) {
+        muted = false;
+        log(`Error: ${fs.existsSync(NAMESPACES_DIR) ? 'tsconfig.json' : 'Namespaces directory'} not found in ${VALIDATION_DIR}`, colors.red);
+        log('Usage: node scripts/verify-usage.js <validation-target-dir> (written by validate.js)', colors.yellow);
+        process.exit(1);
+    }
+
+    const namespaces = listNamespaces(VALIDATION_DIR);
+    log(`Found ${namespaces.length} namespaces\n`, colors.cyan);
+
+    fs.rmSync(CORPUS_DIR, { recursive: true, force: true });
+    fs.mkdirSync(CORPUS_DIR, { recursive: true });
+
+    const typeIndex = loadTypeIndex(namespaces);
+    const corpora = [];
+    for (const namespace of namespaces) {
+        try {
+            const corpus = writeCorpus(namespace, typeIndex);
+            if (corpus) corpora.push(corpus);
+        } catch (err) {
+            logWarning(`Failed to generate usage corpus for ${namespace}: ${err.message}`);
+        }
+    }
+
+    logSection('Type-checking usage corpus');
+    logInfo(`${corpora.length} files, ${stats.snippets} snippets`);
+    const { options } = parseProjectConfig(VALIDATION_DIR);
+    collectIssues(corpora, typeCheckFiles(VALIDATION_DIR, options, corpora.map(c => c.file)));
+
+    for (const corpus of corpora) {
+        logSection(`Usage: ${corpus.namespace}`);
+        stats.namespacesChecked++;
+        const issues = stats.issues.filter(i => i.namespace === corpus.namespace);
+        for (const type of corpus.types) {
+            stats.typesChecked++;
+            const problems = issues.filter(i => i.type === type);
+            stats.typeResults.push({ namespace: corpus.namespace, type, problems: problems.length });
+            problems.forEach(i => logError(`${i.subject}: ${i.message} (${i.corpusFile}:${i.corpusLine})`));
+        }
+        issues.filter(i => i.type === '(corpus)').forEach(i => logError(`${i.subject}: ${i.message}`));
+        if (issues.length === 0) {
+            logSuccess(`All ${corpus.types.length} types usable`);
+        }
+    }
+
+    const passed = generateReport();
+
+    const formats = parseFormats(args.format);
+    if (formats.length > 0) {
+        const written = writeReports(REPORT_DIR, 'usage-report', formats, {
+            json: () => ({
+                generatedAt: new Date().toISOString(),
+                passed,
+                validationDir: VALIDATION_DIR,
+                stats
+            }),
+            junit: () => buildJUnitSuites(),
+            sarif: () => buildSarifReport()
+        });
+        written.forEach(p => log(`Report written: ${p}`, colors.cyan));
+    }
+
+    process.exit(passed ? 0 : 1);
+}
+
+main();
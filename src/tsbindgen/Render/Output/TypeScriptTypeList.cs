@@ -1,3 +1,5 @@
+using System.Text.Json.Serialization;
+
 namespace tsbindgen.Render.Output;
 
 /// <summary>
@@ -19,10 +21,16 @@ public sealed record TypeScriptTypeEntry(
     IReadOnlyList<TypeScriptMemberEntry> Members);
 
 /// <summary>
-/// A single member (method, property, field, or event) in a TypeScript type.
+/// A single member (constructor, method, property, field, or event) in a TypeScript type.
+/// Constructors and methods also carry their signature so overloads can be told apart:
+/// generic arity plus normalized parameter types (see SignatureNormalization.NormalizeTypeReference).
 /// </summary>
 public sealed record TypeScriptMemberEntry(
     string Name,
-    string Kind, // "method", "property", "field", "event"
+    string Kind, // "constructor", "method", "property", "field", "event"
     bool IsStatic,
-    string? EmitScope); // "ClassSurface", "StaticSurface", "ViewOnly", or null
+    string? EmitScope, // "ClassSurface", "StaticSurface", "ViewOnly", or null
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    int? GenericArity = null, // Constructors and methods only
+    [property: JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    IReadOnlyList<string>? Parameters = null); // Constructors and methods only
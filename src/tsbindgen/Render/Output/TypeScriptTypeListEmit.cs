@@ -50,12 +50,24 @@ public static class TypeScriptTypeListEmit
     }
 
     /// <summary>
-    /// Collects all members (methods, properties, fields, events) that will be emitted for a type.
+    /// Collects all members (constructors, methods, properties, fields, events) that will be emitted for a type.
     /// </summary>
     private static List<TypeScriptMemberEntry> CollectMembers(TypeModel type, AnalysisContext ctx)
     {
         var members = new List<TypeScriptMemberEntry>();
 
+        // Constructors
+        foreach (var ctor in type.Members.Constructors)
+        {
+            members.Add(new TypeScriptMemberEntry(
+                "constructor",
+                "constructor",
+                false,
+                "ClassSurface",
+                GenericArity: 0,
+                Parameters: NormalizeParameters(ctor.Parameters)));
+        }
+
         // Methods
         foreach (var method in type.Members.Methods)
         {
@@ -64,7 +76,9 @@ public static class TypeScriptTypeListEmit
                 methodName,
                 "method",
                 method.IsStatic,
-                method.EmitScope.ToString()));
+                method.EmitScope.ToString(),
+                GenericArity: method.GenericParameters.Count,
+                Parameters: NormalizeParameters(method.Parameters)));
         }
 
         // Properties
@@ -102,4 +116,12 @@ public static class TypeScriptTypeListEmit
 
         return members;
     }
+
+    /// <summary>
+    /// Parameter types in declaration order, normalized the same way as binding signatures.
+    /// </summary>
+    private static IReadOnlyList<string> NormalizeParameters(IReadOnlyList<ParameterModel> parameters)
+    {
+        return parameters.Select(p => SignatureNormalization.NormalizeTypeReference(p.Type)).ToList();
+    }
 }